@@ -2,32 +2,187 @@
  * Block Header Module for Realistic Mining Simulation
  * 
  * This module provides:
- * - Monero-style block header structure (76 bytes)
+ * - Monero hashing blobs (serializer, parser and nonce offset)
  * - Binary serialization using Uint8Array
+ * - Pool job blobs with the nonce at a fixed offset
+ * - Node block templates with a real extra nonce
  * - Nonce space partitioning for multi-worker mining
  * - Block template management
+ * - Seeded randomness for reproducible runs
  * 
- * Note: This is for educational purposes. Structure is simplified but maintains
- * realistic size and binary format characteristics.
+ * Note: This is for educational purposes. Headers follow Monero's hashing
+ * blob byte for byte, but the tree root is random rather than computed from
+ * transactions.
  */
 
 /**
- * Monero Block Header Structure (76 bytes)
- * 
- * Field Layout:
- * - Version (4 bytes)
- * - Timestamp (4 bytes)
- * - Previous Block Hash (32 bytes)
- * - Nonce (4 bytes)
- * - Merkle Root (32 bytes)
+ * Monero Hashing Blob
+ *
+ * The block header followed by the transaction tree root and count, which is
+ * what RandomX hashes (get_block_hashing_blob in Monero):
+ * - Major version (varint)
+ * - Minor version (varint)
+ * - Timestamp (varint)
+ * - Previous block id (32 bytes)
+ * - Nonce (4 bytes, little-endian)
+ * - Transaction tree root (32 bytes)
+ * - Transaction count, miner transaction included (varint)
+ *
+ * The nonce offset depends on the varint widths: 39 for a current mainnet
+ * blob, whose timestamp takes 5 bytes.
+ */
+
+const BLOB_HASH_BYTES = 32;
+const BLOB_NONCE_BYTES = 4;
+
+/**
+ * Monero varint (LEB128): 7 bits per byte, low bits first
+ */
+function encodeVarint(value) {
+  if (!Number.isSafeInteger(value) || value < 0) {
+    throw new Error(`Invalid varint value: ${value}`);
+  }
+  const bytes = [];
+  while (value >= 0x80) {
+    bytes.push((value % 0x80) | 0x80);
+    value = Math.floor(value / 0x80);
+  }
+  bytes.push(value);
+  return bytes;
+}
+
+/**
+ * Read a varint at `offset`; returns { value, length }
+ */
+function decodeVarint(bytes, offset) {
+  let value = 0;
+  let scale = 1;
+  for (let i = offset; i < bytes.length; i++) {
+    value += (bytes[i] & 0x7F) * scale;
+    if (!Number.isSafeInteger(value)) {
+      throw new Error(`Varint at offset ${offset} is too large`);
+    }
+    if ((bytes[i] & 0x80) === 0) {
+      return { value, length: i - offset + 1 };
+    }
+    scale *= 0x80;
+  }
+  throw new Error(`Hashing blob ends inside the varint at offset ${offset}`);
+}
+
+/**
+ * Write a 32-bit nonce little-endian at `offset`, in place
+ */
+function writeNonce(bytes, offset, nonce) {
+  for (let i = 0; i < BLOB_NONCE_BYTES; i++) {
+    bytes[offset + i] = (nonce >>> (i * 8)) & 0xFF;
+  }
+}
+
+/**
+ * Byte offset of the nonce in a hashing blob: past the three leading
+ * varints and the previous block id
+ */
+function hashingBlobNonceOffset(blob) {
+  let offset = 0;
+  for (let i = 0; i < 3; i++) {
+    offset += decodeVarint(blob, offset).length;
+  }
+  offset += BLOB_HASH_BYTES;
+  if (offset + BLOB_NONCE_BYTES > blob.length) {
+    throw new Error(`Hashing blob ends before its nonce (${blob.length} bytes)`);
+  }
+  return offset;
+}
+
+/**
+ * Serialize hashing blob fields; ids are 64-char hex strings
+ */
+function serializeHashingBlob({ majorVersion, minorVersion, timestamp, prevId, nonce, treeRoot, txCount }) {
+  const head = [
+    ...encodeVarint(majorVersion),
+    ...encodeVarint(minorVersion),
+    ...encodeVarint(timestamp)
+  ];
+  const tail = encodeVarint(txCount);
+  const blob = new Uint8Array(head.length + BLOB_HASH_BYTES + BLOB_NONCE_BYTES + BLOB_HASH_BYTES + tail.length);
+  blob.set(head, 0);
+  blob.set(hexToBytes(prevId), head.length);
+  const nonceOffset = head.length + BLOB_HASH_BYTES;
+  writeNonce(blob, nonceOffset, nonce);
+  blob.set(hexToBytes(treeRoot), nonceOffset + BLOB_NONCE_BYTES);
+  blob.set(tail, nonceOffset + BLOB_NONCE_BYTES + BLOB_HASH_BYTES);
+  return blob;
+}
+
+/**
+ * Parse a hashing blob back into its fields, plus the nonce offset
+ *
+ * Throws on a truncated blob or trailing bytes, so a blob that parses is
+ * exactly one hashing blob.
+ */
+function parseHashingBlob(blob) {
+  let offset = 0;
+  const readVarint = () => {
+    const { value, length } = decodeVarint(blob, offset);
+    offset += length;
+    return value;
+  };
+  const majorVersion = readVarint();
+  const minorVersion = readVarint();
+  const timestamp = readVarint();
+  const nonceOffset = offset + BLOB_HASH_BYTES;
+  const treeRootOffset = nonceOffset + BLOB_NONCE_BYTES;
+  if (treeRootOffset + BLOB_HASH_BYTES >= blob.length) {
+    throw new Error(`Hashing blob is truncated (${blob.length} bytes)`);
+  }
+  const prevId = bytesToHex(blob.subarray(offset, nonceOffset));
+  const nonce = (blob[nonceOffset] | (blob[nonceOffset + 1] << 8) |
+    (blob[nonceOffset + 2] << 16) | (blob[nonceOffset + 3] << 24)) >>> 0;
+  const treeRoot = bytesToHex(blob.subarray(treeRootOffset, treeRootOffset + BLOB_HASH_BYTES));
+  offset = treeRootOffset + BLOB_HASH_BYTES;
+  const txCount = readVarint();
+  if (offset !== blob.length) {
+    throw new Error(`Hashing blob has ${blob.length - offset} trailing byte(s)`);
+  }
+  return { majorVersion, minorVersion, timestamp, prevId, nonce, treeRoot, txCount, nonceOffset };
+}
+
+/**
+ * Block template serialized as a Monero hashing blob
+ *
+ * `version` is the major version; the minor version (the hard-fork vote)
+ * defaults to the same value and the transaction count to 1, the miner
+ * transaction alone.
+ *
+ * The extra nonce stands in for the coinbase extra-nonce field: it is mixed
+ * into the merkle (tree) root, so every value opens a fresh 32-bit nonce
+ * space.
  */
 class BlockHeader {
-  constructor(version, prevHash, merkleRoot, timestamp, nonce = 0) {
+  constructor(version, prevHash, merkleRoot, timestamp, nonce = 0, extraNonce = 0) {
     this.version = version;
+    this.minorVersion = version;
     this.prevHash = prevHash; // 64-char hex string (32 bytes)
     this.merkleRoot = merkleRoot; // 64-char hex string (32 bytes)
     this.timestamp = timestamp;
     this.nonce = nonce;
+    this.extraNonce = extraNonce;
+    this.txCount = 1;
+    // Cached hashing blob for withNonce, dropped when the template changes
+    this.blob = null;
+    this.nonceOffset = null;
+  }
+
+  /**
+   * Header of a parsed hashing blob; serializes back to the same bytes
+   */
+  static fromHashingBlob(blob) {
+    const fields = parseHashingBlob(blob);
+    const header = new BlockHeader(fields.majorVersion, fields.prevId, fields.treeRoot, fields.timestamp, fields.nonce);
+    header.minorVersion = fields.minorVersion;
+    header.txCount = fields.txCount;
+    return header;
   }
 
   /**
@@ -37,95 +192,640 @@ class BlockHeader {
     this.nonce = nonce;
   }
 
+  /**
+   * Set extra nonce value (up to 2^53, beyond that precision is lost)
+   */
+  setExtraNonce(extraNonce) {
+    this.extraNonce = extraNonce;
+    this.blob = null;
+  }
+
   /**
    * Update timestamp
    */
   updateTimestamp(timestamp) {
     this.timestamp = timestamp;
+    this.blob = null;
+  }
+
+  /**
+   * Tree root as hashed: the first 8 bytes XORed with the extra nonce (LE64)
+   */
+  treeRoot() {
+    const bytes = hexToBytes(this.merkleRoot);
+    const extraLo = this.extraNonce % 0x100000000;
+    const extraHi = Math.floor(this.extraNonce / 0x100000000);
+    for (let i = 0; i < 4; i++) {
+      bytes[i] ^= (extraLo >>> (i * 8)) & 0xFF;
+      bytes[i + 4] ^= (extraHi >>> (i * 8)) & 0xFF;
+    }
+    return bytesToHex(bytes);
+  }
+
+  /**
+   * Serialize block header to a fresh hashing blob (Uint8Array)
+   */
+  serialize() {
+    return serializeHashingBlob({
+      majorVersion: this.version,
+      minorVersion: this.minorVersion,
+      timestamp: this.timestamp,
+      prevId: this.prevHash,
+      nonce: this.nonce,
+      treeRoot: this.treeRoot(),
+      txCount: this.txCount
+    });
+  }
+
+  /**
+   * The hashing blob with `nonce` patched in place
+   *
+   * Serialized once per template change (extra nonce, timestamp) and reused
+   * for every nonce after that, so callers copy whatever they keep.
+   */
+  withNonce(nonce) {
+    if (!this.blob) {
+      this.blob = this.serialize();
+      this.nonceOffset = hashingBlobNonceOffset(this.blob);
+    }
+    this.nonce = nonce;
+    writeNonce(this.blob, this.nonceOffset, nonce);
+    return this.blob;
+  }
+}
+
+/**
+ * Hashing blob of a pool job
+ *
+ * Stands in for BlockHeader while mining pool jobs: the pool has already
+ * fixed everything but the 32-bit nonce, which is written little-endian at
+ * `nonceOffset` (found by parsing the blob unless given).
+ */
+class JobBlob {
+  constructor(blob, nonceOffset = hashingBlobNonceOffset(blob)) {
+    if (nonceOffset < 0 || nonceOffset + BLOB_NONCE_BYTES > blob.length) {
+      throw new Error(`Nonce offset ${nonceOffset} is outside the ${blob.length}-byte blob`);
+    }
+    this.blob = blob.slice();
+    this.nonceOffset = nonceOffset;
+    this.nonce = 0;
+    this.extraNonce = 0;
+  }
+
+  setNonce(nonce) {
+    this.nonce = nonce;
   }
 
   /**
-   * Serialize block header to binary format (Uint8Array)
-   * Total size: 76 bytes
+   * Recorded only: the pool chose the blob's extra nonce
    */
+  setExtraNonce(extraNonce) {
+    this.extraNonce = extraNonce;
+  }
+
   serialize() {
-    const buffer = new Uint8Array(76);
-    let offset = 0;
+    const buffer = this.blob.slice();
+    writeNonce(buffer, this.nonceOffset, this.nonce);
+    return buffer;
+  }
 
-    // Version (4 bytes, little-endian)
-    buffer[offset++] = this.version & 0xFF;
-    buffer[offset++] = (this.version >> 8) & 0xFF;
-    buffer[offset++] = (this.version >> 16) & 0xFF;
-    buffer[offset++] = (this.version >> 24) & 0xFF;
+  /**
+   * The job's blob with `nonce` patched in place (see BlockHeader.withNonce)
+   */
+  withNonce(nonce) {
+    this.nonce = nonce;
+    writeNonce(this.blob, this.nonceOffset, nonce);
+    return this.blob;
+  }
+}
 
-    // Timestamp (4 bytes, little-endian)
-    buffer[offset++] = this.timestamp & 0xFF;
-    buffer[offset++] = (this.timestamp >> 8) & 0xFF;
-    buffer[offset++] = (this.timestamp >> 16) & 0xFF;
-    buffer[offset++] = (this.timestamp >> 24) & 0xFF;
+/**
+ * Monero Block Templates (get_block_template's blocktemplate_blob)
+ *
+ * A whole block: the header, the miner transaction and the hashes of the
+ * other transactions. Its hashing blob commits to all transactions through
+ * the tree root, so writing an extra nonce into the miner transaction's
+ * reserved bytes changes the root and opens a fresh 32-bit nonce space.
+ *
+ * Transaction hashing uses CryptoPrimitives.keccak256 (Monero's cn_fast_hash),
+ * which crypto-primitives.js provides in every worker.
+ */
+
+// get_block_template's reserve_size: room for a 64-bit extra nonce
+const TEMPLATE_RESERVE_SIZE = 8;
 
-    // Previous Block Hash (32 bytes)
-    const prevHashBytes = hexToBytes(this.prevHash);
-    for (let i = 0; i < 32; i++) {
-      buffer[offset++] = prevHashBytes[i];
+const TXIN_GEN = 0xFF;
+const TXOUT_TO_KEY = 0x02;
+const TXOUT_TO_TAGGED_KEY = 0x03;
+const RCT_TYPE_NULL = 0;
+
+function concatBytes(...parts) {
+  const out = new Uint8Array(parts.reduce((sum, p) => sum + p.length, 0));
+  let offset = 0;
+  for (const part of parts) {
+    out.set(part, offset);
+    offset += part.length;
+  }
+  return out;
+}
+
+/**
+ * Monero's transaction tree hash (crypto/tree-hash.c) over 32-byte hashes
+ *
+ * Not a plain binary tree: leaves beyond the largest power of two below the
+ * count are paired up first, so every level above has a power-of-two width.
+ */
+function treeHash(hashes) {
+  const keccak = CryptoPrimitives.keccak256;
+  if (hashes.length === 0) {
+    throw new Error('Tree hash needs at least one hash');
+  }
+  if (hashes.length === 1) {
+    return hashes[0].slice();
+  }
+  if (hashes.length === 2) {
+    return keccak(concatBytes(hashes[0], hashes[1]));
+  }
+  let width = 1;
+  while (width * 2 < hashes.length) {
+    width *= 2;
+  }
+  const carried = 2 * width - hashes.length;
+  let level = hashes.slice(0, carried);
+  for (let i = carried; i < hashes.length; i += 2) {
+    level.push(keccak(concatBytes(hashes[i], hashes[i + 1])));
+  }
+  while (level.length > 2) {
+    const next = [];
+    for (let i = 0; i < level.length; i += 2) {
+      next.push(keccak(concatBytes(level[i], level[i + 1])));
     }
+    level = next;
+  }
+  return keccak(concatBytes(level[0], level[1]));
+}
 
-    // Nonce (4 bytes, little-endian)
-    buffer[offset++] = this.nonce & 0xFF;
-    buffer[offset++] = (this.nonce >> 8) & 0xFF;
-    buffer[offset++] = (this.nonce >> 16) & 0xFF;
-    buffer[offset++] = (this.nonce >> 24) & 0xFF;
+/**
+ * Walk the miner transaction starting at `start`
+ *
+ * Returns where its extra field, prefix and whole serialization end. Only
+ * what a miner transaction may hold is accepted: one coinbase input, key
+ * outputs and, from version 2, a RingCT section of type null.
+ */
+function parseMinerTx(blob, start) {
+  let offset = start;
+  const readVarint = () => {
+    const { value, length } = decodeVarint(blob, offset);
+    offset += length;
+    return value;
+  };
+  const skip = (count, what) => {
+    if (offset + count > blob.length) {
+      throw new Error(`Block template ends inside the miner transaction's ${what}`);
+    }
+    offset += count;
+  };
 
-    // Merkle Root (32 bytes)
-    const merkleRootBytes = hexToBytes(this.merkleRoot);
-    for (let i = 0; i < 32; i++) {
-      buffer[offset++] = merkleRootBytes[i];
+  const version = readVarint();
+  readVarint(); // unlock time
+  if (readVarint() !== 1 || blob[offset] !== TXIN_GEN) {
+    throw new Error('Miner transaction must have exactly one coinbase input');
+  }
+  offset++;
+  const height = readVarint();
+  const outputs = readVarint();
+  for (let i = 0; i < outputs; i++) {
+    readVarint(); // amount
+    const tag = blob[offset++];
+    if (tag === TXOUT_TO_KEY) {
+      skip(32, 'output key');
+    } else if (tag === TXOUT_TO_TAGGED_KEY) {
+      skip(33, 'output key');
+    } else {
+      throw new Error(`Unsupported miner output type 0x${(tag ?? 0).toString(16)}`);
+    }
+  }
+  const extraLength = readVarint();
+  const extraStart = offset;
+  skip(extraLength, 'extra field');
+  // The extra field closes the prefix
+  const prefixEnd = offset;
+  if (version >= 2) {
+    const rctType = readVarint();
+    if (rctType !== RCT_TYPE_NULL) {
+      throw new Error(`Miner transaction has RingCT type ${rctType}, expected ${RCT_TYPE_NULL}`);
     }
+  }
+  return { version, height, extraStart, extraEnd: prefixEnd, prefixEnd, start, end: offset };
+}
 
-    return buffer;
+/**
+ * Transaction hash of the miner transaction
+ *
+ * Version 1 hashes the whole transaction. Version 2 hashes three hashes: of
+ * the prefix, of the RingCT base and of the prunable part, which is all zero
+ * for RingCT type null.
+ */
+function minerTxHash(blob, minerTx) {
+  const keccak = CryptoPrimitives.keccak256;
+  const tx = blob.subarray(minerTx.start, minerTx.end);
+  if (minerTx.version < 2) {
+    return keccak(tx);
+  }
+  const prefixLength = minerTx.prefixEnd - minerTx.start;
+  return keccak(concatBytes(
+    keccak(tx.subarray(0, prefixLength)),
+    keccak(tx.subarray(prefixLength)),
+    new Uint8Array(BLOB_HASH_BYTES)
+  ));
+}
+
+/**
+ * Split a block template into header fields, miner transaction bounds and
+ * the other transactions' hashes (hex)
+ */
+function parseBlockTemplate(blob) {
+  let offset = 0;
+  const readVarint = () => {
+    const { value, length } = decodeVarint(blob, offset);
+    offset += length;
+    return value;
+  };
+  const majorVersion = readVarint();
+  const minorVersion = readVarint();
+  const timestamp = readVarint();
+  if (offset + BLOB_HASH_BYTES + BLOB_NONCE_BYTES > blob.length) {
+    throw new Error(`Block template is truncated (${blob.length} bytes)`);
+  }
+  const prevId = bytesToHex(blob.subarray(offset, offset + BLOB_HASH_BYTES));
+  const nonceOffset = offset + BLOB_HASH_BYTES;
+  offset = nonceOffset + BLOB_NONCE_BYTES;
+
+  const minerTx = parseMinerTx(blob, offset);
+  offset = minerTx.end;
+  const txCount = readVarint();
+  const txHashes = [];
+  for (let i = 0; i < txCount; i++) {
+    if (offset + BLOB_HASH_BYTES > blob.length) {
+      throw new Error(`Block template lists ${txCount} transactions but holds ${i}`);
+    }
+    txHashes.push(bytesToHex(blob.subarray(offset, offset + BLOB_HASH_BYTES)));
+    offset += BLOB_HASH_BYTES;
+  }
+  if (offset !== blob.length) {
+    throw new Error(`Block template has ${blob.length - offset} trailing byte(s)`);
+  }
+  return { majorVersion, minorVersion, timestamp, prevId, nonceOffset, minerTx, txHashes };
+}
+
+/**
+ * Block template from a node, mined through its hashing blob
+ *
+ * Like JobBlob, but the extra nonce is real: it is written little-endian
+ * into the `reserveSize` bytes the node reserved at `reservedOffset` (inside
+ * the miner transaction's extra field), and the hashing blob is rebuilt
+ * from the new miner transaction hash.
+ */
+class TemplateBlob {
+  constructor(blob, reservedOffset, reserveSize = TEMPLATE_RESERVE_SIZE) {
+    this.template = parseBlockTemplate(blob);
+    const { extraStart, extraEnd } = this.template.minerTx;
+    if (reservedOffset < extraStart || reservedOffset + reserveSize > extraEnd) {
+      throw new Error(`Reserved offset ${reservedOffset} is outside the miner transaction's extra field`);
+    }
+    this.blob = blob.slice();
+    this.reservedOffset = reservedOffset;
+    this.reserveSize = reserveSize;
+    this.height = this.template.minerTx.height;
+    this.nonce = 0;
+    this.extraNonce = 0;
+    // Cached hashing blob for withNonce, dropped when the extra nonce changes
+    this.hashingBlob = null;
+    this.nonceOffset = null;
+  }
+
+  setNonce(nonce) {
+    this.nonce = nonce;
+  }
+
+  setExtraNonce(extraNonce) {
+    if (this.reserveSize < 7 && extraNonce >= 2 ** (8 * this.reserveSize)) {
+      throw new Error(`Extra nonce ${extraNonce} does not fit the ${this.reserveSize} reserved byte(s)`);
+    }
+    this.extraNonce = extraNonce;
+    this.hashingBlob = null;
+  }
+
+  /**
+   * Hashing blob for the current extra nonce (and nonce)
+   */
+  serialize() {
+    return this.withNonce(this.nonce).slice();
+  }
+
+  /**
+   * The hashing blob with `nonce` patched in place (see BlockHeader.withNonce)
+   */
+  withNonce(nonce) {
+    if (!this.hashingBlob) {
+      this.hashingBlob = this.buildHashingBlob();
+      this.nonceOffset = hashingBlobNonceOffset(this.hashingBlob);
+    }
+    this.nonce = nonce;
+    writeNonce(this.hashingBlob, this.nonceOffset, nonce);
+    return this.hashingBlob;
+  }
+
+  writeExtraNonce() {
+    let value = this.extraNonce;
+    for (let i = 0; i < this.reserveSize; i++) {
+      this.blob[this.reservedOffset + i] = value % 0x100;
+      value = Math.floor(value / 0x100);
+    }
+  }
+
+  buildHashingBlob() {
+    this.writeExtraNonce();
+    const { majorVersion, minorVersion, timestamp, prevId, minerTx, txHashes } = this.template;
+    const hashes = [minerTxHash(this.blob, minerTx), ...txHashes.map(hexToBytes)];
+    return serializeHashingBlob({
+      majorVersion,
+      minorVersion,
+      timestamp,
+      prevId,
+      nonce: this.nonce,
+      treeRoot: bytesToHex(treeHash(hashes)),
+      txCount: hashes.length
+    });
   }
 }
 
 /**
  * Partition nonce space between workers
- * Returns start and end nonce for a given worker
+ * Returns the half-open range [nonceStart, nonceEnd) for a given worker,
+ * matching partitionNonces in the coordinator
  * 
  * Example with 4 workers:
- * - Worker 0: 0 to 1073741823
- * - Worker 1: 1073741824 to 2147483647
- * - Worker 2: 2147483648 to 3221225471
- * - Worker 3: 3221225472 to 4294967295
+ * - Worker 0: 0 to 1073741824
+ * - Worker 1: 1073741824 to 2147483648
+ * - Worker 2: 2147483648 to 3221225472
+ * - Worker 3: 3221225472 to 4294967296
  */
 function partitionNonceSpace(workerId, totalWorkers) {
-  const MAX_UINT32 = 0xFFFFFFFF; // 4294967295
-  const partitionSize = Math.floor(MAX_UINT32 / totalWorkers);
-  
-  const nonceStart = workerId * partitionSize;
-  const nonceEnd = workerId === totalWorkers - 1 
-    ? MAX_UINT32 
-    : (workerId + 1) * partitionSize - 1;
+  const NONCE_SPACE = 0x100000000; // 2^32 nonces
+
+  const nonceStart = Math.floor(workerId * NONCE_SPACE / totalWorkers);
+  const nonceEnd = Math.floor((workerId + 1) * NONCE_SPACE / totalWorkers);
 
   return { nonceStart, nonceEnd };
 }
 
 /**
- * Generate a random merkle root (32 bytes / 64 hex chars)
- * In real mining, this comes from the transaction merkle tree
+ * Walks a worker's nonce slice and records which (epoch, extra nonce,
+ * nonce) inputs it has hashed
+ *
+ * The cursor never wraps by itself: once `remaining()` reaches 0 the worker
+ * reports exhaustion and either moves to a new extra nonce or, failing that,
+ * calls `wrap()` and searches the slice again. Searched ranges are collected
+ * as half-open segments so the coordinator can count duplicated work.
  */
-function generateMerkleRoot() {
-  const bytes = new Uint8Array(32);
-  crypto.getRandomValues(bytes);
-  return bytesToHex(bytes);
+class NonceCursor {
+  constructor(nonceStart, nonceEnd) {
+    this.nonceStart = nonceStart;
+    this.nonceEnd = nonceEnd;
+    this.nonce = nonceStart;
+    this.extraNonce = 0;
+    this.epoch = 0;
+    this.segmentStart = nonceStart;
+    this.segments = [];
+  }
+
+  /**
+   * Nonces left in the slice under the current extra nonce
+   */
+  remaining() {
+    return Math.max(0, this.nonceEnd - this.nonce);
+  }
+
+  /**
+   * Return the current nonce and step past it
+   */
+  next() {
+    return this.nonce++;
+  }
+
+  /**
+   * Record the range hashed since the last segment boundary
+   */
+  closeSegment() {
+    if (this.nonce > this.segmentStart) {
+      this.segments.push({
+        epoch: this.epoch,
+        extraNonce: this.extraNonce,
+        start: this.segmentStart,
+        end: this.nonce
+      });
+    }
+    this.segmentStart = this.nonce;
+  }
+
+  /**
+   * Move to a new slice, keeping the position if it falls inside it
+   */
+  setRange(nonceStart, nonceEnd) {
+    this.closeSegment();
+    this.nonceStart = nonceStart;
+    this.nonceEnd = nonceEnd;
+    if (this.nonce < nonceStart || this.nonce >= nonceEnd) {
+      this.nonce = nonceStart;
+    }
+    this.segmentStart = this.nonce;
+  }
+
+  /**
+   * Start the slice over under a fresh extra nonce
+   */
+  setExtraNonce(extraNonce) {
+    this.closeSegment();
+    this.extraNonce = extraNonce;
+    this.restart();
+  }
+
+  /**
+   * Start the slice over on a new job (new seed key and template)
+   */
+  setEpoch(epoch) {
+    this.closeSegment();
+    this.epoch = epoch;
+    this.restart();
+  }
+
+  /**
+   * Search the slice again under the same extra nonce (duplicated work)
+   */
+  wrap() {
+    this.closeSegment();
+    this.restart();
+  }
+
+  /**
+   * Back to the start of the slice for a new run, dropping unreported segments
+   */
+  reset() {
+    this.extraNonce = 0;
+    this.epoch = 0;
+    this.segments = [];
+    this.restart();
+  }
+
+  restart() {
+    this.nonce = this.nonceStart;
+    this.segmentStart = this.nonce;
+  }
+
+  /**
+   * Hand over the segments searched since the last call
+   */
+  takeSegments() {
+    this.closeSegment();
+    const segments = this.segments;
+    this.segments = [];
+    return segments;
+  }
 }
 
 /**
- * Generate a new seed for cache reinitialization
- * In real Monero mining, this is derived from blockchain height
+ * Seeded pseudo-random generator (mulberry32)
+ *
+ * Not cryptographic: it only makes simulated chain data reproducible, so
+ * workers given the same seed derive the same template. (The coordinator's
+ * simulatedSeedHash uses the same mixing for the keys of later epochs.)
  */
-function generateNewSeed() {
+function createRng(seed) {
+  let state = seed >>> 0;
+  return {
+    nextUint32() {
+      state = (state + 0x6D2B79F5) >>> 0;
+      let t = state;
+      t = Math.imul(t ^ (t >>> 15), t | 1);
+      t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+      return (t ^ (t >>> 14)) >>> 0;
+    },
+    fillBytes(bytes) {
+      for (let i = 0; i < bytes.length; i++) {
+        bytes[i] = this.nextUint32() & 0xFF;
+      }
+      return bytes;
+    }
+  };
+}
+
+/**
+ * Hash a string seed to 32 bits (FNV-1a) for createRng
+ */
+function seedFromString(str) {
+  let hash = 0x811C9DC5;
+  for (let i = 0; i < str.length; i++) {
+    hash = Math.imul(hash ^ str.charCodeAt(i), 0x01000193);
+  }
+  return hash >>> 0;
+}
+
+/**
+ * 32 random bytes from `rng`, or from crypto.getRandomValues without one
+ */
+function randomBytes32(rng) {
   const bytes = new Uint8Array(32);
-  crypto.getRandomValues(bytes);
-  return bytesToHex(bytes);
+  if (rng) {
+    rng.fillBytes(bytes);
+  } else {
+    crypto.getRandomValues(bytes);
+  }
+  return bytes;
+}
+
+/**
+ * Generate a merkle root (32 bytes / 64 hex chars)
+ * In real mining, this comes from the transaction merkle tree
+ */
+function generateMerkleRoot(rng) {
+  return bytesToHex(randomBytes32(rng));
+}
+
+/**
+ * Generate a 32-byte seed (hex), e.g. a template seed when the run sets none
+ *
+ * Seed keys come from the coordinator: in real Monero mining they are the
+ * hash of a block chosen by height (see src/lib/chain.ts).
+ */
+function generateNewSeed(rng) {
+  return bytesToHex(randomBytes32(rng));
+}
+
+/**
+ * Build the block template every worker mines on from a template seed
+ *
+ * The same seed always yields the same previous hash, merkle root and
+ * timestamp, so runs can be replayed and compared hash for hash.
+ */
+function createBlockTemplate(templateSeed) {
+  const rng = createRng(seedFromString(templateSeed));
+  const prevHash = bytesToHex(randomBytes32(rng));
+  const merkleRoot = generateMerkleRoot(rng);
+  // Somewhere between late 2020 and early 2024
+  const timestamp = 1600000000 + rng.nextUint32() % 100000000;
+  return new BlockHeader(1, prevHash, merkleRoot, timestamp, 0);
+}
+
+/**
+ * Difficulty Math (Monero-style)
+ *
+ * A hash meets a difficulty when hash × difficulty < 2^256, reading the 32
+ * hash bytes as a little-endian integer (Monero's check_hash). On average one
+ * hash in `difficulty` qualifies.
+ *
+ * A run has two difficulties: hashes meeting the share difficulty are
+ * reported as solutions (shares), and shares that also meet the block
+ * difficulty count as blocks.
+ */
+
+// About one share per 4.3 billion hashes, so shares stay rare by default
+const DEFAULT_SHARE_DIFFICULTY = 0x100000000;
+// In the range of Monero mainnet, so a browser practically never finds a block
+const DEFAULT_BLOCK_DIFFICULTY = 300000000000;
+
+const HASH_SPACE = 1n << 256n;
+
+function difficultyToBigInt(difficulty) {
+  if (!(difficulty >= 1) || !Number.isFinite(difficulty)) {
+    throw new Error(`Invalid difficulty: ${difficulty}`);
+  }
+  return BigInt(Math.floor(difficulty));
+}
+
+/**
+ * Largest little-endian hash value that meets `difficulty` (pool "target")
+ */
+function difficultyToTarget(difficulty) {
+  return (HASH_SPACE - 1n) / difficultyToBigInt(difficulty);
+}
+
+/**
+ * Read a 64-char hex hash as a little-endian 256-bit integer
+ */
+function hashToBigInt(hash) {
+  let value = 0n;
+  for (let i = hash.length - 2; i >= 0; i -= 2) {
+    value = (value << 8n) | BigInt(parseInt(hash.substring(i, i + 2), 16));
+  }
+  return value;
+}
+
+/**
+ * Whether a hex hash meets `difficulty` (hash × difficulty < 2^256)
+ */
+function checkDifficulty(hash, difficulty) {
+  return hashToBigInt(hash) * difficultyToBigInt(difficulty) < HASH_SPACE;
 }
 
 /**
@@ -158,9 +858,29 @@ function bytesToHex(bytes) {
 if (typeof self !== 'undefined' && typeof self.postMessage !== 'undefined') {
   // Running in a worker context
   self.BlockHeader = BlockHeader;
+  self.encodeVarint = encodeVarint;
+  self.decodeVarint = decodeVarint;
+  self.writeNonce = writeNonce;
+  self.hashingBlobNonceOffset = hashingBlobNonceOffset;
+  self.serializeHashingBlob = serializeHashingBlob;
+  self.parseHashingBlob = parseHashingBlob;
+  self.JobBlob = JobBlob;
+  self.TEMPLATE_RESERVE_SIZE = TEMPLATE_RESERVE_SIZE;
+  self.treeHash = treeHash;
+  self.parseBlockTemplate = parseBlockTemplate;
+  self.TemplateBlob = TemplateBlob;
   self.partitionNonceSpace = partitionNonceSpace;
+  self.NonceCursor = NonceCursor;
   self.generateMerkleRoot = generateMerkleRoot;
   self.generateNewSeed = generateNewSeed;
+  self.createRng = createRng;
+  self.seedFromString = seedFromString;
+  self.createBlockTemplate = createBlockTemplate;
+  self.difficultyToTarget = difficultyToTarget;
+  self.DEFAULT_SHARE_DIFFICULTY = DEFAULT_SHARE_DIFFICULTY;
+  self.DEFAULT_BLOCK_DIFFICULTY = DEFAULT_BLOCK_DIFFICULTY;
+  self.hashToBigInt = hashToBigInt;
+  self.checkDifficulty = checkDifficulty;
   self.hexToBytes = hexToBytes;
   self.bytesToHex = bytesToHex;
 }
@@ -169,9 +889,29 @@ if (typeof self !== 'undefined' && typeof self.postMessage !== 'undefined') {
 if (typeof module !== 'undefined' && module.exports) {
   module.exports = {
     BlockHeader,
+    encodeVarint,
+    decodeVarint,
+    writeNonce,
+    hashingBlobNonceOffset,
+    serializeHashingBlob,
+    parseHashingBlob,
+    JobBlob,
+    TEMPLATE_RESERVE_SIZE,
+    treeHash,
+    parseBlockTemplate,
+    TemplateBlob,
     partitionNonceSpace,
+    NonceCursor,
     generateMerkleRoot,
     generateNewSeed,
+    createRng,
+    seedFromString,
+    createBlockTemplate,
+    difficultyToTarget,
+    DEFAULT_SHARE_DIFFICULTY,
+    DEFAULT_BLOCK_DIFFICULTY,
+    hashToBigInt,
+    checkDifficulty,
     hexToBytes,
     bytesToHex
   };
@@ -0,0 +1,49 @@
+// Import both RandomX backends, the software WebGPU adapter and the conformance vectors
+importScripts('/crypto-primitives.js');
+importScripts('/wasm/randomx.js');
+importScripts('/wasm/randomx-webgpu.js');
+importScripts('/webgpu-software.js');
+importScripts('/block-header.js');
+importScripts('/conformance.js');
+
+/**
+ * Pick the GPU to verify: the browser's own adapter when there is one,
+ * otherwise the software adapter so the WebGPU kernels can still be checked
+ */
+async function selectGPU() {
+  if (self.navigator && self.navigator.gpu) {
+    const adapter = await self.navigator.gpu.requestAdapter();
+    if (adapter) {
+      return { gpu: self.navigator.gpu, adapter: 'webgpu' };
+    }
+  }
+  WebGPUSoftware.installGlobals(self);
+  return { gpu: WebGPUSoftware.createGPU(), adapter: 'software' };
+}
+
+self.onmessage = async function(e) {
+  const { type } = e.data;
+
+  if (type === 'VERIFY') {
+    try {
+      const { gpu, adapter } = await selectGPU();
+      const report = await BackendConformance.run({
+        RandomXModule,
+        RandomXWebGPUModule,
+        BlockHeader,
+        gpu,
+        adapter,
+        onProgress: (progress, message) => {
+          self.postMessage({ type: 'VERIFY_PROGRESS', progress, message });
+        }
+      });
+      self.postMessage({ type: 'VERIFY_RESULT', report });
+    } catch (error) {
+      self.postMessage({
+        type: 'ERROR',
+        error: error.message,
+        details: error.stack
+      });
+    }
+  }
+};
@@ -0,0 +1,154 @@
+/**
+ * Cross-Backend Conformance Module
+ *
+ * Feeds the same seed key and inputs to the WASM (RandomXModule) and WebGPU
+ * (RandomXWebGPUModule) backends and compares the hashes byte for byte. The
+ * inputs are official RandomX test vectors, whose expected hashes are known,
+ * plus serialized BlockHeader blobs like the ones the workers mine on.
+ *
+ * Used by the conformance worker (the "Verify Backends" action, running on
+ * the browser's own GPU) and by the test suite (running WebGPU through the
+ * software adapter in webgpu-software.js).
+ */
+
+const BackendConformance = (() => {
+  const SEED_KEY = 'test key 000';
+
+  // Fixed header fields; only the nonce differs between the header vectors
+  const HEADER_TEMPLATE = {
+    version: 16,
+    prevHash: '418015bb9ae982a1975da7d79277c2705727a56894ba0fb246adaabb1f4632e3',
+    merkleRoot: '7a8b9c1d2e3f405162738495a6b7c8d9eaf00112233445566778899aabbccdd',
+    timestamp: 1700000000
+  };
+
+  const VECTORS = [
+    {
+      label: '"This is a test"',
+      input: 'This is a test',
+      expected: '639183aae1bf4c9a35884cb46b09cad9175f04efd7684e7262a0ac1c2f0b4e3f'
+    },
+    { label: 'BlockHeader nonce 0', header: { ...HEADER_TEMPLATE, nonce: 0 } },
+    { label: 'BlockHeader nonce 0xdeadbeef', header: { ...HEADER_TEMPLATE, nonce: 0xdeadbeef } }
+  ];
+
+  function bytesToHex(bytes) {
+    return Array.from(bytes)
+      .map(b => b.toString(16).padStart(2, '0'))
+      .join('');
+  }
+
+  /**
+   * The bytes a vector hashes: UTF-8 text or a header's hashing blob
+   */
+  function vectorInput(vector, BlockHeader) {
+    if (vector.header) {
+      const { version, prevHash, merkleRoot, timestamp, nonce } = vector.header;
+      return new BlockHeader(version, prevHash, merkleRoot, timestamp, nonce).serialize();
+    }
+    return new TextEncoder().encode(vector.input);
+  }
+
+  async function hashAll(module, inputs, onHash) {
+    const hashes = [];
+    for (let i = 0; i < inputs.length; i++) {
+      hashes.push(await module.calculateHash(inputs[i]));
+      if (onHash) onHash(i);
+    }
+    return hashes;
+  }
+
+  /**
+   * Hash every vector on both backends and report any divergence
+   *
+   * @param {Object} options
+   * @param {Function} options.RandomXModule - WASM backend class
+   * @param {Function} options.RandomXWebGPUModule - WebGPU backend class
+   * @param {Function} options.BlockHeader - Header class from block-header.js
+   * @param {Object} [options.gpu] - navigator.gpu or a software adapter
+   * @param {string} [options.shaderSource] - WGSL source (skips the fetch)
+   * @param {string} [options.adapter] - Adapter description for the report
+   * @param {Function} [options.onProgress] - (progress, message) callback
+   * @param {string} [options.seedKey] - Defaults to the official test key
+   * @param {Array} [options.vectors] - Defaults to VECTORS
+   */
+  async function run(options) {
+    const {
+      RandomXModule,
+      RandomXWebGPUModule,
+      BlockHeader,
+      gpu,
+      shaderSource,
+      adapter = 'webgpu',
+      onProgress,
+      seedKey = SEED_KEY,
+      vectors = VECTORS
+    } = options;
+    const progress = onProgress || (() => {});
+    const startTime = performance.now();
+    const inputs = vectors.map(vector => vectorInput(vector, BlockHeader));
+    const scaled = (from, to) => (p, message) => progress(from + Math.floor(p * (to - from) / 100), message);
+
+    // One backend at a time keeps peak memory at a single cache
+    let wasmHashes;
+    const wasm = new RandomXModule('light');
+    try {
+      await wasm.init(seedKey, scaled(0, 35));
+      wasmHashes = await hashAll(wasm, inputs, i =>
+        progress(35 + Math.floor((i + 1) * 10 / inputs.length), `WASM: hashed ${vectors[i].label}`));
+    } finally {
+      wasm.destroy();
+    }
+
+    let webgpuHashes;
+    const webgpu = new RandomXWebGPUModule('light');
+    try {
+      await webgpu.init(seedKey, scaled(45, 80), { gpu, shaderSource });
+      webgpuHashes = await hashAll(webgpu, inputs, i =>
+        progress(80 + Math.floor((i + 1) * 20 / inputs.length), `WebGPU: hashed ${vectors[i].label}`));
+    } finally {
+      webgpu.destroy();
+    }
+
+    const results = vectors.map((vector, i) => {
+      const result = {
+        label: vector.label,
+        input: bytesToHex(inputs[i]),
+        wasm: wasmHashes[i],
+        webgpu: webgpuHashes[i],
+        match: wasmHashes[i] === webgpuHashes[i]
+      };
+      if (vector.expected) {
+        result.expected = vector.expected;
+        result.match = result.match && wasmHashes[i] === vector.expected;
+      }
+      return result;
+    });
+
+    return {
+      seedKey,
+      adapter,
+      results,
+      divergences: results.filter(r => !r.match).length,
+      passed: results.every(r => r.match),
+      durationMs: performance.now() - startTime
+    };
+  }
+
+  return {
+    SEED_KEY,
+    VECTORS,
+    vectorInput,
+    run
+  };
+})();
+
+// Export for use in worker (and main thread, where self === window)
+if (typeof self !== 'undefined' && typeof self.postMessage !== 'undefined') {
+  self.BackendConformance = BackendConformance;
+}
+
+// Export for module usage
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = BackendConformance;
+}
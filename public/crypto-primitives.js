@@ -0,0 +1,680 @@
+/**
+ * Cryptographic Primitives Module
+ *
+ * Shared implementations of the hash and cipher building blocks used by
+ * Monero's proof-of-work, in plain JavaScript so the same file can be loaded
+ * by the hash workers (importScripts), by the main thread (script tag) and by
+ * the test suite:
+ * - Blake2b with 1-64 byte output and the Argon2 variable-length hash H'
+ * - Argon2d (version 0x13), including the memory-fill step used by RandomX
+ * - Keccak-256 with the original padding (Monero's cn_fast_hash)
+ * - Single-round AES encryption/decryption with x86 AESENC/AESDEC semantics
+ *
+ * Everything is wrapped in a single CryptoPrimitives namespace so the helpers
+ * cannot clash with globals of the other scripts sharing a worker scope.
+ *
+ * References: RFC 7693 (Blake2b), RFC 9106 (Argon2), FIPS 197 (AES),
+ * https://keccak.team/keccak_specs_summary.html (Keccak)
+ */
+
+const CryptoPrimitives = (() => {
+  // Scratch outputs of mul32 (avoids allocating results)
+  let mulLo = 0;
+  let mulHi = 0;
+
+  /**
+   * Full 32x32 -> 64-bit unsigned multiplication
+   */
+  function mul32(a, b) {
+    const a0 = a & 0xFFFF, a1 = a >>> 16;
+    const b0 = b & 0xFFFF, b1 = b >>> 16;
+    const t = a0 * b0;
+    const m1 = a1 * b0;
+    const m2 = a0 * b1;
+    const mid = (t >>> 16) + (m1 & 0xFFFF) + (m2 & 0xFFFF);
+    mulLo = ((mid << 16) | (t & 0xFFFF)) >>> 0;
+    mulHi = (a1 * b1 + (m1 >>> 16) + (m2 >>> 16) + (mid >>> 16)) >>> 0;
+  }
+
+  /* ----------------------------------------------------------------------- */
+  /* Blake2b (RFC 7693)                                                      */
+  /* ----------------------------------------------------------------------- */
+
+  const BLAKE2B_IV32 = new Uint32Array([
+    0xF3BCC908, 0x6A09E667, 0x84CAA73B, 0xBB67AE85,
+    0xFE94F82B, 0x3C6EF372, 0x5F1D36F1, 0xA54FF53A,
+    0xADE682D1, 0x510E527F, 0x2B3E6C1F, 0x9B05688C,
+    0xFB41BD6B, 0x1F83D9AB, 0x137E2179, 0x5BE0CD19
+  ]);
+
+  const BLAKE2B_SIGMA = new Uint8Array([
+    0, 1, 2, 3, 4, 5, 6, 7, 8, 9, 10, 11, 12, 13, 14, 15,
+    14, 10, 4, 8, 9, 15, 13, 6, 1, 12, 0, 2, 11, 7, 5, 3,
+    11, 8, 12, 0, 5, 2, 15, 13, 10, 14, 3, 6, 7, 1, 9, 4,
+    7, 9, 3, 1, 13, 12, 11, 14, 2, 6, 5, 10, 4, 0, 15, 8,
+    9, 0, 5, 7, 2, 4, 10, 15, 14, 1, 11, 12, 6, 8, 3, 13,
+    2, 12, 6, 10, 0, 11, 8, 3, 4, 13, 7, 5, 15, 14, 1, 9,
+    12, 5, 1, 15, 14, 13, 4, 10, 0, 7, 6, 3, 9, 2, 8, 11,
+    13, 11, 7, 14, 12, 1, 3, 9, 5, 0, 15, 4, 8, 6, 2, 10,
+    6, 15, 14, 9, 11, 3, 0, 8, 12, 2, 13, 7, 1, 4, 10, 5,
+    10, 2, 8, 4, 7, 6, 1, 5, 15, 11, 9, 14, 3, 12, 13, 0,
+    0, 1, 2, 3, 4, 5, 6, 7, 8, 9, 10, 11, 12, 13, 14, 15,
+    14, 10, 4, 8, 9, 15, 13, 6, 1, 12, 0, 2, 11, 7, 5, 3
+  ]);
+
+  const blake2bV = new Uint32Array(32);
+  const blake2bM = new Uint32Array(32);
+
+  function blake2bG(a, b, c, d, ix, iy) {
+    const v = blake2bV, m = blake2bM;
+    // a = a + b + m[x]
+    let s = v[a] + v[b] + m[ix];
+    v[a + 1] = v[a + 1] + v[b + 1] + m[ix + 1] + Math.floor(s / 4294967296);
+    v[a] = s;
+    // d = rotr64(d ^ a, 32)
+    let xl = v[d] ^ v[a], xh = v[d + 1] ^ v[a + 1];
+    v[d] = xh; v[d + 1] = xl;
+    // c = c + d
+    s = v[c] + v[d];
+    v[c + 1] = v[c + 1] + v[d + 1] + Math.floor(s / 4294967296);
+    v[c] = s;
+    // b = rotr64(b ^ c, 24)
+    xl = v[b] ^ v[c]; xh = v[b + 1] ^ v[c + 1];
+    v[b] = (xl >>> 24) | (xh << 8); v[b + 1] = (xh >>> 24) | (xl << 8);
+    // a = a + b + m[y]
+    s = v[a] + v[b] + m[iy];
+    v[a + 1] = v[a + 1] + v[b + 1] + m[iy + 1] + Math.floor(s / 4294967296);
+    v[a] = s;
+    // d = rotr64(d ^ a, 16)
+    xl = v[d] ^ v[a]; xh = v[d + 1] ^ v[a + 1];
+    v[d] = (xl >>> 16) | (xh << 16); v[d + 1] = (xh >>> 16) | (xl << 16);
+    // c = c + d
+    s = v[c] + v[d];
+    v[c + 1] = v[c + 1] + v[d + 1] + Math.floor(s / 4294967296);
+    v[c] = s;
+    // b = rotr64(b ^ c, 63)
+    xl = v[b] ^ v[c]; xh = v[b + 1] ^ v[c + 1];
+    v[b] = (xl << 1) | (xh >>> 31); v[b + 1] = (xh << 1) | (xl >>> 31);
+  }
+
+  function blake2bCompress(h, block, offset, counter, last) {
+    const v = blake2bV, m = blake2bM;
+    for (let i = 0; i < 16; i++) {
+      v[i] = h[i];
+      v[i + 16] = BLAKE2B_IV32[i];
+    }
+    v[24] ^= counter >>> 0;
+    v[25] ^= Math.floor(counter / 4294967296);
+    if (last) {
+      v[28] = ~v[28];
+      v[29] = ~v[29];
+    }
+    for (let i = 0; i < 32; i++) {
+      const p = offset + 4 * i;
+      m[i] = block[p] | (block[p + 1] << 8) | (block[p + 2] << 16) | (block[p + 3] << 24);
+    }
+    for (let round = 0; round < 12; round++) {
+      const s = round * 16;
+      const S = BLAKE2B_SIGMA;
+      blake2bG(0, 8, 16, 24, S[s] * 2, S[s + 1] * 2);
+      blake2bG(2, 10, 18, 26, S[s + 2] * 2, S[s + 3] * 2);
+      blake2bG(4, 12, 20, 28, S[s + 4] * 2, S[s + 5] * 2);
+      blake2bG(6, 14, 22, 30, S[s + 6] * 2, S[s + 7] * 2);
+      blake2bG(0, 10, 20, 30, S[s + 8] * 2, S[s + 9] * 2);
+      blake2bG(2, 12, 22, 24, S[s + 10] * 2, S[s + 11] * 2);
+      blake2bG(4, 14, 16, 26, S[s + 12] * 2, S[s + 13] * 2);
+      blake2bG(6, 8, 18, 28, S[s + 14] * 2, S[s + 15] * 2);
+    }
+    for (let i = 0; i < 16; i++) {
+      h[i] = h[i] ^ v[i] ^ v[i + 16];
+    }
+  }
+
+  /**
+   * Unkeyed Blake2b with a variable output length (1-64 bytes)
+   */
+  function blake2b(input, outlen = 64) {
+    const h = new Uint32Array(BLAKE2B_IV32);
+    h[0] ^= 0x01010000 ^ outlen;
+
+    const blocks = Math.max(1, Math.ceil(input.length / 128));
+    let block = input;
+    if (input.length !== blocks * 128) {
+      block = new Uint8Array(blocks * 128);
+      block.set(input);
+    }
+    for (let i = 0; i < blocks; i++) {
+      const last = i === blocks - 1;
+      const counter = last ? input.length : (i + 1) * 128;
+      blake2bCompress(h, block, i * 128, counter, last);
+    }
+
+    const out = new Uint8Array(outlen);
+    for (let i = 0; i < outlen; i++) {
+      out[i] = h[i >> 2] >>> (8 * (i & 3));
+    }
+    return out;
+  }
+
+  /**
+   * Blake2b "long" hash H' from the Argon2 specification (arbitrary output length)
+   */
+  function blake2bLong(input, outlen) {
+    const prefixed = new Uint8Array(4 + input.length);
+    store32(prefixed, 0, outlen);
+    prefixed.set(input, 4);
+    if (outlen <= 64) {
+      return blake2b(prefixed, outlen);
+    }
+    const out = new Uint8Array(outlen);
+    let v = blake2b(prefixed, 64);
+    out.set(v.subarray(0, 32), 0);
+    let pos = 32;
+    let remaining = outlen - 32;
+    while (remaining > 64) {
+      v = blake2b(v, 64);
+      out.set(v.subarray(0, 32), pos);
+      pos += 32;
+      remaining -= 32;
+    }
+    out.set(blake2b(v, remaining), pos);
+    return out;
+  }
+
+  function store32(bytes, offset, value) {
+    bytes[offset] = value & 0xFF;
+    bytes[offset + 1] = (value >>> 8) & 0xFF;
+    bytes[offset + 2] = (value >>> 16) & 0xFF;
+    bytes[offset + 3] = (value >>> 24) & 0xFF;
+  }
+
+  /* ----------------------------------------------------------------------- */
+  /* Argon2d (RFC 9106, version 0x13)                                        */
+  /* ----------------------------------------------------------------------- */
+
+  const ARGON2_BLOCK_WORDS = 256;  // 1 KiB block as 32-bit words
+  const ARGON2_SYNC_POINTS = 4;
+  const ARGON2_VERSION = 0x13;
+
+  // Word indexes of the 16 64-bit words processed by each BLAKE2 round:
+  // 8 column rounds followed by 8 row rounds (see Argon2 fill_block)
+  const ARGON2_ROUND_INDEXES = (() => {
+    const indexes = new Uint16Array(16 * 16);
+    for (let i = 0; i < 8; i++) {
+      for (let j = 0; j < 16; j++) {
+        indexes[i * 16 + j] = 2 * (16 * i + j);
+      }
+    }
+    for (let i = 0; i < 8; i++) {
+      for (let j = 0; j < 8; j++) {
+        indexes[(8 + i) * 16 + 2 * j] = 2 * (2 * i + 16 * j);
+        indexes[(8 + i) * 16 + 2 * j + 1] = 2 * (2 * i + 16 * j + 1);
+      }
+    }
+    return indexes;
+  })();
+
+  const argon2BlockR = new Uint32Array(ARGON2_BLOCK_WORDS);
+  const argon2BlockTmp = new Uint32Array(ARGON2_BLOCK_WORDS);
+
+  /**
+   * BLAKE2 G function with the BlaMka multiplication (a + b + 2 * lo(a) * lo(b))
+   */
+  function argon2G(v, a, b, c, d) {
+    let al = v[a], ah = v[a + 1], bl = v[b], bh = v[b + 1];
+    let cl = v[c], ch = v[c + 1], dl = v[d], dh = v[d + 1];
+    let s, xl, xh;
+
+    mul32(al, bl);
+    s = al + bl + ((mulLo << 1) >>> 0);
+    ah = (ah + bh + (((mulHi << 1) | (mulLo >>> 31)) >>> 0) + Math.floor(s / 4294967296)) >>> 0;
+    al = s >>> 0;
+    xl = dl ^ al; xh = dh ^ ah;
+    dl = xh >>> 0; dh = xl >>> 0;
+
+    mul32(cl, dl);
+    s = cl + dl + ((mulLo << 1) >>> 0);
+    ch = (ch + dh + (((mulHi << 1) | (mulLo >>> 31)) >>> 0) + Math.floor(s / 4294967296)) >>> 0;
+    cl = s >>> 0;
+    xl = bl ^ cl; xh = bh ^ ch;
+    bl = ((xl >>> 24) | (xh << 8)) >>> 0; bh = ((xh >>> 24) | (xl << 8)) >>> 0;
+
+    mul32(al, bl);
+    s = al + bl + ((mulLo << 1) >>> 0);
+    ah = (ah + bh + (((mulHi << 1) | (mulLo >>> 31)) >>> 0) + Math.floor(s / 4294967296)) >>> 0;
+    al = s >>> 0;
+    xl = dl ^ al; xh = dh ^ ah;
+    dl = ((xl >>> 16) | (xh << 16)) >>> 0; dh = ((xh >>> 16) | (xl << 16)) >>> 0;
+
+    mul32(cl, dl);
+    s = cl + dl + ((mulLo << 1) >>> 0);
+    ch = (ch + dh + (((mulHi << 1) | (mulLo >>> 31)) >>> 0) + Math.floor(s / 4294967296)) >>> 0;
+    cl = s >>> 0;
+    xl = bl ^ cl; xh = bh ^ ch;
+    bl = ((xl << 1) | (xh >>> 31)) >>> 0; bh = ((xh << 1) | (xl >>> 31)) >>> 0;
+
+    v[a] = al; v[a + 1] = ah; v[b] = bl; v[b + 1] = bh;
+    v[c] = cl; v[c + 1] = ch; v[d] = dl; v[d + 1] = dh;
+  }
+
+  /**
+   * Argon2 compression: next = G(prev ^ ref) ^ prev ^ ref (^ next when withXor)
+   * Offsets are in 32-bit words.
+   */
+  function argon2FillBlock(memory, prevOffset, refOffset, nextOffset, withXor) {
+    const R = argon2BlockR;
+    const T = argon2BlockTmp;
+    for (let i = 0; i < ARGON2_BLOCK_WORDS; i++) {
+      R[i] = memory[refOffset + i] ^ memory[prevOffset + i];
+    }
+    if (withXor) {
+      for (let i = 0; i < ARGON2_BLOCK_WORDS; i++) {
+        T[i] = R[i] ^ memory[nextOffset + i];
+      }
+    } else {
+      T.set(R);
+    }
+    const idx = ARGON2_ROUND_INDEXES;
+    for (let r = 0; r < 16; r++) {
+      const o = r * 16;
+      argon2G(R, idx[o], idx[o + 4], idx[o + 8], idx[o + 12]);
+      argon2G(R, idx[o + 1], idx[o + 5], idx[o + 9], idx[o + 13]);
+      argon2G(R, idx[o + 2], idx[o + 6], idx[o + 10], idx[o + 14]);
+      argon2G(R, idx[o + 3], idx[o + 7], idx[o + 11], idx[o + 15]);
+      argon2G(R, idx[o], idx[o + 5], idx[o + 10], idx[o + 15]);
+      argon2G(R, idx[o + 1], idx[o + 6], idx[o + 11], idx[o + 12]);
+      argon2G(R, idx[o + 2], idx[o + 7], idx[o + 8], idx[o + 13]);
+      argon2G(R, idx[o + 3], idx[o + 4], idx[o + 9], idx[o + 14]);
+    }
+    for (let i = 0; i < ARGON2_BLOCK_WORDS; i++) {
+      memory[nextOffset + i] = T[i] ^ R[i];
+    }
+  }
+
+  /**
+   * Map a pseudo-random value to a reference block index (Argon2 index_alpha)
+   */
+  function argon2IndexAlpha(pass, slice, index, segmentLength, laneLength, pseudoRand, sameLane) {
+    let referenceAreaSize;
+    if (pass === 0) {
+      if (slice === 0) {
+        referenceAreaSize = index - 1;
+      } else if (sameLane) {
+        referenceAreaSize = slice * segmentLength + index - 1;
+      } else {
+        referenceAreaSize = slice * segmentLength + (index === 0 ? -1 : 0);
+      }
+    } else if (sameLane) {
+      referenceAreaSize = laneLength - segmentLength + index - 1;
+    } else {
+      referenceAreaSize = laneLength - segmentLength + (index === 0 ? -1 : 0);
+    }
+
+    mul32(pseudoRand, pseudoRand);
+    mul32(referenceAreaSize >>> 0, mulHi);
+    const relativePosition = referenceAreaSize - 1 - mulHi;
+
+    let startPosition = 0;
+    if (pass !== 0) {
+      startPosition = slice === ARGON2_SYNC_POINTS - 1 ? 0 : (slice + 1) * segmentLength;
+    }
+    return (startPosition + relativePosition) % laneLength;
+  }
+
+  /**
+   * Argon2d memory filling (data-dependent addressing, version 0x13)
+   *
+   * Fills `memory` (a Uint32Array of memoryBlocks * 256 words) without computing
+   * a tag; RandomX uses the filled memory directly as its cache.
+   * progressCallback(fraction) is awaited after every segment, and after every
+   * `yieldBlocks` blocks within one when set.
+   */
+  async function argon2dFill(memory, params, progressCallback, yieldBlocks = 0) {
+    const { password, salt, secret = new Uint8Array(0), ad = new Uint8Array(0),
+      iterations, memoryBlocks, lanes, tagLength = 0 } = params;
+
+    const segmentLength = Math.floor(memoryBlocks / (lanes * ARGON2_SYNC_POINTS));
+    const laneLength = segmentLength * ARGON2_SYNC_POINTS;
+
+    // H0 = Blake2b-512(p, T, m, t, v, y, P, S, K, X)
+    const h0Input = new Uint8Array(40 + password.length + salt.length + secret.length + ad.length);
+    let p = 0;
+    for (const value of [lanes, tagLength, memoryBlocks, iterations, ARGON2_VERSION, 0]) {
+      store32(h0Input, p, value);
+      p += 4;
+    }
+    for (const field of [password, salt, secret, ad]) {
+      store32(h0Input, p, field.length);
+      h0Input.set(field, p + 4);
+      p += 4 + field.length;
+    }
+    const h0 = blake2b(h0Input, 64);
+
+    // First two blocks of each lane: H'(H0 || j || lane)
+    const seed = new Uint8Array(72);
+    seed.set(h0);
+    for (let lane = 0; lane < lanes; lane++) {
+      for (let j = 0; j < 2; j++) {
+        store32(seed, 64, j);
+        store32(seed, 68, lane);
+        const block = blake2bLong(seed, 1024);
+        const words = new Uint32Array(block.buffer);
+        memory.set(words, (lane * laneLength + j) * ARGON2_BLOCK_WORDS);
+      }
+    }
+
+    const totalSegments = iterations * ARGON2_SYNC_POINTS * lanes;
+    let segmentsDone = 0;
+    for (let pass = 0; pass < iterations; pass++) {
+      for (let slice = 0; slice < ARGON2_SYNC_POINTS; slice++) {
+        for (let lane = 0; lane < lanes; lane++) {
+          const startingIndex = pass === 0 && slice === 0 ? 2 : 0;
+          let currOffset = lane * laneLength + slice * segmentLength + startingIndex;
+          let prevOffset = currOffset % laneLength === 0 ? currOffset + laneLength - 1 : currOffset - 1;
+
+          for (let index = startingIndex; index < segmentLength; index++, currOffset++, prevOffset++) {
+            if (currOffset % laneLength === 1) {
+              prevOffset = currOffset - 1;
+            }
+            const prevWord = prevOffset * ARGON2_BLOCK_WORDS;
+            const pseudoRand = memory[prevWord];
+            let refLane = memory[prevWord + 1] % lanes;
+            if (pass === 0 && slice === 0) {
+              refLane = lane;
+            }
+            const refIndex = argon2IndexAlpha(pass, slice, index, segmentLength, laneLength,
+              pseudoRand, refLane === lane);
+            argon2FillBlock(
+              memory,
+              prevWord,
+              (refLane * laneLength + refIndex) * ARGON2_BLOCK_WORDS,
+              currOffset * ARGON2_BLOCK_WORDS,
+              pass !== 0
+            );
+            if (yieldBlocks > 0 && progressCallback && (index + 1) % yieldBlocks === 0) {
+              await progressCallback((segmentsDone + (index + 1) / segmentLength) / totalSegments);
+            }
+          }
+
+          segmentsDone++;
+          if (progressCallback) await progressCallback(segmentsDone / totalSegments);
+        }
+      }
+    }
+
+    return { memory, laneLength };
+  }
+
+  /**
+   * Argon2d hash (RFC 9106) returning a tag of `tagLength` bytes
+   * params: { password, salt, secret?, ad?, iterations, memoryKiB, lanes, tagLength }
+   */
+  async function argon2d(params) {
+    const { memoryKiB, lanes, tagLength } = params;
+    // Memory is rounded down to a multiple of 4 * lanes blocks (minimum 8 * lanes)
+    const memoryBlocks = Math.floor(Math.max(memoryKiB, 8 * lanes) / (4 * lanes)) * 4 * lanes;
+    const memory = new Uint32Array(memoryBlocks * ARGON2_BLOCK_WORDS);
+    const { laneLength } = await argon2dFill(memory, { ...params, memoryBlocks });
+
+    // Final block: XOR of the last block of every lane
+    const finalBlock = new Uint32Array(ARGON2_BLOCK_WORDS);
+    for (let lane = 0; lane < lanes; lane++) {
+      const offset = (lane * laneLength + laneLength - 1) * ARGON2_BLOCK_WORDS;
+      for (let i = 0; i < ARGON2_BLOCK_WORDS; i++) {
+        finalBlock[i] ^= memory[offset + i];
+      }
+    }
+    return blake2bLong(new Uint8Array(finalBlock.buffer), tagLength);
+  }
+
+  /* ----------------------------------------------------------------------- */
+  /* Keccak-256 (cn_fast_hash)                                               */
+  /* ----------------------------------------------------------------------- */
+
+  // Round constants as [lo, hi] pairs
+  const KECCAK_RC = new Uint32Array([
+    0x00000001, 0x00000000, 0x00008082, 0x00000000, 0x0000808A, 0x80000000,
+    0x80008000, 0x80000000, 0x0000808B, 0x00000000, 0x80000001, 0x00000000,
+    0x80008081, 0x80000000, 0x00008009, 0x80000000, 0x0000008A, 0x00000000,
+    0x00000088, 0x00000000, 0x80008009, 0x00000000, 0x8000000A, 0x00000000,
+    0x8000808B, 0x00000000, 0x0000008B, 0x80000000, 0x00008089, 0x80000000,
+    0x00008003, 0x80000000, 0x00008002, 0x80000000, 0x00000080, 0x80000000,
+    0x0000800A, 0x00000000, 0x8000000A, 0x80000000, 0x80008081, 0x80000000,
+    0x00008080, 0x80000000, 0x80000001, 0x00000000, 0x80008008, 0x80000000
+  ]);
+
+  // Rotation offsets indexed by lane (x + 5 * y)
+  const KECCAK_ROTATIONS = [
+    0, 1, 62, 28, 27, 36, 44, 6, 55, 20, 3, 10, 43, 25, 39,
+    41, 45, 15, 21, 8, 18, 2, 61, 56, 14
+  ];
+
+  // Destination lane of each source lane after the pi step
+  const KECCAK_PI = KECCAK_ROTATIONS.map((_, i) => {
+    const x = i % 5, y = Math.floor(i / 5);
+    return y + 5 * ((2 * x + 3 * y) % 5);
+  });
+
+  const keccakB = new Uint32Array(50);
+  const keccakC = new Uint32Array(10);
+
+  /**
+   * Keccak-f[1600] permutation on 25 lanes stored as lo/hi uint32 pairs
+   */
+  function keccakF1600(s) {
+    const B = keccakB, C = keccakC;
+    for (let round = 0; round < 24; round++) {
+      // Theta
+      for (let x = 0; x < 5; x++) {
+        C[2 * x] = s[2 * x] ^ s[2 * x + 10] ^ s[2 * x + 20] ^ s[2 * x + 30] ^ s[2 * x + 40];
+        C[2 * x + 1] = s[2 * x + 1] ^ s[2 * x + 11] ^ s[2 * x + 21] ^ s[2 * x + 31] ^ s[2 * x + 41];
+      }
+      for (let x = 0; x < 5; x++) {
+        const p = 2 * ((x + 4) % 5), n = 2 * ((x + 1) % 5);
+        const dl = C[p] ^ ((C[n] << 1) | (C[n + 1] >>> 31));
+        const dh = C[p + 1] ^ ((C[n + 1] << 1) | (C[n] >>> 31));
+        for (let y = 0; y < 50; y += 10) {
+          s[y + 2 * x] ^= dl;
+          s[y + 2 * x + 1] ^= dh;
+        }
+      }
+      // Rho and pi
+      for (let i = 0; i < 25; i++) {
+        const lo = s[2 * i], hi = s[2 * i + 1];
+        const r = KECCAK_ROTATIONS[i];
+        const d = 2 * KECCAK_PI[i];
+        if (r === 0) {
+          B[d] = lo; B[d + 1] = hi;
+        } else if (r < 32) {
+          B[d] = (lo << r) | (hi >>> (32 - r));
+          B[d + 1] = (hi << r) | (lo >>> (32 - r));
+        } else if (r === 32) {
+          B[d] = hi; B[d + 1] = lo;
+        } else {
+          const m = r - 32;
+          B[d] = (hi << m) | (lo >>> (32 - m));
+          B[d + 1] = (lo << m) | (hi >>> (32 - m));
+        }
+      }
+      // Chi
+      for (let y = 0; y < 50; y += 10) {
+        for (let x = 0; x < 5; x++) {
+          const a = y + 2 * x, b = y + 2 * ((x + 1) % 5), c = y + 2 * ((x + 2) % 5);
+          s[a] = B[a] ^ (~B[b] & B[c]);
+          s[a + 1] = B[a + 1] ^ (~B[b + 1] & B[c + 1]);
+        }
+      }
+      // Iota
+      s[0] ^= KECCAK_RC[2 * round];
+      s[1] ^= KECCAK_RC[2 * round + 1];
+    }
+  }
+
+  /**
+   * Original Keccak (0x01 padding, as used by Monero) with `outlen` bytes of output
+   */
+  function keccak(input, outlen = 32) {
+    const rate = 200 - 2 * outlen;
+    const state = new Uint32Array(50);
+    const stateBytes = new Uint8Array(state.buffer);
+    const padded = new Uint8Array((Math.floor(input.length / rate) + 1) * rate);
+    padded.set(input);
+    padded[input.length] ^= 0x01;
+    padded[padded.length - 1] ^= 0x80;
+
+    for (let offset = 0; offset < padded.length; offset += rate) {
+      for (let i = 0; i < rate; i++) {
+        stateBytes[i] ^= padded[offset + i];
+      }
+      keccakF1600(state);
+    }
+    return stateBytes.slice(0, outlen);
+  }
+
+  /**
+   * Keccak-256, Monero's cn_fast_hash
+   */
+  function keccak256(input) {
+    return keccak(input, 32);
+  }
+
+  /* ----------------------------------------------------------------------- */
+  /* AES round functions (FIPS 197)                                          */
+  /* ----------------------------------------------------------------------- */
+
+  const AES_SBOX = new Uint8Array(256);
+  const AES_INV_SBOX = new Uint8Array(256);
+  const AES_TE = [new Uint32Array(256), new Uint32Array(256), new Uint32Array(256), new Uint32Array(256)];
+  const AES_TD = [new Uint32Array(256), new Uint32Array(256), new Uint32Array(256), new Uint32Array(256)];
+
+  (function buildAesTables() {
+    const rotl8 = (x, shift) => ((x << shift) | (x >>> (8 - shift))) & 0xFF;
+    let p = 1, q = 1;
+    do {
+      // p * 3 and q / 3 in GF(2^8) walk every non-zero element
+      p = p ^ ((p << 1) & 0xFF) ^ (p & 0x80 ? 0x1B : 0);
+      q ^= q << 1;
+      q ^= q << 2;
+      q ^= q << 4;
+      q &= 0xFF;
+      if (q & 0x80) q ^= 0x09;
+      AES_SBOX[p] = q ^ rotl8(q, 1) ^ rotl8(q, 2) ^ rotl8(q, 3) ^ rotl8(q, 4) ^ 0x63;
+    } while (p !== 1);
+    AES_SBOX[0] = 0x63;
+
+    const xtime = (x) => ((x << 1) ^ (x & 0x80 ? 0x1B : 0)) & 0xFF;
+    const gmul = (a, b) => {
+      let result = 0;
+      while (b) {
+        if (b & 1) result ^= a;
+        a = xtime(a);
+        b >>= 1;
+      }
+      return result;
+    };
+    const rotl32 = (x, shift) => ((x << shift) | (x >>> (32 - shift))) >>> 0;
+
+    for (let i = 0; i < 256; i++) {
+      AES_INV_SBOX[AES_SBOX[i]] = i;
+    }
+    for (let i = 0; i < 256; i++) {
+      const s = AES_SBOX[i];
+      const te = (gmul(s, 2) | (s << 8) | (s << 16) | (gmul(s, 3) << 24)) >>> 0;
+      const si = AES_INV_SBOX[i];
+      const td = (gmul(si, 14) | (gmul(si, 9) << 8) | (gmul(si, 13) << 16) | (gmul(si, 11) << 24)) >>> 0;
+      for (let k = 0; k < 4; k++) {
+        AES_TE[k][i] = k === 0 ? te : rotl32(te, 8 * k);
+        AES_TD[k][i] = k === 0 ? td : rotl32(td, 8 * k);
+      }
+    }
+  })();
+
+  /**
+   * One AES encryption round (x86 AESENC semantics) on state[o..o+3], in place
+   */
+  function aesEncRound(state, o, key, k) {
+    const s0 = state[o], s1 = state[o + 1], s2 = state[o + 2], s3 = state[o + 3];
+    const [T0, T1, T2, T3] = AES_TE;
+    state[o] = T0[s0 & 0xFF] ^ T1[(s1 >>> 8) & 0xFF] ^ T2[(s2 >>> 16) & 0xFF] ^ T3[s3 >>> 24] ^ key[k];
+    state[o + 1] = T0[s1 & 0xFF] ^ T1[(s2 >>> 8) & 0xFF] ^ T2[(s3 >>> 16) & 0xFF] ^ T3[s0 >>> 24] ^ key[k + 1];
+    state[o + 2] = T0[s2 & 0xFF] ^ T1[(s3 >>> 8) & 0xFF] ^ T2[(s0 >>> 16) & 0xFF] ^ T3[s1 >>> 24] ^ key[k + 2];
+    state[o + 3] = T0[s3 & 0xFF] ^ T1[(s0 >>> 8) & 0xFF] ^ T2[(s1 >>> 16) & 0xFF] ^ T3[s2 >>> 24] ^ key[k + 3];
+  }
+
+  /**
+   * One AES decryption round (x86 AESDEC semantics) on state[o..o+3], in place
+   */
+  function aesDecRound(state, o, key, k) {
+    const s0 = state[o], s1 = state[o + 1], s2 = state[o + 2], s3 = state[o + 3];
+    const [T0, T1, T2, T3] = AES_TD;
+    state[o] = T0[s0 & 0xFF] ^ T1[(s3 >>> 8) & 0xFF] ^ T2[(s2 >>> 16) & 0xFF] ^ T3[s1 >>> 24] ^ key[k];
+    state[o + 1] = T0[s1 & 0xFF] ^ T1[(s0 >>> 8) & 0xFF] ^ T2[(s3 >>> 16) & 0xFF] ^ T3[s2 >>> 24] ^ key[k + 1];
+    state[o + 2] = T0[s2 & 0xFF] ^ T1[(s1 >>> 8) & 0xFF] ^ T2[(s0 >>> 16) & 0xFF] ^ T3[s3 >>> 24] ^ key[k + 2];
+    state[o + 3] = T0[s3 & 0xFF] ^ T1[(s2 >>> 8) & 0xFF] ^ T2[(s1 >>> 16) & 0xFF] ^ T3[s0 >>> 24] ^ key[k + 3];
+  }
+
+  function blockToWords(block) {
+    const words = new Uint32Array(4);
+    for (let i = 0; i < 4; i++) {
+      words[i] = (block[4 * i] | (block[4 * i + 1] << 8) | (block[4 * i + 2] << 16) | (block[4 * i + 3] << 24)) >>> 0;
+    }
+    return words;
+  }
+
+  function wordsToBlock(words) {
+    const block = new Uint8Array(16);
+    for (let i = 0; i < 16; i++) {
+      block[i] = words[i >> 2] >>> (8 * (i & 3));
+    }
+    return block;
+  }
+
+  /**
+   * Single AES encryption round on a 16-byte block (same result as x86 AESENC)
+   */
+  function aesEncryptRound(block, roundKey) {
+    const state = blockToWords(block);
+    aesEncRound(state, 0, blockToWords(roundKey), 0);
+    return wordsToBlock(state);
+  }
+
+  /**
+   * Single AES decryption round on a 16-byte block (same result as x86 AESDEC)
+   */
+  function aesDecryptRound(block, roundKey) {
+    const state = blockToWords(block);
+    aesDecRound(state, 0, blockToWords(roundKey), 0);
+    return wordsToBlock(state);
+  }
+
+  return {
+    blake2b,
+    blake2b256: (input) => blake2b(input, 32),
+    blake2b512: (input) => blake2b(input, 64),
+    blake2bLong,
+    argon2d,
+    argon2dFill,
+    keccak,
+    keccak256,
+    cnFastHash: keccak256,
+    aesEncRound,
+    aesDecRound,
+    aesEncryptRound,
+    aesDecryptRound,
+    AES_SBOX,
+    AES_INV_SBOX,
+    // First-column round tables; the other columns are byte rotations
+    AES_TE0: AES_TE[0],
+    AES_TD0: AES_TD[0]
+  };
+})();
+
+// Export for use in worker (and main thread, where self === window)
+if (typeof self !== 'undefined' && typeof self.postMessage !== 'undefined') {
+  self.CryptoPrimitives = CryptoPrimitives;
+}
+
+// Export for module usage
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = CryptoPrimitives;
+}
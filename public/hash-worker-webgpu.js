@@ -1,8 +1,13 @@
 // Import RandomX WebGPU module and block header utilities
+importScripts('/crypto-primitives.js');
+importScripts('/wasm/randomx.js');
 importScripts('/wasm/randomx-webgpu.js');
 importScripts('/block-header.js');
+importScripts('/worker-protocol.js');
 
 let running = false;
+// Settles once the hashing loop has returned, so DESTROY can wait for it
+let loopDone = null;
 let totalHashes = 0;
 let workerId = null;
 let randomxModule = null;
@@ -10,34 +15,54 @@ let initializationProgress = 0;
 
 // Block header and nonce management
 let blockTemplate = null;
-let nonce = 0;
-let nonceStart = 0;
-let nonceEnd = 0;
-// Difficulty target: Finding solutions roughly every 10-100M hashes
-const DIFFICULTY_TARGET = BigInt('0x00000000FFFF0000000000000000000000000000000000000000000000000000');
+let nonceCursor = null;
+// Set when the slice ran out; cleared once a new extra nonce arrives
+let exhaustedAt = null;
+// How long to idle for SET_EXTRA_NONCE before searching the slice again
+const EXTRA_NONCE_WAIT_MS = 2000;
 let solutionsFound = 0;
 let cacheReinitCount = 0;
-let lastCacheReinit = 0;
 let totalWorkers = 1;
+// Key switch of the simulated chain, applied at the start of a work window
+let pendingSeed = null;
+// Key whose cache is being built while hashing carries on under the current
+// one ({ seedKey, apply, startedAt, hashesAtStart, hashrate, prepared, error });
+// the loop swaps it in at the start of the first work window after it is built
+let keySwitch = null;
+// Finished key switches not yet reported with STATS
+let switchovers = [];
+// Hashrate of the last stats window, what a key switch is measured against
+let recentHashrate = 0;
+// Template timestamp at the run's start height; key switches move it on
+let templateTimestamp = 0;
+// Live loop settings; UPDATE_CONFIG replaces them between work windows
+let loopConfig = null;
+let pendingConfig = null;
+let pendingNonceRange = null;
+let pendingExtraNonce = null;
+// Config version in effect, sent with solutions so the coordinator checks
+// them against the difficulty this worker was using
+let configVersion = 0;
+let shareDifficulty = DEFAULT_SHARE_DIFFICULTY;
+let blockDifficulty = DEFAULT_BLOCK_DIFFICULTY;
+let blocksFound = 0;
+// Pool job being mined ({ jobId, epoch, difficulty }); null while mining the
+// simulated template
+let poolJob = null;
+let pendingJob = null;
+// Node block template being mined ({ height, epoch, blockDifficulty })
+let nodeTemplate = null;
+let pendingTemplate = null;
 
 /**
  * Initialize RandomX WebGPU module
+ *
+ * All workers of a run hash under the seed key the coordinator sends.
  */
-async function initializeRandomX(mode = 'light') {
+async function initializeRandomX(mode, seedKey) {
   try {
     randomxModule = new RandomXWebGPUModule(mode);
     
-    // Generate a cryptographically secure seed
-    const randomBytes = new Uint8Array(32);
-    crypto.getRandomValues(randomBytes);
-    
-    // Convert to hex efficiently
-    let hexSeed = '';
-    for (let i = 0; i < randomBytes.length; i++) {
-      hexSeed += randomBytes[i].toString(16).padStart(2, '0');
-    }
-    const seed = `randomx-webgpu-seed-${hexSeed}-${workerId}`;
-    
     // Initialize with progress reporting
     const progressCallback = (progress, message) => {
       self.postMessage({
@@ -49,7 +74,7 @@ async function initializeRandomX(mode = 'light') {
     };
     
     progressCallback(0, 'Starting WebGPU initialization...');
-    await randomxModule.init(seed, progressCallback);
+    await randomxModule.init(seedKey, progressCallback);
     
     const memInfo = randomxModule.getMemoryInfo();
     
@@ -81,65 +106,305 @@ function sleep(ms) {
   return new Promise(resolve => setTimeout(resolve, ms));
 }
 
+/**
+ * Count a share (and a block, if it also meets the block difficulty) and
+ * hand it to the coordinator for verification
+ */
+function reportSolution(hash, hashNonce, header) {
+  const block = checkDifficulty(hash, nodeTemplate ? nodeTemplate.blockDifficulty : blockDifficulty);
+  // Found solution (log but don't stop - educational)
+  console.log(`Worker ${workerId} [WebGPU] found ${block ? 'block' : 'share'} at nonce ${hashNonce}, hash: ${hash}`);
+  solutionsFound++;
+  if (block) {
+    blocksFound++;
+  }
+  self.postMessage({
+    type: 'SOLUTION',
+    workerId,
+    nonce: hashNonce,
+    extraNonce: nonceCursor.extraNonce,
+    header: header.slice(),
+    hash,
+    block,
+    jobId: poolJob ? poolJob.jobId : undefined,
+    height: nodeTemplate ? nodeTemplate.height : undefined,
+    seedKey: randomxModule.seedKey,
+    version: configVersion,
+    timestamp: Date.now()
+  });
+}
+
+/**
+ * Apply an UPDATE_CONFIG payload and acknowledge it to the coordinator
+ */
+function applyConfig(update) {
+  const { version, ...values } = update;
+  loopConfig = { ...loopConfig, ...values };
+  configVersion = version;
+  // An unset difficulty restores the default
+  if ('difficulty' in values) {
+    shareDifficulty = values.difficulty ?? DEFAULT_SHARE_DIFFICULTY;
+  }
+  if ('blockDifficulty' in values) {
+    blockDifficulty = values.blockDifficulty ?? DEFAULT_BLOCK_DIFFICULTY;
+  }
+  self.postMessage({
+    type: 'CONFIG_APPLIED',
+    workerId,
+    version,
+    totalHashes
+  });
+}
+
+/**
+ * Switch to a new nonce range and acknowledge it to the coordinator
+ *
+ * Keeps the current position when it falls inside the new range.
+ */
+function applyNonceRange(range) {
+  nonceCursor.setRange(range.nonceStart, range.nonceEnd);
+  if (nonceCursor.remaining() > 0) {
+    exhaustedAt = null;
+  }
+  self.postMessage({
+    type: 'NONCE_RANGE_APPLIED',
+    workerId,
+    nonceStart: nonceCursor.nonceStart,
+    nonceEnd: nonceCursor.nonceEnd
+  });
+}
+
+/**
+ * Start the slice over under the extra nonce the coordinator handed out
+ */
+function applyExtraNonce(extraNonce) {
+  nonceCursor.setExtraNonce(extraNonce);
+  blockTemplate.setExtraNonce(extraNonce);
+  exhaustedAt = null;
+}
+
+/**
+ * Switch to a pool job
+ *
+ * The job's blob replaces the template and its target the share difficulty;
+ * the slice starts over under the job's epoch.
+ */
+async function applyJob(job) {
+  await switchKey(job.seedKey, () => {
+    blockTemplate = new JobBlob(job.blob);
+    poolJob = { jobId: job.jobId, epoch: job.epoch, difficulty: job.difficulty };
+    nonceCursor.setEpoch(job.epoch);
+    exhaustedAt = null;
+  });
+}
+
+/**
+ * Switch to a node's block template
+ *
+ * The template replaces the simulated one and its difficulty the block
+ * difficulty. The slice starts over under the template's epoch; the extra
+ * nonce carries over into the template's reserved bytes.
+ */
+async function applyTemplate(template) {
+  await switchKey(template.seedKey, () => {
+    blockTemplate = new TemplateBlob(template.blob, template.reservedOffset, template.reserveSize);
+    blockTemplate.setExtraNonce(nonceCursor.extraNonce);
+    nodeTemplate = { height: template.height, epoch: template.epoch, blockDifficulty: template.blockDifficulty };
+    nonceCursor.setEpoch(template.epoch);
+    exhaustedAt = null;
+  });
+}
+
+/**
+ * Switch to the key of a new seed epoch of the simulated chain
+ *
+ * The coordinator sends every worker the same key when the chain crosses an
+ * epoch boundary. The template moves on to the new height and the slice
+ * starts over under the epoch.
+ */
+async function applySeed(seed) {
+  await switchKey(seed.seedKey, () => {
+    blockTemplate.updateTimestamp(templateTimestamp + seed.chainSeconds);
+    nonceCursor.setEpoch(seed.epoch);
+    exhaustedAt = null;
+  });
+}
+
+/**
+ * Switch to `seedKey` and then `apply` the work that needs it
+ *
+ * While running, the new cache is built in the background and hashing
+ * carries on under the current key; the loop swaps it in and applies the
+ * work at the start of the first work window after the build. A newer
+ * switch replaces one still being built, and work under the current key
+ * cancels it. Outside a run the switch is done when this returns.
+ */
+async function switchKey(seedKey, apply) {
+  if (!seedKey || seedKey === randomxModule.seedKey) {
+    keySwitch = null;
+    apply();
+    return;
+  }
+  if (keySwitch && keySwitch.seedKey === seedKey) {
+    keySwitch.apply = apply;
+    return;
+  }
+
+  const pending = {
+    seedKey,
+    apply,
+    startedAt: performance.now(),
+    hashesAtStart: totalHashes,
+    hashrate: recentHashrate,
+    prepared: null,
+    error: null
+  };
+  keySwitch = pending;
+  const build = randomxModule.prepareKey(seedKey, null, { isCancelled: () => keySwitch !== pending });
+  if (running) {
+    build.then(
+      (prepared) => { pending.prepared = prepared; },
+      (error) => { pending.error = error; }
+    );
+    return;
+  }
+  try {
+    pending.prepared = await build;
+  } catch (error) {
+    if (keySwitch !== pending) return;
+    keySwitch = null;
+    throw error;
+  }
+  // A run that started meanwhile swaps it in at its next work window
+  if (!running && keySwitch === pending) {
+    finishKeySwitch();
+  }
+}
+
+/**
+ * Swap in the key built for the pending switch, apply the work waiting for
+ * it and record how the switch went
+ *
+ * Lost hashes are those the hashrate before the switch would have produced
+ * while the new cache was built, minus the hashes actually done meanwhile.
+ */
+function finishKeySwitch() {
+  const { prepared, apply, startedAt, hashesAtStart, hashrate } = keySwitch;
+  keySwitch = null;
+  randomxModule.activateKey(prepared);
+  apply();
+  cacheReinitCount++;
+
+  const durationMs = performance.now() - startedAt;
+  console.log(`Worker ${workerId} [WebGPU]: Switched to a new key after ${durationMs.toFixed(0)}ms (count: ${cacheReinitCount})`);
+  if (running) {
+    const hashes = Math.max(0, totalHashes - hashesAtStart);
+    switchovers.push({
+      seedKey: prepared.seedKey,
+      switchedAt: Date.now(),
+      durationMs,
+      hashes,
+      lostHashes: Math.max(0, Math.round(hashrate * durationMs / 1000 - hashes))
+    });
+  }
+}
+
+/**
+ * Report an exhausted nonce slice and decide whether to keep hashing
+ *
+ * The coordinator answers NONCE_EXHAUSTED with SET_EXTRA_NONCE; until then
+ * the worker idles. Without an answer within EXTRA_NONCE_WAIT_MS it searches
+ * the slice again, which shows up as duplicated work in the report.
+ */
+function handleExhaustedSlice() {
+  const now = performance.now();
+  if (exhaustedAt === null) {
+    exhaustedAt = now;
+    self.postMessage({
+      type: 'NONCE_EXHAUSTED',
+      workerId,
+      extraNonce: nonceCursor.extraNonce,
+      nonceStart: nonceCursor.nonceStart,
+      nonceEnd: nonceCursor.nonceEnd
+    });
+    return false;
+  }
+  if (now - exhaustedAt < EXTRA_NONCE_WAIT_MS) {
+    return false;
+  }
+  console.warn(`Worker ${workerId} [WebGPU]: No extra nonce after exhausting the slice, searching it again`);
+  nonceCursor.wrap();
+  exhaustedAt = null;
+  return true;
+}
+
 async function hashingLoop(config) {
-  const { throttle, statsInterval } = config;
+  loopConfig = { ...config };
+  shareDifficulty = config.difficulty ?? DEFAULT_SHARE_DIFFICULTY;
+  blockDifficulty = config.blockDifficulty ?? DEFAULT_BLOCK_DIFFICULTY;
   let lastStatsTime = performance.now();
   let hashesSinceLastStats = 0;
   
-  const workMs = Math.max(1, 100 - throttle);
-  const sleepMs = Math.max(1, throttle);
-  
-  const CACHE_REINIT_INTERVAL = 120000; // 120 seconds (2 minutes)
-  lastCacheReinit = performance.now();
-  
   while (running) {
+    // Pick up live updates and repartitioned nonces at the start of a work window
+    if (pendingConfig) {
+      applyConfig(pendingConfig);
+      pendingConfig = null;
+    }
+    if (pendingNonceRange) {
+      applyNonceRange(pendingNonceRange);
+      pendingNonceRange = null;
+    }
+    if (pendingExtraNonce !== null) {
+      applyExtraNonce(pendingExtraNonce);
+      pendingExtraNonce = null;
+    }
+    if (pendingJob) {
+      await applyJob(pendingJob);
+      pendingJob = null;
+    }
+    if (pendingTemplate) {
+      await applyTemplate(pendingTemplate);
+      pendingTemplate = null;
+    }
+    if (pendingSeed) {
+      await applySeed(pendingSeed);
+      pendingSeed = null;
+    }
+    if (keySwitch && keySwitch.error) {
+      throw keySwitch.error;
+    }
+    if (keySwitch && keySwitch.prepared) {
+      finishKeySwitch();
+    }
+    const { throttle, statsInterval } = loopConfig;
+    const workMs = Math.max(1, 100 - throttle);
+    const sleepMs = Math.max(1, throttle);
+    
     const batchStart = performance.now();
     let batchHashes = 0;
     
-    // Check for cache reinitialization
-    const now = performance.now();
-    if (now - lastCacheReinit >= CACHE_REINIT_INTERVAL) {
-      // Simulate blockchain height change - reinitialize cache
-      const newSeed = generateNewSeed();
-      await randomxModule.init(newSeed, null);
-      lastCacheReinit = now;
-      cacheReinitCount++;
-      
-      // Update block template with new timestamp
-      blockTemplate.updateTimestamp(Math.floor(Date.now() / 1000));
-      
-      console.log(`Worker ${workerId} [WebGPU]: Cache reinitialized (count: ${cacheReinitCount})`);
-    }
-    
     while (performance.now() - batchStart < workMs && running) {
-      // Set nonce in block header
-      blockTemplate.setNonce(nonce);
-      
-      // Serialize to binary (76 bytes)
-      const headerBytes = blockTemplate.serialize();
+      if (nonceCursor.remaining() === 0 && !handleExhaustedSlice()) {
+        break;
+      }
+      const nonce = nonceCursor.next();
+
+      // Hashing blob with the nonce patched in place
+      const headerBytes = blockTemplate.withNonce(nonce);
       
       // Hash the binary header using WebGPU
       const hash = await randomxHash(headerBytes);
       
       // Compare against difficulty
       try {
-        const hashValue = BigInt('0x' + hash);
-        if (hashValue < DIFFICULTY_TARGET) {
-          console.log(`Worker ${workerId} [WebGPU] found solution at nonce ${nonce}, hash: ${hash}`);
-          solutionsFound++;
+        if (checkDifficulty(hash, poolJob ? poolJob.difficulty : shareDifficulty)) {
+          reportSolution(hash, nonce, headerBytes);
         }
       } catch (error) {
         console.error(`Worker ${workerId} [WebGPU]: Invalid hash format: ${hash}`);
       }
       
-      // Increment nonce sequentially
-      nonce++;
-      
-      // Wrap around if we exceed our partition
-      if (nonce >= nonceEnd) {
-        nonce = nonceStart;
-      }
-      
       totalHashes++;
       batchHashes++;
       hashesSinceLastStats++;
@@ -159,9 +424,14 @@ async function hashingLoop(config) {
         dutyCycle: (workMs / (workMs + sleepMs)) * 100,
         memoryUsageMB: memInfo ? memInfo.totalMB : 0,
         solutionsFound,
+        blocksFound,
         cacheReinitCount,
+        extraNonce: nonceCursor.extraNonce,
+        searched: nonceCursor.takeSegments(),
+        switchovers: switchovers.splice(0),
         backend: 'webgpu'
       });
+      recentHashrate = hashesSinceLastStats / elapsedSec;
       lastStatsTime = currentTime;
       hashesSinceLastStats = 0;
     }
@@ -173,6 +443,16 @@ async function hashingLoop(config) {
 }
 
 self.onmessage = async function(e) {
+  const problem = checkCoordinatorMessage(e.data);
+  if (problem) {
+    // Answer a refused INIT under the id the coordinator is waiting on
+    const init = e.data && e.data.type === 'INIT' ? e.data.data : null;
+    if (init && typeof init.workerId === 'number') {
+      workerId = init.workerId;
+    }
+    self.postMessage({ type: 'ERROR', workerId, ...problem });
+    return;
+  }
   const { type, data } = e.data;
   
   switch (type) {
@@ -182,35 +462,54 @@ self.onmessage = async function(e) {
       try {
         // Support mode selection (default to 'light')
         const mode = data.mode || 'light';
-        const memInfo = await initializeRandomX(mode);
+        let memInfo;
+        let downgrade = null;
+        try {
+          memInfo = await initializeRandomX(mode, data.seedKey);
+        } catch (error) {
+          // The dataset did not fit in CPU or GPU memory
+          if (mode !== 'fast' || !RandomXModule.isAllocationFailure(error)) throw error;
+          if (randomxModule) {
+            randomxModule.destroy();
+            randomxModule = null;
+          }
+          if (!data.allowDowngrade) {
+            self.postMessage({
+              type: 'ERROR',
+              workerId,
+              code: 'OUT_OF_MEMORY',
+              error: 'Out of memory for the fast-mode dataset: ' + error.message,
+              details: error.stack
+            });
+            break;
+          }
+          // Light mode needs no dataset; the coordinator records the move
+          downgrade = { from: 'fast', to: 'light', reason: 'Out of memory: ' + error.message };
+          memInfo = await initializeRandomX('light', data.seedKey);
+        }
         
-        // Partition nonce space for this worker
-        const { nonceStart: start, nonceEnd: end } = partitionNonceSpace(workerId, totalWorkers);
-        nonceStart = start;
-        nonce = start;
-        nonceEnd = end;
+        // Nonce range assigned by the coordinator (or an even split of the space)
+        const { nonceStart, nonceEnd } = data.nonceRange || partitionNonceSpace(workerId, totalWorkers);
+        nonceCursor = new NonceCursor(nonceStart, nonceEnd);
         
-        // Create mock block template
-        blockTemplate = new BlockHeader(
-          1,  // version
-          '0000000000000000000000000000000000000000000000000000000000000000',  // prev hash
-          generateMerkleRoot(),  // merkle root
-          Math.floor(Date.now() / 1000),  // timestamp
-          0  // initial nonce
-        );
+        // Block template derives from the run's template seed
+        blockTemplate = createBlockTemplate(data.templateSeed);
+        templateTimestamp = blockTemplate.timestamp;
         
-        console.log(`Worker ${workerId} [WebGPU]: Nonce range ${nonceStart} to ${nonceEnd}`);
+        console.log(`Worker ${workerId} [WebGPU]: Nonce range ${nonceStart} to ${nonceEnd} (exclusive)`);
         
         self.postMessage({
           type: 'READY',
           workerId,
+          protocolVersion: WORKER_PROTOCOL_VERSION,
           capabilities: {
             randomx: true,
             wasmSupport: false,
             webgpuSupport: true,
             mode: memInfo.mode,
             memoryMB: memInfo.totalMB,
-            backend: 'webgpu'
+            backend: 'webgpu',
+            ...(downgrade ? { downgrade } : {})
           }
         });
       } catch (error) {
@@ -226,10 +525,21 @@ self.onmessage = async function(e) {
     case 'START':
       if (!running) {
         running = true;
+        pendingConfig = null;
         totalHashes = 0;
         solutionsFound = 0;
+        blocksFound = 0;
         cacheReinitCount = 0;
-        hashingLoop(data.config).catch(err => {
+        switchovers = [];
+        recentHashrate = 0;
+        exhaustedAt = null;
+        nonceCursor.reset();
+        if (poolJob || nodeTemplate) {
+          nonceCursor.setEpoch((poolJob || nodeTemplate).epoch);
+        }
+        // A restarted worker resumes on a fresh extra nonce from its first window
+        applyExtraNonce(data.extraNonce || 0);
+        loopDone = hashingLoop(data.config).catch(err => {
           self.postMessage({
             type: 'ERROR',
             workerId,
@@ -250,25 +560,90 @@ self.onmessage = async function(e) {
       break;
       
     case 'UPDATE_CONFIG':
+      if (running) {
+        // Merge with any update the loop has not picked up yet; acknowledging
+        // the newest version covers the older ones
+        pendingConfig = { ...pendingConfig, ...data };
+      } else {
+        applyConfig(data);
+      }
       break;
       
-    case 'DESTROY':
+    case 'SET_NONCE_RANGE':
+      if (running) {
+        pendingNonceRange = data;
+      } else {
+        applyNonceRange(data);
+      }
+      break;
+      
+    case 'SET_EXTRA_NONCE':
+      if (running) {
+        pendingExtraNonce = data.extraNonce;
+      } else {
+        applyExtraNonce(data.extraNonce);
+      }
+      break;
+      
+    case 'JOB':
+      if (running) {
+        pendingJob = data;
+      } else {
+        try {
+          await applyJob(data);
+        } catch (error) {
+          self.postMessage({
+            type: 'ERROR',
+            workerId,
+            error: 'Failed to apply pool job: ' + error.message,
+            details: error.stack
+          });
+        }
+      }
+      break;
+      
+    case 'TEMPLATE':
+      if (running) {
+        pendingTemplate = data;
+      } else {
+        try {
+          await applyTemplate(data);
+        } catch (error) {
+          self.postMessage({
+            type: 'ERROR',
+            workerId,
+            error: 'Failed to apply block template: ' + error.message,
+            details: error.stack
+          });
+        }
+      }
+      break;
+      
+    case 'SET_SEED':
+      // Applied when the loop next starts a work window, so a key switch sent
+      // just before START cannot race the run's first hashes
+      pendingSeed = data;
+      break;
+      
+    case 'DESTROY': {
       running = false;
+      keySwitch = null;
+      // Free the memory only once the last work window stopped hashing with it
+      if (loopDone) {
+        await loopDone;
+        loopDone = null;
+      }
+      const memInfo = randomxModule ? randomxModule.getMemoryInfo() : null;
       if (randomxModule) {
         randomxModule.destroy();
         randomxModule = null;
       }
       self.postMessage({
         type: 'DESTROYED',
-        workerId
-      });
-      break;
-      
-    default:
-      self.postMessage({
-        type: 'ERROR',
         workerId,
-        error: `Unknown message type: ${type}`
+        freedMB: memInfo ? memInfo.totalMB : 0
       });
+      break;
+    }
   }
 };
@@ -0,0 +1,49 @@
+/**
+ * Solution Verification Module
+ *
+ * Re-hashes a solution reported by a hash worker and checks the result
+ * against the reported hash and the share and block difficulties. The
+ * verifier worker runs it on its own RandomXModule (WASM, light mode), so a
+ * solution is only accepted when a second, independent RandomX instance
+ * agrees with it, whichever backend found it.
+ *
+ * Depends on checkDifficulty from block-header.js.
+ */
+
+const SolutionCheck = (() => {
+  /**
+   * Verify one solution
+   *
+   * @param {Object} hasher - Initialized backend exposing calculateHash(bytes)
+   * @param {Object} solution
+   * @param {Uint8Array} solution.header - The hashed blob
+   * @param {string} solution.hash - Hash the worker reported
+   * @param {number} solution.difficulty - Share difficulty in effect
+   * @param {number} solution.blockDifficulty - Block difficulty in effect
+   * @returns {Promise<{valid: boolean, block: boolean, computedHash: string, reason?: string}>}
+   */
+  async function check(hasher, solution) {
+    const computedHash = await hasher.calculateHash(solution.header);
+    if (computedHash !== solution.hash) {
+      return { valid: false, block: false, computedHash, reason: 'Hash mismatch' };
+    }
+    if (!checkDifficulty(computedHash, solution.difficulty)) {
+      return { valid: false, block: false, computedHash, reason: 'Below share difficulty' };
+    }
+    return { valid: true, block: checkDifficulty(computedHash, solution.blockDifficulty), computedHash };
+  }
+
+  return {
+    check
+  };
+})();
+
+// Export for use in worker (and main thread, where self === window)
+if (typeof self !== 'undefined' && typeof self.postMessage !== 'undefined') {
+  self.SolutionCheck = SolutionCheck;
+}
+
+// Export for module usage
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = SolutionCheck;
+}
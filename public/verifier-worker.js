@@ -0,0 +1,50 @@
+// Import the WASM RandomX backend, block header utilities and the solution check
+importScripts('/crypto-primitives.js');
+importScripts('/wasm/randomx.js');
+importScripts('/block-header.js');
+importScripts('/solution-check.js');
+
+let randomxModule = null;
+// Requests are verified one at a time so a seed change never races a hash
+let queue = Promise.resolve();
+
+/**
+ * Light-mode RandomX instance for `seedKey`, rebuilt when the key changes
+ */
+async function hasherFor(seedKey) {
+  if (randomxModule && randomxModule.seedKey === seedKey) {
+    return randomxModule;
+  }
+  if (randomxModule) {
+    randomxModule.destroy();
+    randomxModule = null;
+  }
+  const module = new RandomXModule('light');
+  await module.init(seedKey, null);
+  randomxModule = module;
+  return module;
+}
+
+async function verify(request) {
+  const { id, seedKey, header, hash, difficulty, blockDifficulty } = request;
+  try {
+    const hasher = await hasherFor(seedKey);
+    const result = await SolutionCheck.check(hasher, { header, hash, difficulty, blockDifficulty });
+    self.postMessage({ type: 'SOLUTION_VERIFIED', id, ...result });
+  } catch (error) {
+    self.postMessage({
+      type: 'ERROR',
+      id,
+      error: error.message,
+      details: error.stack
+    });
+  }
+}
+
+self.onmessage = function(e) {
+  const { type, data } = e.data;
+
+  if (type === 'VERIFY_SOLUTION') {
+    queue = queue.then(() => verify(data));
+  }
+};
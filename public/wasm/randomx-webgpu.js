@@ -1,91 +1,132 @@
 /**
- * RandomX-Lite WebGPU Implementation
- * 
- * This is a 1:1 port of the WASM RandomX simulation to WebGPU for educational purposes.
+ * RandomX WebGPU Implementation
+ *
+ * Runs the RandomX hashing loop on the GPU with the WGSL compute kernels in
+ * /wasm/randomx.wgsl, producing the same hashes as the WASM backend:
+ * - Scratchpad mixing: AesGenerator1R fill and AesHash1R fingerprint of the
+ *   2 MiB scratchpad (fill_scratchpad / hash_scratchpad)
+ * - Program execution: the RandomX VM interpreter including dataset reads,
+ *   computed with SuperscalarHash from the cache in light mode (execute_program)
+ *
+ * The cache (Argon2d), program generation (AesGenerator4R) and Blake2b stay on
+ * the CPU, reusing RandomXModule from randomx.js, which must be loaded first.
+ *
  * It demonstrates WHY RandomX favors CPUs over GPUs through:
  * - Random memory access patterns (GPU cache-unfriendly)
  * - Dynamic control flow (causes warp divergence)
- * - Sequential dependencies (prevents parallelization)
- * - Large memory footprint with latency-sensitive access
- * 
+ * - Sequential dependencies (one invocation does all the work)
+ * - 64-bit integer and double precision math that WGSL has to emulate
+ * - A CPU round trip between each of the 8 programs of a hash
+ *
  * EXPECTED RESULT: This WebGPU implementation will be SLOWER than the WASM version
  * because RandomX is specifically designed to be CPU-friendly and GPU-unfriendly.
- * 
- * For production use, this should be replaced with the official RandomX implementation.
- * See: https://github.com/tevador/RandomX
  */
 
-// Constants for VM execution rounds (same as WASM)
-const LIGHT_MODE_ROUNDS = 8;
-const FAST_MODE_ROUNDS = 4;
-const DATASET_PROGRESS_INTERVAL = 10;
+const RandomXCPU = typeof RandomXModule !== 'undefined'
+  ? RandomXModule
+  : require('./randomx.js');
+const gpuCrypto = typeof CryptoPrimitives !== 'undefined'
+  ? CryptoPrimitives
+  : require('../crypto-primitives.js');
+
+const GPU_SHADER_PATH = '/wasm/randomx.wgsl';
+const GPU_UPLOAD_CHUNK = 64 * 1024 * 1024; // Upload cache/dataset in 64 MiB writes
+
+// vm buffer layout in 32-bit words (must match randomx.wgsl)
+const GPU_VM_A = 48;
+const GPU_VM_SEED = 64;
+const GPU_VM_CONFIG = 80;
+const GPU_VM_ROUNDING = 92;
+const GPU_VM_PROGRAM = 96;
+const GPU_INSTR_WORDS = 6;
+const GPU_VM_WORDS = GPU_VM_PROGRAM + 256 * GPU_INSTR_WORDS;
+const GPU_READBACK_WORDS = GPU_VM_CONFIG; // Register file and seed
+
+// consts buffer layout in 32-bit words
+const GPU_CONSTS_WORDS = 570;
+
+// superscalar buffer layout: (size, address register) per program, then programs
+const GPU_SS_PROGRAMS = 16;
+const GPU_SS_MAX_SIZE = 512;
+const GPU_SS_WORDS = GPU_SS_PROGRAMS + 8 * GPU_SS_MAX_SIZE * 3;
 
 class RandomXWebGPUModule {
   constructor(mode = 'light') {
     this.initialized = false;
+    this.seedKey = null; // Key the cache was built from
     this.device = null;
     this.adapter = null;
     this.mode = mode;
-    
+    this.datasetReady = false; // memoryBuffer holds the dataset of the active key (fast mode)
+
+    // CPU-side VM, only used to generate and compile programs
+    this.vm = null;
+
     // GPU buffers
     this.scratchpadBuffer = null;
-    this.cacheBuffer = null;
-    this.datasetBuffer = null;
-    this.hashBuffer = null;
-    
-    // Compute pipelines
+    this.vmBuffer = null;
+    this.constsBuffer = null;
+    this.memoryBuffer = null;      // Cache in light mode, dataset in fast mode
+    this.superscalarBuffer = null;
+    this.readBuffer = null;
+
+    // Compute pipelines (all share one bind group)
     this.scratchpadMixPipeline = null;
+    this.scratchpadHashPipeline = null;
     this.programExecutionPipeline = null;
-    
-    // Set memory sizes based on mode (same as WASM)
-    if (mode === 'fast') {
-      this.scratchpadSize = 2 * 1024 * 1024 * 1024; // 2GB for fast mode
-      this.datasetSize = 2 * 1024 * 1024 * 1024; // 2GB dataset
-      this.cacheSize = 2 * 1024 * 1024; // 2MB cache
-    } else {
-      // Light mode (default)
-      this.scratchpadSize = 256 * 1024 * 1024; // 256MB for light mode
-      this.cacheSize = 2 * 1024 * 1024; // 2MB cache
-      this.datasetSize = 0; // No dataset in light mode
-    }
+    this.bindGroupLayout = null;
+    this.bindGroup = null;
+
+    // Time spent inside hash computation, used to measure caller overhead
+    this.hashCount = 0;
+    this.computeTimeMs = 0;
+
+    // Memory sizes as defined by the RandomX specification (same as WASM)
+    this.scratchpadSize = 2 * 1024 * 1024;    // 2 MiB per VM
+    this.cacheSize = 256 * 1024 * 1024;       // 256 MiB Argon2d cache
+    this.datasetSize = mode === 'fast' ? 2181038016 : 0; // 2080 MiB in fast mode
   }
 
   /**
-   * Initialize WebGPU and allocate GPU buffers
-   * This will be SLOWER than WASM initialization due to GPU overhead
+   * Initialize WebGPU, compile the kernels and upload the cache (light mode)
+   * or dataset (fast mode)
+   *
+   * `options.gpu` replaces `navigator.gpu` and `options.shaderSource` skips
+   * fetching the WGSL file, for running the kernels outside a browser.
+   * Calling it again with another key starts over on a new device.
    */
-  async init(seedKey, progressCallback) {
+  async init(seedKey, progressCallback, options = {}) {
     if (this.initialized) {
-      return;
+      if (seedKey === this.seedKey) return;
+      this.destroy();
     }
 
     // Check WebGPU support
-    if (!navigator.gpu) {
+    const gpu = options.gpu || (typeof navigator !== 'undefined' ? navigator.gpu : undefined);
+    if (!gpu) {
       throw new Error('WebGPU not supported in this browser. Use WASM backend instead.');
     }
 
     try {
       // Request WebGPU adapter
-      if (progressCallback) progressCallback(5, 'Requesting WebGPU adapter...');
-      this.adapter = await navigator.gpu.requestAdapter({
+      if (progressCallback) progressCallback(2, 'Requesting WebGPU adapter...');
+      this.adapter = await gpu.requestAdapter({
         powerPreference: 'high-performance'
       });
-      
+
       if (!this.adapter) {
         throw new Error('Failed to get WebGPU adapter');
       }
 
-      // Request device with appropriate limits
-      if (progressCallback) progressCallback(10, 'Requesting WebGPU device...');
-      
-      // Check adapter limits
+      // The cache or dataset is bound as a single storage buffer
       const limits = this.adapter.limits;
-      const requiredBufferSize = Math.max(this.scratchpadSize, this.cacheSize);
-      
+      const requiredBufferSize = this.mode === 'fast' ? this.datasetSize : this.cacheSize;
+
       if (requiredBufferSize > limits.maxStorageBufferBindingSize) {
         throw new Error(`Buffer size ${requiredBufferSize} exceeds GPU limit ${limits.maxStorageBufferBindingSize}`);
       }
 
+      if (progressCallback) progressCallback(4, 'Requesting WebGPU device...');
       this.device = await this.adapter.requestDevice({
         requiredLimits: {
           maxStorageBufferBindingSize: requiredBufferSize,
@@ -93,42 +134,24 @@ class RandomXWebGPUModule {
         }
       });
 
-      // Allocate scratchpad buffer on GPU
-      // NOTE: This is GPU-unfriendly - large buffer with random access patterns
-      if (progressCallback) progressCallback(20, 'Allocating GPU scratchpad buffer...');
-      this.scratchpadBuffer = this.device.createBuffer({
-        size: this.scratchpadSize,
-        usage: GPUBufferUsage.STORAGE | GPUBufferUsage.COPY_DST | GPUBufferUsage.COPY_SRC
-      });
-
-      // Allocate cache buffer on GPU
-      if (progressCallback) progressCallback(30, 'Allocating GPU cache buffer...');
-      this.cacheBuffer = this.device.createBuffer({
-        size: this.cacheSize,
-        usage: GPUBufferUsage.STORAGE | GPUBufferUsage.COPY_DST | GPUBufferUsage.COPY_SRC
-      });
-
-      // In fast mode, allocate dataset buffer
-      if (this.mode === 'fast') {
-        if (progressCallback) progressCallback(35, 'Allocating GPU dataset buffer (2GB)...');
-        this.datasetBuffer = this.device.createBuffer({
-          size: this.datasetSize,
-          usage: GPUBufferUsage.STORAGE | GPUBufferUsage.COPY_DST
-        });
-      }
+      if (progressCallback) progressCallback(6, 'Compiling WGSL kernels...');
+      const code = options.shaderSource || await this.loadShaderSource();
+      this.createPipelines(code);
 
-      // Allocate hash buffer
-      this.hashBuffer = this.device.createBuffer({
-        size: 32, // SHA-256 output
-        usage: GPUBufferUsage.STORAGE | GPUBufferUsage.COPY_DST | GPUBufferUsage.COPY_SRC
-      });
+      // Cache (and dataset) are built on the CPU, then uploaded
+      // NOTE: This CPU->GPU transfer is overhead that doesn't exist in WASM
+      const cpu = new RandomXCPU(this.mode);
+      await cpu.init(seedKey, progressCallback
+        ? (progress, message) => progressCallback(8 + Math.floor(progress * 0.8), message)
+        : null);
+      this.createBuffers(cpu, progressCallback);
+      this.datasetReady = this.mode === 'fast';
+      cpu.destroy();
 
-      // Initialize cache with seed (using CPU, then upload to GPU)
-      // NOTE: This CPU-GPU transfer is overhead that doesn't exist in WASM
-      const seed = this.stringToBytes(seedKey);
-      await this.initializeCache(seed, progressCallback);
+      this.vm = new RandomXCPU.internals.RandomXVM(new ArrayBuffer(0), null);
 
       this.initialized = true;
+      this.seedKey = seedKey;
       if (progressCallback) progressCallback(100, `RandomX WebGPU ${this.mode} mode initialized`);
     } catch (error) {
       // Clean up on error
@@ -138,220 +161,288 @@ class RandomXWebGPUModule {
   }
 
   /**
-   * Initialize cache (CPU-based, then upload to GPU)
-   * In real GPU mining, this transfer overhead is a major disadvantage
+   * Build the cache and SuperscalarHash programs for a key on the CPU while
+   * the GPU keeps hashing under the current one
+   *
+   * Same options as RandomXModule.prepareKey(); the result goes to activateKey().
    */
-  async initializeCache(seed, progressCallback) {
-    // Fill cache on CPU (GPU shader compilation would be too complex for initialization)
-    if (progressCallback) progressCallback(40, 'Filling cache on CPU...');
-    const cache = new Uint8Array(this.cacheSize);
-    
-    for (let i = 0; i < cache.length; i += 64) {
-      const block = await this.sha256Mix(seed, i);
-      for (let j = 0; j < Math.min(64, cache.length - i); j++) {
-        cache[i + j] = block[j % 32];
-      }
-    }
-
-    // Upload cache to GPU
-    // NOTE: This CPU->GPU transfer is a disadvantage vs WASM
-    if (progressCallback) progressCallback(60, 'Uploading cache to GPU...');
-    this.device.queue.writeBuffer(this.cacheBuffer, 0, cache);
+  async prepareKey(seedKey, progressCallback, options = {}) {
+    return new RandomXCPU('light').prepareKey(seedKey, progressCallback, options);
+  }
 
-    // In fast mode, generate dataset
-    if (this.mode === 'fast') {
-      if (progressCallback) progressCallback(65, 'Generating dataset on CPU...');
-      await this.generateDataset(cache, progressCallback);
+  /**
+   * Upload a key built by prepareKey() and switch to it, between two hashes
+   *
+   * The new cache goes into a buffer of its own before the old one is
+   * released. Fast mode has no dataset for the new key, so the kernels
+   * compute items from the cache for the rest of the run.
+   */
+  activateKey(prepared) {
+    if (!this.initialized) {
+      throw new Error('RandomX WebGPU not initialized. Call init() first.');
     }
+    const previous = this.memoryBuffer;
+    this.device.queue.writeBuffer(this.superscalarBuffer, 0, this.packSuperscalar(prepared.programs));
+    this.uploadMemory(prepared.cache);
+    this.createBindGroup();
+    previous.destroy();
+    this.seedKey = prepared.seedKey;
+    this.datasetReady = false;
+  }
 
-    // Fill scratchpad from cache
-    if (progressCallback) progressCallback(80, 'Filling scratchpad...');
-    const scratchpad = new Uint8Array(this.scratchpadSize);
-    
-    let yieldCounter = 0;
-    const yieldThreshold = 16384;
-    
-    for (let i = 0; i < scratchpad.length; i += 64) {
-      const sourceData = this.mode === 'fast' && this.datasetBuffer ? cache : cache; // Simplified
-      const sourceIndex = i % sourceData.length;
-      const block = sourceData.slice(sourceIndex, Math.min(sourceIndex + 64, sourceData.length));
-      for (let j = 0; j < Math.min(64, scratchpad.length - i); j++) {
-        scratchpad[i + j] = block[j % block.length] ^ (i & 0xFF);
-      }
-      
-      yieldCounter++;
-      if (yieldCounter >= yieldThreshold) {
-        await this.sleep(0);
-        yieldCounter = 0;
-      }
+  /**
+   * Fetch the WGSL kernel source
+   */
+  async loadShaderSource() {
+    const response = await fetch(GPU_SHADER_PATH);
+    if (!response.ok) {
+      throw new Error(`Failed to load ${GPU_SHADER_PATH}: ${response.status}`);
     }
-
-    // Upload scratchpad to GPU
-    // NOTE: Another CPU->GPU transfer overhead
-    if (progressCallback) progressCallback(90, 'Uploading scratchpad to GPU...');
-    this.device.queue.writeBuffer(this.scratchpadBuffer, 0, scratchpad);
+    return response.text();
   }
 
   /**
-   * Generate dataset (fast mode only)
+   * Compile the kernels into compute pipelines sharing one bind group layout
    */
-  async generateDataset(cache, progressCallback) {
-    if (!this.datasetBuffer) return;
-
-    const dataset = new Uint8Array(this.datasetSize);
-    let yieldCounter = 0;
-    const yieldThreshold = 32768;
-    
-    for (let i = 0; i < dataset.length; i += 64) {
-      const cacheIndex = (i / 64) % (cache.length / 64);
-      const cacheOffset = cacheIndex * 64;
-      
-      for (let j = 0; j < 64 && i + j < dataset.length; j++) {
-        const cacheValue = cache[(cacheOffset + j) % cache.length];
-        dataset[i + j] = cacheValue ^ ((i + j) & 0xFF);
-      }
-      
-      if (yieldCounter % (yieldThreshold * DATASET_PROGRESS_INTERVAL) === 0 && progressCallback) {
-        const progress = 65 + Math.floor((i / dataset.length) * 15);
-        progressCallback(progress, `Generating dataset... ${Math.floor((i / dataset.length) * 100)}%`);
-      }
-      
-      yieldCounter++;
-      if (yieldCounter >= yieldThreshold) {
-        await this.sleep(0);
-        yieldCounter = 0;
-      }
-    }
+  createPipelines(code) {
+    const module = this.device.createShaderModule({ code });
+    const storage = (binding, type) => ({
+      binding,
+      visibility: GPUShaderStage.COMPUTE,
+      buffer: { type }
+    });
+    this.bindGroupLayout = this.device.createBindGroupLayout({
+      entries: [
+        storage(0, 'storage'),            // scratchpad
+        storage(1, 'storage'),            // vm state, configuration and program
+        storage(2, 'read-only-storage'),  // AES tables and constants
+        storage(3, 'read-only-storage'),  // cache or dataset
+        storage(4, 'read-only-storage')   // SuperscalarHash programs
+      ]
+    });
+    const layout = this.device.createPipelineLayout({ bindGroupLayouts: [this.bindGroupLayout] });
+    const pipeline = (entryPoint) => this.device.createComputePipeline({
+      layout,
+      compute: { module, entryPoint }
+    });
 
-    // Upload dataset to GPU
-    this.device.queue.writeBuffer(this.datasetBuffer, 0, dataset);
+    this.scratchpadMixPipeline = pipeline('fill_scratchpad');
+    this.scratchpadHashPipeline = pipeline('hash_scratchpad');
+    this.programExecutionPipeline = pipeline('execute_program');
   }
 
   /**
-   * Calculate RandomX hash using GPU
-   * 
-   * NOTE: This is intentionally SLOW because:
-   * 1. CPU->GPU data transfer overhead
-   * 2. GPU cannot efficiently handle random memory access
-   * 3. Sequential dependencies prevent parallelization
-   * 4. GPU memory latency is higher than CPU cache
-   * 5. Control flow divergence in shaders
+   * Allocate the GPU buffers and upload everything that only depends on the key
    */
-  async calculateHash(input) {
-    if (!this.initialized) {
-      throw new Error('RandomX WebGPU not initialized. Call init() first.');
+  createBuffers(cpu, progressCallback) {
+    const { device } = this;
+    const storage = GPUBufferUsage.STORAGE | GPUBufferUsage.COPY_DST;
+
+    // NOTE: This is GPU-unfriendly - large buffer with random access patterns
+    this.scratchpadBuffer = device.createBuffer({ size: this.scratchpadSize, usage: storage });
+    this.vmBuffer = device.createBuffer({ size: GPU_VM_WORDS * 4, usage: storage | GPUBufferUsage.COPY_SRC });
+    this.readBuffer = device.createBuffer({
+      size: GPU_READBACK_WORDS * 4,
+      usage: GPUBufferUsage.COPY_DST | GPUBufferUsage.MAP_READ
+    });
+
+    this.constsBuffer = device.createBuffer({ size: GPU_CONSTS_WORDS * 4, usage: storage });
+    device.queue.writeBuffer(this.constsBuffer, 0, this.buildConstants());
+
+    this.superscalarBuffer = device.createBuffer({ size: GPU_SS_WORDS * 4, usage: storage });
+    device.queue.writeBuffer(this.superscalarBuffer, 0, this.packSuperscalar(cpu.programs));
+
+    if (progressCallback) {
+      progressCallback(90, `Uploading ${this.mode === 'fast' ? 'dataset' : 'cache'} to GPU...`);
     }
+    this.uploadMemory(this.mode === 'fast' ? cpu.dataset : cpu.cache);
+    this.createBindGroup();
+  }
 
-    // Convert input to bytes
-    const inputBytes = input instanceof Uint8Array 
-      ? input 
-      : this.stringToBytes(input);
-    
-    // Initial hash on CPU (WebGPU doesn't have built-in SHA-256)
-    // NOTE: This is another disadvantage - need CPU for crypto operations
-    let hash = await this.sha256(inputBytes);
-
-    // Simulate RandomX VM execution
-    // In a real GPU implementation, each round would involve:
-    // 1. Upload hash to GPU (overhead)
-    // 2. Run compute shader (inefficient due to random access)
-    // 3. Download result from GPU (overhead)
-    // This is why GPU mining of RandomX is ineffective
-    
-    const rounds = this.mode === 'fast' ? FAST_MODE_ROUNDS : LIGHT_MODE_ROUNDS;
-    for (let round = 0; round < rounds; round++) {
-      // Mix with scratchpad (would use GPU, but we simulate with CPU due to complexity)
-      // In real GPU mining, this random access pattern causes cache thrashing
-      hash = await this.scratchpadMixCPU(hash, round);
-      
-      // Program execution (CPU-based due to shader complexity)
-      hash = await this.programExecution(hash, round);
+  /**
+   * Copy the cache or dataset into a new memory buffer
+   */
+  uploadMemory(memory) {
+    const { device } = this;
+    this.memoryBuffer = device.createBuffer({
+      size: memory.byteLength,
+      usage: GPUBufferUsage.STORAGE | GPUBufferUsage.COPY_DST
+    });
+    const chunkWords = GPU_UPLOAD_CHUNK / 4;
+    for (let offset = 0; offset < memory.length; offset += chunkWords) {
+      device.queue.writeBuffer(this.memoryBuffer, offset * 4, memory.subarray(offset, offset + chunkWords));
     }
+  }
 
-    return this.bytesToHex(hash);
+  /**
+   * Bind the buffers to the kernels' shared layout
+   */
+  createBindGroup() {
+    this.bindGroup = this.device.createBindGroup({
+      layout: this.bindGroupLayout,
+      entries: [
+        this.scratchpadBuffer,
+        this.vmBuffer,
+        this.constsBuffer,
+        this.memoryBuffer,
+        this.superscalarBuffer
+      ].map((buffer, binding) => ({ binding, resource: { buffer } }))
+    });
   }
 
   /**
-   * Scratchpad mixing on CPU (simulates what would happen on GPU)
-   * NOTE: In real GPU implementation, this would be a compute shader,
-   * but the random access patterns would cause severe performance issues:
-   * - Cache thrashing due to unpredictable access
-   * - Memory coalescing failures
-   * - High latency VRAM access
+   * AES T-tables (first column only; the kernels rotate for the others) and
+   * the RandomX generator and SuperscalarHash constants
    */
-  async scratchpadMixCPU(hash, round) {
-    // Download scratchpad from GPU (massive overhead)
-    const readBuffer = this.device.createBuffer({
-      size: Math.min(4096, this.scratchpadSize), // Only read small portion to avoid timeout
-      usage: GPUBufferUsage.COPY_DST | GPUBufferUsage.MAP_READ
+  buildConstants() {
+    const {
+      AES_GEN_1R_KEYS, AES_HASH_1R_STATE, AES_HASH_1R_XKEYS, SUPERSCALAR_ADD, SUPERSCALAR_MUL0
+    } = RandomXCPU.internals;
+    const words = new Uint32Array(GPU_CONSTS_WORDS);
+    words.set(gpuCrypto.AES_TE0, 0);
+    words.set(gpuCrypto.AES_TD0, 256);
+    words.set(AES_GEN_1R_KEYS, 512);
+    words.set(AES_HASH_1R_STATE, 528);
+    words.set(AES_HASH_1R_XKEYS, 544);
+    SUPERSCALAR_ADD.forEach(([lo, hi], i) => {
+      words[552 + 2 * i] = lo;
+      words[553 + 2 * i] = hi;
     });
+    words.set(SUPERSCALAR_MUL0, 568);
+    return words;
+  }
 
-    // Copy small portion of scratchpad
-    const commandEncoder = this.device.createCommandEncoder();
-    commandEncoder.copyBufferToBuffer(
-      this.scratchpadBuffer,
-      0,
-      readBuffer,
-      0,
-      Math.min(4096, this.scratchpadSize)
-    );
-    this.device.queue.submit([commandEncoder.finish()]);
-
-    // Wait for GPU
-    await readBuffer.mapAsync(GPUMapMode.READ);
-    const scratchpadData = new Uint8Array(readBuffer.getMappedRange());
-    
-    // Mix on CPU
-    const mixed = new Uint8Array(32);
-    const scratchpadMask = scratchpadData.length - 1;
-    
-    for (let i = 0; i < 32; i++) {
-      const readOffset = ((hash[i] << 8) | hash[(i + 1) % 32]) & 0xFFFF;
-      const readIndex = (readOffset * 64) & scratchpadMask;
-      const scratchValue = scratchpadData[Math.min(readIndex, scratchpadData.length - 1)];
-      
-      mixed[i] = hash[i] ^ scratchValue ^ round;
+  /**
+   * Pack the compiled SuperscalarHash programs, three words per instruction:
+   * type | dst << 8 | src << 16 | shift << 24, immLo, immHi
+   */
+  packSuperscalar(programs) {
+    const words = new Uint32Array(GPU_SS_WORDS);
+    programs.forEach((program, p) => {
+      if (program.size > GPU_SS_MAX_SIZE) {
+        throw new Error(`SuperscalarHash program ${p} has ${program.size} instructions`);
+      }
+      words[2 * p] = program.size;
+      words[2 * p + 1] = program.addressRegister;
+      const base = GPU_SS_PROGRAMS + p * GPU_SS_MAX_SIZE * 3;
+      for (let i = 0; i < program.size; i++) {
+        words[base + 3 * i] = (program.type[i] | (program.dst[i] << 8) |
+          (program.src[i] << 16) | (program.shift[i] << 24)) >>> 0;
+        words[base + 3 * i + 1] = program.immLo[i];
+        words[base + 3 * i + 2] = program.immHi[i];
+      }
+    });
+    return words;
+  }
+
+  /**
+   * Upload the program generated by vm.initialize() with its configuration:
+   * group A, the seed, ma/mx, read registers, dataset offset and eMask
+   */
+  uploadProgram(seed) {
+    const { vm } = this;
+    const state = new Uint32Array(GPU_VM_ROUNDING - GPU_VM_A);
+    state.set(vm.aBits, 0);
+    state.set(seed, GPU_VM_SEED - GPU_VM_A);
+    const config = GPU_VM_CONFIG - GPU_VM_A;
+    state[config] = vm.ma;
+    state[config + 1] = vm.mx;
+    state.set(vm.readReg, config + 2);
+    state[config + 6] = vm.datasetOffset;
+    state.set(vm.eMask, config + 7);
+    state[config + 11] = this.datasetReady ? 0 : 1; // Compute items from the cache
+    this.device.queue.writeBuffer(this.vmBuffer, GPU_VM_A * 4, state);
+
+    const { op, dst, src, shift, memMask, immLo, immHi, target, condMask } = vm.program;
+    const program = new Uint32Array(GPU_VM_WORDS - GPU_VM_PROGRAM);
+    for (let i = 0; i < 256; i++) {
+      const o = i * GPU_INSTR_WORDS;
+      program[o] = (op[i] | (dst[i] << 8) | (src[i] << 16) | (shift[i] << 24)) >>> 0;
+      program[o + 1] = memMask[i];
+      program[o + 2] = immLo[i];
+      program[o + 3] = immHi[i];
+      program[o + 4] = target[i];
+      program[o + 5] = condMask[i];
+    }
+    this.device.queue.writeBuffer(this.vmBuffer, GPU_VM_PROGRAM * 4, program);
+  }
+
+  /**
+   * Run kernels in order, then read back the register file and seed
+   * NOTE: Every readback stalls until the GPU queue drains
+   */
+  async dispatch(pipelines) {
+    const encoder = this.device.createCommandEncoder();
+    for (const pipeline of pipelines) {
+      const pass = encoder.beginComputePass();
+      pass.setPipeline(pipeline);
+      pass.setBindGroup(0, this.bindGroup);
+      pass.dispatchWorkgroups(1);
+      pass.end();
     }
-    
-    readBuffer.unmap();
-    readBuffer.destroy();
-    
-    return mixed;
+    encoder.copyBufferToBuffer(this.vmBuffer, 0, this.readBuffer, 0, GPU_READBACK_WORDS * 4);
+    this.device.queue.submit([encoder.finish()]);
+
+    await this.readBuffer.mapAsync(GPUMapMode.READ);
+    const words = new Uint32Array(this.readBuffer.getMappedRange().slice(0));
+    this.readBuffer.unmap();
+    return words;
   }
 
   /**
-   * Program execution (CPU-based)
-   * GPU shaders cannot efficiently handle the complex operations RandomX requires
+   * Calculate the RandomX hash of the input on the GPU (spec 4.1)
+   *
+   * Per hash: one scratchpad fill, 8 program executions with a Blake2b of
+   * the register file on the CPU in between, and one scratchpad fingerprint.
    */
-  async programExecution(hash, round) {
-    for (let i = 0; i < 4; i++) {
-      hash = await this.sha256Mix(hash, round * 4 + i);
+  async calculateHash(input) {
+    if (!this.initialized) {
+      throw new Error('RandomX WebGPU not initialized. Call init() first.');
+    }
+
+    // Convert input to bytes
+    const inputBytes = input instanceof Uint8Array
+      ? input
+      : this.stringToBytes(input);
+
+    const startTime = performance.now();
+    const seed = new Uint32Array(gpuCrypto.blake2b(inputBytes, 64).buffer);
+    const { queue } = this.device;
+    queue.writeBuffer(this.vmBuffer, GPU_VM_SEED * 4, seed);
+    queue.writeBuffer(this.vmBuffer, GPU_VM_ROUNDING * 4, new Uint32Array(1));
+    seed.set((await this.dispatch([this.scratchpadMixPipeline])).subarray(GPU_VM_SEED, GPU_VM_SEED + 16));
+
+    let registers = null;
+    for (let chain = 0; chain < 8; chain++) {
+      this.vm.initialize(seed);
+      this.uploadProgram(seed);
+      const last = chain === 7;
+      registers = await this.dispatch(last
+        ? [this.programExecutionPipeline, this.scratchpadHashPipeline]
+        : [this.programExecutionPipeline]);
+      if (!last) {
+        seed.set(new Uint32Array(gpuCrypto.blake2b(this.registerFile(registers), 64).buffer));
+      }
     }
-    return hash;
+
+    const hash = gpuCrypto.blake2b(this.registerFile(registers), 32);
+    this.hashCount++;
+    this.computeTimeMs += performance.now() - startTime;
+    return this.bytesToHex(hash);
   }
 
   /**
-   * SHA256 with mixing
+   * The 256-byte register file (r, f, e, a) from a readback
    */
-  async sha256Mix(data, nonce) {
-    const nonceBytes = new Uint8Array([
-      nonce & 0xFF,
-      (nonce >> 8) & 0xFF,
-      (nonce >> 16) & 0xFF,
-      (nonce >> 24) & 0xFF
-    ]);
-    const combined = new Uint8Array(data.length + nonceBytes.length);
-    combined.set(data);
-    combined.set(nonceBytes, data.length);
-    return await this.sha256(combined);
+  registerFile(words) {
+    return new Uint8Array(words.buffer, words.byteOffset, 256);
   }
 
   /**
-   * SHA256 hash function (uses Web Crypto API, not GPU)
+   * Average time spent computing one hash, excluding any caller overhead
    */
-  async sha256(data) {
-    const hashBuffer = await crypto.subtle.digest('SHA-256', data);
-    return new Uint8Array(hashBuffer);
+  getAverageHashTimeMs() {
+    return this.hashCount > 0 ? this.computeTimeMs / this.hashCount : 0;
   }
 
   /**
@@ -371,13 +462,6 @@ class RandomXWebGPUModule {
       .join('');
   }
 
-  /**
-   * Sleep utility
-   */
-  sleep(ms) {
-    return new Promise(resolve => setTimeout(resolve, ms));
-  }
-
   /**
    * Get memory usage info
    */
@@ -397,28 +481,26 @@ class RandomXWebGPUModule {
    * Release GPU resources
    */
   destroy() {
-    if (this.scratchpadBuffer) {
-      this.scratchpadBuffer.destroy();
-      this.scratchpadBuffer = null;
-    }
-    if (this.cacheBuffer) {
-      this.cacheBuffer.destroy();
-      this.cacheBuffer = null;
-    }
-    if (this.datasetBuffer) {
-      this.datasetBuffer.destroy();
-      this.datasetBuffer = null;
-    }
-    if (this.hashBuffer) {
-      this.hashBuffer.destroy();
-      this.hashBuffer = null;
+    for (const name of ['scratchpadBuffer', 'vmBuffer', 'constsBuffer', 'memoryBuffer', 'superscalarBuffer', 'readBuffer']) {
+      if (this[name]) {
+        this[name].destroy();
+        this[name] = null;
+      }
     }
     if (this.device) {
       this.device.destroy();
       this.device = null;
     }
+    this.scratchpadMixPipeline = null;
+    this.scratchpadHashPipeline = null;
+    this.programExecutionPipeline = null;
+    this.bindGroupLayout = null;
+    this.bindGroup = null;
+    this.vm = null;
     this.adapter = null;
+    this.datasetReady = false;
     this.initialized = false;
+    this.seedKey = null;
   }
 }
 
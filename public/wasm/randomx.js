@@ -1,256 +1,1948 @@
 /**
- * RandomX-Lite WASM Simulation
- * 
- * This is a simplified simulation of RandomX algorithm characteristics for educational purposes.
- * It demonstrates:
- * - Memory-hard characteristics (large scratchpad)
- * - CPU-intensive hashing operations
- * - Initialization overhead
- * - Realistic performance profiles
- * - Both light mode (256MB) and fast mode (2GB+) support
- * 
- * For production use, this should be replaced with the official RandomX WASM implementation.
- * See: https://github.com/tevador/RandomX
+ * RandomX Proof-of-Work (JavaScript implementation)
+ *
+ * A spec-conformant implementation of the RandomX algorithm used by Monero,
+ * written in plain JavaScript so it runs unmodified inside a Web Worker.
+ * It reproduces the official RandomX test vectors and implements:
+ * - Argon2d cache initialization (256 MiB)
+ * - SuperscalarHash programs and dataset item generation
+ * - The RandomX virtual machine (program generator + interpreter)
+ * - AesGenerator1R/4R, AesHash1R and Blake2b finalization
+ * - Light mode (dataset items computed on the fly from the cache)
+ * - Fast mode (full 2080 MiB dataset computed up front)
+ *
+ * 64-bit integers are handled as pairs of 32-bit halves (lo, hi) and the
+ * floating-point rounding modes required by CFROUND are emulated on top of
+ * JavaScript's round-to-nearest arithmetic. Little-endian typed arrays are
+ * assumed, which holds for every browser platform in practice.
+ *
+ * Requires /crypto-primitives.js to be loaded first (Blake2b, Argon2d, AES).
+ *
+ * Reference: https://github.com/tevador/RandomX/blob/master/doc/specs.md
  */
 
-// Constants for VM execution rounds
-const LIGHT_MODE_ROUNDS = 8;  // More rounds for light mode (slower but less memory)
-const FAST_MODE_ROUNDS = 4;   // Fewer rounds for fast mode (faster with dataset)
+// RandomX parameters (Monero configuration)
+const RANDOMX_ARGON_MEMORY = 262144;       // KiB (number of 1 KiB Argon2 blocks)
+const RANDOMX_ARGON_ITERATIONS = 3;
+const RANDOMX_ARGON_LANES = 1;
+const RANDOMX_ARGON_SALT = 'RandomX\x03';
+const RANDOMX_CACHE_ACCESSES = 8;
+const RANDOMX_SUPERSCALAR_LATENCY = 170;
+const RANDOMX_DATASET_BASE_SIZE = 2147483648;
+const RANDOMX_DATASET_EXTRA_SIZE = 33554368;
+const RANDOMX_PROGRAM_SIZE = 256;
+const RANDOMX_PROGRAM_ITERATIONS = 2048;
+const RANDOMX_PROGRAM_COUNT = 8;
+const RANDOMX_SCRATCHPAD_L3 = 2097152;
+const RANDOMX_SCRATCHPAD_L2 = 262144;
+const RANDOMX_SCRATCHPAD_L1 = 16384;
+const RANDOMX_JUMP_BITS = 8;
+const RANDOMX_JUMP_OFFSET = 8;
+const RANDOMX_HASH_SIZE = 32;
+
+// Derived sizes
+const RANDOMX_CACHE_SIZE = RANDOMX_ARGON_MEMORY * 1024;
+const RANDOMX_DATASET_SIZE = RANDOMX_DATASET_BASE_SIZE + RANDOMX_DATASET_EXTRA_SIZE;
+const RANDOMX_DATASET_ITEM_COUNT = RANDOMX_DATASET_SIZE / 64;
+const RANDOMX_CACHE_LINE_MASK = RANDOMX_CACHE_SIZE / 64 - 1;
+const RANDOMX_DATASET_EXTRA_ITEMS = RANDOMX_DATASET_EXTRA_SIZE / 64;
+const RANDOMX_CACHE_LINE_ALIGN_MASK = (RANDOMX_DATASET_BASE_SIZE - 1) & ~63;
+const RANDOMX_SCRATCHPAD_L1_MASK = (RANDOMX_SCRATCHPAD_L1 - 1) & ~7;
+const RANDOMX_SCRATCHPAD_L2_MASK = (RANDOMX_SCRATCHPAD_L2 - 1) & ~7;
+const RANDOMX_SCRATCHPAD_L3_MASK = (RANDOMX_SCRATCHPAD_L3 - 1) & ~7;
+const RANDOMX_SCRATCHPAD_L3_MASK64 = (RANDOMX_SCRATCHPAD_L3 - 1) & ~63;
+const RANDOMX_CONDITION_MASK = (1 << RANDOMX_JUMP_BITS) - 1;
+const RANDOMX_STORE_L3_CONDITION = 14;
+const RANDOMX_PROGRAM_BYTES = 128 + 8 * RANDOMX_PROGRAM_SIZE;
+
 const DATASET_PROGRESS_INTERVAL = 10;  // Report progress every 10% during dataset generation
+const DATASET_YIELD_ITEMS = 65536;     // Yield to the event loop every 4 MiB of dataset
+// Work between yields while hashing carries on (a few ms each in a browser)
+const KEY_BUILD_YIELD_BLOCKS = 64;     // Argon2d blocks (64 KiB of cache)
+const DATASET_REBUILD_YIELD_ITEMS = 256;
+
+// Blake2b, Argon2d and AES rounds come from the shared primitives module:
+// a global when loaded with importScripts, a dependency under CommonJS
+const rxCrypto = typeof CryptoPrimitives !== 'undefined'
+  ? CryptoPrimitives
+  : require('../crypto-primitives.js');
+
+/* ------------------------------------------------------------------------- */
+/* 64-bit helpers (values are passed as unsigned 32-bit lo/hi halves)        */
+/* ------------------------------------------------------------------------- */
+
+// Scratch outputs of the multiplication helpers (avoids allocating results)
+let rxMulLo = 0;
+let rxMulHi = 0;
+
+/**
+ * Full 32x32 -> 64-bit unsigned multiplication
+ */
+function rxMul32(a, b) {
+  const a0 = a & 0xFFFF, a1 = a >>> 16;
+  const b0 = b & 0xFFFF, b1 = b >>> 16;
+  const t = a0 * b0;
+  const m1 = a1 * b0;
+  const m2 = a0 * b1;
+  const mid = (t >>> 16) + (m1 & 0xFFFF) + (m2 & 0xFFFF);
+  rxMulLo = ((mid << 16) | (t & 0xFFFF)) >>> 0;
+  rxMulHi = (a1 * b1 + (m1 >>> 16) + (m2 >>> 16) + (mid >>> 16)) >>> 0;
+}
+
+/**
+ * Low 64 bits of a 64x64-bit multiplication
+ */
+function rxMul64(alo, ahi, blo, bhi) {
+  rxMul32(alo, blo);
+  rxMulHi = (rxMulHi + Math.imul(alo, bhi) + Math.imul(ahi, blo)) >>> 0;
+}
+
+/**
+ * High 64 bits of an unsigned 64x64-bit multiplication
+ */
+function rxMulHigh64(alo, ahi, blo, bhi) {
+  rxMul32(alo, blo);
+  const p00h = rxMulHi;
+  rxMul32(alo, bhi);
+  const p01l = rxMulLo, p01h = rxMulHi;
+  rxMul32(ahi, blo);
+  const p10l = rxMulLo, p10h = rxMulHi;
+  rxMul32(ahi, bhi);
+  const p11l = rxMulLo, p11h = rxMulHi;
+  const w1 = p00h + p01l + p10l;
+  const w2 = p01h + p10h + p11l + Math.floor(w1 / 4294967296);
+  rxMulLo = w2 >>> 0;
+  rxMulHi = (p11h + Math.floor(w2 / 4294967296)) >>> 0;
+}
+
+/**
+ * High 64 bits of a signed 64x64-bit multiplication
+ */
+function rxSignedMulHigh64(alo, ahi, blo, bhi) {
+  rxMulHigh64(alo, ahi, blo, bhi);
+  let lo = rxMulLo, hi = rxMulHi;
+  if (ahi & 0x80000000) {
+    const borrow = lo < blo ? 1 : 0;
+    lo = (lo - blo) >>> 0;
+    hi = (hi - bhi - borrow) >>> 0;
+  }
+  if (bhi & 0x80000000) {
+    const borrow = lo < alo ? 1 : 0;
+    lo = (lo - alo) >>> 0;
+    hi = (hi - ahi - borrow) >>> 0;
+  }
+  rxMulLo = lo;
+  rxMulHi = hi;
+}
+
+/**
+ * randomx_reciprocal: floor(2^x / divisor) for the largest x that fits in 64 bits
+ * Returns [lo, hi] halves. Only called while compiling programs, so BigInt is fine.
+ */
+function rxReciprocal(divisor) {
+  const d = BigInt(divisor >>> 0);
+  const p2exp63 = 1n << 63n;
+  const q = p2exp63 / d;
+  const r = p2exp63 % d;
+  const shift = BigInt((divisor >>> 0).toString(2).length);
+  const rcp = ((q << shift) + ((r << shift) / d)) & 0xFFFFFFFFFFFFFFFFn;
+  return [Number(rcp & 0xFFFFFFFFn), Number(rcp >> 32n)];
+}
+
+function rxIsZeroOrPowerOf2(x) {
+  return ((x & (x - 1)) >>> 0) === 0;
+}
+
+/* ------------------------------------------------------------------------- */
+/* RandomX AES generators                                                    */
+/* ------------------------------------------------------------------------- */
+
+// Generator keys as little-endian 32-bit words. They are derived from
+// Blake2b hashes of fixed strings (see the RandomX specification, chapter 3):
+//   AesGenerator1R keys    = Blake2b-512("RandomX AesGenerator1R keys")
+//   AesGenerator4R keys 0-3 = Blake2b-512("RandomX AesGenerator4R keys 0-3")
+//   AesGenerator4R keys 4-7 = Blake2b-512("RandomX AesGenerator4R keys 4-7")
+//   AesHash1R state        = Blake2b-512("RandomX AesHash1R state")
+//   AesHash1R xkeys        = Blake2b-256("RandomX AesHash1R xkeys")
+const AES_GEN_1R_KEYS = new Uint32Array([
+  0x6daca553, 0x62716609, 0xdbb5552b, 0xb4f44917,
+  0x6d7caf07, 0x846a710d, 0x1725d378, 0x0da1dc4e,
+  0x3f1262f1, 0x9f947ec6, 0xf4c0794f, 0x3e20e345,
+  0x6aef8135, 0xb1ba317c, 0x16314c88, 0x49169154
+]);
+
+const AES_GEN_4R_KEYS = new Uint32Array([
+  0x6421aadd, 0xd1833ddb, 0x2f546d2b, 0x99e5d23f,
+  0xb20e3450, 0xb6913f55, 0x06f79d53, 0xa5dfcde5,
+  0x5c3ed904, 0x515e7baf, 0x0aa4679f, 0x171c02bf,
+  0x85623763, 0xe78f5d08, 0xcd673785, 0xd8ded291,
+  0xb5826f73, 0xe3d6a7a6, 0x3d518b6d, 0x229effb4,
+  0xc7566bf3, 0x9c10b3d9, 0xe9024d4e, 0xb272b7d2,
+  0xf273c9e7, 0xf765a38b, 0x2ba9660a, 0xf63befa7,
+  0x7a7cd609, 0x915839de, 0x0c06d1fd, 0xc0b0762d
+]);
+
+const AES_HASH_1R_STATE = new Uint32Array([
+  0x92b52c0d, 0x9fa856de, 0xcc82db47, 0xd7983aad,
+  0x338d996e, 0x15c7b798, 0xf59e125a, 0xace78057,
+  0x6a770017, 0xae62c7d0, 0x5079506b, 0xe8a07ce4,
+  0x630a240c, 0x07ad828d, 0x79a10005, 0x7e994948
+]);
+
+const AES_HASH_1R_XKEYS = new Uint32Array([
+  0xf6fa8389, 0x8b24949f, 0x90dc56bf, 0x06890201,
+  0x61b263d1, 0x51f4e03c, 0xee1043c6, 0xed18f99b
+]);
+
+/**
+ * AesGenerator1R: fills `output` (Uint32Array, multiple of 16 words) from a
+ * 64-byte state. The state is updated in place.
+ */
+function fillAes1Rx4(state, output) {
+  const { aesEncRound, aesDecRound } = rxCrypto;
+  const K = AES_GEN_1R_KEYS;
+  for (let i = 0; i < output.length; i += 16) {
+    aesDecRound(state, 0, K, 0);
+    aesEncRound(state, 4, K, 4);
+    aesDecRound(state, 8, K, 8);
+    aesEncRound(state, 12, K, 12);
+    output.set(state, i);
+  }
+}
+
+/**
+ * AesGenerator4R: fills `output` from a 64-byte state (4 rounds per column).
+ * Used for program generation; the caller's state is left untouched.
+ */
+function fillAes4Rx4(seed, output) {
+  const { aesEncRound, aesDecRound } = rxCrypto;
+  const K = AES_GEN_4R_KEYS;
+  const state = new Uint32Array(seed);
+  for (let i = 0; i < output.length; i += 16) {
+    for (let r = 0; r < 4; r++) {
+      aesDecRound(state, 0, K, 4 * r);
+      aesEncRound(state, 4, K, 4 * r);
+      aesDecRound(state, 8, K, 16 + 4 * r);
+      aesEncRound(state, 12, K, 16 + 4 * r);
+    }
+    output.set(state, i);
+  }
+}
+
+/**
+ * AesHash1R: 64-byte fingerprint of `input` (Uint32Array, multiple of 16 words)
+ */
+function hashAes1Rx4(input, output) {
+  const { aesEncRound, aesDecRound } = rxCrypto;
+  const state = new Uint32Array(AES_HASH_1R_STATE);
+  for (let i = 0; i < input.length; i += 16) {
+    aesEncRound(state, 0, input, i);
+    aesDecRound(state, 4, input, i + 4);
+    aesEncRound(state, 8, input, i + 8);
+    aesDecRound(state, 12, input, i + 12);
+  }
+  const X = AES_HASH_1R_XKEYS;
+  for (let k = 0; k < 8; k += 4) {
+    aesEncRound(state, 0, X, k);
+    aesDecRound(state, 4, X, k);
+    aesEncRound(state, 8, X, k);
+    aesDecRound(state, 12, X, k);
+  }
+  output.set(state);
+}
+
+/* ------------------------------------------------------------------------- */
+/* Blake2Generator and SuperscalarHash                                       */
+/* ------------------------------------------------------------------------- */
+
+/**
+ * Pseudo-random byte generator used to build SuperscalarHash programs
+ */
+class Blake2Generator {
+  constructor(seed, nonce = 0) {
+    this.data = new Uint8Array(64);
+    this.data.set(seed.subarray(0, 60));
+    new DataView(this.data.buffer).setUint32(60, nonce, true);
+    this.dataIndex = 64;
+  }
+
+  checkData(bytesNeeded) {
+    if (this.dataIndex + bytesNeeded > 64) {
+      this.data = rxCrypto.blake2b(this.data, 64);
+      this.dataIndex = 0;
+    }
+  }
+
+  getByte() {
+    this.checkData(1);
+    return this.data[this.dataIndex++];
+  }
+
+  getUInt32() {
+    this.checkData(4);
+    const d = this.data, i = this.dataIndex;
+    this.dataIndex += 4;
+    return (d[i] | (d[i + 1] << 8) | (d[i + 2] << 16) | (d[i + 3] << 24)) >>> 0;
+  }
+}
+
+// SuperscalarHash instruction types
+const SS_ISUB_R = 0;
+const SS_IXOR_R = 1;
+const SS_IADD_RS = 2;
+const SS_IMUL_R = 3;
+const SS_IROR_C = 4;
+const SS_IADD_C7 = 5;
+const SS_IXOR_C7 = 6;
+const SS_IADD_C8 = 7;
+const SS_IXOR_C8 = 8;
+const SS_IADD_C9 = 9;
+const SS_IXOR_C9 = 10;
+const SS_IMULH_R = 11;
+const SS_ISMULH_R = 12;
+const SS_IMUL_RCP = 13;
+const SS_INVALID = -1;
+
+// Execution ports of the simulated CPU (bit mask)
+const PORT_P0 = 1;
+const PORT_P1 = 2;
+const PORT_P5 = 4;
+const PORT_P01 = PORT_P0 | PORT_P1;
+const PORT_P05 = PORT_P0 | PORT_P5;
+const PORT_P015 = PORT_P0 | PORT_P1 | PORT_P5;
+
+const SS_CYCLE_MAP_SIZE = RANDOMX_SUPERSCALAR_LATENCY + 4;
+const SS_LOOK_FORWARD_CYCLES = 4;
+const SS_MAX_THROWAWAY_COUNT = 256;
+const SS_MAX_SIZE = 3 * RANDOMX_SUPERSCALAR_LATENCY + 2;
+const SS_REGISTER_NEEDS_DISPLACEMENT = 5;
+
+// Macro-ops as produced by the x86 decoder: size in bytes, latency, uOP ports
+const macroOp = (size, latency = 0, uop1 = 0, uop2 = 0, dependent = false) =>
+  ({ size, latency, uop1, uop2, dependent });
+const MOP_ADD_RR = macroOp(3, 1, PORT_P015);
+const MOP_SUB_RR = macroOp(3, 1, PORT_P015);
+const MOP_XOR_RR = macroOp(3, 1, PORT_P015);
+const MOP_IMUL_R = macroOp(3, 4, PORT_P1, PORT_P5);
+const MOP_MUL_R = macroOp(3, 4, PORT_P1, PORT_P5);
+const MOP_MOV_RR = macroOp(3);
+const MOP_LEA_SIB = macroOp(4, 1, PORT_P01);
+const MOP_IMUL_RR = macroOp(4, 3, PORT_P1);
+const MOP_ROR_RI = macroOp(4, 1, PORT_P05);
+const MOP_ADD_RI = macroOp(7, 1, PORT_P015);
+const MOP_XOR_RI = macroOp(7, 1, PORT_P015);
+const MOP_MOV_RI64 = macroOp(10, 1, PORT_P015);
+const MOP_IMUL_RR_DEP = macroOp(4, 3, PORT_P1, 0, true);
+
+const ssInfo = (type, ops, resultOp = 0, dstOp = 0, srcOp = 0) =>
+  ({ type, ops, resultOp, dstOp, srcOp });
+const SS_INFO = {
+  ISUB_R: ssInfo(SS_ISUB_R, [MOP_SUB_RR]),
+  IXOR_R: ssInfo(SS_IXOR_R, [MOP_XOR_RR]),
+  IADD_RS: ssInfo(SS_IADD_RS, [MOP_LEA_SIB]),
+  IMUL_R: ssInfo(SS_IMUL_R, [MOP_IMUL_RR]),
+  IROR_C: ssInfo(SS_IROR_C, [MOP_ROR_RI], 0, 0, -1),
+  IADD_C7: ssInfo(SS_IADD_C7, [MOP_ADD_RI], 0, 0, -1),
+  IXOR_C7: ssInfo(SS_IXOR_C7, [MOP_XOR_RI], 0, 0, -1),
+  IADD_C8: ssInfo(SS_IADD_C8, [MOP_ADD_RI], 0, 0, -1),
+  IXOR_C8: ssInfo(SS_IXOR_C8, [MOP_XOR_RI], 0, 0, -1),
+  IADD_C9: ssInfo(SS_IADD_C9, [MOP_ADD_RI], 0, 0, -1),
+  IXOR_C9: ssInfo(SS_IXOR_C9, [MOP_XOR_RI], 0, 0, -1),
+  IMULH_R: ssInfo(SS_IMULH_R, [MOP_MOV_RR, MOP_MUL_R, MOP_MOV_RR], 1, 0, 1),
+  ISMULH_R: ssInfo(SS_ISMULH_R, [MOP_MOV_RR, MOP_IMUL_R, MOP_MOV_RR], 1, 0, 1),
+  IMUL_RCP: ssInfo(SS_IMUL_RCP, [MOP_MOV_RI64, MOP_IMUL_RR_DEP], 1, 1, -1),
+  NOP: ssInfo(SS_INVALID, [])
+};
+
+const SS_SLOT_3 = [SS_INFO.ISUB_R, SS_INFO.IXOR_R];
+const SS_SLOT_3L = [SS_INFO.ISUB_R, SS_INFO.IXOR_R, SS_INFO.IMULH_R, SS_INFO.ISMULH_R];
+const SS_SLOT_4 = [SS_INFO.IROR_C, SS_INFO.IADD_RS];
+const SS_SLOT_7 = [SS_INFO.IXOR_C7, SS_INFO.IADD_C7];
+const SS_SLOT_8 = [SS_INFO.IXOR_C8, SS_INFO.IADD_C8];
+const SS_SLOT_9 = [SS_INFO.IXOR_C9, SS_INFO.IADD_C9];
+
+// Ways to split a 16-byte decode window into 3 or 4 x86 instructions
+const DECODE_484 = { index: 0, counts: [4, 8, 4] };
+const DECODE_7333 = { index: 1, counts: [7, 3, 3, 3] };
+const DECODE_3733 = { index: 2, counts: [3, 7, 3, 3] };
+const DECODE_493 = { index: 3, counts: [4, 9, 3] };
+const DECODE_4444 = { index: 4, counts: [4, 4, 4, 4] };
+const DECODE_3310 = { index: 5, counts: [3, 3, 10] };
+const DECODE_RANDOM = [DECODE_484, DECODE_7333, DECODE_3733, DECODE_493];
+
+function ssFetchNextBuffer(instrType, cycle, mulCount, gen) {
+  // IMULH needs a 3-3-10 window (the 128-bit multiply decodes to 2 uOPs)
+  if (instrType === SS_IMULH_R || instrType === SS_ISMULH_R) {
+    return DECODE_3310;
+  }
+  // Keep the multiplication port saturated
+  if (mulCount < cycle + 1) {
+    return DECODE_4444;
+  }
+  // IMUL_RCP continues with a 4-byte multiplication slot
+  if (instrType === SS_IMUL_RCP) {
+    return (gen.getByte() & 1) ? DECODE_484 : DECODE_493;
+  }
+  return DECODE_RANDOM[gen.getByte() % DECODE_RANDOM.length];
+}
+
+function ssScheduleUop(uop, portBusy, cycle, commit) {
+  // Ports are checked in the order P5 -> P0 -> P1 to avoid overloading P1
+  for (; cycle < SS_CYCLE_MAP_SIZE; cycle++) {
+    const base = cycle * 3;
+    if ((uop & PORT_P5) !== 0 && !portBusy[base + 2]) {
+      if (commit) portBusy[base + 2] = uop;
+      return cycle;
+    }
+    if ((uop & PORT_P0) !== 0 && !portBusy[base]) {
+      if (commit) portBusy[base] = uop;
+      return cycle;
+    }
+    if ((uop & PORT_P1) !== 0 && !portBusy[base + 1]) {
+      if (commit) portBusy[base + 1] = uop;
+      return cycle;
+    }
+  }
+  return -1;
+}
+
+function ssScheduleMop(mop, portBusy, cycle, depCycle, commit) {
+  if (mop.dependent) {
+    cycle = Math.max(cycle, depCycle);
+  }
+  if (mop.uop1 === 0) {
+    // mov instructions are eliminated and need no execution unit
+    return cycle;
+  }
+  if (mop.uop2 === 0) {
+    return ssScheduleUop(mop.uop1, portBusy, cycle, commit);
+  }
+  // Both uOPs must execute in the same cycle
+  for (; cycle < SS_CYCLE_MAP_SIZE; cycle++) {
+    const cycle1 = ssScheduleUop(mop.uop1, portBusy, cycle, false);
+    const cycle2 = ssScheduleUop(mop.uop2, portBusy, cycle, false);
+    if (cycle1 >= 0 && cycle1 === cycle2) {
+      if (commit) {
+        ssScheduleUop(mop.uop1, portBusy, cycle1, true);
+        ssScheduleUop(mop.uop2, portBusy, cycle2, true);
+      }
+      return cycle1;
+    }
+  }
+  return -1;
+}
+
+function ssSelectRegister(available, gen) {
+  if (available.length === 0) return -1;
+  const index = available.length > 1 ? gen.getUInt32() % available.length : 0;
+  return available[index];
+}
+
+/**
+ * A SuperscalarHash instruction under construction (one or more macro-ops)
+ */
+class SuperscalarInstruction {
+  constructor() {
+    this.info = SS_INFO.NOP;
+    this.reset();
+  }
+
+  reset() {
+    this.src = -1;
+    this.dst = -1;
+    this.mod = 0;
+    this.imm32 = 0;
+    this.opGroup = SS_INVALID;
+    this.opGroupPar = -1;
+    this.canReuse = false;
+    this.groupParIsSource = false;
+  }
+
+  createForSlot(gen, slotSize, fetchType, isLast) {
+    switch (slotSize) {
+      case 3:
+        // The last slot may also hold a high multiplication
+        if (isLast) {
+          this.create(SS_SLOT_3L[gen.getByte() & 3], gen);
+        } else {
+          this.create(SS_SLOT_3[gen.getByte() & 1], gen);
+        }
+        break;
+      case 4:
+        // The 4-4-4-4 window issues multiplications in its first 3 slots
+        if (fetchType === DECODE_4444.index && !isLast) {
+          this.create(SS_INFO.IMUL_R, gen);
+        } else {
+          this.create(SS_SLOT_4[gen.getByte() & 1], gen);
+        }
+        break;
+      case 7:
+        this.create(SS_SLOT_7[gen.getByte() & 1], gen);
+        break;
+      case 8:
+        this.create(SS_SLOT_8[gen.getByte() & 1], gen);
+        break;
+      case 9:
+        this.create(SS_SLOT_9[gen.getByte() & 1], gen);
+        break;
+      case 10:
+        this.create(SS_INFO.IMUL_RCP, gen);
+        break;
+      default:
+        throw new Error(`Invalid decode slot size: ${slotSize}`);
+    }
+  }
+
+  create(info, gen) {
+    this.info = info;
+    this.src = -1;
+    this.dst = -1;
+    this.canReuse = false;
+    this.groupParIsSource = false;
+    switch (info.type) {
+      case SS_ISUB_R:
+        this.mod = 0;
+        this.imm32 = 0;
+        this.opGroup = SS_IADD_RS;
+        this.groupParIsSource = true;
+        break;
+      case SS_IXOR_R:
+        this.mod = 0;
+        this.imm32 = 0;
+        this.opGroup = SS_IXOR_R;
+        this.groupParIsSource = true;
+        break;
+      case SS_IADD_RS:
+        this.mod = gen.getByte();
+        this.imm32 = 0;
+        this.opGroup = SS_IADD_RS;
+        this.groupParIsSource = true;
+        break;
+      case SS_IMUL_R:
+        this.mod = 0;
+        this.imm32 = 0;
+        this.opGroup = SS_IMUL_R;
+        this.groupParIsSource = true;
+        break;
+      case SS_IROR_C:
+        this.mod = 0;
+        do {
+          this.imm32 = gen.getByte() & 63;
+        } while (this.imm32 === 0);
+        this.opGroup = SS_IROR_C;
+        this.opGroupPar = -1;
+        break;
+      case SS_IADD_C7:
+      case SS_IADD_C8:
+      case SS_IADD_C9:
+        this.mod = 0;
+        this.imm32 = gen.getUInt32();
+        this.opGroup = SS_IADD_C7;
+        this.opGroupPar = -1;
+        break;
+      case SS_IXOR_C7:
+      case SS_IXOR_C8:
+      case SS_IXOR_C9:
+        this.mod = 0;
+        this.imm32 = gen.getUInt32();
+        this.opGroup = SS_IXOR_C7;
+        this.opGroupPar = -1;
+        break;
+      case SS_IMULH_R:
+        this.canReuse = true;
+        this.mod = 0;
+        this.imm32 = 0;
+        this.opGroup = SS_IMULH_R;
+        this.opGroupPar = gen.getUInt32() | 0;
+        break;
+      case SS_ISMULH_R:
+        this.canReuse = true;
+        this.mod = 0;
+        this.imm32 = 0;
+        this.opGroup = SS_ISMULH_R;
+        this.opGroupPar = gen.getUInt32() | 0;
+        break;
+      case SS_IMUL_RCP:
+        this.mod = 0;
+        do {
+          this.imm32 = gen.getUInt32();
+        } while (rxIsZeroOrPowerOf2(this.imm32));
+        this.opGroup = SS_IMUL_RCP;
+        this.opGroupPar = -1;
+        break;
+      default:
+        break;
+    }
+  }
+
+  selectDestination(cycle, allowChainedMul, registers, gen) {
+    const available = [];
+    for (let i = 0; i < 8; i++) {
+      const reg = registers[i];
+      if (reg.latency <= cycle &&
+          (this.canReuse || i !== this.src) &&
+          (allowChainedMul || this.opGroup !== SS_IMUL_R || reg.lastOpGroup !== SS_IMUL_R) &&
+          (reg.lastOpGroup !== this.opGroup || reg.lastOpPar !== this.opGroupPar) &&
+          (this.info.type !== SS_IADD_RS || i !== SS_REGISTER_NEEDS_DISPLACEMENT)) {
+        available.push(i);
+      }
+    }
+    const reg = ssSelectRegister(available, gen);
+    if (reg < 0) return false;
+    this.dst = reg;
+    return true;
+  }
+
+  selectSource(cycle, registers, gen) {
+    const available = [];
+    for (let i = 0; i < 8; i++) {
+      if (registers[i].latency <= cycle) available.push(i);
+    }
+    // r5 cannot be the destination of IADD_RS, so prefer it as the source
+    if (available.length === 2 && this.info.type === SS_IADD_RS) {
+      if (available[0] === SS_REGISTER_NEEDS_DISPLACEMENT || available[1] === SS_REGISTER_NEEDS_DISPLACEMENT) {
+        this.opGroupPar = this.src = SS_REGISTER_NEEDS_DISPLACEMENT;
+        return true;
+      }
+    }
+    const reg = ssSelectRegister(available, gen);
+    if (reg < 0) return false;
+    this.src = reg;
+    if (this.groupParIsSource) this.opGroupPar = reg;
+    return true;
+  }
+
+  toInstruction() {
+    return {
+      type: this.info.type,
+      dst: this.dst,
+      src: this.src >= 0 ? this.src : this.dst,
+      mod: this.mod,
+      imm32: this.imm32 >>> 0
+    };
+  }
+}
+
+/**
+ * Generate a SuperscalarHash program by simulating an out-of-order x86 CPU
+ */
+function generateSuperscalar(gen) {
+  const portBusy = new Uint8Array(SS_CYCLE_MAP_SIZE * 3);
+  const registers = Array.from({ length: 8 }, () => ({ latency: 0, lastOpGroup: SS_INVALID, lastOpPar: -1 }));
+  const program = [];
+
+  let decodeBuffer = null;
+  const current = new SuperscalarInstruction();
+  let macroOpIndex = 0;
+  let cycle = 0;
+  let depCycle = 0;
+  let portsSaturated = false;
+  let mulCount = 0;
+  let throwAwayCount = 0;
+
+  for (let decodeCycle = 0;
+    decodeCycle < RANDOMX_SUPERSCALAR_LATENCY && !portsSaturated && program.length < SS_MAX_SIZE;
+    decodeCycle++) {
+
+    decodeBuffer = ssFetchNextBuffer(current.info.type, decodeCycle, mulCount, gen);
+    let bufferIndex = 0;
+
+    while (bufferIndex < decodeBuffer.counts.length) {
+      const topCycle = cycle;
+
+      if (macroOpIndex >= current.info.ops.length) {
+        if (portsSaturated || program.length >= SS_MAX_SIZE) break;
+        current.createForSlot(gen, decodeBuffer.counts[bufferIndex], decodeBuffer.index,
+          decodeBuffer.counts.length === bufferIndex + 1);
+        macroOpIndex = 0;
+      }
+      const mop = current.info.ops[macroOpIndex];
+
+      let scheduleCycle = ssScheduleMop(mop, portBusy, cycle, depCycle, false);
+      if (scheduleCycle < 0) {
+        portsSaturated = true;
+        break;
+      }
+
+      if (macroOpIndex === current.info.srcOp) {
+        let forward;
+        for (forward = 0; forward < SS_LOOK_FORWARD_CYCLES && !current.selectSource(scheduleCycle, registers, gen); forward++) {
+          scheduleCycle++;
+          cycle++;
+        }
+        if (forward === SS_LOOK_FORWARD_CYCLES) {
+          if (throwAwayCount < SS_MAX_THROWAWAY_COUNT) {
+            throwAwayCount++;
+            macroOpIndex = current.info.ops.length;
+            continue;
+          }
+          current.info = SS_INFO.NOP;
+          current.reset();
+          break;
+        }
+      }
+
+      if (macroOpIndex === current.info.dstOp) {
+        let forward;
+        for (forward = 0; forward < SS_LOOK_FORWARD_CYCLES && !current.selectDestination(scheduleCycle, throwAwayCount > 0, registers, gen); forward++) {
+          scheduleCycle++;
+          cycle++;
+        }
+        if (forward === SS_LOOK_FORWARD_CYCLES) {
+          if (throwAwayCount < SS_MAX_THROWAWAY_COUNT) {
+            throwAwayCount++;
+            macroOpIndex = current.info.ops.length;
+            continue;
+          }
+          current.info = SS_INFO.NOP;
+          current.reset();
+          break;
+        }
+      }
+      throwAwayCount = 0;
+
+      scheduleCycle = ssScheduleMop(mop, portBusy, scheduleCycle, scheduleCycle, true);
+      if (scheduleCycle < 0) {
+        portsSaturated = true;
+        break;
+      }
+
+      depCycle = scheduleCycle + mop.latency;
+
+      if (macroOpIndex === current.info.resultOp) {
+        const reg = registers[current.dst];
+        reg.latency = depCycle;
+        reg.lastOpGroup = current.opGroup;
+        reg.lastOpPar = current.opGroupPar;
+      }
+      bufferIndex++;
+      macroOpIndex++;
+
+      if (scheduleCycle >= RANDOMX_SUPERSCALAR_LATENCY) {
+        portsSaturated = true;
+      }
+      cycle = topCycle;
+
+      if (macroOpIndex >= current.info.ops.length) {
+        program.push(current.toInstruction());
+        if (current.info.type === SS_IMUL_R || current.info.type === SS_IMULH_R ||
+            current.info.type === SS_ISMULH_R || current.info.type === SS_IMUL_RCP) {
+          mulCount++;
+        }
+      }
+    }
+    cycle++;
+  }
+
+  // The address register is the one with the highest latency on an ideal ASIC
+  const asicLatencies = new Array(8).fill(0);
+  for (const instr of program) {
+    const latDst = asicLatencies[instr.dst] + 1;
+    const latSrc = instr.dst !== instr.src ? asicLatencies[instr.src] + 1 : 0;
+    asicLatencies[instr.dst] = Math.max(latDst, latSrc);
+  }
+  let addressRegister = 0;
+  let asicLatencyMax = 0;
+  for (let i = 0; i < 8; i++) {
+    if (asicLatencies[i] > asicLatencyMax) {
+      asicLatencyMax = asicLatencies[i];
+      addressRegister = i;
+    }
+  }
+
+  return compileSuperscalar(program, addressRegister);
+}
+
+/**
+ * Pack a SuperscalarHash program into typed arrays for fast execution
+ */
+function compileSuperscalar(instructions, addressRegister) {
+  const size = instructions.length;
+  const program = {
+    size,
+    addressRegister,
+    type: new Int8Array(size),
+    dst: new Uint8Array(size),
+    src: new Uint8Array(size),
+    shift: new Uint8Array(size),
+    immLo: new Uint32Array(size),
+    immHi: new Uint32Array(size)
+  };
+  instructions.forEach((instr, i) => {
+    program.type[i] = instr.type;
+    program.dst[i] = instr.dst * 2;
+    program.src[i] = instr.src * 2;
+    switch (instr.type) {
+      case SS_IADD_RS:
+        program.shift[i] = (instr.mod >> 2) & 3;
+        break;
+      case SS_IROR_C:
+        program.shift[i] = instr.imm32 & 63;
+        break;
+      case SS_IADD_C7: case SS_IADD_C8: case SS_IADD_C9:
+      case SS_IXOR_C7: case SS_IXOR_C8: case SS_IXOR_C9:
+        program.immLo[i] = instr.imm32;
+        program.immHi[i] = instr.imm32 & 0x80000000 ? 0xFFFFFFFF : 0;
+        break;
+      case SS_IMUL_RCP: {
+        const [lo, hi] = rxReciprocal(instr.imm32);
+        program.immLo[i] = lo;
+        program.immHi[i] = hi;
+        break;
+      }
+      default:
+        break;
+    }
+  });
+  return program;
+}
+
+/**
+ * Execute a SuperscalarHash program on 8 registers stored as 16 uint32 halves
+ */
+function executeSuperscalar(r, program) {
+  const { size, type, dst, src, shift, immLo, immHi } = program;
+  for (let i = 0; i < size; i++) {
+    const d = dst[i], s = src[i];
+    const dlo = r[d], dhi = r[d + 1];
+    switch (type[i]) {
+      case SS_ISUB_R: {
+        const slo = r[s];
+        r[d] = dlo - slo;
+        r[d + 1] = dhi - r[s + 1] - (dlo < slo ? 1 : 0);
+        break;
+      }
+      case SS_IXOR_R:
+        r[d] = dlo ^ r[s];
+        r[d + 1] = dhi ^ r[s + 1];
+        break;
+      case SS_IADD_RS: {
+        const sh = shift[i];
+        let slo = r[s], shi = r[s + 1];
+        if (sh !== 0) {
+          shi = ((shi << sh) | (slo >>> (32 - sh))) >>> 0;
+          slo = (slo << sh) >>> 0;
+        }
+        const lo = dlo + slo;
+        r[d] = lo;
+        r[d + 1] = dhi + shi + (lo > 0xFFFFFFFF ? 1 : 0);
+        break;
+      }
+      case SS_IMUL_R:
+        rxMul64(dlo, dhi, r[s], r[s + 1]);
+        r[d] = rxMulLo;
+        r[d + 1] = rxMulHi;
+        break;
+      case SS_IROR_C: {
+        const c = shift[i];
+        if (c < 32) {
+          r[d] = (dlo >>> c) | (dhi << (32 - c));
+          r[d + 1] = (dhi >>> c) | (dlo << (32 - c));
+        } else if (c === 32) {
+          r[d] = dhi;
+          r[d + 1] = dlo;
+        } else {
+          const k = c - 32;
+          r[d] = (dhi >>> k) | (dlo << (32 - k));
+          r[d + 1] = (dlo >>> k) | (dhi << (32 - k));
+        }
+        break;
+      }
+      case SS_IADD_C7:
+      case SS_IADD_C8:
+      case SS_IADD_C9: {
+        const lo = dlo + immLo[i];
+        r[d] = lo;
+        r[d + 1] = dhi + immHi[i] + (lo > 0xFFFFFFFF ? 1 : 0);
+        break;
+      }
+      case SS_IXOR_C7:
+      case SS_IXOR_C8:
+      case SS_IXOR_C9:
+        r[d] = dlo ^ immLo[i];
+        r[d + 1] = dhi ^ immHi[i];
+        break;
+      case SS_IMULH_R:
+        rxMulHigh64(dlo, dhi, r[s], r[s + 1]);
+        r[d] = rxMulLo;
+        r[d + 1] = rxMulHi;
+        break;
+      case SS_ISMULH_R:
+        rxSignedMulHigh64(dlo, dhi, r[s], r[s + 1]);
+        r[d] = rxMulLo;
+        r[d + 1] = rxMulHi;
+        break;
+      case SS_IMUL_RCP:
+        rxMul64(dlo, dhi, immLo[i], immHi[i]);
+        r[d] = rxMulLo;
+        r[d + 1] = rxMulHi;
+        break;
+      default:
+        throw new Error(`Invalid SuperscalarHash instruction: ${type[i]}`);
+    }
+  }
+}
+
+/**
+ * Split an unsigned 64-bit decimal constant into [lo, hi] 32-bit halves
+ */
+function rxSplit64(decimal) {
+  const value = BigInt(decimal);
+  return [Number(value & 0xFFFFFFFFn), Number(value >> 32n)];
+}
+
+// Dataset item register initialization constants
+const SUPERSCALAR_MUL0 = rxSplit64('6364136223846793005');
+const SUPERSCALAR_ADD = [
+  [0, 0],
+  rxSplit64('9298411001130361340'),
+  rxSplit64('12065312585734608966'),
+  rxSplit64('9306329213124626780'),
+  rxSplit64('5281919268842080866'),
+  rxSplit64('10536153434571861004'),
+  rxSplit64('3398623926847679864'),
+  rxSplit64('9549104520008361294')
+];
+
+/**
+ * Compute one 64-byte dataset item from the cache (spec 7.3)
+ * Writes 16 uint32 words into `out` at word offset `outOffset`.
+ */
+function initDatasetItem(cacheWords, programs, itemNumber, out, outOffset, r = new Uint32Array(16)) {
+  // r0 = (itemNumber + 1) * superscalarMul0, r_i = r0 ^ superscalarAdd_i
+  rxMul64((itemNumber + 1) >>> 0, Math.floor((itemNumber + 1) / 4294967296), SUPERSCALAR_MUL0[0], SUPERSCALAR_MUL0[1]);
+  for (let i = 0; i < 8; i++) {
+    r[2 * i] = rxMulLo ^ SUPERSCALAR_ADD[i][0];
+    r[2 * i + 1] = rxMulHi ^ SUPERSCALAR_ADD[i][1];
+  }
+
+  let registerValue = itemNumber;
+  for (let i = 0; i < RANDOMX_CACHE_ACCESSES; i++) {
+    const mixBlock = ((registerValue >>> 0) & RANDOMX_CACHE_LINE_MASK) * 16;
+    const program = programs[i];
+    executeSuperscalar(r, program);
+    for (let q = 0; q < 16; q++) {
+      r[q] ^= cacheWords[mixBlock + q];
+    }
+    registerValue = r[2 * program.addressRegister];
+  }
+
+  for (let q = 0; q < 16; q++) {
+    out[outOffset + q] = r[q];
+  }
+}
+
+/* ------------------------------------------------------------------------- */
+/* RandomX virtual machine                                                   */
+/* ------------------------------------------------------------------------- */
+
+// Bytecode operations (one compiled instruction per program slot)
+const OP_IADD_RS = 0;
+const OP_IADD_M = 1;
+const OP_ISUB_R = 2;
+const OP_ISUB_M = 3;
+const OP_IMUL_R = 4;
+const OP_IMUL_M = 5;
+const OP_IMULH_R = 6;
+const OP_IMULH_M = 7;
+const OP_ISMULH_R = 8;
+const OP_ISMULH_M = 9;
+const OP_INEG_R = 10;
+const OP_IXOR_R = 11;
+const OP_IXOR_M = 12;
+const OP_IROR_R = 13;
+const OP_IROL_R = 14;
+const OP_ISWAP_R = 15;
+const OP_FSWAP_R = 16;
+const OP_FADD_R = 17;
+const OP_FADD_M = 18;
+const OP_FSUB_R = 19;
+const OP_FSUB_M = 20;
+const OP_FSCAL_R = 21;
+const OP_FMUL_R = 22;
+const OP_FDIV_M = 23;
+const OP_FSQRT_R = 24;
+const OP_CBRANCH = 25;
+const OP_CFROUND = 26;
+const OP_ISTORE = 27;
+const OP_NOP = 28;
+
+// Cumulative opcode frequencies: opcode byte < bound selects the instruction
+const RANDOMX_OPCODE_TABLE = [
+  [16, 'IADD_RS'], [23, 'IADD_M'], [39, 'ISUB_R'], [46, 'ISUB_M'],
+  [62, 'IMUL_R'], [66, 'IMUL_M'], [70, 'IMULH_R'], [71, 'IMULH_M'],
+  [75, 'ISMULH_R'], [76, 'ISMULH_M'], [84, 'IMUL_RCP'], [86, 'INEG_R'],
+  [101, 'IXOR_R'], [106, 'IXOR_M'], [114, 'IROR_R'], [116, 'IROL_R'],
+  [120, 'ISWAP_R'], [124, 'FSWAP_R'], [140, 'FADD_R'], [145, 'FADD_M'],
+  [161, 'FSUB_R'], [166, 'FSUB_M'], [172, 'FSCAL_R'], [204, 'FMUL_R'],
+  [208, 'FDIV_M'], [214, 'FSQRT_R'], [239, 'CBRANCH'], [240, 'CFROUND'],
+  [256, 'ISTORE']
+];
+
+const RANDOMX_OPCODE_MAP = (() => {
+  const map = new Array(256);
+  let opcode = 0;
+  for (const [bound, name] of RANDOMX_OPCODE_TABLE) {
+    for (; opcode < bound; opcode++) map[opcode] = name;
+  }
+  return map;
+})();
+
+/**
+ * Compiled RandomX program: parallel typed arrays indexed by instruction
+ *
+ * Integer register operands are word offsets into the 18-word register file
+ * (r0-r7 as lo/hi pairs plus a zero register at offset 16). Floating point
+ * operands are register group indexes.
+ */
+class RandomXProgram {
+  constructor() {
+    this.op = new Uint8Array(RANDOMX_PROGRAM_SIZE);
+    this.dst = new Uint8Array(RANDOMX_PROGRAM_SIZE);
+    this.src = new Uint8Array(RANDOMX_PROGRAM_SIZE);
+    this.shift = new Uint8Array(RANDOMX_PROGRAM_SIZE);
+    this.memMask = new Uint32Array(RANDOMX_PROGRAM_SIZE);
+    this.immLo = new Uint32Array(RANDOMX_PROGRAM_SIZE);
+    this.immHi = new Uint32Array(RANDOMX_PROGRAM_SIZE);
+    this.target = new Int16Array(RANDOMX_PROGRAM_SIZE);
+    this.condMask = new Uint32Array(RANDOMX_PROGRAM_SIZE);
+  }
+
+  /**
+   * Decode 256 instructions (8 bytes each) following the 128-byte entropy block
+   */
+  compile(programWords) {
+    const registerUsage = new Int16Array(8).fill(-1);
+    for (let i = 0; i < RANDOMX_PROGRAM_SIZE; i++) {
+      const w0 = programWords[32 + 2 * i];
+      const imm32 = programWords[33 + 2 * i] >>> 0;
+      const opcode = w0 & 0xFF;
+      const dst = (w0 >>> 8) & 7;
+      const src = (w0 >>> 16) & 7;
+      const mod = (w0 >>> 24) & 0xFF;
+      const immHiSigned = imm32 & 0x80000000 ? 0xFFFFFFFF : 0;
+      const memMask = (mod & 3) ? RANDOMX_SCRATCHPAD_L1_MASK : RANDOMX_SCRATCHPAD_L2_MASK;
+
+      this.dst[i] = dst * 2;
+      this.src[i] = src * 2;
+      this.immLo[i] = imm32;
+      this.immHi[i] = immHiSigned;
+      this.memMask[i] = memMask;
+      this.shift[i] = 0;
+
+      switch (RANDOMX_OPCODE_MAP[opcode]) {
+        case 'IADD_RS':
+          this.op[i] = OP_IADD_RS;
+          this.shift[i] = (mod >>> 2) & 3;
+          if (dst !== SS_REGISTER_NEEDS_DISPLACEMENT) {
+            this.immLo[i] = 0;
+            this.immHi[i] = 0;
+          }
+          registerUsage[dst] = i;
+          break;
+        case 'IADD_M':
+        case 'ISUB_M':
+        case 'IMUL_M':
+        case 'IMULH_M':
+        case 'ISMULH_M':
+        case 'IXOR_M': {
+          const name = RANDOMX_OPCODE_MAP[opcode];
+          this.op[i] = { IADD_M: OP_IADD_M, ISUB_M: OP_ISUB_M, IMUL_M: OP_IMUL_M,
+            IMULH_M: OP_IMULH_M, ISMULH_M: OP_ISMULH_M, IXOR_M: OP_IXOR_M }[name];
+          if (src === dst) {
+            // Reads from the L3 address given by the immediate alone
+            this.src[i] = 16;
+            this.memMask[i] = RANDOMX_SCRATCHPAD_L3_MASK;
+          }
+          registerUsage[dst] = i;
+          break;
+        }
+        case 'ISUB_R':
+        case 'IMUL_R':
+        case 'IXOR_R': {
+          const name = RANDOMX_OPCODE_MAP[opcode];
+          this.op[i] = name === 'ISUB_R' ? OP_ISUB_R : name === 'IMUL_R' ? OP_IMUL_R : OP_IXOR_R;
+          // With src == dst the operation uses the immediate instead
+          this.shift[i] = src === dst ? 1 : 0;
+          registerUsage[dst] = i;
+          break;
+        }
+        case 'IMULH_R':
+        case 'ISMULH_R':
+          this.op[i] = RANDOMX_OPCODE_MAP[opcode] === 'IMULH_R' ? OP_IMULH_R : OP_ISMULH_R;
+          registerUsage[dst] = i;
+          break;
+        case 'IMUL_RCP':
+          if (!rxIsZeroOrPowerOf2(imm32)) {
+            const [lo, hi] = rxReciprocal(imm32);
+            this.op[i] = OP_IMUL_R;
+            this.shift[i] = 1;
+            this.immLo[i] = lo;
+            this.immHi[i] = hi;
+            registerUsage[dst] = i;
+          } else {
+            this.op[i] = OP_NOP;
+          }
+          break;
+        case 'INEG_R':
+          this.op[i] = OP_INEG_R;
+          registerUsage[dst] = i;
+          break;
+        case 'IROR_R':
+        case 'IROL_R':
+          this.op[i] = RANDOMX_OPCODE_MAP[opcode] === 'IROR_R' ? OP_IROR_R : OP_IROL_R;
+          this.shift[i] = src === dst ? 1 : 0;
+          registerUsage[dst] = i;
+          break;
+        case 'ISWAP_R':
+          if (src !== dst) {
+            this.op[i] = OP_ISWAP_R;
+            registerUsage[dst] = i;
+            registerUsage[src] = i;
+          } else {
+            this.op[i] = OP_NOP;
+          }
+          break;
+        case 'FSWAP_R':
+          // dst 0-3 selects group F, 4-7 selects group E
+          this.op[i] = OP_FSWAP_R;
+          this.dst[i] = dst;
+          break;
+        case 'FADD_R':
+        case 'FSUB_R':
+          this.op[i] = RANDOMX_OPCODE_MAP[opcode] === 'FADD_R' ? OP_FADD_R : OP_FSUB_R;
+          this.dst[i] = dst & 3;
+          this.src[i] = src & 3;
+          break;
+        case 'FADD_M':
+        case 'FSUB_M':
+          this.op[i] = RANDOMX_OPCODE_MAP[opcode] === 'FADD_M' ? OP_FADD_M : OP_FSUB_M;
+          this.dst[i] = dst & 3;
+          break;
+        case 'FSCAL_R':
+          this.op[i] = OP_FSCAL_R;
+          this.dst[i] = dst & 3;
+          break;
+        case 'FMUL_R':
+          this.op[i] = OP_FMUL_R;
+          this.dst[i] = dst & 3;
+          this.src[i] = src & 3;
+          break;
+        case 'FDIV_M':
+          this.op[i] = OP_FDIV_M;
+          this.dst[i] = dst & 3;
+          break;
+        case 'FSQRT_R':
+          this.op[i] = OP_FSQRT_R;
+          this.dst[i] = dst & 3;
+          break;
+        case 'CBRANCH': {
+          const shift = (mod >>> 4) + RANDOMX_JUMP_OFFSET;
+          let imm = (imm32 | (1 << shift)) >>> 0;
+          if (RANDOMX_JUMP_OFFSET > 0 || shift > 0) {
+            imm = (imm & ~(1 << (shift - 1))) >>> 0;
+          }
+          this.op[i] = OP_CBRANCH;
+          this.immLo[i] = imm;
+          this.immHi[i] = imm & 0x80000000 ? 0xFFFFFFFF : 0;
+          this.condMask[i] = (RANDOMX_CONDITION_MASK << shift) >>> 0;
+          this.target[i] = registerUsage[dst];
+          // Every register is considered modified by a branch
+          registerUsage.fill(i);
+          break;
+        }
+        case 'CFROUND':
+          this.op[i] = OP_CFROUND;
+          this.shift[i] = imm32 & 63;
+          break;
+        case 'ISTORE':
+          this.op[i] = OP_ISTORE;
+          if ((mod >>> 4) >= RANDOMX_STORE_L3_CONDITION) {
+            this.memMask[i] = RANDOMX_SCRATCHPAD_L3_MASK;
+          }
+          break;
+        default:
+          this.op[i] = OP_NOP;
+      }
+    }
+  }
+}
+
+/**
+ * Small positive float bits for group A registers: exponent 0-31 above the bias
+ * taken from the top 5 entropy bits, mantissa from the low 52 bits
+ */
+function rxSmallPositiveFloatBits(out, offset, lo, hi) {
+  out[offset] = lo;
+  out[offset + 1] = (((hi >>> 27) + 1023) << 20) | (hi & 0x000FFFFF);
+}
+
+/**
+ * RandomX virtual machine state and interpreter
+ *
+ * Registers: r as 8 lo/hi uint32 pairs (plus a zero register), f/e/a as
+ * Float64Array lanes (2 per 128-bit register) with Uint32Array bit views.
+ */
+class RandomXVM {
+  constructor(scratchpad, datasetRead) {
+    this.scratchpad = scratchpad;
+    this.spWords = new Uint32Array(scratchpad);
+    this.spInts = new Int32Array(scratchpad);
+    this.datasetRead = datasetRead;
+
+    this.programWords = new Uint32Array(RANDOMX_PROGRAM_BYTES / 4);
+    this.program = new RandomXProgram();
+
+    this.r = new Uint32Array(18);
+    this.f = new Float64Array(8);
+    this.e = new Float64Array(8);
+    this.a = new Float64Array(8);
+    this.fBits = new Uint32Array(this.f.buffer);
+    this.eBits = new Uint32Array(this.e.buffer);
+    this.aBits = new Uint32Array(this.a.buffer);
+    this.registerFile = new Uint8Array(256);
+    this.registerWords = new Uint32Array(this.registerFile.buffer);
+    this.datasetLine = new Uint32Array(16);
+
+    this.eMask = new Uint32Array(4);
+    this.readReg = new Uint8Array(4);
+    this.ma = 0;
+    this.mx = 0;
+    this.datasetOffset = 0;
+    this.roundingMode = 0;
+  }
+
+  /**
+   * Generate and compile a program from the 64-byte seed, then set up the VM
+   * configuration from its entropy block (spec 4.5)
+   */
+  initialize(seed) {
+    fillAes4Rx4(seed, this.programWords);
+    const entropy = this.programWords;
+    this.program.compile(entropy);
+
+    for (let i = 0; i < 8; i++) {
+      rxSmallPositiveFloatBits(this.aBits, 2 * i, entropy[2 * i], entropy[2 * i + 1]);
+    }
+    this.ma = (entropy[16] & RANDOMX_CACHE_LINE_ALIGN_MASK) >>> 0;
+    this.mx = entropy[20];
+    const addressRegisters = entropy[24];
+    for (let i = 0; i < 4; i++) {
+      this.readReg[i] = (2 * i + ((addressRegisters >>> i) & 1)) * 2;
+    }
+    this.datasetOffset = (entropy[26] % (RANDOMX_DATASET_EXTRA_ITEMS + 1)) * 64;
+    for (let i = 0; i < 2; i++) {
+      const lo = entropy[28 + 2 * i], hi = entropy[29 + 2 * i];
+      this.eMask[2 * i] = lo & 0x3FFFFF;
+      this.eMask[2 * i + 1] = (0x300 | ((hi >>> 28) << 4)) << 20;
+    }
+    this.r.fill(0);
+  }
+
+  /**
+   * Run the program for RANDOMX_PROGRAM_ITERATIONS iterations (spec 4.6.2)
+   */
+  execute() {
+    const { r, f, fBits, eBits, spWords, spInts, readReg, datasetLine } = this;
+    let spAddr0 = this.mx;
+    let spAddr1 = this.ma;
+
+    for (let ic = 0; ic < RANDOMX_PROGRAM_ITERATIONS; ic++) {
+      spAddr0 = ((spAddr0 ^ r[readReg[0]] ^ r[readReg[1]]) & RANDOMX_SCRATCHPAD_L3_MASK64) >>> 0;
+      spAddr1 = ((spAddr1 ^ r[readReg[0] + 1] ^ r[readReg[1] + 1]) & RANDOMX_SCRATCHPAD_L3_MASK64) >>> 0;
+
+      const w0 = spAddr0 >>> 2;
+      for (let i = 0; i < 16; i++) {
+        r[i] ^= spWords[w0 + i];
+      }
+      const w1 = spAddr1 >>> 2;
+      for (let i = 0; i < 8; i++) {
+        f[i] = spInts[w1 + i];
+      }
+      this.loadE(w1);
+
+      this.executeBytecode();
+
+      this.mx = ((this.mx ^ r[readReg[2]] ^ r[readReg[3]]) & RANDOMX_CACHE_LINE_ALIGN_MASK) >>> 0;
+      this.datasetRead(this.datasetOffset + this.ma, datasetLine);
+      for (let i = 0; i < 16; i++) {
+        r[i] ^= datasetLine[i];
+      }
+      const swap = this.mx;
+      this.mx = this.ma;
+      this.ma = swap;
+
+      for (let i = 0; i < 16; i++) {
+        spWords[w1 + i] = r[i];
+      }
+      for (let i = 0; i < 16; i++) {
+        fBits[i] ^= eBits[i];
+      }
+      for (let i = 0; i < 16; i++) {
+        spWords[w0 + i] = fBits[i];
+      }
+      spAddr0 = 0;
+      spAddr1 = 0;
+    }
+  }
+
+  /**
+   * Load group E from the scratchpad: int32 -> double, then force the exponent
+   * range with the 56-bit dynamic mantissa mask and the configured eMask
+   */
+  loadE(w1) {
+    const { e, eBits, spInts, eMask } = this;
+    for (let i = 0; i < 8; i++) {
+      e[i] = spInts[w1 + 8 + i];
+      const lane = 2 * (i & 1);
+      eBits[2 * i] = eBits[2 * i] | eMask[lane];
+      eBits[2 * i + 1] = (eBits[2 * i + 1] & 0x00FFFFFF) | eMask[lane + 1];
+    }
+  }
+
+  executeBytecode() {
+    const { r, f, e, a, fBits, spWords, spInts } = this;
+    const { op, dst, src, shift, memMask, immLo, immHi, target, condMask } = this.program;
+
+    for (let pc = 0; pc < RANDOMX_PROGRAM_SIZE; pc++) {
+      const d = dst[pc], s = src[pc];
+      switch (op[pc]) {
+        case OP_IADD_RS: {
+          const sh = shift[pc];
+          let slo = r[s], shi = r[s + 1];
+          if (sh !== 0) {
+            shi = ((shi << sh) | (slo >>> (32 - sh))) >>> 0;
+            slo = (slo << sh) >>> 0;
+          }
+          let lo = r[d] + slo;
+          let hi = r[d + 1] + shi + (lo > 0xFFFFFFFF ? 1 : 0);
+          lo = lo >>> 0;
+          const lo2 = lo + immLo[pc];
+          r[d] = lo2;
+          r[d + 1] = hi + immHi[pc] + (lo2 > 0xFFFFFFFF ? 1 : 0);
+          break;
+        }
+        case OP_IADD_M: {
+          const addr = ((r[s] + immLo[pc]) & memMask[pc]) >>> 2;
+          const lo = r[d] + spWords[addr];
+          r[d + 1] = r[d + 1] + spWords[addr + 1] + (lo > 0xFFFFFFFF ? 1 : 0);
+          r[d] = lo;
+          break;
+        }
+        case OP_ISUB_R: {
+          const slo = shift[pc] ? immLo[pc] : r[s];
+          const shi = shift[pc] ? immHi[pc] : r[s + 1];
+          const dlo = r[d];
+          r[d] = dlo - slo;
+          r[d + 1] = r[d + 1] - shi - (dlo < slo ? 1 : 0);
+          break;
+        }
+        case OP_ISUB_M: {
+          const addr = ((r[s] + immLo[pc]) & memMask[pc]) >>> 2;
+          const slo = spWords[addr];
+          const dlo = r[d];
+          r[d] = dlo - slo;
+          r[d + 1] = r[d + 1] - spWords[addr + 1] - (dlo < slo ? 1 : 0);
+          break;
+        }
+        case OP_IMUL_R:
+          if (shift[pc]) {
+            rxMul64(r[d], r[d + 1], immLo[pc], immHi[pc]);
+          } else {
+            rxMul64(r[d], r[d + 1], r[s], r[s + 1]);
+          }
+          r[d] = rxMulLo;
+          r[d + 1] = rxMulHi;
+          break;
+        case OP_IMUL_M: {
+          const addr = ((r[s] + immLo[pc]) & memMask[pc]) >>> 2;
+          rxMul64(r[d], r[d + 1], spWords[addr], spWords[addr + 1]);
+          r[d] = rxMulLo;
+          r[d + 1] = rxMulHi;
+          break;
+        }
+        case OP_IMULH_R:
+          rxMulHigh64(r[d], r[d + 1], r[s], r[s + 1]);
+          r[d] = rxMulLo;
+          r[d + 1] = rxMulHi;
+          break;
+        case OP_IMULH_M: {
+          const addr = ((r[s] + immLo[pc]) & memMask[pc]) >>> 2;
+          rxMulHigh64(r[d], r[d + 1], spWords[addr], spWords[addr + 1]);
+          r[d] = rxMulLo;
+          r[d + 1] = rxMulHi;
+          break;
+        }
+        case OP_ISMULH_R:
+          rxSignedMulHigh64(r[d], r[d + 1], r[s], r[s + 1]);
+          r[d] = rxMulLo;
+          r[d + 1] = rxMulHi;
+          break;
+        case OP_ISMULH_M: {
+          const addr = ((r[s] + immLo[pc]) & memMask[pc]) >>> 2;
+          rxSignedMulHigh64(r[d], r[d + 1], spWords[addr], spWords[addr + 1]);
+          r[d] = rxMulLo;
+          r[d + 1] = rxMulHi;
+          break;
+        }
+        case OP_INEG_R: {
+          const lo = r[d];
+          r[d] = -lo;
+          r[d + 1] = ~r[d + 1] + (lo === 0 ? 1 : 0);
+          break;
+        }
+        case OP_IXOR_R:
+          if (shift[pc]) {
+            r[d] ^= immLo[pc];
+            r[d + 1] ^= immHi[pc];
+          } else {
+            r[d] ^= r[s];
+            r[d + 1] ^= r[s + 1];
+          }
+          break;
+        case OP_IXOR_M: {
+          const addr = ((r[s] + immLo[pc]) & memMask[pc]) >>> 2;
+          r[d] ^= spWords[addr];
+          r[d + 1] ^= spWords[addr + 1];
+          break;
+        }
+        case OP_IROR_R:
+        case OP_IROL_R: {
+          let c = (shift[pc] ? immLo[pc] : r[s]) & 63;
+          if (op[pc] === OP_IROL_R) c = (64 - c) & 63;
+          const lo = r[d], hi = r[d + 1];
+          if (c === 0) break;
+          if (c < 32) {
+            r[d] = (lo >>> c) | (hi << (32 - c));
+            r[d + 1] = (hi >>> c) | (lo << (32 - c));
+          } else if (c === 32) {
+            r[d] = hi;
+            r[d + 1] = lo;
+          } else {
+            const k = c - 32;
+            r[d] = (hi >>> k) | (lo << (32 - k));
+            r[d + 1] = (lo >>> k) | (hi << (32 - k));
+          }
+          break;
+        }
+        case OP_ISWAP_R: {
+          const lo = r[d], hi = r[d + 1];
+          r[d] = r[s];
+          r[d + 1] = r[s + 1];
+          r[s] = lo;
+          r[s + 1] = hi;
+          break;
+        }
+        case OP_FSWAP_R: {
+          const reg = d < 4 ? f : e;
+          const lane = 2 * (d & 3);
+          const tmp = reg[lane];
+          reg[lane] = reg[lane + 1];
+          reg[lane + 1] = tmp;
+          break;
+        }
+        case OP_FADD_R:
+          f[2 * d] = fpAdd(f[2 * d], a[2 * s], this.roundingMode);
+          f[2 * d + 1] = fpAdd(f[2 * d + 1], a[2 * s + 1], this.roundingMode);
+          break;
+        case OP_FADD_M: {
+          const addr = ((r[s] + immLo[pc]) & memMask[pc]) >>> 2;
+          f[2 * d] = fpAdd(f[2 * d], spInts[addr], this.roundingMode);
+          f[2 * d + 1] = fpAdd(f[2 * d + 1], spInts[addr + 1], this.roundingMode);
+          break;
+        }
+        case OP_FSUB_R:
+          f[2 * d] = fpSub(f[2 * d], a[2 * s], this.roundingMode);
+          f[2 * d + 1] = fpSub(f[2 * d + 1], a[2 * s + 1], this.roundingMode);
+          break;
+        case OP_FSUB_M: {
+          const addr = ((r[s] + immLo[pc]) & memMask[pc]) >>> 2;
+          f[2 * d] = fpSub(f[2 * d], spInts[addr], this.roundingMode);
+          f[2 * d + 1] = fpSub(f[2 * d + 1], spInts[addr + 1], this.roundingMode);
+          break;
+        }
+        case OP_FSCAL_R:
+          // XOR with 0x80F0000000000000 on both lanes
+          fBits[4 * d + 1] ^= 0x80F00000;
+          fBits[4 * d + 3] ^= 0x80F00000;
+          break;
+        case OP_FMUL_R:
+          e[2 * d] = fpMul(e[2 * d], a[2 * s], this.roundingMode);
+          e[2 * d + 1] = fpMul(e[2 * d + 1], a[2 * s + 1], this.roundingMode);
+          break;
+        case OP_FDIV_M: {
+          const addr = ((r[s] + immLo[pc]) & memMask[pc]) >>> 2;
+          const eMask = this.eMask;
+          fpScratch[0] = spInts[addr];
+          fpScratchBits[0] |= eMask[0];
+          fpScratchBits[1] = (fpScratchBits[1] & 0x00FFFFFF) | eMask[1];
+          e[2 * d] = fpDiv(e[2 * d], fpScratch[0], this.roundingMode);
+          fpScratch[0] = spInts[addr + 1];
+          fpScratchBits[0] |= eMask[2];
+          fpScratchBits[1] = (fpScratchBits[1] & 0x00FFFFFF) | eMask[3];
+          e[2 * d + 1] = fpDiv(e[2 * d + 1], fpScratch[0], this.roundingMode);
+          break;
+        }
+        case OP_FSQRT_R:
+          e[2 * d] = fpSqrt(e[2 * d], this.roundingMode);
+          e[2 * d + 1] = fpSqrt(e[2 * d + 1], this.roundingMode);
+          break;
+        case OP_CBRANCH: {
+          const lo = r[d] + immLo[pc];
+          r[d + 1] = r[d + 1] + immHi[pc] + (lo > 0xFFFFFFFF ? 1 : 0);
+          r[d] = lo;
+          if ((r[d] & condMask[pc]) === 0) {
+            pc = target[pc];
+          }
+          break;
+        }
+        case OP_CFROUND: {
+          // rotr(r[src], imm) % 4
+          const c = shift[pc];
+          const lo = r[s], hi = r[s + 1];
+          let low;
+          if (c === 0) low = lo;
+          else if (c < 32) low = (lo >>> c) | (hi << (32 - c));
+          else if (c === 32) low = hi;
+          else low = (hi >>> (c - 32)) | (lo << (64 - c));
+          this.roundingMode = low & 3;
+          break;
+        }
+        case OP_ISTORE: {
+          const addr = ((r[d] + immLo[pc]) & memMask[pc]) >>> 2;
+          spWords[addr] = r[s];
+          spWords[addr + 1] = r[s + 1];
+          break;
+        }
+        default:
+          break;
+      }
+    }
+  }
+
+  /**
+   * Serialize the register file (r, f, e, a; 256 bytes) for Blake2b
+   */
+  getRegisterFile() {
+    const out = this.registerWords;
+    out.set(this.r.subarray(0, 16), 0);
+    out.set(this.fBits, 16);
+    out.set(this.eBits, 32);
+    out.set(this.aBits, 48);
+    return this.registerFile;
+  }
+}
+
+/* ------------------------------------------------------------------------- */
+/* Floating point with RandomX rounding modes                                */
+/* ------------------------------------------------------------------------- */
+
+const fpScratch = new Float64Array(1);
+const fpScratchBits = new Uint32Array(fpScratch.buffer);
+const FP_MAX = Number.MAX_VALUE;
+
+function fpNextUp(x) {
+  if (x !== x || x === Infinity) return x;
+  if (x === 0) return Number.MIN_VALUE;
+  fpScratch[0] = x;
+  if (x > 0) {
+    fpScratchBits[0]++;
+    if (fpScratchBits[0] === 0) fpScratchBits[1]++;
+  } else {
+    if (fpScratchBits[0] === 0) fpScratchBits[1]--;
+    fpScratchBits[0]--;
+  }
+  return fpScratch[0];
+}
+
+function fpNextDown(x) {
+  return -fpNextUp(-x);
+}
+
+/**
+ * Adjust a round-to-nearest result `r` for the directed rounding `mode`
+ * given the sign of the exact error (exact - r).
+ * Modes: 0 = nearest, 1 = toward -inf, 2 = toward +inf, 3 = toward zero
+ */
+function fpRound(r, err, mode) {
+  if (err === 0 || err !== err) return r;
+  switch (mode) {
+    case 1: return err < 0 ? fpNextDown(r) : r;
+    case 2: return err > 0 ? fpNextUp(r) : r;
+    case 3:
+      if (r > 0 && err < 0) return fpNextDown(r);
+      if (r < 0 && err > 0) return fpNextUp(r);
+      return r;
+    default: return r;
+  }
+}
+
+/**
+ * Directed rounding of a round-to-nearest overflow to infinity
+ */
+function fpOverflow(r, mode) {
+  if (r === Infinity) return mode === 1 || mode === 3 ? FP_MAX : r;
+  return mode === 2 || mode === 3 ? -FP_MAX : r;
+}
+
+/**
+ * Scale a normal double to [1, 2) keeping its sign (exact)
+ */
+function fpUnitMantissa(x, exponentField = 1023) {
+  fpScratch[0] = x;
+  fpScratchBits[1] = (fpScratchBits[1] & 0x800FFFFF) | (exponentField << 20);
+  return fpScratch[0];
+}
+
+/**
+ * Rounding error of p = a * b (Dekker's TwoProduct); operands must be small
+ */
+function fpTwoProductError(a, b, p) {
+  let t = 134217729 * a;
+  const ah = t - (t - a), al = a - ah;
+  t = 134217729 * b;
+  const bh = t - (t - b), bl = b - bh;
+  return ((ah * bh - p) + ah * bl + al * bh) + al * bl;
+}
+
+function fpAdd(a, b, mode) {
+  const s = a + b;
+  if (mode === 0) return s;
+  if (s === Infinity || s === -Infinity) return fpOverflow(s, mode);
+  if (s === 0) {
+    // Exact zero sums are -0 when rounding toward -inf (unless both are +0)
+    if (mode === 1 && !(a === 0 && b === 0 && 1 / a === 1 / b)) return -0;
+    return s;
+  }
+  const bb = s - a;
+  const err = (a - (s - bb)) + (b - bb);
+  return fpRound(s, err, mode);
+}
+
+function fpSub(a, b, mode) {
+  return fpAdd(a, -b, mode);
+}
+
+function fpMul(a, b, mode) {
+  const p = a * b;
+  if (mode === 0 || p === 0 || p !== p) return p;
+  if (p === Infinity || p === -Infinity) return fpOverflow(p, mode);
+  const am = fpUnitMantissa(a), bm = fpUnitMantissa(b);
+  const pm = am * bm;
+  return fpRound(p, fpTwoProductError(am, bm, pm), mode);
+}
+
+function fpDiv(a, b, mode) {
+  const q = a / b;
+  if (mode === 0 || q === 0 || q !== q) return q;
+  if (q === Infinity || q === -Infinity) return fpOverflow(q, mode);
+  const am = fpUnitMantissa(a), bm = fpUnitMantissa(b);
+  const qm = am / bm;
+  const h = qm * bm;
+  const residual = (am - h) - fpTwoProductError(qm, bm, h);
+  return fpRound(q, bm > 0 ? residual : -residual, mode);
+}
+
+function fpSqrt(a, mode) {
+  const s = Math.sqrt(a);
+  if (mode === 0 || a === 0 || s !== s || s === Infinity) return s;
+  fpScratch[0] = a;
+  const exponent = ((fpScratchBits[1] >>> 20) & 0x7FF) - 1023;
+  const am = fpUnitMantissa(a, 1023 + (exponent & 1));
+  const sm = Math.sqrt(am);
+  const h = sm * sm;
+  const residual = (am - h) - fpTwoProductError(sm, sm, h);
+  return fpRound(s, residual, mode);
+}
+
+/* ------------------------------------------------------------------------- */
+/* RandomX module                                                            */
+/* ------------------------------------------------------------------------- */
 
 class RandomXModule {
   constructor(mode = 'light') {
     this.initialized = false;
+    this.seedKey = null; // Key the cache was built from
     this.cache = null;
     this.dataset = null;
     this.scratchpad = null;
+    this.programs = null;
+    this.vm = null;
     this.mode = mode;
-    
-    // Set memory sizes based on mode
-    if (mode === 'fast') {
-      this.scratchpadSize = 2 * 1024 * 1024 * 1024; // 2GB for fast mode
-      this.datasetSize = 2 * 1024 * 1024 * 1024; // 2GB dataset
-      this.cacheSize = 2 * 1024 * 1024; // 2MB cache
-    } else {
-      // Light mode (default)
-      this.scratchpadSize = 256 * 1024 * 1024; // 256MB for light mode
-      this.cacheSize = 2 * 1024 * 1024; // 2MB cache
-      this.datasetSize = 0; // No dataset in light mode
-    }
+    this.sharedDataset = false; // Dataset lives in a SharedArrayBuffer owned by the caller
+    this.datasetReady = false;  // Dataset holds the items of the active key (fast mode)
+
+    // Time spent inside hash computation, used to measure caller overhead
+    this.hashCount = 0;
+    this.computeTimeMs = 0;
+
+    // Memory sizes as defined by the RandomX specification
+    this.scratchpadSize = RANDOMX_SCRATCHPAD_L3; // 2 MiB per VM
+    this.cacheSize = RANDOMX_CACHE_SIZE;          // 256 MiB Argon2d cache
+    this.datasetSize = mode === 'fast' ? RANDOMX_DATASET_SIZE : 0; // 2080 MiB in fast mode
   }
 
   /**
-   * Initialize the RandomX cache with a seed key
-   * This simulates the slow initialization phase of RandomX
+   * Initialize the RandomX cache (and dataset in fast mode) with a seed key
+   *
+   * In fast mode `options.sharedDataset` may supply a SharedArrayBuffer of
+   * `datasetSize` bytes that other workers also read. Only the items in
+   * `options.datasetRange` ({ start, count }) are computed here; the caller is
+   * responsible for having every item built before hashing starts.
+   *
+   * Calling it again with another key rebuilds everything before returning;
+   * prepareKey() and activateKey() switch keys while hashing carries on.
    */
-  async init(seedKey, progressCallback) {
-    if (this.initialized) {
+  async init(seedKey, progressCallback, options = {}) {
+    if (this.initialized && seedKey === this.seedKey) {
       return;
     }
 
-    // Allocate scratchpad (simulating memory-hard requirement)
-    if (progressCallback) progressCallback(10, 'Allocating scratchpad...');
-    this.scratchpad = new Uint8Array(this.scratchpadSize);
-    
-    // Allocate cache
-    if (progressCallback) progressCallback(20, 'Allocating cache...');
-    this.cache = new Uint8Array(this.cacheSize);
+    const { sharedDataset, datasetRange } = options;
+    if (sharedDataset && sharedDataset.byteLength !== this.datasetSize) {
+      throw new Error(`Shared dataset must be ${this.datasetSize} bytes, got ${sharedDataset.byteLength}`);
+    }
+
+    if (progressCallback) progressCallback(5, 'Allocating cache (256 MiB)...');
+
+    // Argon2d fill: 0-60% of the progress bar in light mode, 0-30% in fast mode
+    const cacheShare = this.mode === 'fast' ? 25 : 55;
+    const prepared = await this.prepareKey(seedKey, progressCallback
+      ? (progress, message) => progressCallback(5 + Math.floor(progress * cacheShare / 100), message)
+      : null, { yieldBlocks: 0 });
+    this.cache = prepared.cache;
+    this.programs = prepared.programs;
 
-    // In fast mode, allocate dataset
     if (this.mode === 'fast') {
-      if (progressCallback) progressCallback(30, 'Allocating dataset (2GB)...');
-      this.dataset = new Uint8Array(this.datasetSize);
+      if (sharedDataset) {
+        this.dataset = new Uint32Array(sharedDataset);
+        this.sharedDataset = true;
+        const start = datasetRange ? datasetRange.start : 0;
+        const count = datasetRange ? datasetRange.count : RANDOMX_DATASET_ITEM_COUNT;
+        if (progressCallback) progressCallback(30, `Building shared dataset items ${start}-${start + count - 1}...`);
+        await this.generateDataset(progressCallback, start, count);
+      } else {
+        if (progressCallback) progressCallback(30, 'Allocating dataset (2080 MiB)...');
+        this.dataset = new Uint32Array(this.datasetSize / 4);
+        await this.generateDataset(progressCallback);
+      }
+      this.datasetReady = true;
     }
 
-    // Simulate cache initialization (Argon2d-like process)
-    // In real RandomX, this takes 1-5 seconds for light mode, 10-30 seconds for fast mode
-    const seed = this.stringToBytes(seedKey);
-    await this.initializeCache(seed, progressCallback);
+    this.scratchpad = new ArrayBuffer(this.scratchpadSize);
+    // Items come from the cache in light mode, and in fast mode while the
+    // dataset does not match the active key
+    this.vm = new RandomXVM(this.scratchpad, this.mode === 'fast'
+      ? (address, out) => {
+        if (!this.datasetReady) {
+          initDatasetItem(this.cache, this.programs, address / 64, out, 0);
+          return;
+        }
+        const word = address >>> 2;
+        for (let i = 0; i < 16; i++) out[i] = this.dataset[word + i];
+      }
+      : (address, out) => {
+        initDatasetItem(this.cache, this.programs, address / 64, out, 0);
+      });
 
     this.initialized = true;
+    this.seedKey = seedKey;
     if (progressCallback) progressCallback(100, `RandomX ${this.mode} mode initialized`);
   }
 
   /**
-   * Simulate cache initialization with progressive filling
-   * Mimics Argon2d + SuperscalarHash behavior
+   * Build the cache and SuperscalarHash programs for a key without touching
+   * the ones in use
+   *
+   * The Argon2d fill yields to the event loop every `options.yieldBlocks`
+   * blocks (every segment when 0), so hashing under the current key carries
+   * on in between. The build throws once `options.isCancelled()` returns true.
+   * Returns the key material for activateKey(); until then the new cache
+   * adds another 256 MiB.
    */
-  async initializeCache(seed, progressCallback) {
-    // Fill cache with derived data
-    if (progressCallback) progressCallback(40, 'Filling cache...');
-    for (let i = 0; i < this.cache.length; i += 64) {
-      const block = await this.sha256Mix(seed, i);
-      for (let j = 0; j < Math.min(64, this.cache.length - i); j++) {
-        this.cache[i + j] = block[j % 32];
-      }
-    }
+  async prepareKey(seedKey, progressCallback, options = {}) {
+    const { yieldBlocks = KEY_BUILD_YIELD_BLOCKS, isCancelled } = options;
+    const key = seedKey instanceof Uint8Array ? seedKey : this.stringToBytes(seedKey);
+    const cache = new Uint32Array(this.cacheSize / 4);
 
-    // In fast mode, generate full dataset from cache
-    if (this.mode === 'fast') {
-      if (progressCallback) progressCallback(50, 'Generating dataset from cache...');
-      await this.generateDataset(progressCallback);
-    }
-
-    // Fill scratchpad using cache (or dataset in fast mode)
-    if (progressCallback) progressCallback(70, 'Filling scratchpad...');
-    let yieldCounter = 0;
-    const yieldThreshold = 16384; // Yield every ~1MB
-    
-    for (let i = 0; i < this.scratchpad.length; i += 64) {
-      const sourceData = this.mode === 'fast' && this.dataset ? this.dataset : this.cache;
-      const sourceIndex = i % sourceData.length;
-      const block = sourceData.slice(sourceIndex, Math.min(sourceIndex + 64, sourceData.length));
-      for (let j = 0; j < Math.min(64, this.scratchpad.length - i); j++) {
-        this.scratchpad[i + j] = block[j % block.length] ^ (i & 0xFF);
+    let lastReported = -1;
+    await rxCrypto.argon2dFill(cache, {
+      password: key,
+      salt: this.stringToBytes(RANDOMX_ARGON_SALT),
+      iterations: RANDOMX_ARGON_ITERATIONS,
+      memoryBlocks: RANDOMX_ARGON_MEMORY,
+      lanes: RANDOMX_ARGON_LANES
+    }, async (fraction) => {
+      const progress = Math.floor(fraction * 100);
+      if (progressCallback && progress !== lastReported) {
+        lastReported = progress;
+        progressCallback(progress, `Filling cache (Argon2d)... ${progress}%`);
       }
-      
-      // Yield periodically to avoid blocking (using counter instead of modulo)
-      yieldCounter++;
-      if (yieldCounter >= yieldThreshold) {
-        await this.sleep(0);
-        yieldCounter = 0;
+      await this.sleep(0);
+      if (isCancelled && isCancelled()) {
+        throw new Error('Key build cancelled');
       }
+    }, yieldBlocks);
+
+    if (progressCallback) progressCallback(100, 'Generating SuperscalarHash programs...');
+    const gen = new Blake2Generator(key);
+    const programs = [];
+    for (let i = 0; i < RANDOMX_CACHE_ACCESSES; i++) {
+      programs.push(generateSuperscalar(gen));
     }
+    return { seedKey, cache, programs };
   }
 
   /**
-   * Generate dataset from cache (fast mode only)
-   * 
-   * In fast mode, RandomX uses a pre-computed dataset derived from the cache.
-   * This dataset is used during hash calculation to improve performance.
-   * The dataset is 2GB in size and takes 10-30 seconds to generate.
-   * 
-   * In real RandomX, this uses SuperscalarHash for dataset item generation.
-   * This simulation uses a simplified derivation from the cache.
-   * 
+   * Switch to a key built by prepareKey(), between two hashes
+   *
+   * The previous cache is released. In fast mode the dataset no longer
+   * matches the key, so items are computed from the cache until
+   * rebuildDataset() has finished.
+   */
+  activateKey(prepared) {
+    if (!this.initialized) {
+      throw new Error('RandomX not initialized. Call init() first.');
+    }
+    this.cache = prepared.cache;
+    this.programs = prepared.programs;
+    this.seedKey = prepared.seedKey;
+    this.datasetReady = false;
+  }
+
+  /**
+   * Recompute a private fast-mode dataset for the active key, yielding every
+   * few hundred items so hashing carries on
+   *
+   * A shared dataset is left alone: other workers may still be hashing under
+   * the old key, so every worker computes items from its cache for the rest
+   * of the run. Returns whether the dataset was rebuilt; a key switch or
+   * destroy() during the rebuild abandons it.
+   */
+  async rebuildDataset() {
+    if (this.mode !== 'fast' || this.datasetReady || this.sharedDataset || !this.dataset) {
+      return false;
+    }
+    const { seedKey } = this;
+    const rebuilt = await this.generateDataset(null, 0, RANDOMX_DATASET_ITEM_COUNT, {
+      yieldItems: DATASET_REBUILD_YIELD_ITEMS,
+      isCancelled: () => this.seedKey !== seedKey || !this.dataset
+    });
+    if (rebuilt) {
+      this.datasetReady = true;
+    }
+    return rebuilt;
+  }
+
+  /**
+   * Compute dataset items from the cache (fast mode only)
+   *
    * @param {Function} progressCallback - Optional callback for progress updates (progress%, message)
+   * @param {number} start - First item to compute (default 0)
+   * @param {number} count - Number of items to compute (default: the whole dataset)
+   * @param {Object} options - `yieldItems` between yields to the event loop and
+   *   `isCancelled`, checked after each yield
+   * @returns {boolean} false when cancelled
    */
-  async generateDataset(progressCallback) {
-    if (!this.dataset) return;
-
-    let yieldCounter = 0;
-    const yieldThreshold = 32768; // Yield every ~2MB
-    
-    for (let i = 0; i < this.dataset.length; i += 64) {
-      // Generate dataset item from cache
-      const cacheIndex = (i / 64) % (this.cache.length / 64);
-      const cacheOffset = cacheIndex * 64;
-      
-      // Simple derivation (in real RandomX, this is much more complex)
-      for (let j = 0; j < 64 && i + j < this.dataset.length; j++) {
-        const cacheValue = this.cache[(cacheOffset + j) % this.cache.length];
-        this.dataset[i + j] = cacheValue ^ ((i + j) & 0xFF);
-      }
-      
-      // Progress reporting every DATASET_PROGRESS_INTERVAL percent
-      if (yieldCounter % (yieldThreshold * DATASET_PROGRESS_INTERVAL) === 0 && progressCallback) {
-        const progress = 50 + Math.floor((i / this.dataset.length) * 20);
-        progressCallback(progress, `Generating dataset... ${Math.floor((i / this.dataset.length) * 100)}%`);
+  async generateDataset(progressCallback, start = 0, count = RANDOMX_DATASET_ITEM_COUNT, options = {}) {
+    if (!this.dataset) return false;
+
+    const { yieldItems = DATASET_YIELD_ITEMS, isCancelled } = options;
+    const registers = new Uint32Array(16);
+    const reportEvery = Math.max(1, Math.floor(count * DATASET_PROGRESS_INTERVAL / 100));
+    for (let i = 0; i < count; i++) {
+      const item = start + i;
+      initDatasetItem(this.cache, this.programs, item, this.dataset, item * 16, registers);
+
+      if (progressCallback && i % reportEvery === 0) {
+        const fraction = i / count;
+        progressCallback(30 + Math.floor(fraction * 65), `Generating dataset... ${Math.floor(fraction * 100)}%`);
       }
-      
-      // Yield periodically to avoid blocking
-      yieldCounter++;
-      if (yieldCounter >= yieldThreshold) {
+      if (i % yieldItems === 0) {
         await this.sleep(0);
-        yieldCounter = 0;
+        if (isCancelled && isCancelled()) return false;
       }
     }
+    return true;
   }
 
   /**
-   * Calculate RandomX hash
-   * Simulates the VM execution with scratchpad mixing
-   * Fast mode uses dataset for better performance and fewer rounds
+   * Compute one 64-byte dataset item directly from the cache
+   * Returns the item as 16 little-endian uint32 words.
    */
-  async calculateHash(input) {
+  getDatasetItem(itemNumber) {
+    const out = new Uint32Array(16);
+    initDatasetItem(this.cache, this.programs, itemNumber, out, 0);
+    return out;
+  }
+
+  /**
+   * Calculate the RandomX hash of the input (spec 4.1) without yielding
+   * Returns the 32-byte result as a Uint8Array.
+   */
+  calculateHashSync(input) {
     if (!this.initialized) {
       throw new Error('RandomX not initialized. Call init() first.');
     }
 
     // Support both Uint8Array and string inputs
-    const inputBytes = input instanceof Uint8Array 
-      ? input 
+    const inputBytes = input instanceof Uint8Array
+      ? input
       : this.stringToBytes(input);
-    
-    let hash = await this.sha256(inputBytes);
 
-    // Simulate RandomX VM execution with multiple rounds
-    // Fast mode has fewer rounds but better performance due to dataset
-    const rounds = this.mode === 'fast' ? FAST_MODE_ROUNDS : LIGHT_MODE_ROUNDS;
-    for (let round = 0; round < rounds; round++) {
-      // Mix with scratchpad (memory-hard operation)
-      hash = await this.scratchpadMix(hash, round);
-      
-      // Simulate program execution (CPU-intensive)
-      hash = await this.programExecution(hash, round);
+    const startTime = performance.now();
+    const vm = this.vm;
+    const seed = new Uint32Array(rxCrypto.blake2b(inputBytes, 64).buffer);
+    fillAes1Rx4(seed, vm.spWords);
+    vm.roundingMode = 0;
+
+    for (let chain = 0; chain < RANDOMX_PROGRAM_COUNT; chain++) {
+      vm.initialize(seed);
+      vm.execute();
+      if (chain < RANDOMX_PROGRAM_COUNT - 1) {
+        seed.set(new Uint32Array(rxCrypto.blake2b(vm.getRegisterFile(), 64).buffer));
+      }
     }
 
-    // Final hash
-    return this.bytesToHex(hash);
+    hashAes1Rx4(vm.spWords, vm.aBits);
+    const hash = rxCrypto.blake2b(vm.getRegisterFile(), RANDOMX_HASH_SIZE);
+
+    this.hashCount++;
+    this.computeTimeMs += performance.now() - startTime;
+    return hash;
   }
 
   /**
-   * Simulate scratchpad mixing (memory-hard)
-   * Reads/writes to scratchpad based on hash state
+   * Calculate the RandomX hash of the input
+   * Returns the 32-byte result as a hex string.
    */
-  async scratchpadMix(hash, round) {
-    const mixed = new Uint8Array(32);
-    // Pre-calculate mask for efficient modulo (scratchpadSize is power of 2)
-    const scratchpadMask = this.scratchpad.length - 1;
-    
-    for (let i = 0; i < 32; i++) {
-      // Read from scratchpad using hash as index with bitwise AND
-      // Ensure proper alignment by masking before multiplication
-      const readOffset = ((hash[i] << 8) | hash[(i + 1) % 32]) & 0xFFFF;
-      const readIndex = (readOffset * 64) & scratchpadMask;
-      const scratchValue = this.scratchpad[readIndex];
-      
-      // Mix
-      mixed[i] = hash[i] ^ scratchValue ^ round;
-      
-      // Write back to scratchpad
-      const writeOffset = ((hash[(i + 2) % 32] << 8) | hash[(i + 3) % 32]) & 0xFFFF;
-      const writeIndex = (writeOffset * 64) & scratchpadMask;
-      this.scratchpad[writeIndex] = (this.scratchpad[writeIndex] + hash[i] + round) & 0xFF;
-    }
-    
-    return mixed;
+  async calculateHash(input) {
+    return this.bytesToHex(this.calculateHashSync(input));
   }
 
   /**
-   * Simulate RandomX program execution
-   * Multiple hash operations to simulate CPU-intensive work
+   * Hash `count` equally sized inputs packed back to back in `headers`
+   * Returns the 32-byte results packed in the same order (count * 32 bytes).
    */
-  async programExecution(hash, round) {
-    // Multiple mixing operations to slow down computation
-    for (let i = 0; i < 4; i++) {
-      hash = await this.sha256Mix(hash, round * 4 + i);
+  calculateHashBatch(headers, count) {
+    if (!Number.isInteger(count) || count <= 0 || headers.length % count !== 0) {
+      throw new Error(`Cannot split ${headers.length} header bytes into ${count} inputs`);
     }
-    return hash;
-  }
 
-  /**
-   * SHA256 with mixing
-   */
-  async sha256Mix(data, nonce) {
-    const nonceBytes = new Uint8Array([
-      nonce & 0xFF,
-      (nonce >> 8) & 0xFF,
-      (nonce >> 16) & 0xFF,
-      (nonce >> 24) & 0xFF
-    ]);
-    const combined = new Uint8Array(data.length + nonceBytes.length);
-    combined.set(data);
-    combined.set(nonceBytes, data.length);
-    return await this.sha256(combined);
+    const inputSize = headers.length / count;
+    const results = new Uint8Array(count * RANDOMX_HASH_SIZE);
+    for (let i = 0; i < count; i++) {
+      const input = headers.subarray(i * inputSize, (i + 1) * inputSize);
+      results.set(this.calculateHashSync(input), i * RANDOMX_HASH_SIZE);
+    }
+    return results;
   }
 
   /**
-   * SHA256 hash function
+   * Average time spent computing one hash, excluding any caller overhead
    */
-  async sha256(data) {
-    const hashBuffer = await crypto.subtle.digest('SHA-256', data);
-    return new Uint8Array(hashBuffer);
+  getAverageHashTimeMs() {
+    return this.hashCount > 0 ? this.computeTimeMs / this.hashCount : 0;
   }
 
   /**
@@ -281,12 +1973,15 @@ class RandomXModule {
    * Get memory usage info
    */
   getMemoryInfo() {
+    // A shared dataset is owned by the caller, so it does not count against this module
+    const privateDataset = this.sharedDataset ? 0 : (this.datasetSize || 0);
     return {
       scratchpadSize: this.scratchpadSize,
       cacheSize: this.cacheSize,
       datasetSize: this.datasetSize || 0,
-      totalBytes: this.scratchpadSize + this.cacheSize + (this.datasetSize || 0),
-      totalMB: Math.round((this.scratchpadSize + this.cacheSize + (this.datasetSize || 0)) / (1024 * 1024)),
+      sharedDataset: this.sharedDataset,
+      totalBytes: this.scratchpadSize + this.cacheSize + privateDataset,
+      totalMB: Math.round((this.scratchpadSize + this.cacheSize + privateDataset) / (1024 * 1024)),
       mode: this.mode
     };
   }
@@ -298,10 +1993,42 @@ class RandomXModule {
     this.scratchpad = null;
     this.cache = null;
     this.dataset = null;
+    this.sharedDataset = false;
+    this.datasetReady = false;
+    this.programs = null;
+    this.vm = null;
     this.initialized = false;
+    this.seedKey = null;
   }
 }
 
+/**
+ * Whether init() failed because the cache or dataset could not be allocated
+ *
+ * Engines report a failed ArrayBuffer allocation as a RangeError, but its
+ * message is all that survives the wrappers of the workers and the WebGPU
+ * module, so the known messages are matched as well.
+ */
+RandomXModule.isAllocationFailure = function(error) {
+  if (!error) return false;
+  if (error instanceof RangeError) return true;
+  return /allocation failed|out of memory|invalid (typed )?array length|exceeds GPU limit/i.test(error.message || '');
+};
+
+// Low-level building blocks, exposed for conformance tests and the WebGPU backend
+RandomXModule.internals = {
+  rxReciprocal,
+  fillAes1Rx4,
+  fillAes4Rx4,
+  hashAes1Rx4,
+  RandomXVM,
+  AES_GEN_1R_KEYS,
+  AES_HASH_1R_STATE,
+  AES_HASH_1R_XKEYS,
+  SUPERSCALAR_ADD,
+  SUPERSCALAR_MUL0
+};
+
 // Export for use in worker
 if (typeof self !== 'undefined' && typeof self.postMessage !== 'undefined') {
   // Running in a worker context
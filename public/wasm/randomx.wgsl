@@ -0,0 +1,1051 @@
+// RandomX compute kernels for the WebGPU backend (see randomx-webgpu.js)
+//
+// Entry points:
+// - fill_scratchpad:  AesGenerator1R fill of the 2 MiB scratchpad (scratchpad mixing)
+// - hash_scratchpad:  AesHash1R fingerprint of the scratchpad (scratchpad mixing)
+// - execute_program:  the RandomX VM running one compiled program for 2048
+//                     iterations, including dataset reads (SuperscalarHash over
+//                     the cache in light mode)
+//
+// WGSL has neither 64-bit integers nor doubles, so 64-bit values are
+// vec2<u32>(lo, hi) and binary64 arithmetic is done in software with the
+// RandomX rounding modes (a port of the Berkeley SoftFloat f64 routines).
+// Every step is sequential, which is exactly why RandomX does not suit GPUs.
+
+// ---------------------------------------------------------------------------
+// Bindings and buffer layouts (must match randomx-webgpu.js)
+// ---------------------------------------------------------------------------
+
+@group(0) @binding(0) var<storage, read_write> scratchpad: array<u32>;
+@group(0) @binding(1) var<storage, read_write> vm: array<u32>;
+@group(0) @binding(2) var<storage, read> consts: array<u32>;
+@group(0) @binding(3) var<storage, read> memory: array<u32>;       // cache (light) or dataset (fast)
+@group(0) @binding(4) var<storage, read> superscalar: array<u32>;
+
+// vm buffer: register file (r, f, e, a as in the 256-byte Blake2b input), then
+// the 64-byte seed, the program configuration and the compiled program
+const VM_R: u32 = 0u;
+const VM_F: u32 = 16u;
+const VM_E: u32 = 32u;
+const VM_A: u32 = 48u;
+const VM_SEED: u32 = 64u;
+const CFG_MA: u32 = 80u;
+const CFG_MX: u32 = 81u;
+const CFG_READ_REG: u32 = 82u;
+const CFG_DATASET_OFFSET: u32 = 86u;
+const CFG_E_MASK: u32 = 87u;
+const CFG_LIGHT: u32 = 91u;
+const VM_ROUNDING: u32 = 92u;
+const VM_PROGRAM: u32 = 96u;
+const INSTR_WORDS: u32 = 6u;
+
+// consts buffer: AES T-tables (first column) and the RandomX generator keys
+const AES_TE: u32 = 0u;
+const AES_TD: u32 = 256u;
+const AES_GEN_1R_KEYS: u32 = 512u;
+const AES_HASH_1R_STATE: u32 = 528u;
+const AES_HASH_1R_XKEYS: u32 = 544u;
+const SUPERSCALAR_ADD: u32 = 552u;
+const SUPERSCALAR_MUL0: u32 = 568u;
+
+// superscalar buffer: (size, address register) per program, then programs
+const SS_PROGRAMS: u32 = 16u;
+const SS_MAX_SIZE: u32 = 512u;
+
+const SCRATCHPAD_WORDS: u32 = 524288u;
+const SCRATCHPAD_L3_MASK64: u32 = 0x1FFFC0u;
+const CACHE_LINE_ALIGN_MASK: u32 = 0x7FFFFFC0u;
+const CACHE_LINE_MASK: u32 = 0x3FFFFFu;
+const CACHE_ACCESSES: u32 = 8u;
+const PROGRAM_SIZE: i32 = 256i;
+const PROGRAM_ITERATIONS: u32 = 2048u;
+
+// Bytecode operations (RandomXProgram in randomx.js)
+const OP_IADD_RS: u32 = 0u;
+const OP_IADD_M: u32 = 1u;
+const OP_ISUB_R: u32 = 2u;
+const OP_ISUB_M: u32 = 3u;
+const OP_IMUL_R: u32 = 4u;
+const OP_IMUL_M: u32 = 5u;
+const OP_IMULH_R: u32 = 6u;
+const OP_IMULH_M: u32 = 7u;
+const OP_ISMULH_R: u32 = 8u;
+const OP_ISMULH_M: u32 = 9u;
+const OP_INEG_R: u32 = 10u;
+const OP_IXOR_R: u32 = 11u;
+const OP_IXOR_M: u32 = 12u;
+const OP_IROR_R: u32 = 13u;
+const OP_IROL_R: u32 = 14u;
+const OP_ISWAP_R: u32 = 15u;
+const OP_FSWAP_R: u32 = 16u;
+const OP_FADD_R: u32 = 17u;
+const OP_FADD_M: u32 = 18u;
+const OP_FSUB_R: u32 = 19u;
+const OP_FSUB_M: u32 = 20u;
+const OP_FSCAL_R: u32 = 21u;
+const OP_FMUL_R: u32 = 22u;
+const OP_FDIV_M: u32 = 23u;
+const OP_FSQRT_R: u32 = 24u;
+const OP_CBRANCH: u32 = 25u;
+const OP_CFROUND: u32 = 26u;
+const OP_ISTORE: u32 = 27u;
+
+// SuperscalarHash instructions
+const SS_ISUB_R: u32 = 0u;
+const SS_IXOR_R: u32 = 1u;
+const SS_IADD_RS: u32 = 2u;
+const SS_IMUL_R: u32 = 3u;
+const SS_IROR_C: u32 = 4u;
+const SS_IADD_C7: u32 = 5u;
+const SS_IXOR_C7: u32 = 6u;
+const SS_IADD_C8: u32 = 7u;
+const SS_IXOR_C8: u32 = 8u;
+const SS_IADD_C9: u32 = 9u;
+const SS_IXOR_C9: u32 = 10u;
+const SS_IMULH_R: u32 = 11u;
+const SS_ISMULH_R: u32 = 12u;
+const SS_IMUL_RCP: u32 = 13u;
+
+// ---------------------------------------------------------------------------
+// 64-bit integer helpers
+// ---------------------------------------------------------------------------
+
+fn mul32(a: u32, b: u32) -> vec2<u32> {
+  let a0 = a & 0xFFFFu;
+  let a1 = a >> 16u;
+  let b0 = b & 0xFFFFu;
+  let b1 = b >> 16u;
+  let t = a0 * b0;
+  let m1 = a1 * b0;
+  let m2 = a0 * b1;
+  let mid = (t >> 16u) + (m1 & 0xFFFFu) + (m2 & 0xFFFFu);
+  return vec2<u32>((mid << 16u) | (t & 0xFFFFu), a1 * b1 + (m1 >> 16u) + (m2 >> 16u) + (mid >> 16u));
+}
+
+fn add64(a: vec2<u32>, b: vec2<u32>) -> vec2<u32> {
+  let lo = a.x + b.x;
+  return vec2<u32>(lo, a.y + b.y + select(0u, 1u, lo < a.x));
+}
+
+fn sub64(a: vec2<u32>, b: vec2<u32>) -> vec2<u32> {
+  return vec2<u32>(a.x - b.x, a.y - b.y - select(0u, 1u, a.x < b.x));
+}
+
+fn xor64(a: vec2<u32>, b: vec2<u32>) -> vec2<u32> {
+  return vec2<u32>(a.x ^ b.x, a.y ^ b.y);
+}
+
+fn lt64(a: vec2<u32>, b: vec2<u32>) -> bool {
+  return a.y < b.y || (a.y == b.y && a.x < b.x);
+}
+
+fn is_zero64(a: vec2<u32>) -> bool {
+  return (a.x | a.y) == 0u;
+}
+
+// Low 64 bits of a 64x64-bit product
+fn mul64(a: vec2<u32>, b: vec2<u32>) -> vec2<u32> {
+  let p = mul32(a.x, b.x);
+  return vec2<u32>(p.x, p.y + a.x * b.y + a.y * b.x);
+}
+
+// High 64 bits of an unsigned 64x64-bit product
+fn mulhi64(a: vec2<u32>, b: vec2<u32>) -> vec2<u32> {
+  let p00 = mul32(a.x, b.x);
+  let p01 = mul32(a.x, b.y);
+  let p10 = mul32(a.y, b.x);
+  let p11 = mul32(a.y, b.y);
+  let w1a = p00.y + p01.x;
+  let w1 = w1a + p10.x;
+  let carry1 = select(0u, 1u, w1a < p00.y) + select(0u, 1u, w1 < w1a);
+  let w2a = p01.y + p10.y;
+  let w2b = w2a + p11.x;
+  let w2 = w2b + carry1;
+  let carry2 = select(0u, 1u, w2a < p01.y) + select(0u, 1u, w2b < w2a) + select(0u, 1u, w2 < w2b);
+  return vec2<u32>(w2, p11.y + carry2);
+}
+
+// High 64 bits of a signed 64x64-bit product
+fn smulhi64(a: vec2<u32>, b: vec2<u32>) -> vec2<u32> {
+  var h = mulhi64(a, b);
+  if ((a.y & 0x80000000u) != 0u) {
+    h = sub64(h, b);
+  }
+  if ((b.y & 0x80000000u) != 0u) {
+    h = sub64(h, a);
+  }
+  return h;
+}
+
+fn rotr64(v: vec2<u32>, count: u32) -> vec2<u32> {
+  let c = count & 63u;
+  if (c == 0u) {
+    return v;
+  }
+  if (c < 32u) {
+    return vec2<u32>((v.x >> c) | (v.y << (32u - c)), (v.y >> c) | (v.x << (32u - c)));
+  }
+  if (c == 32u) {
+    return vec2<u32>(v.y, v.x);
+  }
+  let k = c - 32u;
+  return vec2<u32>((v.y >> k) | (v.x << (32u - k)), (v.x >> k) | (v.y << (32u - k)));
+}
+
+// Shifts by 0-63 bits
+fn shl64(v: vec2<u32>, count: u32) -> vec2<u32> {
+  if (count == 0u) {
+    return v;
+  }
+  if (count < 32u) {
+    return vec2<u32>(v.x << count, (v.y << count) | (v.x >> (32u - count)));
+  }
+  return vec2<u32>(0u, v.x << (count - 32u));
+}
+
+fn shr64(v: vec2<u32>, count: u32) -> vec2<u32> {
+  if (count == 0u) {
+    return v;
+  }
+  if (count < 32u) {
+    return vec2<u32>((v.x >> count) | (v.y << (32u - count)), v.y >> count);
+  }
+  return vec2<u32>(v.y >> (count - 32u), 0u);
+}
+
+// Right shift that ORs every shifted-out bit into bit 0 (SoftFloat "jamming")
+fn shr_jam64(v: vec2<u32>, count: u32) -> vec2<u32> {
+  if (count == 0u) {
+    return v;
+  }
+  if (count < 63u) {
+    var result = shr64(v, count);
+    if (!is_zero64(shl64(v, 64u - count))) {
+      result.x = result.x | 1u;
+    }
+    return result;
+  }
+  return vec2<u32>(select(0u, 1u, !is_zero64(v)), 0u);
+}
+
+fn clz64(v: vec2<u32>) -> u32 {
+  if (v.y != 0u) {
+    return countLeadingZeros(v.y);
+  }
+  return 32u + countLeadingZeros(v.x);
+}
+
+// ---------------------------------------------------------------------------
+// Binary64 arithmetic with RandomX rounding modes
+// (0 = nearest even, 1 = toward -inf, 2 = toward +inf, 3 = toward zero)
+// ---------------------------------------------------------------------------
+
+const F64_HIDDEN: u32 = 0x00100000u;  // implicit mantissa bit in the high word
+
+fn f64_exp(v: vec2<u32>) -> i32 {
+  return i32((v.y >> 20u) & 0x7FFu);
+}
+
+fn f64_frac(v: vec2<u32>) -> vec2<u32> {
+  return vec2<u32>(v.x, v.y & 0xFFFFFu);
+}
+
+fn f64_inf(sign_z: u32) -> vec2<u32> {
+  return vec2<u32>(0u, (sign_z << 31u) | 0x7FF00000u);
+}
+
+fn f64_zero(sign_z: u32) -> vec2<u32> {
+  return vec2<u32>(0u, sign_z << 31u);
+}
+
+// sign:exponent:fraction assembled with an addition so a carry out of the
+// fraction bumps the exponent
+fn f64_pack(sign_z: u32, exp_z: i32, sig: vec2<u32>) -> vec2<u32> {
+  return add64(vec2<u32>(0u, (sign_z << 31u) | (u32(exp_z) << 20u)), sig);
+}
+
+// Round a significand with its leading bit at bit 62 (10 extra bits)
+fn f64_round_pack(sign_z: u32, exp_in: i32, sig_in: vec2<u32>, mode: u32) -> vec2<u32> {
+  var exp_z = exp_in;
+  var sig = sig_in;
+  var increment = 0x200u;
+  if (mode != 0u) {
+    increment = select(0u, 0x3FFu, (sign_z != 0u && mode == 1u) || (sign_z == 0u && mode == 2u));
+  }
+  var round_bits = sig.x & 0x3FFu;
+  if (exp_z < 0i || exp_z >= 0x7FDi) {
+    if (exp_z < 0i) {
+      sig = shr_jam64(sig, u32(-exp_z));
+      exp_z = 0i;
+      round_bits = sig.x & 0x3FFu;
+    } else if (exp_z > 0x7FDi || !lt64(add64(sig, vec2<u32>(increment, 0u)), vec2<u32>(0u, 0x80000000u))) {
+      // Overflow: infinity, or the largest finite value when rounding away from it
+      if (increment == 0u) {
+        return vec2<u32>(0xFFFFFFFFu, (sign_z << 31u) | 0x7FEFFFFFu);
+      }
+      return f64_inf(sign_z);
+    }
+  }
+  sig = shr64(add64(sig, vec2<u32>(increment, 0u)), 10u);
+  if (round_bits == 0x200u && mode == 0u) {
+    sig.x = sig.x & 0xFFFFFFFEu;
+  }
+  if (is_zero64(sig)) {
+    exp_z = 0i;
+  }
+  return f64_pack(sign_z, exp_z, sig);
+}
+
+fn f64_norm_round_pack(sign_z: u32, exp_z: i32, sig: vec2<u32>, mode: u32) -> vec2<u32> {
+  let shift = i32(clz64(sig)) - 1i;
+  let e = exp_z - shift;
+  if (shift >= 10i && e >= 0i && e < 0x7FDi) {
+    return f64_pack(sign_z, select(0i, e, !is_zero64(sig)), shl64(sig, u32(shift - 10i)));
+  }
+  return f64_round_pack(sign_z, e, shl64(sig, u32(shift)), mode);
+}
+
+fn f64_add_mags(a: vec2<u32>, b: vec2<u32>, sign_z: u32, mode: u32) -> vec2<u32> {
+  let exp_a = f64_exp(a);
+  let exp_b = f64_exp(b);
+  var sig_a = f64_frac(a);
+  var sig_b = f64_frac(b);
+  let diff = exp_a - exp_b;
+  if (diff == 0i) {
+    if (exp_a == 0i) {
+      return add64(a, sig_b);
+    }
+    if (exp_a == 0x7FFi) {
+      return a;
+    }
+    let sig = shl64(add64(add64(vec2<u32>(0u, 0x00200000u), sig_a), sig_b), 9u);
+    return f64_round_pack(sign_z, exp_a, sig, mode);
+  }
+  sig_a = shl64(sig_a, 9u);
+  sig_b = shl64(sig_b, 9u);
+  var exp_z: i32;
+  if (diff < 0i) {
+    if (exp_b == 0x7FFi) {
+      return f64_inf(sign_z);
+    }
+    exp_z = exp_b;
+    if (exp_a != 0i) {
+      sig_a = add64(sig_a, vec2<u32>(0u, 0x20000000u));
+    } else {
+      sig_a = shl64(sig_a, 1u);
+    }
+    sig_a = shr_jam64(sig_a, u32(-diff));
+  } else {
+    if (exp_a == 0x7FFi) {
+      return a;
+    }
+    exp_z = exp_a;
+    if (exp_b != 0i) {
+      sig_b = add64(sig_b, vec2<u32>(0u, 0x20000000u));
+    } else {
+      sig_b = shl64(sig_b, 1u);
+    }
+    sig_b = shr_jam64(sig_b, u32(diff));
+  }
+  var sig = add64(add64(vec2<u32>(0u, 0x20000000u), sig_a), sig_b);
+  if (lt64(sig, vec2<u32>(0u, 0x40000000u))) {
+    exp_z = exp_z - 1i;
+    sig = shl64(sig, 1u);
+  }
+  return f64_round_pack(sign_z, exp_z, sig, mode);
+}
+
+fn f64_sub_mags(a: vec2<u32>, b: vec2<u32>, sign_in: u32, mode: u32) -> vec2<u32> {
+  var sign_z = sign_in;
+  let exp_a = f64_exp(a);
+  let exp_b = f64_exp(b);
+  var sig_a = f64_frac(a);
+  var sig_b = f64_frac(b);
+  let diff = exp_a - exp_b;
+  if (diff == 0i) {
+    if (exp_a == 0x7FFi) {
+      return vec2<u32>(0u, 0xFFF80000u);
+    }
+    if (sig_a.x == sig_b.x && sig_a.y == sig_b.y) {
+      // Exact zero: negative only when rounding toward -inf
+      return f64_zero(select(0u, 1u, mode == 1u));
+    }
+    var e = exp_a;
+    if (e != 0i) {
+      e = e - 1i;
+    }
+    var d: vec2<u32>;
+    if (lt64(sig_a, sig_b)) {
+      sign_z = sign_z ^ 1u;
+      d = sub64(sig_b, sig_a);
+    } else {
+      d = sub64(sig_a, sig_b);
+    }
+    var shift = i32(clz64(d)) - 11i;
+    var exp_z = e - shift;
+    if (exp_z < 0i) {
+      shift = e;
+      exp_z = 0i;
+    }
+    return f64_pack(sign_z, exp_z, shl64(d, u32(shift)));
+  }
+  sig_a = shl64(sig_a, 10u);
+  sig_b = shl64(sig_b, 10u);
+  var exp_z: i32;
+  var sig: vec2<u32>;
+  if (diff < 0i) {
+    sign_z = sign_z ^ 1u;
+    if (exp_b == 0x7FFi) {
+      return f64_inf(sign_z);
+    }
+    if (exp_a != 0i) {
+      sig_a = add64(sig_a, vec2<u32>(0u, 0x40000000u));
+    } else {
+      sig_a = add64(sig_a, sig_a);
+    }
+    sig_a = shr_jam64(sig_a, u32(-diff));
+    sig_b.y = sig_b.y | 0x40000000u;
+    exp_z = exp_b;
+    sig = sub64(sig_b, sig_a);
+  } else {
+    if (exp_a == 0x7FFi) {
+      return a;
+    }
+    if (exp_b != 0i) {
+      sig_b = add64(sig_b, vec2<u32>(0u, 0x40000000u));
+    } else {
+      sig_b = add64(sig_b, sig_b);
+    }
+    sig_b = shr_jam64(sig_b, u32(diff));
+    sig_a.y = sig_a.y | 0x40000000u;
+    exp_z = exp_a;
+    sig = sub64(sig_a, sig_b);
+  }
+  return f64_norm_round_pack(sign_z, exp_z - 1i, sig, mode);
+}
+
+fn f64_add(a: vec2<u32>, b: vec2<u32>, mode: u32) -> vec2<u32> {
+  let sign_a = a.y >> 31u;
+  if (sign_a == (b.y >> 31u)) {
+    return f64_add_mags(a, b, sign_a, mode);
+  }
+  return f64_sub_mags(a, b, sign_a, mode);
+}
+
+fn f64_sub(a: vec2<u32>, b: vec2<u32>, mode: u32) -> vec2<u32> {
+  return f64_add(a, vec2<u32>(b.x, b.y ^ 0x80000000u), mode);
+}
+
+// Significand (with the hidden bit) and exponent of a finite non-zero value,
+// normalizing subnormals
+fn f64_unpack_normal(v: vec2<u32>) -> vec3<u32> {
+  var exp_z = f64_exp(v);
+  var sig = f64_frac(v);
+  if (exp_z == 0i) {
+    let shift = clz64(sig) - 11u;
+    exp_z = 1i - i32(shift);
+    sig = shl64(sig, shift);
+  }
+  return vec3<u32>(sig.x, sig.y | F64_HIDDEN, bitcast<u32>(exp_z));
+}
+
+fn f64_is_zero(v: vec2<u32>) -> bool {
+  return v.x == 0u && (v.y & 0x7FFFFFFFu) == 0u;
+}
+
+fn f64_mul(a: vec2<u32>, b: vec2<u32>, mode: u32) -> vec2<u32> {
+  let sign_z = (a.y ^ b.y) >> 31u;
+  if (f64_exp(a) == 0x7FFi || f64_exp(b) == 0x7FFi) {
+    return f64_inf(sign_z);
+  }
+  if (f64_is_zero(a) || f64_is_zero(b)) {
+    return f64_zero(sign_z);
+  }
+  let ua = f64_unpack_normal(a);
+  let ub = f64_unpack_normal(b);
+  var exp_z = bitcast<i32>(ua.z) + bitcast<i32>(ub.z) - 0x3FFi;
+
+  // 106-bit product of the 53-bit significands as four 32-bit words
+  let p00 = mul32(ua.x, ub.x);
+  let p01 = mul32(ua.x, ub.y);
+  let p10 = mul32(ua.y, ub.x);
+  let p11 = mul32(ua.y, ub.y);
+  let w1a = p00.y + p01.x;
+  let w1 = w1a + p10.x;
+  let carry1 = select(0u, 1u, w1a < p00.y) + select(0u, 1u, w1 < w1a);
+  let w2a = p01.y + p10.y;
+  let w2b = w2a + p11.x;
+  let w2 = w2b + carry1;
+  let carry2 = select(0u, 1u, w2a < p01.y) + select(0u, 1u, w2b < w2a) + select(0u, 1u, w2 < w2b);
+  let w3 = p11.y + carry2;
+
+  // Top bits shifted so the leading bit lands on bit 61 or 62, low bits jammed
+  var sig = vec2<u32>((w1 >> 11u) | (w2 << 21u), (w2 >> 11u) | (w3 << 21u));
+  if (p00.x != 0u || (w1 & 0x7FFu) != 0u) {
+    sig.x = sig.x | 1u;
+  }
+  if (lt64(sig, vec2<u32>(0u, 0x40000000u))) {
+    exp_z = exp_z - 1i;
+    sig = shl64(sig, 1u);
+  }
+  return f64_round_pack(sign_z, exp_z, sig, mode);
+}
+
+fn f64_div(a: vec2<u32>, b: vec2<u32>, mode: u32) -> vec2<u32> {
+  let sign_z = (a.y ^ b.y) >> 31u;
+  if (f64_exp(a) == 0x7FFi) {
+    return f64_inf(sign_z);
+  }
+  if (f64_exp(b) == 0x7FFi || f64_is_zero(a)) {
+    return f64_zero(sign_z);
+  }
+  if (f64_is_zero(b)) {
+    return f64_inf(sign_z);
+  }
+  let ua = f64_unpack_normal(a);
+  let ub = f64_unpack_normal(b);
+  var exp_z = bitcast<i32>(ua.z) - bitcast<i32>(ub.z) + 0x3FEi;
+  var rem = ua.xy;
+  let divisor = ub.xy;
+  if (lt64(rem, divisor)) {
+    exp_z = exp_z - 1i;
+    rem = shl64(rem, 1u);
+  }
+
+  // Restoring division: 63 quotient bits, leading bit on bit 62
+  var quotient = vec2<u32>(0u, 0u);
+  for (var i = 0u; i < 63u; i++) {
+    quotient = shl64(quotient, 1u);
+    if (!lt64(rem, divisor)) {
+      rem = sub64(rem, divisor);
+      quotient.x = quotient.x | 1u;
+    }
+    rem = shl64(rem, 1u);
+  }
+  if (!is_zero64(rem)) {
+    quotient.x = quotient.x | 1u;
+  }
+  return f64_round_pack(sign_z, exp_z, quotient, mode);
+}
+
+fn f64_sqrt(a: vec2<u32>, mode: u32) -> vec2<u32> {
+  if (f64_is_zero(a)) {
+    return a;
+  }
+  if ((a.y >> 31u) != 0u) {
+    return vec2<u32>(0u, 0xFFF80000u);
+  }
+  if (f64_exp(a) == 0x7FFi) {
+    return a;
+  }
+  let ua = f64_unpack_normal(a);
+  let unbiased = bitcast<i32>(ua.z) - 0x3FFi;
+  var m = ua.xy;
+  if ((unbiased & 1i) != 0i) {
+    m = shl64(m, 1u);
+  }
+  let exp_z = (unbiased >> 1u) + 0x3FEi;
+
+  // Integer square root of m * 2^72 two bits at a time; the remainder needs
+  // 66 bits, so it is kept in three words (x = low)
+  var root = vec2<u32>(0u, 0u);
+  var rem = vec3<u32>(0u, 0u, 0u);
+  for (var j = 62i; j >= 0i; j--) {
+    var pair = 0u;
+    let bit = 2i * j - 72i;
+    if (bit >= 0i) {
+      pair = shr64(m, u32(bit)).x & 3u;
+    }
+    rem = vec3<u32>((rem.x << 2u) | pair, (rem.y << 2u) | (rem.x >> 30u), (rem.z << 2u) | (rem.y >> 30u));
+    let shifted = shl64(root, 2u);
+    let trial = vec3<u32>(shifted.x | 1u, shifted.y, root.y >> 30u);
+    root = shl64(root, 1u);
+    let below = rem.z < trial.z || (rem.z == trial.z && (rem.y < trial.y || (rem.y == trial.y && rem.x < trial.x)));
+    if (!below) {
+      let lo = rem.x - trial.x;
+      let borrow0 = select(0u, 1u, rem.x < trial.x);
+      let mid = rem.y - trial.y - borrow0;
+      let borrow1 = select(0u, 1u, rem.y < trial.y || (rem.y == trial.y && borrow0 != 0u));
+      rem = vec3<u32>(lo, mid, rem.z - trial.z - borrow1);
+      root.x = root.x | 1u;
+    }
+  }
+  if ((rem.x | rem.y | rem.z) != 0u) {
+    root.x = root.x | 1u;
+  }
+  return f64_round_pack(0u, exp_z, root, mode);
+}
+
+// Exact int32 -> binary64 conversion (cvtdq2pd)
+fn f64_from_i32(x: u32) -> vec2<u32> {
+  if (x == 0u) {
+    return vec2<u32>(0u, 0u);
+  }
+  let sign_z = x >> 31u;
+  let magnitude = select(x, 0u - x, sign_z != 0u);
+  let shift = countLeadingZeros(magnitude);
+  let frac = (magnitude << shift) << 1u;
+  return vec2<u32>(frac << 20u, (sign_z << 31u) | ((1054u - shift) << 20u) | (frac >> 12u));
+}
+
+// ---------------------------------------------------------------------------
+// AES rounds (x86 AESENC / AESDEC semantics)
+// ---------------------------------------------------------------------------
+
+fn rotl32(x: u32, count: u32) -> u32 {
+  if (count == 0u) {
+    return x;
+  }
+  return (x << count) | (x >> (32u - count));
+}
+
+fn te(column: u32, index: u32) -> u32 {
+  return rotl32(consts[AES_TE + index], 8u * column);
+}
+
+fn td(column: u32, index: u32) -> u32 {
+  return rotl32(consts[AES_TD + index], 8u * column);
+}
+
+fn aes_enc(s: vec4<u32>, key: vec4<u32>) -> vec4<u32> {
+  return vec4<u32>(
+    te(0u, s.x & 0xFFu) ^ te(1u, (s.y >> 8u) & 0xFFu) ^ te(2u, (s.z >> 16u) & 0xFFu) ^ te(3u, s.w >> 24u) ^ key.x,
+    te(0u, s.y & 0xFFu) ^ te(1u, (s.z >> 8u) & 0xFFu) ^ te(2u, (s.w >> 16u) & 0xFFu) ^ te(3u, s.x >> 24u) ^ key.y,
+    te(0u, s.z & 0xFFu) ^ te(1u, (s.w >> 8u) & 0xFFu) ^ te(2u, (s.x >> 16u) & 0xFFu) ^ te(3u, s.y >> 24u) ^ key.z,
+    te(0u, s.w & 0xFFu) ^ te(1u, (s.x >> 8u) & 0xFFu) ^ te(2u, (s.y >> 16u) & 0xFFu) ^ te(3u, s.z >> 24u) ^ key.w
+  );
+}
+
+fn aes_dec(s: vec4<u32>, key: vec4<u32>) -> vec4<u32> {
+  return vec4<u32>(
+    td(0u, s.x & 0xFFu) ^ td(1u, (s.w >> 8u) & 0xFFu) ^ td(2u, (s.z >> 16u) & 0xFFu) ^ td(3u, s.y >> 24u) ^ key.x,
+    td(0u, s.y & 0xFFu) ^ td(1u, (s.x >> 8u) & 0xFFu) ^ td(2u, (s.w >> 16u) & 0xFFu) ^ td(3u, s.z >> 24u) ^ key.y,
+    td(0u, s.z & 0xFFu) ^ td(1u, (s.y >> 8u) & 0xFFu) ^ td(2u, (s.x >> 16u) & 0xFFu) ^ td(3u, s.w >> 24u) ^ key.z,
+    td(0u, s.w & 0xFFu) ^ td(1u, (s.z >> 8u) & 0xFFu) ^ td(2u, (s.y >> 16u) & 0xFFu) ^ td(3u, s.x >> 24u) ^ key.w
+  );
+}
+
+fn consts4(offset: u32) -> vec4<u32> {
+  return vec4<u32>(consts[offset], consts[offset + 1u], consts[offset + 2u], consts[offset + 3u]);
+}
+
+// ---------------------------------------------------------------------------
+// Scratchpad mixing: one invocation per 16-byte AES column
+// ---------------------------------------------------------------------------
+
+// AesGenerator1R: columns 0 and 2 decrypt, 1 and 3 encrypt. The final state
+// is written back over the seed; it seeds program generation.
+@compute @workgroup_size(4)
+fn fill_scratchpad(@builtin(local_invocation_id) lid: vec3<u32>) {
+  let column = lid.x;
+  let o = 4u * column;
+  var state = vec4<u32>(vm[VM_SEED + o], vm[VM_SEED + o + 1u], vm[VM_SEED + o + 2u], vm[VM_SEED + o + 3u]);
+  let key = consts4(AES_GEN_1R_KEYS + o);
+  let encrypt = (column & 1u) == 1u;
+  for (var block = 0u; block < SCRATCHPAD_WORDS; block += 16u) {
+    if (encrypt) {
+      state = aes_enc(state, key);
+    } else {
+      state = aes_dec(state, key);
+    }
+    scratchpad[block + o] = state.x;
+    scratchpad[block + o + 1u] = state.y;
+    scratchpad[block + o + 2u] = state.z;
+    scratchpad[block + o + 3u] = state.w;
+  }
+  vm[VM_SEED + o] = state.x;
+  vm[VM_SEED + o + 1u] = state.y;
+  vm[VM_SEED + o + 2u] = state.z;
+  vm[VM_SEED + o + 3u] = state.w;
+}
+
+// AesHash1R: columns 0 and 2 encrypt, 1 and 3 decrypt, with the scratchpad as
+// round keys, then two extra rounds. The result replaces register group A.
+@compute @workgroup_size(4)
+fn hash_scratchpad(@builtin(local_invocation_id) lid: vec3<u32>) {
+  let column = lid.x;
+  let o = 4u * column;
+  var state = consts4(AES_HASH_1R_STATE + o);
+  let encrypt = (column & 1u) == 0u;
+  for (var block = 0u; block < SCRATCHPAD_WORDS; block += 16u) {
+    let key = vec4<u32>(scratchpad[block + o], scratchpad[block + o + 1u], scratchpad[block + o + 2u], scratchpad[block + o + 3u]);
+    if (encrypt) {
+      state = aes_enc(state, key);
+    } else {
+      state = aes_dec(state, key);
+    }
+  }
+  for (var k = 0u; k < 8u; k += 4u) {
+    let key = consts4(AES_HASH_1R_XKEYS + k);
+    if (encrypt) {
+      state = aes_enc(state, key);
+    } else {
+      state = aes_dec(state, key);
+    }
+  }
+  vm[VM_A + o] = state.x;
+  vm[VM_A + o + 1u] = state.y;
+  vm[VM_A + o + 2u] = state.z;
+  vm[VM_A + o + 3u] = state.w;
+}
+
+// ---------------------------------------------------------------------------
+// Dataset access
+// ---------------------------------------------------------------------------
+
+// One 64-byte dataset item computed from the cache with SuperscalarHash
+fn dataset_item(item: u32) -> array<u32, 16> {
+  var r: array<u32, 16>;
+  let r0 = mul64(vec2<u32>(item + 1u, 0u), vec2<u32>(consts[SUPERSCALAR_MUL0], consts[SUPERSCALAR_MUL0 + 1u]));
+  for (var i = 0u; i < 16u; i += 2u) {
+    r[i] = r0.x ^ consts[SUPERSCALAR_ADD + i];
+    r[i + 1u] = r0.y ^ consts[SUPERSCALAR_ADD + i + 1u];
+  }
+
+  var register_value = item;
+  for (var p = 0u; p < CACHE_ACCESSES; p++) {
+    let mix_block = (register_value & CACHE_LINE_MASK) * 16u;
+    let size = superscalar[2u * p];
+    let base = SS_PROGRAMS + p * SS_MAX_SIZE * 3u;
+    for (var i = 0u; i < size; i++) {
+      let word = superscalar[base + 3u * i];
+      let kind = word & 0xFFu;
+      let d = (word >> 8u) & 0xFFu;
+      let s = (word >> 16u) & 0xFFu;
+      let sh = word >> 24u;
+      let imm = vec2<u32>(superscalar[base + 3u * i + 1u], superscalar[base + 3u * i + 2u]);
+      let dv = vec2<u32>(r[d], r[d + 1u]);
+      let sv = vec2<u32>(r[s], r[s + 1u]);
+      var result = dv;
+      switch kind {
+        case SS_ISUB_R: {
+          result = sub64(dv, sv);
+        }
+        case SS_IXOR_R: {
+          result = xor64(dv, sv);
+        }
+        case SS_IADD_RS: {
+          result = add64(dv, shl64(sv, sh));
+        }
+        case SS_IMUL_R: {
+          result = mul64(dv, sv);
+        }
+        case SS_IROR_C: {
+          result = rotr64(dv, sh);
+        }
+        case SS_IADD_C7, SS_IADD_C8, SS_IADD_C9: {
+          result = add64(dv, imm);
+        }
+        case SS_IXOR_C7, SS_IXOR_C8, SS_IXOR_C9: {
+          result = xor64(dv, imm);
+        }
+        case SS_IMULH_R: {
+          result = mulhi64(dv, sv);
+        }
+        case SS_ISMULH_R: {
+          result = smulhi64(dv, sv);
+        }
+        case SS_IMUL_RCP: {
+          result = mul64(dv, imm);
+        }
+        default: {
+        }
+      }
+      r[d] = result.x;
+      r[d + 1u] = result.y;
+    }
+    for (var q = 0u; q < 16u; q++) {
+      r[q] = r[q] ^ memory[mix_block + q];
+    }
+    register_value = r[2u * superscalar[2u * p + 1u]];
+  }
+  return r;
+}
+
+fn dataset_line(address: u32, light: bool) -> array<u32, 16> {
+  if (light) {
+    return dataset_item(address >> 6u);
+  }
+  var line: array<u32, 16>;
+  let w = address >> 2u;
+  for (var i = 0u; i < 16u; i++) {
+    line[i] = memory[w + i];
+  }
+  return line;
+}
+
+// ---------------------------------------------------------------------------
+// Program execution
+// ---------------------------------------------------------------------------
+
+// Group E value from a scratchpad int32 with the exponent forced by eMask
+fn e_from_i32(x: u32, lane: u32) -> vec2<u32> {
+  let v = f64_from_i32(x);
+  return vec2<u32>(v.x | vm[CFG_E_MASK + 2u * lane], (v.y & 0x00FFFFFFu) | vm[CFG_E_MASK + 2u * lane + 1u]);
+}
+
+@compute @workgroup_size(1)
+fn execute_program() {
+  // r0-r7 as lo/hi pairs plus a zero register at 16; f/e/a as binary64 bits
+  var r: array<u32, 18>;
+  var f: array<u32, 16>;
+  var e: array<u32, 16>;
+  var a: array<u32, 16>;
+  for (var i = 0u; i < 16u; i++) {
+    a[i] = vm[VM_A + i];
+  }
+
+  var ma = vm[CFG_MA];
+  var mx = vm[CFG_MX];
+  let read0 = vm[CFG_READ_REG];
+  let read1 = vm[CFG_READ_REG + 1u];
+  let read2 = vm[CFG_READ_REG + 2u];
+  let read3 = vm[CFG_READ_REG + 3u];
+  let dataset_offset = vm[CFG_DATASET_OFFSET];
+  let light = vm[CFG_LIGHT] != 0u;
+  var mode = vm[VM_ROUNDING];
+
+  var sp_addr0 = mx;
+  var sp_addr1 = ma;
+  for (var ic = 0u; ic < PROGRAM_ITERATIONS; ic++) {
+    sp_addr0 = (sp_addr0 ^ r[read0] ^ r[read1]) & SCRATCHPAD_L3_MASK64;
+    sp_addr1 = (sp_addr1 ^ r[read0 + 1u] ^ r[read1 + 1u]) & SCRATCHPAD_L3_MASK64;
+    let w0 = sp_addr0 >> 2u;
+    let w1 = sp_addr1 >> 2u;
+    for (var i = 0u; i < 16u; i++) {
+      r[i] = r[i] ^ scratchpad[w0 + i];
+    }
+    for (var i = 0u; i < 8u; i++) {
+      let fv = f64_from_i32(scratchpad[w1 + i]);
+      f[2u * i] = fv.x;
+      f[2u * i + 1u] = fv.y;
+      let ev = e_from_i32(scratchpad[w1 + 8u + i], i & 1u);
+      e[2u * i] = ev.x;
+      e[2u * i + 1u] = ev.y;
+    }
+
+    for (var pc = 0i; pc < PROGRAM_SIZE; pc++) {
+      let base = VM_PROGRAM + u32(pc) * INSTR_WORDS;
+      let word = vm[base];
+      let op = word & 0xFFu;
+      let d = (word >> 8u) & 0xFFu;
+      let s = (word >> 16u) & 0xFFu;
+      let sh = word >> 24u;
+      let mem_mask = vm[base + 1u];
+      let imm = vec2<u32>(vm[base + 2u], vm[base + 3u]);
+      let addr = ((r[s] + imm.x) & mem_mask) >> 2u;
+      let dv = vec2<u32>(r[d], r[d + 1u]);
+      let f0 = 4u * d;
+      let a0 = 4u * s;
+
+      switch op {
+        case OP_IADD_RS: {
+          let result = add64(add64(dv, shl64(vec2<u32>(r[s], r[s + 1u]), sh)), imm);
+          r[d] = result.x;
+          r[d + 1u] = result.y;
+        }
+        case OP_IADD_M: {
+          let result = add64(dv, vec2<u32>(scratchpad[addr], scratchpad[addr + 1u]));
+          r[d] = result.x;
+          r[d + 1u] = result.y;
+        }
+        case OP_ISUB_R: {
+          let result = sub64(dv, select(vec2<u32>(r[s], r[s + 1u]), imm, sh != 0u));
+          r[d] = result.x;
+          r[d + 1u] = result.y;
+        }
+        case OP_ISUB_M: {
+          let result = sub64(dv, vec2<u32>(scratchpad[addr], scratchpad[addr + 1u]));
+          r[d] = result.x;
+          r[d + 1u] = result.y;
+        }
+        case OP_IMUL_R: {
+          let result = mul64(dv, select(vec2<u32>(r[s], r[s + 1u]), imm, sh != 0u));
+          r[d] = result.x;
+          r[d + 1u] = result.y;
+        }
+        case OP_IMUL_M: {
+          let result = mul64(dv, vec2<u32>(scratchpad[addr], scratchpad[addr + 1u]));
+          r[d] = result.x;
+          r[d + 1u] = result.y;
+        }
+        case OP_IMULH_R: {
+          let result = mulhi64(dv, vec2<u32>(r[s], r[s + 1u]));
+          r[d] = result.x;
+          r[d + 1u] = result.y;
+        }
+        case OP_IMULH_M: {
+          let result = mulhi64(dv, vec2<u32>(scratchpad[addr], scratchpad[addr + 1u]));
+          r[d] = result.x;
+          r[d + 1u] = result.y;
+        }
+        case OP_ISMULH_R: {
+          let result = smulhi64(dv, vec2<u32>(r[s], r[s + 1u]));
+          r[d] = result.x;
+          r[d + 1u] = result.y;
+        }
+        case OP_ISMULH_M: {
+          let result = smulhi64(dv, vec2<u32>(scratchpad[addr], scratchpad[addr + 1u]));
+          r[d] = result.x;
+          r[d + 1u] = result.y;
+        }
+        case OP_INEG_R: {
+          let result = sub64(vec2<u32>(0u, 0u), dv);
+          r[d] = result.x;
+          r[d + 1u] = result.y;
+        }
+        case OP_IXOR_R: {
+          let result = xor64(dv, select(vec2<u32>(r[s], r[s + 1u]), imm, sh != 0u));
+          r[d] = result.x;
+          r[d + 1u] = result.y;
+        }
+        case OP_IXOR_M: {
+          let result = xor64(dv, vec2<u32>(scratchpad[addr], scratchpad[addr + 1u]));
+          r[d] = result.x;
+          r[d + 1u] = result.y;
+        }
+        case OP_IROR_R, OP_IROL_R: {
+          var count = select(r[s], imm.x, sh != 0u) & 63u;
+          if (op == OP_IROL_R) {
+            count = (64u - count) & 63u;
+          }
+          let result = rotr64(dv, count);
+          r[d] = result.x;
+          r[d + 1u] = result.y;
+        }
+        case OP_ISWAP_R: {
+          r[d] = r[s];
+          r[d + 1u] = r[s + 1u];
+          r[s] = dv.x;
+          r[s + 1u] = dv.y;
+        }
+        case OP_FSWAP_R: {
+          // dst 0-3 selects group F, 4-7 selects group E
+          let o = 4u * (d & 3u);
+          if (d < 4u) {
+            let lo = f[o];
+            let hi = f[o + 1u];
+            f[o] = f[o + 2u];
+            f[o + 1u] = f[o + 3u];
+            f[o + 2u] = lo;
+            f[o + 3u] = hi;
+          } else {
+            let lo = e[o];
+            let hi = e[o + 1u];
+            e[o] = e[o + 2u];
+            e[o + 1u] = e[o + 3u];
+            e[o + 2u] = lo;
+            e[o + 3u] = hi;
+          }
+        }
+        case OP_FADD_R, OP_FSUB_R: {
+          var lane0: vec2<u32>;
+          var lane1: vec2<u32>;
+          if (op == OP_FADD_R) {
+            lane0 = f64_add(vec2<u32>(f[f0], f[f0 + 1u]), vec2<u32>(a[a0], a[a0 + 1u]), mode);
+            lane1 = f64_add(vec2<u32>(f[f0 + 2u], f[f0 + 3u]), vec2<u32>(a[a0 + 2u], a[a0 + 3u]), mode);
+          } else {
+            lane0 = f64_sub(vec2<u32>(f[f0], f[f0 + 1u]), vec2<u32>(a[a0], a[a0 + 1u]), mode);
+            lane1 = f64_sub(vec2<u32>(f[f0 + 2u], f[f0 + 3u]), vec2<u32>(a[a0 + 2u], a[a0 + 3u]), mode);
+          }
+          f[f0] = lane0.x;
+          f[f0 + 1u] = lane0.y;
+          f[f0 + 2u] = lane1.x;
+          f[f0 + 3u] = lane1.y;
+        }
+        case OP_FADD_M, OP_FSUB_M: {
+          let m0 = f64_from_i32(scratchpad[addr]);
+          let m1 = f64_from_i32(scratchpad[addr + 1u]);
+          var lane0: vec2<u32>;
+          var lane1: vec2<u32>;
+          if (op == OP_FADD_M) {
+            lane0 = f64_add(vec2<u32>(f[f0], f[f0 + 1u]), m0, mode);
+            lane1 = f64_add(vec2<u32>(f[f0 + 2u], f[f0 + 3u]), m1, mode);
+          } else {
+            lane0 = f64_sub(vec2<u32>(f[f0], f[f0 + 1u]), m0, mode);
+            lane1 = f64_sub(vec2<u32>(f[f0 + 2u], f[f0 + 3u]), m1, mode);
+          }
+          f[f0] = lane0.x;
+          f[f0 + 1u] = lane0.y;
+          f[f0 + 2u] = lane1.x;
+          f[f0 + 3u] = lane1.y;
+        }
+        case OP_FSCAL_R: {
+          // XOR with 0x80F0000000000000 on both lanes
+          f[f0 + 1u] = f[f0 + 1u] ^ 0x80F00000u;
+          f[f0 + 3u] = f[f0 + 3u] ^ 0x80F00000u;
+        }
+        case OP_FMUL_R: {
+          let lane0 = f64_mul(vec2<u32>(e[f0], e[f0 + 1u]), vec2<u32>(a[a0], a[a0 + 1u]), mode);
+          let lane1 = f64_mul(vec2<u32>(e[f0 + 2u], e[f0 + 3u]), vec2<u32>(a[a0 + 2u], a[a0 + 3u]), mode);
+          e[f0] = lane0.x;
+          e[f0 + 1u] = lane0.y;
+          e[f0 + 2u] = lane1.x;
+          e[f0 + 3u] = lane1.y;
+        }
+        case OP_FDIV_M: {
+          let lane0 = f64_div(vec2<u32>(e[f0], e[f0 + 1u]), e_from_i32(scratchpad[addr], 0u), mode);
+          let lane1 = f64_div(vec2<u32>(e[f0 + 2u], e[f0 + 3u]), e_from_i32(scratchpad[addr + 1u], 1u), mode);
+          e[f0] = lane0.x;
+          e[f0 + 1u] = lane0.y;
+          e[f0 + 2u] = lane1.x;
+          e[f0 + 3u] = lane1.y;
+        }
+        case OP_FSQRT_R: {
+          let lane0 = f64_sqrt(vec2<u32>(e[f0], e[f0 + 1u]), mode);
+          let lane1 = f64_sqrt(vec2<u32>(e[f0 + 2u], e[f0 + 3u]), mode);
+          e[f0] = lane0.x;
+          e[f0 + 1u] = lane0.y;
+          e[f0 + 2u] = lane1.x;
+          e[f0 + 3u] = lane1.y;
+        }
+        case OP_CBRANCH: {
+          let result = add64(dv, imm);
+          r[d] = result.x;
+          r[d + 1u] = result.y;
+          if ((result.x & vm[base + 5u]) == 0u) {
+            pc = bitcast<i32>(vm[base + 4u]);
+          }
+        }
+        case OP_CFROUND: {
+          mode = rotr64(vec2<u32>(r[s], r[s + 1u]), sh).x & 3u;
+        }
+        case OP_ISTORE: {
+          let store = ((dv.x + imm.x) & mem_mask) >> 2u;
+          scratchpad[store] = r[s];
+          scratchpad[store + 1u] = r[s + 1u];
+        }
+        default: {
+        }
+      }
+    }
+
+    mx = (mx ^ r[read2] ^ r[read3]) & CACHE_LINE_ALIGN_MASK;
+    let line = dataset_line(dataset_offset + ma, light);
+    for (var i = 0u; i < 16u; i++) {
+      r[i] = r[i] ^ line[i];
+    }
+    let swap = mx;
+    mx = ma;
+    ma = swap;
+
+    for (var i = 0u; i < 16u; i++) {
+      scratchpad[w1 + i] = r[i];
+    }
+    for (var i = 0u; i < 16u; i++) {
+      scratchpad[w0 + i] = f[i] ^ e[i];
+    }
+    for (var i = 0u; i < 16u; i++) {
+      f[i] = f[i] ^ e[i];
+    }
+    sp_addr0 = 0u;
+    sp_addr1 = 0u;
+  }
+
+  for (var i = 0u; i < 16u; i++) {
+    vm[VM_R + i] = r[i];
+    vm[VM_F + i] = f[i];
+    vm[VM_E + i] = e[i];
+  }
+  vm[VM_ROUNDING] = mode;
+}
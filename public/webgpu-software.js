@@ -0,0 +1,1309 @@
+/**
+ * Software WebGPU adapter
+ *
+ * A CPU stand-in for `navigator.gpu` that runs compute shaders by translating
+ * WGSL to JavaScript. It covers the subset of WebGPU and WGSL the RandomX
+ * kernels use (storage buffers, compute pipelines, buffer copies and
+ * mapping), so the WebGPU backend can be checked where no GPU is available.
+ *
+ * Integers keep WGSL semantics (u32/i32 wrap-around, shift counts taken
+ * modulo 32); workgroups and invocations run one after another, so kernels
+ * that rely on barriers or workgroup memory are not supported.
+ */
+
+const WebGPUSoftware = (() => {
+  'use strict';
+
+  /* ----------------------------------------------------------------------- */
+  /* Tokenizer                                                               */
+  /* ----------------------------------------------------------------------- */
+
+  const PUNCTUATION = [
+    '<<=', '>>=', '->', '<<', '>>', '<=', '>=', '==', '!=', '&&', '||', '++', '--',
+    '+=', '-=', '*=', '/=', '%=', '&=', '|=', '^=',
+    '{', '}', '(', ')', '[', ']', '<', '>', ',', ';', ':', '.', '=', '+', '-', '*',
+    '/', '%', '&', '|', '^', '!', '~', '@'
+  ];
+
+  function tokenize(source) {
+    const tokens = [];
+    let i = 0;
+    let line = 1;
+    while (i < source.length) {
+      const c = source[i];
+      if (c === '\n') {
+        line++;
+        i++;
+      } else if (/\s/.test(c)) {
+        i++;
+      } else if (source.startsWith('//', i)) {
+        while (i < source.length && source[i] !== '\n') i++;
+      } else if (source.startsWith('/*', i)) {
+        const end = source.indexOf('*/', i + 2);
+        if (end < 0) throw new Error(`WGSL line ${line}: unterminated comment`);
+        line += source.slice(i, end).split('\n').length - 1;
+        i = end + 2;
+      } else if (/[A-Za-z_]/.test(c)) {
+        const match = /^[A-Za-z_][A-Za-z0-9_]*/.exec(source.slice(i, i + 256));
+        tokens.push({ kind: 'ident', value: match[0], line });
+        i += match[0].length;
+      } else if (/[0-9]/.test(c)) {
+        const match = /^(0[xX][0-9A-Fa-f]+|[0-9]+)([ui]?)/.exec(source.slice(i, i + 64));
+        tokens.push({ kind: 'number', value: match[1], suffix: match[2], line });
+        i += match[0].length;
+      } else {
+        const punct = PUNCTUATION.find(p => source.startsWith(p, i));
+        if (!punct) throw new Error(`WGSL line ${line}: unexpected character '${c}'`);
+        tokens.push({ kind: 'punct', value: punct, line });
+        i += punct.length;
+      }
+    }
+    tokens.push({ kind: 'eof', value: '', line });
+    return tokens;
+  }
+
+  /* ----------------------------------------------------------------------- */
+  /* Types                                                                   */
+  /* ----------------------------------------------------------------------- */
+
+  const U32 = { kind: 'scalar', name: 'u32' };
+  const I32 = { kind: 'scalar', name: 'i32' };
+  const BOOL = { kind: 'scalar', name: 'bool' };
+  const ABSTRACT_INT = { kind: 'scalar', name: 'abstract-int' };
+
+  const SCALARS = { u32: U32, i32: I32, bool: BOOL };
+  const COMPONENTS = { x: 0, y: 1, z: 2, w: 3, r: 0, g: 1, b: 2, a: 3 };
+
+  function typeName(type) {
+    if (!type) return 'void';
+    if (type.kind === 'scalar') return type.name;
+    if (type.kind === 'vec') return `vec${type.size}<${typeName(type.elem)}>`;
+    return type.size === null ? `array<${typeName(type.elem)}>` : `array<${typeName(type.elem)}, ${type.size}>`;
+  }
+
+  function sameType(a, b) {
+    return typeName(a) === typeName(b);
+  }
+
+  function isComposite(type) {
+    return type.kind === 'vec' || type.kind === 'array';
+  }
+
+  function isInteger(type) {
+    return type === U32 || type === I32 || type === ABSTRACT_INT;
+  }
+
+  /* ----------------------------------------------------------------------- */
+  /* Parser and code generator                                               */
+  /* ----------------------------------------------------------------------- */
+
+  /**
+   * Translates a WGSL module into the source of a JavaScript factory. Type
+   * checking happens during generation; errors name the WGSL line.
+   */
+  class Translator {
+    constructor(source) {
+      this.tokens = tokenize(source);
+      this.pos = 0;
+      this.functions = new Map();
+      this.globals = new Map();
+      this.bindings = [];
+      this.entryPoints = [];
+      this.scopes = [];
+      this.out = [];
+      this.tempId = 0;
+    }
+
+    // --- token helpers -----------------------------------------------------
+
+    peek(offset = 0) {
+      return this.tokens[this.pos + offset];
+    }
+
+    next() {
+      return this.tokens[this.pos++];
+    }
+
+    error(message, token = this.peek()) {
+      return new Error(`WGSL line ${token.line}: ${message}`);
+    }
+
+    is(value, offset = 0) {
+      const token = this.peek(offset);
+      return token.kind !== 'eof' && token.value === value && token.kind !== 'number';
+    }
+
+    accept(value) {
+      if (this.is(value)) {
+        this.pos++;
+        return true;
+      }
+      return false;
+    }
+
+    expect(value) {
+      if (!this.is(value)) {
+        // '>>' closes two template lists
+        if (value === '>' && this.is('>>')) {
+          this.tokens.splice(this.pos, 1,
+            { kind: 'punct', value: '>', line: this.peek().line },
+            { kind: 'punct', value: '>', line: this.peek().line });
+        } else {
+          throw this.error(`expected '${value}', found '${this.peek().value}'`);
+        }
+      }
+      return this.next();
+    }
+
+    identifier() {
+      const token = this.next();
+      if (token.kind !== 'ident') throw this.error(`expected identifier, found '${token.value}'`, token);
+      return token.value;
+    }
+
+    // --- scopes ------------------------------------------------------------
+
+    declare(name, entry) {
+      const scope = this.scopes[this.scopes.length - 1];
+      if (scope.has(name)) throw this.error(`redeclaration of '${name}'`);
+      scope.set(name, entry);
+    }
+
+    lookup(name) {
+      for (let i = this.scopes.length - 1; i >= 0; i--) {
+        if (this.scopes[i].has(name)) return this.scopes[i].get(name);
+      }
+      return this.globals.get(name);
+    }
+
+    // --- types -------------------------------------------------------------
+
+    parseType() {
+      const name = this.identifier();
+      if (SCALARS[name]) return SCALARS[name];
+      const vec = /^vec([234])$/.exec(name);
+      if (vec) {
+        this.expect('<');
+        const elem = this.parseType();
+        this.expect('>');
+        return { kind: 'vec', size: Number(vec[1]), elem };
+      }
+      if (name === 'array') {
+        this.expect('<');
+        const elem = this.parseType();
+        let size = null;
+        if (this.accept(',')) {
+          size = this.constantValue(this.parseUnary());
+        }
+        this.expect('>');
+        return { kind: 'array', elem, size };
+      }
+      throw this.error(`unsupported type '${name}'`);
+    }
+
+    constantValue(expr) {
+      if (expr.constValue === undefined) throw this.error('expected a constant expression');
+      return expr.constValue;
+    }
+
+    zeroValue(type) {
+      if (type.kind === 'scalar') return type === BOOL ? 'false' : '0';
+      if (type.kind === 'vec') return `[${new Array(type.size).fill(this.zeroValue(type.elem)).join(', ')}]`;
+      if (type.elem === U32) return `new Uint32Array(${type.size})`;
+      if (type.elem === I32) return `new Int32Array(${type.size})`;
+      return `Array.from({ length: ${type.size} }, () => ${this.zeroValue(type.elem)})`;
+    }
+
+    // --- module scope ------------------------------------------------------
+
+    translate() {
+      // Function signatures first: WGSL allows calls before declarations
+      this.collectSignatures();
+      this.pos = 0;
+      this.scopes = [];
+      while (this.peek().kind !== 'eof') {
+        this.moduleDeclaration();
+      }
+      return this.out.join('\n');
+    }
+
+    collectSignatures() {
+      while (this.peek().kind !== 'eof') {
+        if (this.is('fn')) {
+          this.next();
+          const name = this.identifier();
+          this.expect('(');
+          const params = [];
+          while (!this.is(')')) {
+            while (this.accept('@')) this.skipAttribute();
+            this.identifier();
+            this.expect(':');
+            params.push(this.parseType());
+            if (!this.accept(',')) break;
+          }
+          this.expect(')');
+          const returnType = this.accept('->') ? this.parseType() : null;
+          this.functions.set(name, { params, returnType });
+        } else {
+          this.next();
+        }
+      }
+    }
+
+    skipAttribute() {
+      const name = this.identifier();
+      let args = [];
+      if (this.accept('(')) {
+        while (!this.is(')')) {
+          args.push(this.next().value);
+          this.accept(',');
+        }
+        this.expect(')');
+      }
+      return { name, args };
+    }
+
+    moduleDeclaration() {
+      const attributes = {};
+      while (this.accept('@')) {
+        const { name, args } = this.skipAttribute();
+        attributes[name] = args;
+      }
+      if (this.accept('const')) {
+        const name = this.identifier();
+        let type = null;
+        if (this.accept(':')) type = this.parseType();
+        this.expect('=');
+        const expr = this.coerce(this.parseExpression(), type);
+        this.expect(';');
+        this.globals.set(name, { kind: 'const', type: type || expr.type, js: `c_${name}`, constValue: expr.constValue });
+        this.out.push(`const c_${name} = ${expr.code};`);
+      } else if (this.accept('var')) {
+        this.expect('<');
+        const space = this.identifier();
+        let access = 'read';
+        if (this.accept(',')) access = this.identifier();
+        this.expect('>');
+        if (space !== 'storage') throw this.error(`unsupported address space '${space}'`);
+        const name = this.identifier();
+        this.expect(':');
+        const type = this.parseType();
+        this.expect(';');
+        if (type.kind !== 'array' || (type.elem !== U32 && type.elem !== I32)) {
+          throw this.error('storage buffers must be array<u32> or array<i32>');
+        }
+        const group = Number(attributes.group && attributes.group[0]);
+        const binding = Number(attributes.binding && attributes.binding[0]);
+        this.bindings.push({ group, binding, name, access, elem: type.elem.name });
+        this.globals.set(name, { kind: 'storage', type, js: `s_${name}`, access });
+        this.out.push(`let s_${name} = null;`);
+      } else if (this.is('fn')) {
+        this.functionDeclaration(attributes);
+      } else {
+        throw this.error(`unexpected '${this.peek().value}' at module scope`);
+      }
+    }
+
+    functionDeclaration(attributes) {
+      this.expect('fn');
+      const name = this.identifier();
+      const signature = this.functions.get(name);
+      this.scopes.push(new Map());
+      this.expect('(');
+      const params = [];
+      const builtins = [];
+      while (!this.is(')')) {
+        let builtin = null;
+        while (this.accept('@')) {
+          const attribute = this.skipAttribute();
+          if (attribute.name === 'builtin') builtin = attribute.args[0];
+        }
+        const param = this.identifier();
+        this.expect(':');
+        const type = this.parseType();
+        this.declare(param, { kind: 'let', type, js: `p_${param}` });
+        params.push(`p_${param}`);
+        builtins.push(builtin);
+        if (!this.accept(',')) break;
+      }
+      this.expect(')');
+      if (this.accept('->')) this.parseType();
+      this.currentReturn = signature.returnType;
+
+      this.out.push(`function f_${name}(${params.join(', ')}) {`);
+      this.block();
+      this.out.push('}');
+      this.scopes.pop();
+
+      if (attributes.compute) {
+        const size = (attributes.workgroup_size || ['1']).map(Number);
+        this.entryPoints.push({ name, builtins, workgroupSize: [size[0], size[1] || 1, size[2] || 1] });
+      }
+    }
+
+    // --- statements --------------------------------------------------------
+
+    block() {
+      this.expect('{');
+      this.scopes.push(new Map());
+      while (!this.accept('}')) {
+        this.statement();
+      }
+      this.scopes.pop();
+    }
+
+    statement() {
+      const token = this.peek();
+      if (token.kind === 'ident') {
+        switch (token.value) {
+          case 'let':
+          case 'var':
+            this.declaration();
+            this.expect(';');
+            return;
+          case 'if':
+            this.ifStatement();
+            return;
+          case 'for':
+            this.forStatement();
+            return;
+          case 'loop':
+            this.next();
+            this.out.push('for (;;) {');
+            this.block();
+            this.out.push('}');
+            return;
+          case 'while': {
+            this.next();
+            const cond = this.expectType(this.parseExpression(), BOOL);
+            this.out.push(`while (${cond.code}) {`);
+            this.block();
+            this.out.push('}');
+            return;
+          }
+          case 'switch':
+            this.switchStatement();
+            return;
+          case 'return': {
+            this.next();
+            if (this.accept(';')) {
+              this.out.push('return;');
+              return;
+            }
+            const value = this.coerce(this.parseExpression(), this.currentReturn);
+            this.expect(';');
+            this.out.push(`return ${this.owned(value)};`);
+            return;
+          }
+          case 'break':
+          case 'continue':
+            this.next();
+            this.expect(';');
+            this.out.push(`${token.value};`);
+            return;
+          default:
+            break;
+        }
+      }
+      if (this.is('{')) {
+        this.out.push('{');
+        this.block();
+        this.out.push('}');
+        return;
+      }
+      this.simpleStatement();
+      this.expect(';');
+    }
+
+    declaration() {
+      const keyword = this.next().value;
+      const name = this.identifier();
+      let type = null;
+      if (this.accept(':')) type = this.parseType();
+      let init = null;
+      if (this.accept('=')) {
+        init = this.coerce(this.parseExpression(), type);
+        type = type || init.type;
+      }
+      if (!type) throw this.error(`'${name}' needs a type or an initializer`);
+      if (type === ABSTRACT_INT) type = I32;
+      const js = `${keyword === 'let' ? 'l' : 'v'}_${name}`;
+      const value = init ? this.owned(init) : this.zeroValue(type);
+      this.declare(name, { kind: keyword, type, js });
+      this.out.push(`${keyword === 'let' ? 'const' : 'let'} ${js} = ${value};`);
+    }
+
+    // Statement without trailing ';': assignment, increment or call
+    simpleStatement() {
+      if (this.is('_') && this.is('=', 1)) {
+        this.next();
+        this.next();
+        this.out.push(`${this.parseExpression().code};`);
+        return;
+      }
+      const target = this.parsePostfix(this.parsePrimary());
+      if (this.accept('=')) {
+        this.assignable(target);
+        const value = this.coerce(this.parseExpression(), target.type);
+        this.expectType(value, target.type);
+        this.out.push(`${target.code} = ${this.owned(value)};`);
+      } else if (this.is('++') || this.is('--')) {
+        const op = this.next().value === '++' ? '+' : '-';
+        this.assignable(target);
+        const one = { code: '1', type: ABSTRACT_INT, constValue: 1 };
+        this.out.push(`${target.code} = ${this.binary(op, target, one).code};`);
+      } else if (this.peek().kind === 'punct' && /^(<<|>>|[-+*/%&|^])=$/.test(this.peek().value)) {
+        const op = this.next().value.slice(0, -1);
+        this.assignable(target);
+        const value = this.parseExpression();
+        this.out.push(`${target.code} = ${this.binary(op, target, value).code};`);
+      } else if (target.call) {
+        this.out.push(`${target.code};`);
+      } else {
+        throw this.error('expected a statement');
+      }
+    }
+
+    assignable(target) {
+      if (!target.lvalue) throw this.error('cannot assign to this expression');
+      if (target.readOnly) throw this.error(`cannot assign to '${target.readOnly}'`);
+    }
+
+    ifStatement() {
+      this.expect('if');
+      const cond = this.expectType(this.parseExpression(), BOOL);
+      this.out.push(`if (${cond.code}) {`);
+      this.block();
+      while (this.accept('else')) {
+        if (this.accept('if')) {
+          const elseCond = this.expectType(this.parseExpression(), BOOL);
+          this.out.push(`} else if (${elseCond.code}) {`);
+          this.block();
+        } else {
+          this.out.push('} else {');
+          this.block();
+          break;
+        }
+      }
+      this.out.push('}');
+    }
+
+    forStatement() {
+      this.expect('for');
+      this.expect('(');
+      this.scopes.push(new Map());
+      // The loop header is emitted as separate statements inside a block so
+      // the initializer keeps WGSL's single binding per loop
+      this.out.push('{');
+      if (!this.is(';')) {
+        if (this.is('var') || this.is('let')) this.declaration();
+        else this.simpleStatement();
+      }
+      this.expect(';');
+      let cond = 'true';
+      if (!this.is(';')) cond = this.expectType(this.parseExpression(), BOOL).code;
+      this.expect(';');
+
+      // Capture the update statement's output separately
+      const saved = this.out;
+      this.out = [];
+      if (!this.is(')')) this.simpleStatement();
+      const update = this.out.join(' ').replace(/;$/, '');
+      this.out = saved;
+      this.expect(')');
+
+      this.out.push(`for (; ${cond}; ${update}) {`);
+      this.block();
+      this.out.push('}');
+      this.out.push('}');
+      this.scopes.pop();
+    }
+
+    switchStatement() {
+      this.expect('switch');
+      const selector = this.parseExpression();
+      if (!isInteger(selector.type)) throw this.error('switch selector must be an integer');
+      const temp = `t${this.tempId++}`;
+      this.out.push(`const ${temp} = ${selector.code};`);
+      this.out.push(`switch (${temp}) {`);
+      this.expect('{');
+      while (!this.accept('}')) {
+        if (this.accept('default')) {
+          this.out.push('default:');
+        } else {
+          this.expect('case');
+          do {
+            if (this.accept('default')) {
+              this.out.push('default:');
+            } else {
+              const value = this.coerce(this.parseExpression(), selector.type);
+              this.out.push(`case ${this.constantValue(value)}:`);
+            }
+          } while (this.accept(',') && !this.is(':') && !this.is('{'));
+        }
+        this.accept(':');
+        this.out.push('{');
+        this.block();
+        this.out.push('break; }');
+      }
+      this.out.push('}');
+    }
+
+    // --- expressions -------------------------------------------------------
+
+    parseExpression() {
+      const first = this.parseUnary();
+      // Bitwise chains take unary operands and cannot mix operators
+      if (this.peek().kind === 'punct' && ['&', '|', '^'].includes(this.peek().value)) {
+        const op = this.peek().value;
+        let left = first;
+        while (this.accept(op)) {
+          left = this.binary(op, left, this.parseUnary());
+        }
+        if (this.peek().kind === 'punct' && ['&', '|', '^', '&&', '||', '==', '!=', '<', '>', '<=', '>='].includes(this.peek().value)) {
+          throw this.error(`mixing '${op}' with '${this.peek().value}' needs parentheses`);
+        }
+        return left;
+      }
+      let left = this.parseRelational(first);
+      if (this.is('&&') || this.is('||')) {
+        const op = this.peek().value;
+        while (this.accept(op)) {
+          const right = this.parseRelational(this.parseUnary());
+          this.expectType(left, BOOL);
+          this.expectType(right, BOOL);
+          left = { code: `(${left.code} ${op} ${right.code})`, type: BOOL };
+        }
+        if (this.is('&&') || this.is('||')) {
+          throw this.error(`mixing '${op}' with '${this.peek().value}' needs parentheses`);
+        }
+      }
+      return left;
+    }
+
+    parseRelational(first) {
+      const left = this.parseShift(first);
+      const token = this.peek();
+      if (token.kind === 'punct' && ['<', '>', '<=', '>=', '==', '!='].includes(token.value)) {
+        this.next();
+        const right = this.parseShift(this.parseUnary());
+        return this.binary(token.value, left, right);
+      }
+      return left;
+    }
+
+    parseShift(first) {
+      if (this.is('<<') || this.is('>>')) {
+        const op = this.next().value;
+        return this.binary(op, first, this.parseUnary());
+      }
+      return this.parseAdditive(first);
+    }
+
+    parseAdditive(first) {
+      let left = this.parseMultiplicative(first);
+      while (this.is('+') || this.is('-')) {
+        const op = this.next().value;
+        left = this.binary(op, left, this.parseMultiplicative(this.parseUnary()));
+      }
+      return left;
+    }
+
+    parseMultiplicative(first) {
+      let left = first;
+      while (this.is('*') || this.is('/') || this.is('%')) {
+        const op = this.next().value;
+        left = this.binary(op, left, this.parseUnary());
+      }
+      return left;
+    }
+
+    parseUnary() {
+      if (this.is('-') || this.is('!') || this.is('~')) {
+        const op = this.next().value;
+        const operand = this.parseUnary();
+        return this.unary(op, operand);
+      }
+      return this.parsePostfix(this.parsePrimary());
+    }
+
+    parsePrimary() {
+      const token = this.next();
+      if (token.kind === 'number') {
+        const value = Number(token.value);
+        const type = token.suffix === 'u' ? U32 : token.suffix === 'i' ? I32 : ABSTRACT_INT;
+        if (type === U32 && value > 0xFFFFFFFF) throw this.error('u32 literal out of range', token);
+        if (type === I32 && value > 0x7FFFFFFF) throw this.error('i32 literal out of range', token);
+        return { code: String(value), type, constValue: value };
+      }
+      if (token.kind === 'punct' && token.value === '(') {
+        const inner = this.parseExpression();
+        this.expect(')');
+        return { ...inner, lvalue: false, path: false, code: `(${inner.code})` };
+      }
+      if (token.kind !== 'ident') throw this.error(`unexpected '${token.value}'`, token);
+
+      const name = token.value;
+      if (name === 'true' || name === 'false') {
+        return { code: name, type: BOOL, constValue: name === 'true' };
+      }
+
+      // Type constructors, conversions and bitcasts
+      if (SCALARS[name] && this.is('(')) {
+        return this.conversion(SCALARS[name], this.callArguments());
+      }
+      if (/^vec[234]$/.test(name) || name === 'array') {
+        this.pos--;
+        const type = this.parseType();
+        return this.construct(type, this.callArguments());
+      }
+      if (name === 'bitcast') {
+        this.expect('<');
+        const type = this.parseType();
+        this.expect('>');
+        const [arg] = this.callArguments();
+        if (type.kind !== 'scalar' || !isInteger(arg.type)) throw this.error('unsupported bitcast');
+        return { code: type === U32 ? `(${arg.code} >>> 0)` : `(${arg.code} | 0)`, type };
+      }
+
+      if (this.is('(')) {
+        return this.call(name, this.callArguments(), token);
+      }
+
+      const entry = this.lookup(name);
+      if (!entry) throw this.error(`unknown identifier '${name}'`, token);
+      return {
+        code: entry.js,
+        type: entry.type,
+        constValue: entry.constValue,
+        lvalue: entry.kind === 'var' || entry.kind === 'storage',
+        readOnly: entry.kind === 'storage' && entry.access !== 'read_write' ? name : null,
+        path: true
+      };
+    }
+
+    callArguments() {
+      this.expect('(');
+      const args = [];
+      while (!this.is(')')) {
+        args.push(this.parseExpression());
+        if (!this.accept(',')) break;
+      }
+      this.expect(')');
+      return args;
+    }
+
+    parsePostfix(base) {
+      let expr = base;
+      for (;;) {
+        if (this.accept('[')) {
+          const index = this.parseExpression();
+          this.expect(']');
+          if (!isInteger(index.type)) throw this.error('index must be an integer');
+          if (expr.type.kind !== 'array' && expr.type.kind !== 'vec') throw this.error(`cannot index ${typeName(expr.type)}`);
+          expr = {
+            code: `${expr.code}[${index.code}]`,
+            type: expr.type.elem,
+            lvalue: expr.lvalue,
+            readOnly: expr.readOnly,
+            path: true
+          };
+        } else if (this.accept('.')) {
+          const member = this.identifier();
+          if (expr.type.kind !== 'vec') throw this.error(`no member '${member}' on ${typeName(expr.type)}`);
+          const indexes = member.split('').map(c => {
+            const index = COMPONENTS[c];
+            if (index === undefined || index >= expr.type.size) throw this.error(`invalid swizzle '${member}'`);
+            return index;
+          });
+          if (indexes.length === 1) {
+            expr = { code: `${expr.code}[${indexes[0]}]`, type: expr.type.elem, lvalue: expr.lvalue, readOnly: expr.readOnly, path: true };
+          } else {
+            expr = {
+              code: `[${indexes.map(i => `${expr.code}[${i}]`).join(', ')}]`,
+              type: { kind: 'vec', size: indexes.length, elem: expr.type.elem }
+            };
+          }
+        } else {
+          return expr;
+        }
+      }
+    }
+
+    // --- typing and operators ---------------------------------------------
+
+    expectType(expr, type) {
+      if (expr.type === ABSTRACT_INT && isInteger(type)) return expr;
+      if (!sameType(expr.type, type)) {
+        throw this.error(`expected ${typeName(type)}, found ${typeName(expr.type)}`);
+      }
+      return expr;
+    }
+
+    coerce(expr, type) {
+      if (type && expr.type === ABSTRACT_INT && isInteger(type) && type !== ABSTRACT_INT) {
+        const value = type === U32 ? expr.constValue >>> 0 : expr.constValue | 0;
+        return { code: String(value), type, constValue: value };
+      }
+      if (type) this.expectType(expr, type);
+      return expr;
+    }
+
+    // Composite values read from a variable are copied so later writes
+    // through either name cannot alias (WGSL has value semantics)
+    owned(expr) {
+      if (expr.path && isComposite(expr.type)) {
+        return `${expr.code}.slice()`;
+      }
+      return expr.code;
+    }
+
+    unify(left, right, op) {
+      if (left.type === ABSTRACT_INT && right.type !== ABSTRACT_INT) left = this.coerce(left, right.type);
+      if (right.type === ABSTRACT_INT && left.type !== ABSTRACT_INT) right = this.coerce(right, left.type);
+      if (!sameType(left.type, right.type)) {
+        throw this.error(`'${op}' operands differ: ${typeName(left.type)} and ${typeName(right.type)}`);
+      }
+      return [left, right];
+    }
+
+    binary(op, leftIn, rightIn) {
+      let left = leftIn;
+      let right = rightIn;
+      if (op === '<<' || op === '>>') {
+        right = this.coerce(right, U32);
+        if (!isInteger(left.type) || left.type === ABSTRACT_INT && right.constValue === undefined) {
+          throw this.error(`'${op}' needs an integer`);
+        }
+        const type = left.type === ABSTRACT_INT ? I32 : left.type;
+        const count = right.constValue !== undefined ? String(right.constValue & 31) : `(${right.code} & 31)`;
+        const constValue = left.constValue !== undefined && right.constValue !== undefined
+          ? this.fold(op, type, left.constValue, right.constValue) : undefined;
+        if (op === '<<') {
+          return { code: type === U32 ? `((${left.code} << ${count}) >>> 0)` : `(${left.code} << ${count})`, type, constValue };
+        }
+        return { code: type === U32 ? `(${left.code} >>> ${count})` : `(${left.code} >> ${count})`, type, constValue };
+      }
+
+      [left, right] = this.unify(left, right, op);
+      const type = left.type === ABSTRACT_INT ? I32 : left.type;
+      const a = left.code;
+      const b = right.code;
+
+      if (['<', '>', '<=', '>=', '==', '!='].includes(op)) {
+        if (type.kind !== 'scalar') throw this.error(`'${op}' on vectors is not supported`);
+        const jsOp = op === '==' ? '===' : op === '!=' ? '!==' : op;
+        return { code: `(${a} ${jsOp} ${b})`, type: BOOL };
+      }
+      if (type.kind !== 'scalar' || type === BOOL) {
+        throw this.error(`'${op}' is not supported on ${typeName(type)}`);
+      }
+
+      const constValue = left.constValue !== undefined && right.constValue !== undefined
+        ? this.fold(op, type, left.constValue, right.constValue) : undefined;
+      const wrap = type === U32 ? '>>> 0' : '| 0';
+      let code;
+      switch (op) {
+        case '+':
+        case '-':
+          code = `((${a} ${op} ${b}) ${wrap})`;
+          break;
+        case '*':
+          code = type === U32 ? `(Math.imul(${a}, ${b}) >>> 0)` : `Math.imul(${a}, ${b})`;
+          break;
+        case '/':
+          code = type === U32 ? `$udiv(${a}, ${b})` : `$idiv(${a}, ${b})`;
+          break;
+        case '%':
+          code = type === U32 ? `$urem(${a}, ${b})` : `$irem(${a}, ${b})`;
+          break;
+        case '&':
+        case '|':
+        case '^':
+          code = type === U32 ? `((${a} ${op} ${b}) >>> 0)` : `(${a} ${op} ${b})`;
+          break;
+        default:
+          throw this.error(`unsupported operator '${op}'`);
+      }
+      return { code, type, constValue };
+    }
+
+    fold(op, type, a, b) {
+      const wrap = (x) => (type === U32 ? x >>> 0 : x | 0);
+      switch (op) {
+        case '+': return wrap(a + b);
+        case '-': return wrap(a - b);
+        case '*': return wrap(Math.imul(a, b));
+        case '&': return wrap(a & b);
+        case '|': return wrap(a | b);
+        case '^': return wrap(a ^ b);
+        case '<<': return wrap(a << (b & 31));
+        case '>>': return type === U32 ? a >>> (b & 31) : a >> (b & 31);
+        default: return undefined;
+      }
+    }
+
+    unary(op, operand) {
+      if (op === '!') {
+        this.expectType(operand, BOOL);
+        return { code: `(!${operand.code})`, type: BOOL };
+      }
+      if (operand.type === U32 && op === '-') throw this.error('unary minus is not defined for u32');
+      if (!isInteger(operand.type)) throw this.error(`'${op}' needs an integer`);
+      const type = operand.type === ABSTRACT_INT ? I32 : operand.type;
+      if (op === '-') {
+        const constValue = operand.constValue !== undefined ? -operand.constValue : undefined;
+        return { code: `(-${operand.code} | 0)`, type: operand.type === ABSTRACT_INT ? ABSTRACT_INT : type, constValue };
+      }
+      return { code: type === U32 ? `(~${operand.code} >>> 0)` : `(~${operand.code})`, type };
+    }
+
+    conversion(type, args) {
+      if (args.length !== 1) throw this.error(`${type.name}() takes one argument`);
+      const [arg] = args;
+      if (arg.type === ABSTRACT_INT) return this.coerce(arg, type);
+      if (sameType(arg.type, type)) return { code: arg.code, type };
+      if (arg.type === BOOL) return { code: `(${arg.code} ? 1 : 0)`, type };
+      if (type === U32 && arg.type === I32) return { code: `(${arg.code} >>> 0)`, type };
+      if (type === I32 && arg.type === U32) return { code: `(${arg.code} | 0)`, type };
+      if (type === BOOL) return { code: `(${arg.code} !== 0)`, type };
+      throw this.error(`cannot convert ${typeName(arg.type)} to ${type.name}`);
+    }
+
+    construct(type, args) {
+      if (type.kind === 'array') {
+        if (args.length === 0) return { code: this.zeroValue(type), type };
+        if (args.length !== type.size) throw this.error('wrong number of array elements');
+        const elems = args.map(arg => this.owned(this.coerce(arg, type.elem)));
+        return { code: `[${elems.join(', ')}]`, type };
+      }
+      if (args.length === 0) return { code: this.zeroValue(type), type };
+      if (args.length === 1 && args[0].type.kind === 'scalar') {
+        const value = this.coerce(args[0], type.elem);
+        return { code: `new Array(${type.size}).fill(${value.code})`, type };
+      }
+      const parts = [];
+      for (const arg of args) {
+        if (arg.type.kind === 'vec') {
+          this.expectType({ type: arg.type.elem }, type.elem);
+          parts.push(`...${arg.code}`);
+        } else {
+          parts.push(this.coerce(arg, type.elem).code);
+        }
+      }
+      return { code: `[${parts.join(', ')}]`, type };
+    }
+
+    call(name, args, token) {
+      switch (name) {
+        case 'select': {
+          if (args.length !== 3) throw this.error('select() takes three arguments', token);
+          const [f, t] = this.unify(args[0], args[1], 'select');
+          this.expectType(args[2], BOOL);
+          return { code: `(${args[2].code} ? ${t.code} : ${f.code})`, type: t.type === ABSTRACT_INT ? I32 : t.type };
+        }
+        case 'countLeadingZeros':
+          this.expectType(args[0], U32);
+          return { code: `Math.clz32(${args[0].code})`, type: U32 };
+        case 'countOneBits':
+          this.expectType(args[0], U32);
+          return { code: `$popcount(${args[0].code})`, type: U32 };
+        case 'min':
+        case 'max': {
+          const [a, b] = this.unify(args[0], args[1], name);
+          if (a.type.kind !== 'scalar') throw this.error(`${name}() on vectors is not supported`, token);
+          return { code: `Math.${name}(${a.code}, ${b.code})`, type: a.type };
+        }
+        default:
+          break;
+      }
+
+      const fn = this.functions.get(name);
+      if (!fn) throw this.error(`unknown function '${name}'`, token);
+      if (fn.params.length !== args.length) throw this.error(`${name}() takes ${fn.params.length} arguments`, token);
+      const codes = args.map((arg, i) => this.coerce(arg, fn.params[i]).code);
+      return { code: `f_${name}(${codes.join(', ')})`, type: fn.returnType, call: true };
+    }
+  }
+
+  const RUNTIME = `
+function $udiv(a, b) { return b === 0 ? a : Math.floor(a / b) >>> 0; }
+function $urem(a, b) { return b === 0 ? 0 : a % b; }
+function $idiv(a, b) { return b === 0 || (a === -2147483648 && b === -1) ? a : (a / b) | 0; }
+function $irem(a, b) { return b === 0 || (a === -2147483648 && b === -1) ? 0 : a % b; }
+function $popcount(x) { let n = 0; while (x) { n += x & 1; x >>>= 1; } return n; }
+`;
+
+  /**
+   * Translate WGSL source into an executable module
+   *
+   * Returns { bindings, entryPoints, bind(views), run(entryPoint, workgroups) }
+   * where `views` maps binding names to typed arrays.
+   */
+  function compileWGSL(source) {
+    const translator = new Translator(source);
+    const body = translator.translate();
+    const { bindings, entryPoints } = translator;
+
+    const bindCode = bindings.map(b => `if (views.${b.name} !== undefined) s_${b.name} = views.${b.name};`).join('\n');
+    const runCode = entryPoints.map(entry => {
+      const args = entry.builtins.map(builtin => {
+        switch (builtin) {
+          case 'local_invocation_id': return '[lx, ly, lz]';
+          case 'global_invocation_id': return `[wx * ${entry.workgroupSize[0]} + lx, wy * ${entry.workgroupSize[1]} + ly, wz * ${entry.workgroupSize[2]} + lz]`;
+          case 'workgroup_id': return '[wx, wy, wz]';
+          case 'num_workgroups': return '[nx, ny, nz]';
+          case 'local_invocation_index':
+            return `(lz * ${entry.workgroupSize[0] * entry.workgroupSize[1]} + ly * ${entry.workgroupSize[0]} + lx)`;
+          default: throw new Error(`WGSL: unsupported builtin '${builtin}' in ${entry.name}`);
+        }
+      });
+      const [sx, sy, sz] = entry.workgroupSize;
+      return `${JSON.stringify(entry.name)}(nx, ny, nz) {
+  for (let wz = 0; wz < nz; wz++) for (let wy = 0; wy < ny; wy++) for (let wx = 0; wx < nx; wx++)
+  for (let lz = 0; lz < ${sz}; lz++) for (let ly = 0; ly < ${sy}; ly++) for (let lx = 0; lx < ${sx}; lx++)
+    f_${entry.name}(${args.join(', ')});
+}`;
+    }).join(',\n');
+
+    const factory = new Function(`'use strict';
+${RUNTIME}
+${body}
+return {
+  bind(views) {
+${bindCode}
+  },
+  entries: {
+${runCode}
+  }
+};`);
+    const instance = factory();
+
+    return {
+      bindings,
+      entryPoints: entryPoints.map(e => ({ name: e.name, workgroupSize: e.workgroupSize })),
+      bind: instance.bind,
+      run(entryPoint, x = 1, y = 1, z = 1) {
+        const run = instance.entries[entryPoint];
+        if (!run) throw new Error(`WGSL: no compute entry point '${entryPoint}'`);
+        run(x, y, z);
+      }
+    };
+  }
+
+  /* ----------------------------------------------------------------------- */
+  /* WebGPU API surface                                                      */
+  /* ----------------------------------------------------------------------- */
+
+  const BufferUsage = {
+    MAP_READ: 0x0001,
+    MAP_WRITE: 0x0002,
+    COPY_SRC: 0x0004,
+    COPY_DST: 0x0008,
+    INDEX: 0x0010,
+    VERTEX: 0x0020,
+    UNIFORM: 0x0040,
+    STORAGE: 0x0080,
+    INDIRECT: 0x0100,
+    QUERY_RESOLVE: 0x0200
+  };
+  const MapMode = { READ: 0x0001, WRITE: 0x0002 };
+  const ShaderStage = { VERTEX: 0x1, FRAGMENT: 0x2, COMPUTE: 0x4 };
+
+  const DEFAULT_LIMITS = {
+    maxStorageBufferBindingSize: 1024 * 1024 * 1024,
+    maxBufferSize: 1024 * 1024 * 1024,
+    maxComputeWorkgroupSizeX: 256,
+    maxComputeWorkgroupSizeY: 256,
+    maxComputeWorkgroupSizeZ: 64,
+    maxComputeInvocationsPerWorkgroup: 256,
+    maxComputeWorkgroupsPerDimension: 65535,
+    maxStorageBuffersPerShaderStage: 8,
+    maxBindGroups: 4
+  };
+
+  class SoftwareBuffer {
+    constructor(device, { size, usage, mappedAtCreation = false }) {
+      if (size > device.limits.maxBufferSize) {
+        throw new Error(`Buffer size ${size} exceeds maxBufferSize ${device.limits.maxBufferSize}`);
+      }
+      this.size = size;
+      this.usage = usage;
+      this.data = new Uint8Array(size);
+      this.mapState = mappedAtCreation ? 'mapped' : 'unmapped';
+      this.mapped = [];
+      this.destroyed = false;
+    }
+
+    checkAlive() {
+      if (this.destroyed) throw new Error('Buffer used after destroy()');
+    }
+
+    async mapAsync(mode, offset = 0, size = this.size - offset) {
+      this.checkAlive();
+      const required = mode & MapMode.READ ? BufferUsage.MAP_READ : BufferUsage.MAP_WRITE;
+      if (!(this.usage & required)) throw new Error('Buffer was not created with the usage needed for mapAsync');
+      if (this.mapState !== 'unmapped') throw new Error('Buffer is already mapped');
+      this.mapState = 'mapped';
+      this.mapOffset = offset;
+      this.mapSize = size;
+    }
+
+    getMappedRange(offset = 0, size = this.size - offset) {
+      if (this.mapState !== 'mapped') throw new Error('Buffer is not mapped');
+      const copy = this.data.slice(offset, offset + size);
+      this.mapped.push({ offset, copy });
+      return copy.buffer;
+    }
+
+    unmap() {
+      // Writes through mapped ranges land on unmap
+      for (const { offset, copy } of this.mapped) {
+        this.data.set(copy, offset);
+      }
+      this.mapped = [];
+      this.mapState = 'unmapped';
+    }
+
+    destroy() {
+      this.destroyed = true;
+      this.data = new Uint8Array(0);
+    }
+  }
+
+  class SoftwareComputePass {
+    constructor(commands) {
+      this.commands = commands;
+      this.pipeline = null;
+      this.bindGroups = [];
+    }
+
+    setPipeline(pipeline) {
+      this.pipeline = pipeline;
+    }
+
+    setBindGroup(index, bindGroup) {
+      this.bindGroups[index] = bindGroup;
+    }
+
+    dispatchWorkgroups(x, y = 1, z = 1) {
+      if (!this.pipeline) throw new Error('dispatchWorkgroups() without a pipeline');
+      const { pipeline } = this;
+      const bindGroups = this.bindGroups.slice();
+      this.commands.push(() => runDispatch(pipeline, bindGroups, x, y, z));
+    }
+
+    end() {}
+  }
+
+  function runDispatch(pipeline, bindGroups, x, y, z) {
+    const { module, entryPoint } = pipeline;
+    const views = {};
+    for (const binding of module.compiled.bindings) {
+      const group = bindGroups[binding.group];
+      const entry = group && group.entries.find(e => e.binding === binding.binding);
+      if (!entry) throw new Error(`No resource bound at group ${binding.group} binding ${binding.binding} (${binding.name})`);
+      const { buffer, offset = 0, size = buffer.size - offset } = entry.resource;
+      buffer.checkAlive();
+      const ArrayType = binding.elem === 'i32' ? Int32Array : Uint32Array;
+      views[binding.name] = new ArrayType(buffer.data.buffer, buffer.data.byteOffset + offset, Math.floor(size / 4));
+    }
+    module.compiled.bind(views);
+    module.compiled.run(entryPoint, x, y, z);
+  }
+
+  class SoftwareCommandEncoder {
+    constructor() {
+      this.commands = [];
+    }
+
+    beginComputePass() {
+      return new SoftwareComputePass(this.commands);
+    }
+
+    copyBufferToBuffer(source, sourceOffset, destination, destinationOffset, size) {
+      this.commands.push(() => {
+        source.checkAlive();
+        destination.checkAlive();
+        destination.data.set(source.data.subarray(sourceOffset, sourceOffset + size), destinationOffset);
+      });
+    }
+
+    clearBuffer(buffer, offset = 0, size = buffer.size - offset) {
+      this.commands.push(() => buffer.data.fill(0, offset, offset + size));
+    }
+
+    finish() {
+      return { commands: this.commands };
+    }
+  }
+
+  class SoftwareQueue {
+    constructor(device) {
+      this.device = device;
+    }
+
+    writeBuffer(buffer, bufferOffset, data, dataOffset = 0, size) {
+      buffer.checkAlive();
+      const bytes = ArrayBuffer.isView(data)
+        ? new Uint8Array(data.buffer, data.byteOffset, data.byteLength)
+        : new Uint8Array(data);
+      const element = ArrayBuffer.isView(data) ? data.BYTES_PER_ELEMENT || 1 : 1;
+      const start = dataOffset * element;
+      const length = size === undefined ? bytes.length - start : size * element;
+      buffer.data.set(bytes.subarray(start, start + length), bufferOffset);
+    }
+
+    submit(commandBuffers) {
+      this.device.checkAlive();
+      for (const { commands } of commandBuffers) {
+        for (const command of commands) command();
+      }
+    }
+
+    onSubmittedWorkDone() {
+      return Promise.resolve();
+    }
+  }
+
+  class SoftwareDevice {
+    constructor(adapter, limits) {
+      this.adapter = adapter;
+      this.limits = limits;
+      this.features = new Set();
+      this.queue = new SoftwareQueue(this);
+      this.destroyed = false;
+      this.lost = new Promise(resolve => {
+        this.resolveLost = resolve;
+      });
+    }
+
+    checkAlive() {
+      if (this.destroyed) throw new Error('Device used after destroy()');
+    }
+
+    createBuffer(descriptor) {
+      this.checkAlive();
+      return new SoftwareBuffer(this, descriptor);
+    }
+
+    createShaderModule({ code }) {
+      this.checkAlive();
+      return { compiled: compileWGSL(code), getCompilationInfo: async () => ({ messages: [] }) };
+    }
+
+    createBindGroupLayout(descriptor) {
+      return { entries: descriptor.entries };
+    }
+
+    createPipelineLayout(descriptor) {
+      return { bindGroupLayouts: descriptor.bindGroupLayouts };
+    }
+
+    createComputePipeline({ layout, compute }) {
+      this.checkAlive();
+      const entry = compute.module.compiled.entryPoints.find(e => e.name === compute.entryPoint);
+      if (!entry) throw new Error(`Shader has no compute entry point '${compute.entryPoint}'`);
+      const [sx, sy, sz] = entry.workgroupSize;
+      if (sx * sy * sz > this.limits.maxComputeInvocationsPerWorkgroup) {
+        throw new Error(`Workgroup size of '${compute.entryPoint}' exceeds device limits`);
+      }
+      return {
+        module: compute.module,
+        entryPoint: compute.entryPoint,
+        getBindGroupLayout: (index) => (layout && layout !== 'auto' ? layout.bindGroupLayouts[index] : { entries: [] })
+      };
+    }
+
+    async createComputePipelineAsync(descriptor) {
+      return this.createComputePipeline(descriptor);
+    }
+
+    createBindGroup({ layout, entries }) {
+      this.checkAlive();
+      for (const entry of entries) {
+        const { buffer, offset = 0, size = buffer.size - offset } = entry.resource;
+        if (size > this.limits.maxStorageBufferBindingSize) {
+          throw new Error(`Binding ${entry.binding} exceeds maxStorageBufferBindingSize`);
+        }
+      }
+      return { layout, entries };
+    }
+
+    createCommandEncoder() {
+      this.checkAlive();
+      return new SoftwareCommandEncoder();
+    }
+
+    destroy() {
+      this.destroyed = true;
+      this.resolveLost({ reason: 'destroyed', message: 'Device destroyed' });
+    }
+  }
+
+  class SoftwareAdapter {
+    constructor(limits) {
+      this.limits = limits;
+      this.features = new Set();
+      this.info = { vendor: 'software', architecture: 'wgsl-to-js', device: '', description: 'Software WebGPU adapter' };
+      this.isFallbackAdapter = true;
+    }
+
+    async requestDevice(descriptor = {}) {
+      const required = descriptor.requiredLimits || {};
+      const limits = { ...DEFAULT_LIMITS, ...this.limits };
+      for (const [name, value] of Object.entries(required)) {
+        if (value > this.limits[name]) {
+          throw new Error(`Requested limit ${name}=${value} exceeds adapter limit ${this.limits[name]}`);
+        }
+      }
+      return new SoftwareDevice(this, limits);
+    }
+  }
+
+  /**
+   * A `navigator.gpu` replacement backed by the software adapter
+   *
+   * @param {Object} limits - Adapter limit overrides (e.g. maxStorageBufferBindingSize)
+   */
+  function createGPU(limits = {}) {
+    const adapterLimits = { ...DEFAULT_LIMITS, ...limits };
+    return {
+      async requestAdapter() {
+        return new SoftwareAdapter(adapterLimits);
+      },
+      getPreferredCanvasFormat() {
+        return 'rgba8unorm';
+      }
+    };
+  }
+
+  /**
+   * Define GPUBufferUsage, GPUMapMode and GPUShaderStage on `scope` when the
+   * platform has no WebGPU of its own
+   */
+  function installGlobals(scope) {
+    if (typeof scope.GPUBufferUsage === 'undefined') scope.GPUBufferUsage = BufferUsage;
+    if (typeof scope.GPUMapMode === 'undefined') scope.GPUMapMode = MapMode;
+    if (typeof scope.GPUShaderStage === 'undefined') scope.GPUShaderStage = ShaderStage;
+  }
+
+  return {
+    compileWGSL,
+    createGPU,
+    installGlobals,
+    BufferUsage,
+    MapMode,
+    ShaderStage
+  };
+})();
+
+// Export for use in worker (and main thread, where self === window)
+if (typeof self !== 'undefined' && typeof self.postMessage !== 'undefined') {
+  self.WebGPUSoftware = WebGPUSoftware;
+}
+
+// Export for module usage
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = WebGPUSoftware;
+}
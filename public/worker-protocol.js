@@ -0,0 +1,109 @@
+/**
+ * Coordinator/worker message protocol, worker side
+ *
+ * Hash workers check every message from the coordinator against the shapes
+ * below before acting on it (the coordinator checks theirs in
+ * src/lib/protocol.ts). INIT carries the coordinator's protocol version and
+ * READY the worker's, so a worker script cached from another build refuses to
+ * start instead of misreading messages.
+ */
+
+// Bumped whenever a message changes shape (mirrored by PROTOCOL_VERSION in src/lib/protocol.ts)
+const WORKER_PROTOCOL_VERSION = 3;
+
+// Fields of each message's `data`; a trailing '?' marks an optional field,
+// null a message without data
+const COORDINATOR_MESSAGE_FIELDS = {
+  INIT: {
+    workerId: 'number',
+    totalWorkers: 'number?',
+    protocolVersion: 'number',
+    mode: 'string?',
+    seedKey: 'string',
+    templateSeed: 'string',
+    nonceRange: 'object?',
+    sharedDataset: 'object?',
+    datasetRange: 'object?',
+    allowDowngrade: 'boolean?'
+  },
+  START: { config: 'object', extraNonce: 'number?' },
+  STOP: null,
+  DESTROY: null,
+  UPDATE_CONFIG: { version: 'number' },
+  SET_NONCE_RANGE: { nonceStart: 'number', nonceEnd: 'number' },
+  SET_EXTRA_NONCE: { extraNonce: 'number' },
+  JOB: { jobId: 'string', blob: 'bytes', difficulty: 'number', seedKey: 'string?', epoch: 'number' },
+  TEMPLATE: {
+    blob: 'bytes',
+    reservedOffset: 'number',
+    reserveSize: 'number',
+    blockDifficulty: 'number',
+    seedKey: 'string',
+    height: 'number',
+    epoch: 'number'
+  },
+  SET_SEED: { seedKey: 'string', seedHeight: 'number', height: 'number', chainSeconds: 'number', epoch: 'number' }
+};
+
+function protocolFieldProblem(value, spec) {
+  const optional = spec.endsWith('?');
+  const type = optional ? spec.slice(0, -1) : spec;
+  if (value === undefined) return optional ? null : 'is missing';
+  const valid = type === 'bytes' ? value instanceof Uint8Array
+    : type === 'object' ? typeof value === 'object' && value !== null
+    : typeof value === type;
+  return valid ? null : `must be ${type === 'object' ? 'an' : 'a'} ${type}`;
+}
+
+/**
+ * What is wrong with a message from the coordinator, as the code and text of
+ * the ERROR to answer it with, or null if nothing is
+ *
+ * An INIT from another protocol version is a PROTOCOL_MISMATCH, which the
+ * coordinator does not retry; anything else malformed is a PROTOCOL_ERROR.
+ */
+function checkCoordinatorMessage(message) {
+  if (!message || typeof message !== 'object' || typeof message.type !== 'string') {
+    return { code: 'PROTOCOL_ERROR', error: 'Protocol error: message without a type' };
+  }
+  const { type, data } = message;
+  if (!Object.prototype.hasOwnProperty.call(COORDINATOR_MESSAGE_FIELDS, type)) {
+    return { code: 'PROTOCOL_ERROR', error: `Protocol error: unknown message type ${type}` };
+  }
+  if (type === 'INIT' && (!data || data.protocolVersion !== WORKER_PROTOCOL_VERSION)) {
+    const version = data && typeof data.protocolVersion === 'number'
+      ? `v${data.protocolVersion}`
+      : 'an unversioned protocol';
+    return {
+      code: 'PROTOCOL_MISMATCH',
+      error: `Protocol mismatch: coordinator speaks ${version}, worker script v${WORKER_PROTOCOL_VERSION}. ` +
+        'Reload the page so both come from the same build.'
+    };
+  }
+  const fields = COORDINATOR_MESSAGE_FIELDS[type];
+  if (fields === null) return null;
+  if (!data || typeof data !== 'object') {
+    return { code: 'PROTOCOL_ERROR', error: `Protocol error: ${type} without data` };
+  }
+  for (const field of Object.keys(fields)) {
+    const problem = protocolFieldProblem(data[field], fields[field]);
+    if (problem) {
+      return { code: 'PROTOCOL_ERROR', error: `Protocol error: ${type}.${field} ${problem}` };
+    }
+  }
+  return null;
+}
+
+// Export for use in worker
+if (typeof self !== 'undefined' && typeof self.postMessage !== 'undefined') {
+  self.WORKER_PROTOCOL_VERSION = WORKER_PROTOCOL_VERSION;
+  self.checkCoordinatorMessage = checkCoordinatorMessage;
+}
+
+// Export for module usage
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = {
+    WORKER_PROTOCOL_VERSION,
+    checkCoordinatorMessage
+  };
+}
@@ -0,0 +1,191 @@
+/**
+ * Mock monerod for Local Testing
+ *
+ * Answers get_block_template over monerod's JSON-RPC (POST /json_rpc) from
+ * recorded results, moving to the next recorded height every
+ * --block-interval seconds and staying on the last one. Browsers reach it
+ * cross-origin, so it answers CORS preflights like a node started with
+ * --rpc-access-control-origins.
+ *
+ * With --record it instead asks a real node for a template and appends the
+ * result to the fixtures file. The shipped fixtures are synthetic; the
+ * block-header tests run over every template, recorded ones included.
+ *
+ * Usage: npm run daemon -- [--port 18081] [--block-interval 60] [--fixtures file]
+ *        npm run daemon -- --record http://node:18081/json_rpc --wallet <address>
+ */
+
+import { createServer } from 'node:http';
+import { readFileSync, writeFileSync } from 'node:fs';
+import { dirname, join } from 'node:path';
+import { fileURLToPath, pathToFileURL } from 'node:url';
+import { parseArgs } from 'node:util';
+
+export const DEFAULT_FIXTURES = join(dirname(fileURLToPath(import.meta.url)), 'fixtures', 'block-templates.json');
+
+// monerod's JSON-RPC error codes
+const CORE_RPC_ERROR_CODE_WRONG_WALLET_ADDRESS = -2;
+const CORE_RPC_ERROR_CODE_TOO_BIG_RESERVE_SIZE = -3;
+const METHOD_NOT_FOUND = -32601;
+
+export function loadFixtures(path = DEFAULT_FIXTURES) {
+  return JSON.parse(readFileSync(path, 'utf8'));
+}
+
+/**
+ * Node state and JSON-RPC handling, independent of the transport
+ *
+ * `fixtures` is the parsed fixtures file: { reserveSize, templates }. The
+ * templates were recorded for one reserve_size, so requests for another are
+ * refused rather than answered with a wrong reserved_offset.
+ */
+export function createMockDaemon(fixtures) {
+  if (!fixtures.templates || fixtures.templates.length === 0) {
+    throw new Error('Fixtures hold no block templates');
+  }
+  let index = 0;
+  const stats = { requests: 0 };
+
+  function currentTemplate() {
+    return fixtures.templates[index];
+  }
+
+  /**
+   * Move to the next recorded height; false once there is none
+   */
+  function advance() {
+    if (index + 1 >= fixtures.templates.length) return false;
+    index++;
+    return true;
+  }
+
+  function getBlockTemplate(params) {
+    if (typeof params.wallet_address !== 'string' || params.wallet_address.length === 0) {
+      return { error: { code: CORE_RPC_ERROR_CODE_WRONG_WALLET_ADDRESS, message: 'Failed to parse wallet address' } };
+    }
+    if (params.reserve_size !== fixtures.reserveSize) {
+      return {
+        error: {
+          code: CORE_RPC_ERROR_CODE_TOO_BIG_RESERVE_SIZE,
+          message: `Mock daemon only has templates recorded with reserve_size ${fixtures.reserveSize}`
+        }
+      };
+    }
+    return { result: currentTemplate() };
+  }
+
+  function handle(request) {
+    stats.requests++;
+    const { result, error } = request.method === 'get_block_template'
+      ? getBlockTemplate(request.params || {})
+      : { error: { code: METHOD_NOT_FOUND, message: 'Method not found' } };
+    return error
+      ? { id: request.id, jsonrpc: '2.0', error }
+      : { id: request.id, jsonrpc: '2.0', result };
+  }
+
+  return { handle, advance, currentTemplate, stats };
+}
+
+const CORS_HEADERS = {
+  'Access-Control-Allow-Origin': '*',
+  'Access-Control-Allow-Methods': 'POST, OPTIONS',
+  'Access-Control-Allow-Headers': 'Content-Type'
+};
+
+function startServer({ port, blockIntervalMs, fixturesPath }) {
+  const daemon = createMockDaemon(loadFixtures(fixturesPath));
+
+  const server = createServer((req, res) => {
+    if (req.method === 'OPTIONS') {
+      res.writeHead(204, CORS_HEADERS);
+      res.end();
+      return;
+    }
+    if (req.method !== 'POST' || req.url !== '/json_rpc') {
+      res.writeHead(404, { ...CORS_HEADERS, 'Content-Type': 'text/plain' });
+      res.end('This mock daemon only serves POST /json_rpc\n');
+      return;
+    }
+    const chunks = [];
+    req.on('data', chunk => chunks.push(chunk));
+    req.on('end', () => {
+      let request;
+      try {
+        request = JSON.parse(Buffer.concat(chunks).toString('utf8'));
+      } catch {
+        res.writeHead(400, { ...CORS_HEADERS, 'Content-Type': 'text/plain' });
+        res.end('Malformed JSON\n');
+        return;
+      }
+      const response = daemon.handle(request);
+      if (response.error) {
+        console.log(`${request.method}: ${response.error.message}`);
+      }
+      res.writeHead(200, { ...CORS_HEADERS, 'Content-Type': 'application/json' });
+      res.end(JSON.stringify(response));
+    });
+  });
+
+  setInterval(() => {
+    if (daemon.advance()) {
+      console.log(`New block template at height ${daemon.currentTemplate().height}`);
+    }
+  }, blockIntervalMs);
+
+  server.listen(port, () => {
+    console.log(`Mock daemon on http://localhost:${port}/json_rpc at height ${daemon.currentTemplate().height} (next height every ${blockIntervalMs / 1000}s)`);
+  });
+}
+
+/**
+ * Ask a real node for a template and append the result to the fixtures
+ */
+async function record({ url, wallet, fixturesPath }) {
+  const fixtures = loadFixtures(fixturesPath);
+  const response = await fetch(url, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify({
+      jsonrpc: '2.0',
+      id: '0',
+      method: 'get_block_template',
+      params: { wallet_address: wallet, reserve_size: fixtures.reserveSize }
+    })
+  });
+  const message = await response.json();
+  if (message.error) {
+    throw new Error(`Node error: ${message.error.message}`);
+  }
+  fixtures.templates.push(message.result);
+  writeFileSync(fixturesPath, JSON.stringify(fixtures, null, 2) + '\n');
+  console.log(`Recorded the template at height ${message.result.height} into ${fixturesPath}`);
+}
+
+if (process.argv[1] && import.meta.url === pathToFileURL(process.argv[1]).href) {
+  const { values } = parseArgs({
+    options: {
+      port: { type: 'string', default: '18081' },
+      'block-interval': { type: 'string', default: '60' },
+      fixtures: { type: 'string', default: DEFAULT_FIXTURES },
+      record: { type: 'string' },
+      wallet: { type: 'string' }
+    }
+  });
+  if (values.record) {
+    if (!values.wallet) {
+      console.error('--record needs --wallet <address>');
+      process.exit(1);
+    }
+    record({ url: values.record, wallet: values.wallet, fixturesPath: values.fixtures }).catch((error) => {
+      console.error(error.message);
+      process.exit(1);
+    });
+  } else {
+    startServer({
+      port: Number(values.port),
+      blockIntervalMs: Number(values['block-interval']) * 1000,
+      fixturesPath: values.fixtures
+    });
+  }
+}
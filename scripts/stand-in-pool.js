@@ -0,0 +1,338 @@
+/**
+ * Stand-in Mining Pool for Local Testing
+ *
+ * Speaks the Stratum-style JSON-RPC of Monero pools (login, job, submit,
+ * keepalived) over a WebSocket, using nothing but Node's standard library.
+ * It hands out Monero-shaped hashing blobs, announces a new job every
+ * --job-interval seconds and checks each submitted share for a known job,
+ * a fresh nonce and the share difficulty. It does not re-hash shares: the
+ * miner's verifier already has, and RandomX in Node would take longer than
+ * everything else here put together.
+ *
+ * Usage: npm run pool -- [--port 3333] [--difficulty 1000] [--job-interval 30]
+ */
+
+import { createServer } from 'node:http';
+import { createHash, randomBytes } from 'node:crypto';
+import { pathToFileURL } from 'node:url';
+import { parseArgs } from 'node:util';
+
+const WS_GUID = '258EAFA5-E914-47DA-95CA-C5AB0DC85B11';
+// Jobs kept for recognizing stale shares
+const RECENT_JOBS = 4;
+// Monero keys RandomX with the hash of a block every 2048 heights, 64 late
+const SEEDHASH_EPOCH_BLOCKS = 2048;
+const SEEDHASH_EPOCH_LAG = 64;
+
+/**
+ * Compact 32-bit little-endian target for a share difficulty
+ */
+export function difficultyToTarget(difficulty) {
+  const target = Math.max(1, Math.floor(0xFFFFFFFF / difficulty));
+  const bytes = Buffer.alloc(4);
+  bytes.writeUInt32LE(target);
+  return bytes.toString('hex');
+}
+
+/**
+ * Monero's share check: the hash, read little-endian, times the difficulty
+ * must stay below 2^256
+ */
+function meetsDifficulty(hash, difficulty) {
+  const value = BigInt('0x' + Buffer.from(hash, 'hex').reverse().toString('hex'));
+  return value * BigInt(difficulty) < (1n << 256n);
+}
+
+function varint(value) {
+  const bytes = [];
+  while (value >= 0x80) {
+    bytes.push((value % 0x80) | 0x80);
+    value = Math.floor(value / 0x80);
+  }
+  bytes.push(value);
+  return Buffer.from(bytes);
+}
+
+/**
+ * Hashing blob laid out like Monero's: versions, timestamp, previous block
+ * id, nonce, transaction tree root and transaction count
+ *
+ * With a current timestamp (a 5-byte varint) the nonce sits at offset 39.
+ */
+function createBlob() {
+  return Buffer.concat([
+    varint(16),
+    varint(16),
+    varint(Math.floor(Date.now() / 1000)),
+    randomBytes(32),
+    Buffer.alloc(4),
+    randomBytes(32),
+    varint(1)
+  ]);
+}
+
+/**
+ * Height of the block that keys RandomX at `height` (Monero's rx_seedheight)
+ */
+function seedHeight(height) {
+  if (height <= SEEDHASH_EPOCH_BLOCKS + SEEDHASH_EPOCH_LAG) return 0;
+  return Math.floor((height - SEEDHASH_EPOCH_LAG - 1) / SEEDHASH_EPOCH_BLOCKS) * SEEDHASH_EPOCH_BLOCKS;
+}
+
+function seedHashFor(height) {
+  return createHash('sha256')
+    .update(`stand-in-seed-${seedHeight(height)}`)
+    .digest('hex');
+}
+
+/**
+ * Pool state and JSON-RPC handling, independent of the transport
+ *
+ * `handle(session, request)` answers one request for a connection's
+ * session ({ id: null, submitted: new Set() } when it opens).
+ */
+export function createStandInPool({ difficulty = 1000, startHeight = 3000000 } = {}) {
+  const jobs = [];
+  const stats = { accepted: 0, rejected: 0, stale: 0 };
+  let height = startHeight;
+
+  function newJob() {
+    height++;
+    const job = {
+      job_id: randomBytes(8).toString('hex'),
+      blob: createBlob().toString('hex'),
+      target: difficultyToTarget(difficulty),
+      seed_hash: seedHashFor(height),
+      height
+    };
+    jobs.push(job);
+    if (jobs.length > RECENT_JOBS) {
+      jobs.shift();
+    }
+    return job;
+  }
+
+  function currentJob() {
+    return jobs[jobs.length - 1] || newJob();
+  }
+
+  function submit(session, params) {
+    if (!session.id || params.id !== session.id) {
+      return { error: 'Unauthenticated' };
+    }
+    const job = jobs.find(j => j.job_id === params.job_id);
+    if (!job) {
+      stats.rejected++;
+      return { error: 'Invalid job id' };
+    }
+    if (job !== currentJob()) {
+      stats.stale++;
+      return { error: 'Block expired' };
+    }
+    if (!/^[0-9a-f]{8}$/.test(params.nonce) || !/^[0-9a-f]{64}$/.test(params.result)) {
+      stats.rejected++;
+      return { error: 'Malformed share' };
+    }
+    const key = `${job.job_id}:${params.nonce}`;
+    if (session.submitted.has(key)) {
+      stats.rejected++;
+      return { error: 'Duplicate share' };
+    }
+    session.submitted.add(key);
+    if (!meetsDifficulty(params.result, difficulty)) {
+      stats.rejected++;
+      return { error: 'Low difficulty share' };
+    }
+    stats.accepted++;
+    return { result: { status: 'OK' } };
+  }
+
+  function dispatch(session, method, params) {
+    switch (method) {
+      case 'login':
+        if (!params.login) {
+          return { error: 'Missing login' };
+        }
+        session.id = randomBytes(8).toString('hex');
+        session.login = params.login;
+        return { result: { id: session.id, job: { ...currentJob(), id: session.id }, status: 'OK' } };
+      case 'submit':
+        return submit(session, params);
+      case 'keepalived':
+        return { result: { status: 'KEEPALIVED' } };
+      default:
+        return { error: `Unknown method: ${method}` };
+    }
+  }
+
+  function handle(session, request) {
+    const { result, error } = dispatch(session, request.method, request.params || {});
+    return {
+      id: request.id,
+      jsonrpc: '2.0',
+      error: error ? { code: -1, message: error } : null,
+      result: error ? null : result
+    };
+  }
+
+  return { handle, newJob, currentJob, stats };
+}
+
+/**
+ * Next complete frame in `buffer` (client frames are always masked), or null
+ */
+function readFrame(buffer) {
+  if (buffer.length < 2) return null;
+  const fin = (buffer[0] & 0x80) !== 0;
+  const opcode = buffer[0] & 0x0F;
+  let length = buffer[1] & 0x7F;
+  let offset = 2;
+  if (length === 126) {
+    if (buffer.length < 4) return null;
+    length = buffer.readUInt16BE(2);
+    offset = 4;
+  } else if (length === 127) {
+    if (buffer.length < 10) return null;
+    length = Number(buffer.readBigUInt64BE(2));
+    offset = 10;
+  }
+  const masked = (buffer[1] & 0x80) !== 0;
+  const mask = masked ? buffer.subarray(offset, offset + 4) : null;
+  if (masked) offset += 4;
+  if (buffer.length < offset + length) return null;
+
+  const payload = Buffer.from(buffer.subarray(offset, offset + length));
+  if (mask) {
+    for (let i = 0; i < payload.length; i++) {
+      payload[i] ^= mask[i % 4];
+    }
+  }
+  return { fin, opcode, payload, size: offset + length };
+}
+
+function sendFrame(socket, opcode, payload) {
+  let header;
+  if (payload.length < 126) {
+    header = Buffer.from([0x80 | opcode, payload.length]);
+  } else if (payload.length < 0x10000) {
+    header = Buffer.alloc(4);
+    header[0] = 0x80 | opcode;
+    header[1] = 126;
+    header.writeUInt16BE(payload.length, 2);
+  } else {
+    header = Buffer.alloc(10);
+    header[0] = 0x80 | opcode;
+    header[1] = 127;
+    header.writeBigUInt64BE(BigInt(payload.length), 2);
+  }
+  socket.write(Buffer.concat([header, payload]));
+}
+
+function sendJson(socket, message) {
+  sendFrame(socket, 0x1, Buffer.from(JSON.stringify(message)));
+}
+
+function startServer({ port, difficulty, jobIntervalMs }) {
+  const pool = createStandInPool({ difficulty });
+  const clients = new Set();
+
+  const server = createServer((req, res) => {
+    res.writeHead(426, { 'Content-Type': 'text/plain' });
+    res.end('This stand-in pool only speaks WebSocket\n');
+  });
+
+  server.on('upgrade', (req, socket) => {
+    const key = req.headers['sec-websocket-key'];
+    if (!key || (req.headers.upgrade || '').toLowerCase() !== 'websocket') {
+      socket.destroy();
+      return;
+    }
+    const accept = createHash('sha1').update(key + WS_GUID).digest('base64');
+    socket.write([
+      'HTTP/1.1 101 Switching Protocols',
+      'Upgrade: websocket',
+      'Connection: Upgrade',
+      `Sec-WebSocket-Accept: ${accept}`,
+      '',
+      ''
+    ].join('\r\n'));
+
+    const client = { socket, session: { id: null, submitted: new Set() } };
+    clients.add(client);
+    let buffer = Buffer.alloc(0);
+
+    socket.on('data', (chunk) => {
+      buffer = Buffer.concat([buffer, chunk]);
+      let frame;
+      while ((frame = readFrame(buffer))) {
+        buffer = buffer.subarray(frame.size);
+        handleFrame(client, frame);
+      }
+    });
+    socket.on('close', () => clients.delete(client));
+    socket.on('error', () => clients.delete(client));
+  });
+
+  function handleFrame(client, frame) {
+    const { socket, session } = client;
+    if (!frame.fin) {
+      // Stratum messages are small; nothing here needs fragmented frames
+      sendFrame(socket, 0x8, Buffer.from([0x03, 0xEB]));
+      socket.end();
+      return;
+    }
+    switch (frame.opcode) {
+      case 0x1: {
+        let request;
+        try {
+          request = JSON.parse(frame.payload.toString('utf8'));
+        } catch {
+          console.warn('Ignoring malformed JSON from a miner');
+          return;
+        }
+        const response = pool.handle(session, request);
+        if (request.method === 'submit') {
+          console.log(`Share from ${session.login || 'unknown'}: ${response.error ? response.error.message : 'accepted'}`);
+        }
+        sendJson(socket, response);
+        break;
+      }
+      case 0x8:
+        sendFrame(socket, 0x8, Buffer.alloc(0));
+        socket.end();
+        break;
+      case 0x9:
+        sendFrame(socket, 0xA, frame.payload);
+        break;
+    }
+  }
+
+  setInterval(() => {
+    const job = pool.newJob();
+    console.log(`New job ${job.job_id} at height ${job.height} (shares: ${JSON.stringify(pool.stats)})`);
+    for (const { socket, session } of clients) {
+      if (session.id) {
+        sendJson(socket, { jsonrpc: '2.0', method: 'job', params: { ...job, id: session.id } });
+      }
+    }
+  }, jobIntervalMs);
+
+  server.listen(port, () => {
+    console.log(`Stand-in pool on ws://localhost:${port} (difficulty ${difficulty}, new job every ${jobIntervalMs / 1000}s)`);
+  });
+}
+
+if (process.argv[1] && import.meta.url === pathToFileURL(process.argv[1]).href) {
+  const { values } = parseArgs({
+    options: {
+      port: { type: 'string', default: '3333' },
+      difficulty: { type: 'string', default: '1000' },
+      'job-interval': { type: 'string', default: '30' }
+    }
+  });
+  startServer({
+    port: Number(values.port),
+    difficulty: Number(values.difficulty),
+    jobIntervalMs: Number(values['job-interval']) * 1000
+  });
+}
@@ -4,19 +4,27 @@ import { ControlPanel } from '@/components/ControlPanel';
 import { TelemetryDashboard } from '@/components/TelemetryDashboard';
 import { ReportExport } from '@/components/ReportExport';
 import { EducationalPanel } from '@/components/EducationalPanel';
-import { WorkerCoordinator } from '@/lib/coordinator';
-import { BenchmarkConfig, AggregatedStats, BenchmarkReport, WorkerInfo } from '@/lib/types';
+import { BackendVerification } from '@/components/BackendVerification';
+import { WorkerCoordinator, tallySolutions } from '@/lib/coordinator';
+import { describeSetup } from '@/lib/init-policy';
+import { downsampleSeries } from '@/lib/hashrate-chart';
+import { MemoryTracker, measureMemory } from '@/lib/memory-check';
+import { planMemory, sharedDatasetAvailable } from '@/lib/memory-plan';
+import { BenchmarkConfig, AggregatedStats, BenchmarkReport, WorkerInfo, LiveConfigUpdate, SolutionRecord, TimeSeriesPoint } from '@/lib/types';
 import { toast } from 'sonner';
 
 function App() {
   const [consented, setConsented] = useState(false);
+  // Consent to the configured pool or node; asked again when its URL changes
+  const [jobSourceConsented, setJobSourceConsented] = useState(false);
   const [isRunning, setIsRunning] = useState(false);
   const [config, setConfig] = useState<BenchmarkConfig>({
     threads: 1,
     throttle: 30,
     duration: 60,
     statsInterval: 1000,
-    backend: 'wasm' // Default to WASM for compatibility
+    backend: 'wasm', // Default to WASM for compatibility
+    batchHashing: true
   });
   const [stats, setStats] = useState<AggregatedStats>({
     totalHashes: 0,
@@ -28,9 +36,13 @@ function App() {
     elapsedTime: 0
   });
   const [workers, setWorkers] = useState<WorkerInfo[]>([]);
+  const [solutions, setSolutions] = useState<SolutionRecord[]>([]);
+  const [timeSeries, setTimeSeries] = useState<TimeSeriesPoint[]>([]);
   const [report, setReport] = useState<BenchmarkReport | null>(null);
 
   const coordinatorRef = useRef<WorkerCoordinator | null>(null);
+  // Memory after each run of this page, for the leak check
+  const memoryTrackerRef = useRef(new MemoryTracker());
   const maxThreads = navigator.hardwareConcurrency || 4;
 
   // Check WebGPU support and show info
@@ -66,22 +78,79 @@ function App() {
   }, [isRunning]);
 
   const handleConfigChange = (newConfig: Partial<BenchmarkConfig>) => {
+    if (('pool' in newConfig && newConfig.pool?.url !== config.pool?.url) ||
+        ('daemon' in newConfig && newConfig.daemon?.url !== config.daemon?.url)) {
+      setJobSourceConsented(false);
+    }
     setConfig(prev => ({ ...prev, ...newConfig }));
-    if (coordinatorRef.current && newConfig.throttle !== undefined) {
-      coordinatorRef.current.updateThrottle(newConfig.throttle);
+    if (coordinatorRef.current) {
+      // Forward settings workers can apply mid-run
+      const live: LiveConfigUpdate = {};
+      if (newConfig.throttle !== undefined) live.throttle = newConfig.throttle;
+      if (newConfig.statsInterval !== undefined) live.statsInterval = newConfig.statsInterval;
+      if ('difficulty' in newConfig) live.difficulty = newConfig.difficulty;
+      if ('blockDifficulty' in newConfig) live.blockDifficulty = newConfig.blockDifficulty;
+      if (Object.keys(live).length > 0) {
+        coordinatorRef.current.updateConfig(live);
+      }
+
+      if (isRunning && newConfig.threads !== undefined) {
+        const coordinator = coordinatorRef.current;
+        const threads = fittingThreads(newConfig.threads);
+        coordinator.setThreadCount(threads)
+          .then(() => setWorkers([...coordinator.getWorkerInfo()]))
+          .catch((error) => toast.error('Failed to rescale workers: ' + (error instanceof Error ? error.message : 'Unknown error')));
+      }
+    }
+  };
+
+  const jobSource = config.pool ? { kind: 'pool' as const, url: config.pool.url }
+    : config.daemon ? { kind: 'node' as const, url: config.daemon.url }
+    : undefined;
+
+  // Why the configured pool or node cannot be used yet, if it cannot
+  const jobSourceProblem = (): string | undefined => {
+    if (config.pool) {
+      if (!/^wss?:\/\/\S+$/.test(config.pool.url)) return 'Pool URL must start with ws:// or wss://';
+      if (!config.pool.login) return 'Enter a pool login';
+      if (!jobSourceConsented) return 'Consent to connecting to the pool first';
     }
+    if (config.daemon) {
+      if (!/^https?:\/\/\S+$/.test(config.daemon.url)) return 'Node URL must start with http:// or https://';
+      if (!config.daemon.walletAddress) return 'Enter a wallet address for the node';
+      if (!jobSourceConsented) return 'Consent to connecting to the node first';
+    }
+    return undefined;
+  };
+
+  const deviceMemory: number | undefined = (navigator as any).deviceMemory;
+  const memoryPlan = planMemory(config, deviceMemory, sharedDatasetAvailable());
+  const startBlockedReason = jobSourceProblem() ??
+    (memoryPlan.status === 'blocked' ? memoryPlan.reason : undefined);
+
+  // Workers of the configured mode that fit the device's memory, out of `threads`
+  const fittingThreads = (threads: number): number => {
+    const plan = planMemory({ ...config, threads }, deviceMemory, sharedDatasetAvailable());
+    if (plan.status !== 'clamped') return threads;
+    toast.warning(`${plan.reason}; using ${plan.maxThreads} worker(s)`);
+    setConfig(prev => ({ ...prev, threads: plan.maxThreads! }));
+    return plan.maxThreads!;
   };
 
   const handleStart = async () => {
     try {
       toast.info('Initializing workers...');
       
-      const coordinator = new WorkerCoordinator(config);
+      const coordinator = new WorkerCoordinator({ ...config, threads: fittingThreads(config.threads) });
       coordinatorRef.current = coordinator;
+      setSolutions([]);
+      setTimeSeries([]);
 
       coordinator.setStatsCallback((newStats) => {
         setStats(newStats);
         setWorkers(coordinator.getWorkerInfo());
+        setSolutions(coordinator.getSolutions());
+        setTimeSeries([...coordinator.getTimeSeriesData()]);
       });
 
       coordinator.setCompleteCallback(() => {
@@ -105,6 +174,12 @@ function App() {
         toast.warning(`${errorCount} worker(s) failed to initialize`);
       }
 
+      const fellBack = initialWorkers.filter(w => w.state !== 'error' && w.fallbacks?.length);
+      if (fellBack.length > 0) {
+        const setups = [...new Set(fellBack.map(w => describeSetup(w.setup!)))];
+        toast.warning(`${fellBack.length} worker(s) fell back to ${setups.join(', ')}`);
+      }
+
       setWorkers(initialWorkers);
       coordinator.start();
       setIsRunning(true);
@@ -120,41 +195,97 @@ function App() {
 
   const handleStop = () => {
     if (coordinatorRef.current) {
-      coordinatorRef.current.stop();
+      const coordinator = coordinatorRef.current;
+      coordinator.stop();
       
-      const finalStats = coordinatorRef.current.getAggregatedStats();
-      const finalWorkers = coordinatorRef.current.getWorkerInfo();
-      const timeSeriesData = coordinatorRef.current.getTimeSeriesData();
-      const finalConfig = coordinatorRef.current.getConfig();
+      const finalStats = coordinator.getAggregatedStats();
+      const finalWorkers = coordinator.getWorkerInfo();
+      const timeSeriesData = downsampleSeries(coordinator.getRunSeries());
+      const configChanges = coordinator.getConfigChanges();
+      const scalingCurve = coordinator.getScalingCurve();
+      const finalConfig = coordinator.getConfig();
+      const sharedMemory = coordinator.getSharedMemoryReport();
 
       const benchmarkReport: BenchmarkReport = {
         timestamp: new Date().toISOString(),
-        config: finalConfig,
+        // The pool password stays out of exported reports
+        config: finalConfig.pool ? { ...finalConfig, pool: { ...finalConfig.pool, pass: undefined } } : finalConfig,
         deviceInfo: {
           userAgent: navigator.userAgent,
           hardwareConcurrency: navigator.hardwareConcurrency,
-          memory: (navigator as any).deviceMemory
+          memory: deviceMemory
         },
         stats: finalStats,
         timeSeriesData,
+        configChanges,
+        scalingCurve,
+        sharedMemory,
+        solutions: coordinator.getSolutions(),
+        switchovers: coordinator.getSwitchovers(),
         workerData: finalWorkers.map(w => ({
           workerId: w.id,
           totalHashes: w.totalHashes,
           finalState: w.state,
-          error: w.error
+          error: w.error,
+          backend: w.setup?.backend,
+          mode: w.setup?.mode,
+          initAttempts: w.initAttempts,
+          fallbacks: w.fallbacks,
+          restarts: w.restarts,
+          stalls: w.stalls
         }))
       };
 
       setReport(benchmarkReport);
       
-      setTimeout(() => {
-        coordinatorRef.current?.terminate();
-        coordinatorRef.current = null;
-      }, 500);
+      // Later results land in this run's report unless another run replaced it
+      const updateReport = (patch: (current: BenchmarkReport) => Partial<BenchmarkReport>) => {
+        setReport(current => current?.timestamp === benchmarkReport.timestamp
+          ? { ...current, ...patch(current) }
+          : current);
+      };
+
+      // Let the verifier rule on solutions still pending, then have the workers
+      // free their memory before measuring what the run left behind
+      coordinator.settleSolutions().then(async (settled) => {
+        setSolutions(settled);
+        const shutdown = await coordinator.shutdown();
+        if (coordinatorRef.current === coordinator) {
+          coordinatorRef.current = null;
+        }
+        updateReport(current => ({
+          solutions: settled,
+          stats: { ...current.stats, ...tallySolutions(settled) },
+          shutdown
+        }));
+
+        const sample = await measureMemory();
+        if (!sample) return;
+        const memoryCheck = memoryTrackerRef.current.record(sample);
+        updateReport(() => ({ memoryCheck }));
+        if (memoryCheck.leakSuspected) {
+          toast.warning(`Memory keeps growing run over run (now ${(memoryCheck.bytes / (1024 * 1024)).toFixed(0)} MB) - possible leak`);
+        }
+      }).catch((error) => {
+        const message = error instanceof Error ? error.message : 'Unknown error';
+        coordinator.terminate();
+        if (coordinatorRef.current === coordinator) {
+          coordinatorRef.current = null;
+        }
+        updateReport(() => ({ teardownError: message }));
+        toast.error('Failed to finish the run: ' + message);
+      });
     }
     setIsRunning(false);
   };
 
+  const handleReuseSeeds = () => {
+    if (!report) return;
+    const { seedKey, templateSeed, rngSeed, startHeight, blockTime } = report.config;
+    handleConfigChange({ seedKey, templateSeed, rngSeed, startHeight, blockTime });
+    toast.info('Seeds loaded - the next run replays this one');
+  };
+
   const handleExport = () => {
     if (!report) return;
 
@@ -184,7 +315,13 @@ function App() {
 
         <div className="grid grid-cols-1 lg:grid-cols-3 gap-6">
           <div className="lg:col-span-2 space-y-6">
-            <ConsentGate consented={consented} onConsentChange={setConsented} />
+            <ConsentGate
+              consented={consented}
+              onConsentChange={setConsented}
+              jobSource={jobSource}
+              jobSourceConsented={jobSourceConsented}
+              onJobSourceConsentChange={setJobSourceConsented}
+            />
             
             <ControlPanel
               config={config}
@@ -194,11 +331,17 @@ function App() {
               onStop={handleStop}
               disabled={!consented}
               maxThreads={maxThreads}
+              startBlockedReason={startBlockedReason}
+              memoryPlan={memoryPlan}
             />
 
             <TelemetryDashboard
               stats={stats}
               workers={workers}
+              solutions={solutions}
+              timeSeries={timeSeries}
+              difficulty={config.difficulty}
+              blockDifficulty={config.blockDifficulty}
               isRunning={isRunning}
             />
 
@@ -206,12 +349,14 @@ function App() {
               <ReportExport
                 report={report}
                 onExport={handleExport}
+                onReuseSeeds={handleReuseSeeds}
                 disabled={false}
               />
             )}
           </div>
 
           <div className="space-y-6">
+            <BackendVerification disabled={!consented || isRunning} />
             <EducationalPanel />
           </div>
         </div>
@@ -0,0 +1,368 @@
+import { describe, it, expect } from 'vitest';
+import { loadPublicScript } from './setup';
+import { loadFixtures } from '../../scripts/mock-daemon.js';
+
+const CryptoPrimitives = loadPublicScript('crypto-primitives.js');
+const {
+  BlockHeader,
+  encodeVarint,
+  decodeVarint,
+  hashingBlobNonceOffset,
+  serializeHashingBlob,
+  parseHashingBlob,
+  JobBlob,
+  treeHash,
+  parseBlockTemplate,
+  TemplateBlob,
+  NonceCursor,
+  partitionNonceSpace,
+  createRng,
+  seedFromString,
+  createBlockTemplate,
+  generateNewSeed,
+  generateMerkleRoot,
+  difficultyToTarget,
+  hashToBigInt,
+  checkDifficulty
+} = loadPublicScript('block-header.js', { CryptoPrimitives });
+
+const blob = (hex: string) => new Uint8Array(Buffer.from(hex, 'hex'));
+const hex = (bytes: Uint8Array) => Buffer.from(bytes).toString('hex');
+
+// Mainnet genesis block (height 0): version 1.0, timestamp 0, nonce 10000
+const GENESIS_BLOB = '010000' + '00'.repeat(32) + '10270000' +
+  'c88ce9783b4f11190d7b9c17a69c1c52200f9faaee8e98dd07e6811175177139' + '01';
+const GENESIS_ID = '418015bb9ae982a1975da7d79277c2705727a56894ba0fb246adaabb1f4632e3';
+// The genesis block's miner transaction; the block template is header, miner tx and no other txs
+const GENESIS_MINER_TX = '013c01ff0001ffffffffffff03029b2e4c0281c0b02e7c53291a94d1d0cbff8883f8024f5142ee494ffbbd' +
+  '08807121017767aafcde9be00dcfd098715ebcf7f410daebc582fda69d24a28e9d0bc890d1';
+const GENESIS_TEMPLATE = '010000' + '00'.repeat(32) + '10270000' + GENESIS_MINER_TX + '00';
+// The block blob of RandomX's reference test vectors (version 11.11, June 2019, 22 transactions)
+const RANDOMX_VECTOR_BLOB = '0b0b98bea7e805e0010a2126d287a2a0cc833d312cb786385a7c2f9de69d25537f584a9bc9977b00000000' +
+  '666fd8753bf61a8631f12984e3fd44f4014eca629276817b56f32e9b68bd82f416';
+
+/**
+ * Monero block id: Keccak-256 of the varint blob length and the hashing blob
+ */
+function blockId(bytes: Uint8Array): string {
+  const prefixed = new Uint8Array([...encodeVarint(bytes.length), ...bytes]);
+  return hex(CryptoPrimitives.keccak256(prefixed));
+}
+
+describe('Block Header', () => {
+  describe('Serialization', () => {
+    it('should serialize a Monero hashing blob with the nonce at offset 39', () => {
+      const header = new BlockHeader(16, 'ab'.repeat(32), 'cd'.repeat(32), 1700000000, 0x01020304);
+      const bytes = header.serialize();
+      expect(bytes).toHaveLength(76);
+      expect(Array.from(bytes.subarray(0, 7))).toEqual([16, 16, ...encodeVarint(1700000000)]);
+      expect(bytes[7]).toBe(0xab);
+      expect(Array.from(bytes.subarray(39, 43))).toEqual([0x04, 0x03, 0x02, 0x01]);
+      expect(bytes[43]).toBe(0xcd);
+      expect(bytes[75]).toBe(1);
+      expect(hashingBlobNonceOffset(bytes)).toBe(39);
+    });
+
+    it('should mix the extra nonce into the tree root', () => {
+      const header = new BlockHeader(16, 'ab'.repeat(32), 'cd'.repeat(32), 1700000000, 7);
+      const base = header.serialize();
+      header.setExtraNonce(0x100000001);
+      const bytes = header.serialize();
+      expect(bytes[43]).toBe(0xcd ^ 0x01);
+      expect(bytes[47]).toBe(0xcd ^ 0x01);
+      expect(bytes.subarray(51)).toEqual(base.subarray(51));
+      expect(bytes.subarray(0, 43)).toEqual(base.subarray(0, 43));
+    });
+
+    it('should patch nonces into a cached blob until the template changes', () => {
+      const header = new BlockHeader(16, 'ab'.repeat(32), 'cd'.repeat(32), 1700000000);
+      const first = header.withNonce(1);
+      expect(header.withNonce(0xdeadbeef)).toBe(first);
+      expect(first).toEqual(new BlockHeader(16, 'ab'.repeat(32), 'cd'.repeat(32), 1700000000, 0xdeadbeef).serialize());
+
+      header.setExtraNonce(3);
+      const patched = header.withNonce(5);
+      expect(patched).not.toBe(first);
+      header.setNonce(5);
+      expect(patched).toEqual(header.serialize());
+      header.updateTimestamp(1700000060);
+      expect(header.withNonce(5)).toEqual(header.serialize());
+    });
+
+    it('should write the nonce into a pool blob at its offset only', () => {
+      const blob = new Uint8Array(76).fill(0xaa);
+      const job = new JobBlob(blob, 39);
+      job.setNonce(0x01020304);
+      job.setExtraNonce(5);
+      const bytes = job.serialize();
+      expect(Array.from(bytes.subarray(39, 43))).toEqual([0x04, 0x03, 0x02, 0x01]);
+      expect(bytes.subarray(0, 39).every((b: number) => b === 0xaa)).toBe(true);
+      expect(bytes.subarray(43).every((b: number) => b === 0xaa)).toBe(true);
+      expect(blob[39]).toBe(0xaa);
+      expect(() => new JobBlob(new Uint8Array(40), 39)).toThrow('outside the 40-byte blob');
+    });
+  });
+
+  describe('Hashing Blob', () => {
+    it('should round-trip varints', () => {
+      for (const value of [0, 1, 0x7F, 0x80, 0x3FFF, 0x4000, 1700000000, Number.MAX_SAFE_INTEGER]) {
+        const bytes = encodeVarint(value);
+        expect(decodeVarint(new Uint8Array([0xFF, ...bytes]), 1)).toEqual({ value, length: bytes.length });
+      }
+      expect(encodeVarint(300)).toEqual([0xAC, 0x02]);
+      expect(() => decodeVarint(new Uint8Array([0x80, 0x80]), 0)).toThrow('ends inside the varint');
+      expect(() => encodeVarint(-1)).toThrow('Invalid varint value');
+    });
+
+    it('should parse the mainnet genesis block', () => {
+      const bytes = blob(GENESIS_BLOB);
+      // The parsed bytes really are the genesis block: they hash to its id
+      expect(blockId(bytes)).toBe(GENESIS_ID);
+      expect(parseHashingBlob(bytes)).toEqual({
+        majorVersion: 1,
+        minorVersion: 0,
+        timestamp: 0,
+        prevId: '00'.repeat(32),
+        nonce: 10000,
+        treeRoot: 'c88ce9783b4f11190d7b9c17a69c1c52200f9faaee8e98dd07e6811175177139',
+        txCount: 1,
+        nonceOffset: 35
+      });
+    });
+
+    it('should parse a current-era blob with a 5-byte timestamp', () => {
+      const fields = parseHashingBlob(blob(RANDOMX_VECTOR_BLOB));
+      expect(fields).toMatchObject({
+        majorVersion: 11,
+        minorVersion: 11,
+        timestamp: 1560928024,
+        prevId: 'e0010a2126d287a2a0cc833d312cb786385a7c2f9de69d25537f584a9bc9977b',
+        nonce: 0,
+        treeRoot: '666fd8753bf61a8631f12984e3fd44f4014eca629276817b56f32e9b68bd82f4',
+        txCount: 22,
+        nonceOffset: 39
+      });
+    });
+
+    it('should round-trip fixtures through the serializer and BlockHeader', () => {
+      for (const fixture of [GENESIS_BLOB, RANDOMX_VECTOR_BLOB]) {
+        const bytes = blob(fixture);
+        expect(hex(serializeHashingBlob(parseHashingBlob(bytes)))).toBe(fixture);
+        expect(hex(BlockHeader.fromHashingBlob(bytes).serialize())).toBe(fixture);
+        expect(hashingBlobNonceOffset(bytes)).toBe(parseHashingBlob(bytes).nonceOffset);
+      }
+      const genesis = BlockHeader.fromHashingBlob(blob(GENESIS_BLOB));
+      genesis.setNonce(10001);
+      expect(blockId(genesis.serialize())).not.toBe(GENESIS_ID);
+    });
+
+    it('should reject truncated blobs and trailing bytes', () => {
+      const bytes = blob(GENESIS_BLOB);
+      expect(() => parseHashingBlob(bytes.subarray(0, 71))).toThrow('truncated');
+      expect(() => parseHashingBlob(bytes.subarray(0, 20))).toThrow('truncated');
+      expect(() => parseHashingBlob(new Uint8Array([...bytes, 0]))).toThrow('1 trailing byte');
+      expect(() => hashingBlobNonceOffset(bytes.subarray(0, 37))).toThrow('ends before its nonce');
+    });
+
+    it('should find the nonce of a pool blob by parsing it', () => {
+      const job = new JobBlob(blob(RANDOMX_VECTOR_BLOB));
+      expect(job.nonceOffset).toBe(39);
+      const bytes = job.withNonce(0xdeadbeef);
+      expect(parseHashingBlob(bytes).nonce).toBe(0xdeadbeef);
+      expect(job.withNonce(1)).toBe(bytes);
+      job.setNonce(1);
+      expect(job.serialize()).toEqual(bytes);
+    });
+  });
+
+  describe('Node Templates', () => {
+    const fixtures = loadFixtures();
+    const keccak = (...parts: Uint8Array[]) => CryptoPrimitives.keccak256(new Uint8Array(parts.flatMap(p => [...p])));
+
+    it('should rebuild the genesis hashing blob from the genesis block', () => {
+      const block = blob(GENESIS_TEMPLATE);
+      const { minerTx, txHashes, nonceOffset } = parseBlockTemplate(block);
+      expect(minerTx).toMatchObject({ version: 1, height: 0, start: 39, end: block.length - 1 });
+      expect(txHashes).toEqual([]);
+      expect(nonceOffset).toBe(35);
+      // The genesis block reserves nothing; any offset inside its extra field will do
+      const template = new TemplateBlob(block, minerTx.extraStart, 0);
+      expect(hex(template.withNonce(10000))).toBe(GENESIS_BLOB);
+      expect(blockId(template.withNonce(10000))).toBe(GENESIS_ID);
+    });
+
+    it('should compute Monero tree hashes', () => {
+      const leaves = [1, 2, 3, 4, 5].map(n => keccak(new Uint8Array([n])));
+      const pair = (a: Uint8Array, b: Uint8Array) => keccak(a, b);
+      expect(treeHash(leaves.slice(0, 1))).toEqual(leaves[0]);
+      expect(treeHash(leaves.slice(0, 2))).toEqual(pair(leaves[0], leaves[1]));
+      // Three leaves: the first is carried up, the other two paired
+      expect(treeHash(leaves.slice(0, 3))).toEqual(pair(leaves[0], pair(leaves[1], leaves[2])));
+      expect(treeHash(leaves.slice(0, 5))).toEqual(
+        pair(pair(leaves[0], leaves[1]), pair(leaves[2], pair(leaves[3], leaves[4])))
+      );
+      expect(() => treeHash([])).toThrow('at least one hash');
+    });
+
+    it('should match the hashing blobs recorded with the fixtures', () => {
+      for (const result of fixtures.templates) {
+        const template = new TemplateBlob(blob(result.blocktemplate_blob), result.reserved_offset);
+        expect(template.height).toBe(result.height);
+        expect(hex(template.serialize())).toBe(result.blockhashing_blob);
+        expect(parseHashingBlob(template.serialize()).txCount).toBe(
+          1 + parseBlockTemplate(blob(result.blocktemplate_blob)).txHashes.length
+        );
+      }
+    });
+
+    it('should write the extra nonce into the reserved bytes', () => {
+      const result = fixtures.templates[1];
+      const template = new TemplateBlob(blob(result.blocktemplate_blob), result.reserved_offset);
+      const before = parseHashingBlob(template.withNonce(7));
+
+      template.setExtraNonce(0x0102);
+      const after = parseHashingBlob(template.withNonce(7));
+      const reserved = template.blob.subarray(result.reserved_offset, result.reserved_offset + 8);
+      expect(hex(reserved)).toBe('0201000000000000');
+      expect(after.treeRoot).not.toBe(before.treeRoot);
+      expect({ ...after, treeRoot: before.treeRoot }).toEqual(before);
+    });
+
+    it('should reject templates it cannot mine', () => {
+      const result = fixtures.templates[0];
+      const bytes = blob(result.blocktemplate_blob);
+      expect(() => new TemplateBlob(bytes, 10)).toThrow('outside the miner transaction');
+      expect(() => new TemplateBlob(bytes, bytes.length - 4)).toThrow('outside the miner transaction');
+      expect(() => parseBlockTemplate(bytes.subarray(0, 60))).toThrow('ends inside');
+      expect(() => parseBlockTemplate(new Uint8Array([...bytes, 0]))).toThrow('1 trailing byte');
+      const small = new TemplateBlob(blob(GENESIS_TEMPLATE), 86, 1);
+      expect(() => small.setExtraNonce(256)).toThrow('does not fit the 1 reserved byte');
+    });
+  });
+
+  describe('Nonce Space', () => {
+    it('should partition the nonce space without gaps', () => {
+      for (let total = 1; total <= 8; total++) {
+        let expectedStart = 0;
+        for (let i = 0; i < total; i++) {
+          const { nonceStart, nonceEnd } = partitionNonceSpace(i, total);
+          expect(nonceStart).toBe(expectedStart);
+          expectedStart = nonceEnd;
+        }
+        expect(expectedStart).toBe(0x100000000);
+      }
+    });
+
+    it('should stop at the end of the slice instead of wrapping', () => {
+      const cursor = new NonceCursor(10, 13);
+      expect([cursor.next(), cursor.next(), cursor.next()]).toEqual([10, 11, 12]);
+      expect(cursor.remaining()).toBe(0);
+      expect(cursor.takeSegments()).toEqual([{ epoch: 0, extraNonce: 0, start: 10, end: 13 }]);
+      expect(cursor.takeSegments()).toEqual([]);
+    });
+
+    it('should record a segment per extra nonce and wrap', () => {
+      const cursor = new NonceCursor(0, 4);
+      cursor.next();
+      cursor.next();
+      cursor.setExtraNonce(5);
+      cursor.next();
+      cursor.wrap();
+      cursor.next();
+      expect(cursor.takeSegments()).toEqual([
+        { epoch: 0, extraNonce: 0, start: 0, end: 2 },
+        { epoch: 0, extraNonce: 5, start: 0, end: 1 },
+        { epoch: 0, extraNonce: 5, start: 0, end: 1 }
+      ]);
+    });
+
+    it('should keep its position when a new range still contains it', () => {
+      const cursor = new NonceCursor(0, 100);
+      cursor.next();
+      cursor.setRange(0, 50);
+      expect(cursor.nonce).toBe(1);
+      cursor.setRange(50, 100);
+      expect(cursor.nonce).toBe(50);
+      expect(cursor.takeSegments()).toEqual([{ epoch: 0, extraNonce: 0, start: 0, end: 1 }]);
+    });
+  });
+
+  describe('Seeded Randomness', () => {
+    it('should repeat the same sequence for the same seed', () => {
+      const a = createRng(42);
+      const b = createRng(42);
+      const c = createRng(43);
+      const seqA = Array.from({ length: 8 }, () => a.nextUint32());
+      expect(Array.from({ length: 8 }, () => b.nextUint32())).toEqual(seqA);
+      expect(Array.from({ length: 8 }, () => c.nextUint32())).not.toEqual(seqA);
+      expect(seqA.every(v => Number.isInteger(v) && v >= 0 && v <= 0xFFFFFFFF)).toBe(true);
+    });
+
+    it('should hash string seeds to 32 bits', () => {
+      expect(seedFromString('')).toBe(0x811C9DC5);
+      expect(seedFromString('a')).toBe(0xE40C292C);
+    });
+
+    it('should draw seeds and merkle roots from an RNG when given one', () => {
+      expect(generateNewSeed(createRng(7))).toBe(generateNewSeed(createRng(7)));
+      expect(generateMerkleRoot(createRng(7))).toMatch(/^[0-9a-f]{64}$/);
+      expect(generateNewSeed()).not.toBe(generateNewSeed());
+    });
+  });
+
+  describe('Block Templates', () => {
+    it('should derive identical templates from the same seed', () => {
+      const a = createBlockTemplate('run-1');
+      const b = createBlockTemplate('run-1');
+      expect(b.serialize()).toEqual(a.serialize());
+      expect(createBlockTemplate('run-2').serialize()).not.toEqual(a.serialize());
+    });
+
+    it('should produce a plausible header', () => {
+      const template = createBlockTemplate('run-1');
+      expect(template.prevHash).toMatch(/^[0-9a-f]{64}$/);
+      expect(template.merkleRoot).toMatch(/^[0-9a-f]{64}$/);
+      expect(template.timestamp).toBeGreaterThanOrEqual(1600000000);
+      expect(template.timestamp).toBeLessThan(1700000000);
+      expect(template.nonce).toBe(0);
+    });
+  });
+
+  describe('Difficulty', () => {
+    it('should convert difficulty to a 256-bit target', () => {
+      const max = (1n << 256n) - 1n;
+      expect(difficultyToTarget(1)).toBe(max);
+      expect(difficultyToTarget(1000)).toBe(max / 1000n);
+    });
+
+    it('should reject difficulties below 1', () => {
+      expect(() => difficultyToTarget(0)).toThrow('Invalid difficulty');
+      expect(() => difficultyToTarget(NaN)).toThrow('Invalid difficulty');
+    });
+
+    it('should read hashes as little-endian integers', () => {
+      expect(hashToBigInt('01' + '00'.repeat(31))).toBe(1n);
+      expect(hashToBigInt('00'.repeat(31) + '80')).toBe(1n << 255n);
+    });
+
+    it('should accept a hash when hash × difficulty < 2^256', () => {
+      const half = '00'.repeat(31) + '80'; // 2^255
+      expect(checkDifficulty(half, 1)).toBe(true);
+      expect(checkDifficulty(half, 2)).toBe(false);
+      // Just under 2^255 still meets difficulty 2
+      expect(checkDifficulty('ff'.repeat(31) + '7f', 2)).toBe(true);
+      // A big-endian reading would call this hash tiny; little-endian it is not
+      expect(checkDifficulty('00'.repeat(31) + 'ff', 1000)).toBe(false);
+      expect(checkDifficulty('ff' + '00'.repeat(31), 1000)).toBe(true);
+    });
+
+    it('should agree with the target at its boundary', () => {
+      const target = difficultyToTarget(1000);
+      const toHex = (value: bigint) => Array.from({ length: 32 }, (_, i) =>
+        Number((value >> BigInt(i * 8)) & 0xffn).toString(16).padStart(2, '0')).join('');
+      expect(checkDifficulty(toHex(target), 1000)).toBe(true);
+      expect(checkDifficulty(toHex(target + 1n), 1000)).toBe(false);
+      expect(() => checkDifficulty(toHex(target), 0)).toThrow('Invalid difficulty');
+    });
+  });
+});
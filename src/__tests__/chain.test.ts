@@ -0,0 +1,65 @@
+import { describe, it, expect } from 'vitest';
+import {
+  ChainClock,
+  seedHeight,
+  nextSeedSwitchHeight,
+  simulatedSeedHash,
+  SEEDHASH_EPOCH_BLOCKS
+} from '@/lib/chain';
+
+describe('Chain', () => {
+  describe('Seed Heights', () => {
+    it('should key the first epochs with the genesis block', () => {
+      expect(seedHeight(0)).toBe(0);
+      expect(seedHeight(2048)).toBe(0);
+      expect(seedHeight(2112)).toBe(0);
+      expect(seedHeight(2113)).toBe(2048);
+    });
+
+    it('should switch keys 64 blocks after each key block', () => {
+      // Heights and seed heights of recorded mainnet templates
+      expect(seedHeight(3000383)).toBe(2998272);
+      expect(seedHeight(3000384)).toBe(2998272);
+      expect(seedHeight(3000385)).toBe(3000320);
+      for (const height of [4160, 4161, 100000, 3000385]) {
+        const key = seedHeight(height);
+        expect(key % SEEDHASH_EPOCH_BLOCKS).toBe(0);
+        expect(height - key).toBeGreaterThan(64);
+        expect(height - key).toBeLessThanOrEqual(SEEDHASH_EPOCH_BLOCKS + 64);
+      }
+    });
+
+    it('should find the next switch height', () => {
+      expect(nextSeedSwitchHeight(0)).toBe(2113);
+      expect(nextSeedSwitchHeight(2113)).toBe(4161);
+      expect(nextSeedSwitchHeight(3000000)).toBe(3000385);
+      expect(seedHeight(nextSeedSwitchHeight(3000000) - 1)).toBe(seedHeight(3000000));
+      expect(seedHeight(nextSeedSwitchHeight(3000000))).not.toBe(seedHeight(3000000));
+    });
+  });
+
+  describe('Simulated Keys', () => {
+    it('should derive the same key for the same RNG seed and key block', () => {
+      expect(simulatedSeedHash(7, 2048)).toMatch(/^[0-9a-f]{64}$/);
+      expect(simulatedSeedHash(7, 2048)).toBe(simulatedSeedHash(7, 2048));
+      expect(simulatedSeedHash(7, 4096)).not.toBe(simulatedSeedHash(7, 2048));
+      expect(simulatedSeedHash(8, 2048)).not.toBe(simulatedSeedHash(7, 2048));
+    });
+  });
+
+  describe('Chain Clock', () => {
+    it('should add a block every block time', () => {
+      const clock = new ChainClock(2110, 1000);
+      expect(clock.heightAt(0)).toBe(2110);
+      expect(clock.heightAt(999)).toBe(2110);
+      expect(clock.heightAt(3000)).toBe(2113);
+      expect(clock.secondsTo(2113)).toBe(3);
+    });
+
+    it('should reject invalid settings', () => {
+      expect(() => new ChainClock(-1, 1000)).toThrow('Invalid start height');
+      expect(() => new ChainClock(1.5, 1000)).toThrow('Invalid start height');
+      expect(() => new ChainClock(0, 0)).toThrow('Invalid block time');
+    });
+  });
+});
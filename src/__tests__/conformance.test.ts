@@ -0,0 +1,166 @@
+import { describe, it, expect, beforeAll } from 'vitest';
+import { readFileSync } from 'fs';
+import { resolve } from 'path';
+import { loadPublicScript, createScriptedWorker } from './setup';
+import { verifyBackends, CONFORMANCE_WORKER_PATH } from '@/lib/conformance';
+
+/**
+ * Cross-backend conformance tests
+ *
+ * Runs the conformance vectors through RandomXModule and RandomXWebGPUModule,
+ * with the WebGPU kernels executed by the software adapter. Both backends
+ * build their own 256 MiB cache and the software adapter takes several
+ * seconds per hash, so the full run gets a long timeout.
+ */
+
+const CryptoPrimitives = loadPublicScript('crypto-primitives.js');
+const RandomXModule = loadPublicScript('wasm/randomx.js', { CryptoPrimitives });
+const RandomXWebGPUModule = loadPublicScript('wasm/randomx-webgpu.js', { CryptoPrimitives, RandomXModule });
+const WebGPUSoftware = loadPublicScript('webgpu-software.js');
+const { BlockHeader } = loadPublicScript('block-header.js');
+const BackendConformance = loadPublicScript('conformance.js');
+const shaderSource = readFileSync(resolve(__dirname, '../../public/wasm/randomx.wgsl'), 'utf8');
+const RUN_TIMEOUT = 300000;
+
+// Stand-in backend that hashes through `hash` without any RandomX work
+function fakeBackend(hash: (input: Uint8Array) => string) {
+  return class {
+    async init() {}
+    async calculateHash(input: Uint8Array) {
+      return hash(input);
+    }
+    destroy() {}
+  };
+}
+
+describe('Backend Conformance', () => {
+  describe('Vectors', () => {
+    it('should serialize header vectors with BlockHeader', () => {
+      const headers = BackendConformance.VECTORS.filter((v: any) => v.header);
+      expect(headers.length).toBeGreaterThan(0);
+      for (const vector of headers) {
+        const bytes = BackendConformance.vectorInput(vector, BlockHeader);
+        expect(bytes).toHaveLength(76);
+        expect(new DataView(bytes.buffer).getUint32(39, true)).toBe(vector.header.nonce >>> 0);
+      }
+    });
+
+    it('should encode text vectors as UTF-8', () => {
+      const text = BackendConformance.VECTORS.find((v: any) => v.input);
+      expect(BackendConformance.vectorInput(text, BlockHeader))
+        .toEqual(new TextEncoder().encode(text.input));
+    });
+  });
+
+  describe('Comparison', () => {
+    const hex = (input: Uint8Array) => Array.from(input.slice(0, 32)).map(b => b.toString(16).padStart(2, '0')).join('');
+
+    it('should report divergent hashes', async () => {
+      const report = await BackendConformance.run({
+        RandomXModule: fakeBackend(hex),
+        RandomXWebGPUModule: fakeBackend(input => input.length === 76 ? 'f'.repeat(64) : hex(input)),
+        BlockHeader,
+        vectors: [
+          { label: 'text', input: 'abc' },
+          { label: 'header', header: { version: 16, prevHash: '', merkleRoot: '', timestamp: 1700000000, nonce: 1 } }
+        ]
+      });
+      expect(report.passed).toBe(false);
+      expect(report.divergences).toBe(1);
+      expect(report.results.map((r: any) => r.match)).toEqual([true, false]);
+    });
+
+    it('should fail vectors whose known answer both backends miss', async () => {
+      const report = await BackendConformance.run({
+        RandomXModule: fakeBackend(hex),
+        RandomXWebGPUModule: fakeBackend(hex),
+        BlockHeader,
+        vectors: [{ label: 'text', input: 'abc', expected: '0'.repeat(64) }]
+      });
+      expect(report.results[0].wasm).toBe(report.results[0].webgpu);
+      expect(report.passed).toBe(false);
+    });
+  });
+
+  describe('WASM vs WebGPU (software adapter)', () => {
+    let report: any;
+    const progress: number[] = [];
+
+    beforeAll(async () => {
+      WebGPUSoftware.installGlobals(globalThis);
+      report = await BackendConformance.run({
+        RandomXModule,
+        RandomXWebGPUModule,
+        BlockHeader,
+        gpu: WebGPUSoftware.createGPU(),
+        shaderSource,
+        adapter: 'software',
+        onProgress: (value: number) => progress.push(value)
+      });
+    }, RUN_TIMEOUT);
+
+    it('should produce byte-identical hashes on both backends', () => {
+      expect(report.results).toHaveLength(BackendConformance.VECTORS.length);
+      for (const result of report.results) {
+        expect(result.webgpu).toBe(result.wasm);
+      }
+      expect(report.divergences).toBe(0);
+      expect(report.passed).toBe(true);
+    });
+
+    it('should match the official test vector', () => {
+      const known = report.results.find((r: any) => r.expected);
+      expect(known.wasm).toBe(known.expected);
+    });
+
+    it('should report monotonic progress', () => {
+      expect(progress.length).toBeGreaterThan(0);
+      expect(progress.every((value, i) => i === 0 || value >= progress[i - 1])).toBe(true);
+      expect(progress[progress.length - 1]).toBe(100);
+    });
+  });
+
+  describe('Verify Backends action', () => {
+    it('should resolve with the worker report', async () => {
+      const originalWorker = global.Worker;
+      const { WorkerClass, instances } = createScriptedWorker({
+        onPostMessage: (worker, message) => {
+          if (message.type === 'VERIFY') {
+            setTimeout(() => {
+              worker.emit({ type: 'VERIFY_PROGRESS', progress: 50, message: 'half way' });
+              worker.emit({ type: 'VERIFY_RESULT', report: { passed: true, divergences: 0, results: [] } });
+            }, 0);
+          }
+        }
+      });
+      global.Worker = WorkerClass;
+
+      try {
+        const updates: number[] = [];
+        const report = await verifyBackends(value => updates.push(value));
+        expect(report.passed).toBe(true);
+        expect(updates).toEqual([50]);
+        expect(instances[0].url).toBe(CONFORMANCE_WORKER_PATH);
+        expect(instances[0].terminated).toBe(true);
+      } finally {
+        global.Worker = originalWorker;
+      }
+    });
+
+    it('should reject when the worker reports an error', async () => {
+      const originalWorker = global.Worker;
+      const { WorkerClass } = createScriptedWorker({
+        onPostMessage: (worker) => {
+          setTimeout(() => worker.emit({ type: 'ERROR', error: 'WebGPU initialization failed: boom' }), 0);
+        }
+      });
+      global.Worker = WorkerClass;
+
+      try {
+        await expect(verifyBackends()).rejects.toThrow('boom');
+      } finally {
+        global.Worker = originalWorker;
+      }
+    });
+  });
+});
@@ -0,0 +1,1111 @@
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+import {
+  WorkerCoordinator,
+  NonceCoverage,
+  partitionDatasetItems,
+  partitionNonces,
+  resolveRunSeeds,
+  NONCE_SPACE_SIZE
+} from '@/lib/coordinator';
+import { RANDOMX_DATASET_ITEM_COUNT, RANDOMX_DATASET_SIZE } from '@/lib/randomx';
+import { BenchmarkConfig } from '@/lib/types';
+import { simulatedSeedHash } from '@/lib/chain';
+import { createScriptedWorker, autoReady } from './setup';
+
+describe('WorkerCoordinator', () => {
+  let config: BenchmarkConfig;
+  let originalWorker: typeof Worker;
+
+  beforeEach(() => {
+    originalWorker = global.Worker;
+    config = {
+      threads: 2,
+      throttle: 30,
+      duration: 0,
+      statsInterval: 1000,
+      backend: 'wasm'
+    };
+  });
+
+  afterEach(() => {
+    global.Worker = originalWorker;
+  });
+
+  describe('Batch Hashing', () => {
+    it('should enable batch hashing by default', async () => {
+      const { WorkerClass, instances } = createScriptedWorker({ onPostMessage: autoReady });
+      global.Worker = WorkerClass;
+
+      const coordinator = new WorkerCoordinator(config);
+      await coordinator.initialize();
+      coordinator.start();
+
+      const start = instances[0].posted.find(m => m.type === 'START');
+      expect(start.data.config.batchHashing).toBe(true);
+      coordinator.terminate();
+    });
+
+    it('should pass the async toggle to workers', async () => {
+      const { WorkerClass, instances } = createScriptedWorker({ onPostMessage: autoReady });
+      global.Worker = WorkerClass;
+
+      const coordinator = new WorkerCoordinator({ ...config, batchHashing: false });
+      await coordinator.initialize();
+      coordinator.start();
+
+      const start = instances[1].posted.find(m => m.type === 'START');
+      expect(start.data.config.batchHashing).toBe(false);
+      coordinator.terminate();
+    });
+
+    it('should average event-loop overhead across workers', async () => {
+      const { WorkerClass, instances } = createScriptedWorker({ onPostMessage: autoReady });
+      global.Worker = WorkerClass;
+
+      const coordinator = new WorkerCoordinator(config);
+      await coordinator.initialize();
+      coordinator.start();
+
+      instances[0].emit({ type: 'STATS', workerId: 0, totalHashes: 5, hashrate: 1, hashingMode: 'async', eventLoopOverheadPct: 30 });
+      instances[1].emit({ type: 'STATS', workerId: 1, totalHashes: 5, hashrate: 1, hashingMode: 'async', eventLoopOverheadPct: 10 });
+
+      const stats = coordinator.getAggregatedStats();
+      expect(stats.eventLoopOverheadPct).toBeCloseTo(20);
+      expect(coordinator.getWorkerInfo()[0].hashingMode).toBe('async');
+      coordinator.terminate();
+    });
+  });
+
+  describe('Windowed Hashrate', () => {
+    afterEach(() => {
+      vi.restoreAllMocks();
+    });
+
+    it('should stop counting a worker that goes silent', async () => {
+      const { WorkerClass, instances } = createScriptedWorker({ onPostMessage: autoReady });
+      global.Worker = WorkerClass;
+      let now = 0;
+      vi.spyOn(performance, 'now').mockImplementation(() => now);
+
+      const coordinator = new WorkerCoordinator({ ...config, rateWindows: [10, 1] });
+      await coordinator.initialize();
+      expect(coordinator.getConfig().rateWindows).toEqual([1, 10]);
+      coordinator.start();
+
+      for (now = 1000; now <= 5000; now += 1000) {
+        instances[0].emit({ type: 'STATS', workerId: 0, totalHashes: now / 10, hashrate: 100, hashesDelta: 100, elapsedMs: 1000 });
+        if (now <= 2000) {
+          instances[1].emit({ type: 'STATS', workerId: 1, totalHashes: now / 10, hashrate: 100, hashesDelta: 100, elapsedMs: 1000 });
+        }
+      }
+      now = 5000;
+
+      const stats = coordinator.getAggregatedStats();
+      // Worker 1 still claims 100 H/s in its last report
+      expect(coordinator.getWorkerInfo()[1].lastHashrate).toBe(100);
+      expect(stats.currentHashrate).toBeCloseTo(100);
+      expect(stats.windowedHashrates?.map(w => w.windowS)).toEqual([1, 10]);
+      expect(stats.windowedHashrates?.[0].workers).toEqual({ 0: expect.closeTo(100), 1: 0 });
+      // Two of worker 1's five seconds were hashed
+      expect(stats.windowedHashrates?.[1].workers[1]).toBeCloseTo(40);
+      coordinator.terminate();
+    });
+  });
+
+  describe('Hashrate Statistics', () => {
+    afterEach(() => {
+      vi.useRealTimers();
+      vi.restoreAllMocks();
+    });
+
+    it('should summarize the whole run, not just the samples the chart keeps', async () => {
+      vi.useFakeTimers();
+      let now = 1000;
+      vi.spyOn(performance, 'now').mockImplementation(() => now);
+      const { WorkerClass, instances } = createScriptedWorker({ onPostMessage: autoReady });
+      global.Worker = WorkerClass;
+
+      const coordinator = new WorkerCoordinator(config);
+      const initialized = coordinator.initialize();
+      await vi.advanceTimersByTimeAsync(10);
+      await initialized;
+      coordinator.start();
+      // 400 s of samples; the first second at a tenth of the rate
+      for (let elapsed = 500; elapsed <= 400000; elapsed += 500) {
+        now = 1000 + elapsed;
+        if (elapsed % 1000 === 0) {
+          const delta = elapsed === 1000 ? 10 : 100;
+          instances.forEach((worker, workerId) => worker.emit({
+            type: 'STATS', workerId, totalHashes: elapsed / 10, hashrate: delta, hashesDelta: delta, elapsedMs: 1000
+          }));
+        }
+        await vi.advanceTimersByTimeAsync(500);
+      }
+
+      expect(coordinator.getTimeSeriesData()).toHaveLength(600);
+      expect(coordinator.getRunSeries()).toHaveLength(800);
+      expect(coordinator.getRunSeries()[0].timestamp).toBe(500);
+      const stats = coordinator.getAggregatedStats().hashrateStats!;
+      expect(stats.samples).toBe(800);
+      expect(stats.steady).toBe(true);
+      expect(stats.mean).toBeCloseTo(200, 0);
+      // Only the start of the run, not the 200 s the chart dropped
+      expect(stats.warmupMs).toBeLessThan(5000);
+      coordinator.terminate();
+    });
+  });
+
+  describe('Initialization', () => {
+    // Answers INIT per worker script and attempt: 'ready', 'error' or silence
+    function scriptedInit(answer: (url: string, attempt: number) => 'ready' | 'error' | 'silent') {
+      const attempts = new Map<string, number>();
+      return createScriptedWorker({
+        onPostMessage: (worker, message) => {
+          if (message.type !== 'INIT') return;
+          const attempt = attempts.get(worker.url) ?? 0;
+          attempts.set(worker.url, attempt + 1);
+          const reply = answer(worker.url, attempt);
+          if (reply === 'ready') autoReady(worker, message);
+          if (reply === 'error') {
+            setTimeout(() => worker.emit({ type: 'ERROR', workerId: message.data.workerId, error: 'Out of memory' }), 0);
+          }
+        }
+      });
+    }
+
+    afterEach(() => {
+      vi.unstubAllGlobals();
+    });
+
+    it('should retry a worker that reports an error', async () => {
+      const { WorkerClass, instances } = scriptedInit((_url, attempt) => attempt === 0 ? 'error' : 'ready');
+      global.Worker = WorkerClass;
+
+      const coordinator = new WorkerCoordinator({ ...config, threads: 1 });
+      await coordinator.initialize();
+
+      const [worker] = coordinator.getWorkerInfo();
+      expect(worker.state).toBe('idle');
+      expect(worker.initAttempts).toBe(2);
+      expect(worker.fallbacks).toBeUndefined();
+      expect(instances.map(w => w.terminated)).toEqual([true, false]);
+      coordinator.terminate();
+    });
+
+    it('should fall back from WebGPU to WASM when a worker never answers', async () => {
+      const { WorkerClass } = scriptedInit(url => url.includes('webgpu') ? 'silent' : 'ready');
+      global.Worker = WorkerClass;
+
+      const coordinator = new WorkerCoordinator({ ...config, backend: 'webgpu', initTimeout: 0.02, initRetries: 0 });
+      await coordinator.initialize();
+
+      coordinator.getWorkerInfo().forEach((worker) => {
+        expect(worker.state).toBe('idle');
+        expect(worker.backend).toBe('wasm');
+        expect(worker.setup).toEqual({ backend: 'wasm', mode: 'light' });
+        expect(worker.fallbacks).toEqual([{
+          from: { backend: 'webgpu', mode: 'light' },
+          to: { backend: 'wasm', mode: 'light' },
+          reason: 'No READY within 0.02s'
+        }]);
+      });
+      coordinator.terminate();
+    });
+
+    it('should fall back from fast to light mode', async () => {
+      vi.stubGlobal('crossOriginIsolated', false);
+      const { WorkerClass, instances } = createScriptedWorker({
+        onPostMessage: (worker, message) => {
+          if (message.type !== 'INIT') return;
+          if (message.data.mode === 'light') autoReady(worker, message);
+          else setTimeout(() => worker.emit({ type: 'ERROR', workerId: message.data.workerId, error: 'Out of memory' }), 0);
+        }
+      });
+      global.Worker = WorkerClass;
+
+      const coordinator = new WorkerCoordinator({ ...config, threads: 1, mode: 'fast', initRetries: 0 });
+      await coordinator.initialize();
+
+      const [worker] = coordinator.getWorkerInfo();
+      expect(worker.setup).toEqual({ backend: 'wasm', mode: 'light' });
+      expect(worker.fallbacks?.map(f => f.reason)).toEqual(['Out of memory']);
+      expect(instances.map(w => w.posted[0].data.mode)).toEqual(['fast', 'light']);
+      coordinator.terminate();
+    });
+
+    it('should record a worker that downgraded itself after running out of memory', async () => {
+      vi.stubGlobal('crossOriginIsolated', false);
+      const reason = 'Out of memory: Array buffer allocation failed';
+      const { WorkerClass, instances } = createScriptedWorker({
+        onPostMessage: (worker, message) => {
+          if (message.type !== 'INIT') return;
+          const { workerId, protocolVersion } = message.data;
+          setTimeout(() => worker.emit({
+            type: 'READY',
+            workerId,
+            protocolVersion,
+            capabilities: { mode: 'light', downgrade: { from: 'fast', to: 'light', reason } }
+          }), 0);
+        }
+      });
+      global.Worker = WorkerClass;
+
+      const coordinator = new WorkerCoordinator({ ...config, threads: 1, mode: 'fast' });
+      await coordinator.initialize();
+
+      const [worker] = coordinator.getWorkerInfo();
+      expect(worker.state).toBe('idle');
+      expect(worker.setup).toEqual({ backend: 'wasm', mode: 'light' });
+      expect(worker.fallbacks).toEqual([{
+        from: { backend: 'wasm', mode: 'fast' },
+        to: { backend: 'wasm', mode: 'light' },
+        reason
+      }]);
+      // No second worker was started
+      expect(instances).toHaveLength(1);
+      expect(instances[0].posted[0].data.allowDowngrade).toBe(true);
+      coordinator.terminate();
+    });
+
+    it('should not retry a worker that ran out of memory without fallback', async () => {
+      vi.stubGlobal('crossOriginIsolated', false);
+      const { WorkerClass, instances } = createScriptedWorker({
+        onPostMessage: (worker, message) => {
+          if (message.type !== 'INIT') return;
+          setTimeout(() => worker.emit({
+            type: 'ERROR',
+            workerId: message.data.workerId,
+            code: 'OUT_OF_MEMORY',
+            error: 'Out of memory for the fast-mode dataset'
+          }), 0);
+        }
+      });
+      global.Worker = WorkerClass;
+
+      const coordinator = new WorkerCoordinator({ ...config, threads: 1, mode: 'fast', initRetries: 2, fallback: false });
+      await coordinator.initialize();
+
+      const [worker] = coordinator.getWorkerInfo();
+      expect(worker.state).toBe('error');
+      expect(worker.error).toBe('Out of memory for the fast-mode dataset');
+      expect(worker.initAttempts).toBe(1);
+      expect(instances[0].posted[0].data.allowDowngrade).toBe(false);
+      coordinator.terminate();
+    });
+
+    it('should give up once retries and fallbacks are exhausted', async () => {
+      const { WorkerClass, instances } = scriptedInit(() => 'error');
+      global.Worker = WorkerClass;
+
+      const coordinator = new WorkerCoordinator({ ...config, initRetries: 2 });
+      await coordinator.initialize();
+
+      coordinator.getWorkerInfo().forEach((worker) => {
+        expect(worker.state).toBe('error');
+        expect(worker.error).toBe('Out of memory');
+        expect(worker.initAttempts).toBe(3);
+      });
+      expect(instances).toHaveLength(6);
+      expect(instances.every(w => w.terminated)).toBe(true);
+      coordinator.terminate();
+    });
+
+    it('should count a script error as a failed attempt', async () => {
+      const { WorkerClass } = createScriptedWorker({
+        onPostMessage: (worker, message) => {
+          if (message.type === 'INIT') {
+            setTimeout(() => worker.onerror?.({ message: 'Failed to load /hash-worker-webgpu.js' } as ErrorEvent), 0);
+          }
+        }
+      });
+      global.Worker = WorkerClass;
+
+      const coordinator = new WorkerCoordinator({ ...config, threads: 1, backend: 'webgpu', initRetries: 0, fallback: false });
+      await coordinator.initialize();
+
+      const [worker] = coordinator.getWorkerInfo();
+      expect(worker.state).toBe('error');
+      expect(worker.error).toBe('Failed to load /hash-worker-webgpu.js');
+      expect(worker.initAttempts).toBe(1);
+      expect(worker.fallbacks).toBeUndefined();
+      expect(coordinator.getConfig()).toMatchObject({ initRetries: 0, fallback: false });
+      coordinator.terminate();
+    });
+
+    it('should fail the run when a worker speaks another protocol version', async () => {
+      const { WorkerClass, instances } = createScriptedWorker({
+        onPostMessage: (worker, message) => {
+          if (message.type === 'INIT') {
+            setTimeout(() => worker.emit({ type: 'READY', workerId: message.data.workerId, protocolVersion: 99 }), 0);
+          }
+        }
+      });
+      global.Worker = WorkerClass;
+
+      const coordinator = new WorkerCoordinator({ ...config, backend: 'webgpu' });
+      await expect(coordinator.initialize()).rejects.toThrow('Protocol mismatch: worker script speaks v99');
+      // Neither retried nor moved to another backend
+      expect(instances).toHaveLength(2);
+      expect(instances.every(w => w.terminated)).toBe(true);
+      coordinator.terminate();
+    });
+
+    it('should fail the run when a worker refuses the INIT', async () => {
+      const { WorkerClass } = createScriptedWorker({
+        onPostMessage: (worker, message) => {
+          if (message.type === 'INIT') {
+            setTimeout(() => worker.emit({
+              type: 'ERROR', workerId: message.data.workerId, code: 'PROTOCOL_MISMATCH', error: 'Protocol mismatch: coordinator speaks v2'
+            }), 0);
+          }
+        }
+      });
+      global.Worker = WorkerClass;
+
+      const coordinator = new WorkerCoordinator(config);
+      await expect(coordinator.initialize()).rejects.toThrow('Protocol mismatch: coordinator speaks v2');
+      coordinator.terminate();
+    });
+
+    it('should terminate a worker that sends a malformed message and hand its range on', async () => {
+      const { WorkerClass, instances } = createScriptedWorker({
+        onPostMessage: (worker, message) => {
+          autoReady(worker, message);
+          if (message.type === 'SET_NONCE_RANGE') {
+            setTimeout(() => worker.emit({ type: 'NONCE_RANGE_APPLIED', workerId: 1, ...message.data }), 0);
+          }
+        }
+      });
+      global.Worker = WorkerClass;
+
+      const coordinator = new WorkerCoordinator(config);
+      await coordinator.initialize();
+      coordinator.start();
+      instances[0].emit({ type: 'STATS', workerId: 0, hashrate: 5 });
+      instances[1].emit({ type: 'STATS', workerId: 1, totalHashes: 10, hashrate: 5 });
+      // Whatever the broken thread sends later is ignored
+      instances[0].emit({ type: 'STATS', workerId: 0, totalHashes: 99, hashrate: 5 });
+      await new Promise(resolve => setTimeout(resolve, 10));
+
+      const [broken, healthy] = coordinator.getWorkerInfo();
+      expect(broken).toMatchObject({ state: 'error', error: 'Protocol error: STATS.totalHashes is missing', totalHashes: 0 });
+      expect(instances[0].terminated).toBe(true);
+      expect(healthy).toMatchObject({ state: 'running', totalHashes: 10, nonceRange: { nonceStart: 0, nonceEnd: NONCE_SPACE_SIZE } });
+      expect(coordinator.getConfig().threads).toBe(1);
+      coordinator.terminate();
+    });
+
+    it('should terminate a running worker that reports an error and hand its range on', async () => {
+      const { WorkerClass, instances } = createScriptedWorker({
+        onPostMessage: (worker, message) => {
+          autoReady(worker, message);
+          if (message.type === 'SET_NONCE_RANGE') {
+            setTimeout(() => worker.emit({ type: 'NONCE_RANGE_APPLIED', workerId: 1, ...message.data }), 0);
+          }
+        }
+      });
+      global.Worker = WorkerClass;
+
+      const coordinator = new WorkerCoordinator(config);
+      await coordinator.initialize();
+      coordinator.start();
+      instances[0].emit({ type: 'ERROR', workerId: 0, error: 'GPU device lost' });
+      await new Promise(resolve => setTimeout(resolve, 10));
+
+      const [failed, healthy] = coordinator.getWorkerInfo();
+      expect(failed).toMatchObject({ state: 'error', error: 'GPU device lost' });
+      expect(instances[0].terminated).toBe(true);
+      expect(healthy).toMatchObject({ state: 'running', nonceRange: { nonceStart: 0, nonceEnd: NONCE_SPACE_SIZE } });
+      expect(coordinator.getConfig().threads).toBe(1);
+      coordinator.terminate();
+    });
+
+    it('should retry a worker that sends a malformed message while initializing', async () => {
+      let attempts = 0;
+      const { WorkerClass, instances } = createScriptedWorker({
+        onPostMessage: (worker, message) => {
+          if (message.type !== 'INIT') return;
+          if (attempts++ === 0) {
+            setTimeout(() => worker.emit({ type: 'INIT_PROGRESS', workerId: 0, progress: 'half' }), 0);
+          } else {
+            autoReady(worker, message);
+          }
+        }
+      });
+      global.Worker = WorkerClass;
+
+      const coordinator = new WorkerCoordinator({ ...config, threads: 1 });
+      await coordinator.initialize();
+      const [worker] = coordinator.getWorkerInfo();
+      expect(worker).toMatchObject({ state: 'idle', initAttempts: 2 });
+      expect(instances[0].terminated).toBe(true);
+      coordinator.terminate();
+    });
+  });
+
+  describe('Shared Dataset', () => {
+    // Stands in for the 2 GiB SharedArrayBuffer so tests do not allocate it
+    class FakeSharedArrayBuffer {
+      constructor(public byteLength: number) {}
+    }
+
+    // Replies READY with the shared-dataset capability the real worker reports
+    function sharedReady(worker: any, message: any) {
+      if (message.type === 'INIT') {
+        setTimeout(() => worker.emit({
+          type: 'READY',
+          workerId: message.data.workerId,
+          protocolVersion: message.data.protocolVersion,
+          capabilities: { mode: message.data.mode, sharedDataset: message.data.sharedDataset !== undefined }
+        }), 0);
+      }
+    }
+
+    afterEach(() => {
+      vi.unstubAllGlobals();
+    });
+
+    it('should split dataset items into contiguous slices', () => {
+      const slices = [0, 1, 2].map(id => partitionDatasetItems(id, 3));
+      expect(slices[0].start).toBe(0);
+      expect(slices[1].start).toBe(slices[0].count);
+      expect(slices[2].start + slices[2].count).toBe(RANDOMX_DATASET_ITEM_COUNT);
+      expect(slices.reduce((sum, s) => sum + s.count, 0)).toBe(RANDOMX_DATASET_ITEM_COUNT);
+    });
+
+    it('should hand one dataset and seed key to every fast-mode worker', async () => {
+      vi.stubGlobal('crossOriginIsolated', true);
+      vi.stubGlobal('SharedArrayBuffer', FakeSharedArrayBuffer);
+      const { WorkerClass, instances } = createScriptedWorker({ onPostMessage: sharedReady });
+      global.Worker = WorkerClass;
+
+      const coordinator = new WorkerCoordinator({ ...config, mode: 'fast' });
+      await coordinator.initialize();
+
+      const inits = instances.map(w => w.posted.find(m => m.type === 'INIT').data);
+      expect(inits[0].sharedDataset.byteLength).toBe(RANDOMX_DATASET_SIZE);
+      expect(inits[1].sharedDataset).toBe(inits[0].sharedDataset);
+      expect(inits[1].seedKey).toBe(inits[0].seedKey);
+      expect(inits[1].datasetRange).toEqual(partitionDatasetItems(1, 2));
+
+      const report = coordinator.getSharedMemoryReport();
+      expect(report.used).toBe(true);
+      expect(report.datasetMB).toBe(2080);
+      coordinator.terminate();
+    });
+
+    it('should move the other workers to light mode when a slice is not built', async () => {
+      vi.stubGlobal('crossOriginIsolated', true);
+      vi.stubGlobal('SharedArrayBuffer', FakeSharedArrayBuffer);
+      const { WorkerClass, instances } = createScriptedWorker({
+        onPostMessage: (worker, message) => {
+          if (message.type === 'INIT' && message.data.workerId === 1 && message.data.mode === 'fast') {
+            setTimeout(() => worker.emit({ type: 'ERROR', workerId: 1, error: 'Out of memory' }), 0);
+          } else {
+            sharedReady(worker, message);
+          }
+        }
+      });
+      global.Worker = WorkerClass;
+
+      const coordinator = new WorkerCoordinator({ ...config, mode: 'fast', initRetries: 0 });
+      await coordinator.initialize();
+
+      const workers = coordinator.getWorkerInfo();
+      expect(workers.map(w => w.state)).toEqual(['idle', 'idle']);
+      expect(workers.map(w => w.setup?.mode)).toEqual(['light', 'light']);
+      expect(workers[0].fallbacks?.[0].reason).toContain('slice of worker 1 was not built');
+      expect(instances[0].terminated).toBe(true);
+      expect(coordinator.getSharedMemoryReport()).toMatchObject({ used: false });
+      coordinator.terminate();
+    });
+
+    it('should fall back to private datasets without cross-origin isolation', async () => {
+      vi.stubGlobal('crossOriginIsolated', false);
+      const { WorkerClass, instances } = createScriptedWorker({ onPostMessage: sharedReady });
+      global.Worker = WorkerClass;
+
+      const coordinator = new WorkerCoordinator({ ...config, mode: 'fast' });
+      await coordinator.initialize();
+
+      expect(instances[0].posted.find(m => m.type === 'INIT').data.sharedDataset).toBeUndefined();
+      const report = coordinator.getSharedMemoryReport();
+      expect(report.used).toBe(false);
+      expect(report.crossOriginIsolated).toBe(false);
+      expect(report.reason).toContain('cross-origin isolated');
+      coordinator.terminate();
+    });
+
+    it('should not share a dataset in light mode', async () => {
+      vi.stubGlobal('crossOriginIsolated', true);
+      const { WorkerClass } = createScriptedWorker({ onPostMessage: sharedReady });
+      global.Worker = WorkerClass;
+
+      const coordinator = new WorkerCoordinator(config);
+      await coordinator.initialize();
+
+      expect(coordinator.getSharedMemoryReport()).toMatchObject({ used: false, reason: 'Light mode has no dataset' });
+      coordinator.terminate();
+    });
+  });
+
+  describe('Run Seeds', () => {
+    it('should fill in missing seeds and keep given ones', () => {
+      const random = resolveRunSeeds(config);
+      expect(random.seedKey).toMatch(/^randomx-seed-[0-9a-f]{64}$/);
+      expect(random.templateSeed).toMatch(/^[0-9a-f]{64}$/);
+      expect(Number.isInteger(random.rngSeed)).toBe(true);
+
+      const fixed = resolveRunSeeds({ ...config, seedKey: 'key', templateSeed: 'template', rngSeed: 0 });
+      expect(fixed).toEqual({ seedKey: 'key', templateSeed: 'template', rngSeed: 0 });
+    });
+
+    it('should hand every worker the same seeds', async () => {
+      const { WorkerClass, instances } = createScriptedWorker({ onPostMessage: autoReady });
+      global.Worker = WorkerClass;
+
+      const coordinator = new WorkerCoordinator({ ...config, threads: 3 });
+      await coordinator.initialize();
+
+      const inits = instances.map(w => w.posted.find(m => m.type === 'INIT').data);
+      for (const init of inits) {
+        expect(init.seedKey).toBe(inits[0].seedKey);
+        expect(init.templateSeed).toBe(inits[0].templateSeed);
+      }
+      coordinator.terminate();
+    });
+
+    it('should record the seeds it used in the config', async () => {
+      const { WorkerClass, instances } = createScriptedWorker({ onPostMessage: autoReady });
+      global.Worker = WorkerClass;
+
+      const coordinator = new WorkerCoordinator({ ...config, seedKey: 'replay key' });
+      await coordinator.initialize();
+
+      const recorded = coordinator.getConfig();
+      const init = instances[0].posted.find(m => m.type === 'INIT').data;
+      expect(recorded.seedKey).toBe('replay key');
+      expect(recorded.templateSeed).toBe(init.templateSeed);
+      expect(Number.isInteger(recorded.rngSeed)).toBe(true);
+      expect(recorded.seedKey).toBe(init.seedKey);
+      expect(config.templateSeed).toBeUndefined();
+      coordinator.terminate();
+    });
+  });
+
+  describe('Seed Epochs', () => {
+    afterEach(() => {
+      vi.useRealTimers();
+      vi.restoreAllMocks();
+    });
+
+    // One simulated block per second, starting one block before a key switch
+    async function startChain(overrides: Partial<BenchmarkConfig> = {}) {
+      vi.useFakeTimers();
+      let now = 1000;
+      vi.spyOn(performance, 'now').mockImplementation(() => now);
+      const { WorkerClass, instances } = createScriptedWorker({ onPostMessage: autoReady });
+      global.Worker = WorkerClass;
+
+      const coordinator = new WorkerCoordinator({ ...config, seedKey: 'start key', rngSeed: 7, startHeight: 2112, blockTime: 1, ...overrides });
+      const initialized = coordinator.initialize();
+      await vi.advanceTimersByTimeAsync(10);
+      await initialized;
+      coordinator.start();
+      const advance = async (ms: number) => {
+        now += ms;
+        await vi.advanceTimersByTimeAsync(ms);
+      };
+      return { coordinator, instances, advance };
+    }
+
+    const seedMessages = (worker: any) => worker.posted.filter((m: any) => m.type === 'SET_SEED').map((m: any) => m.data);
+
+    it('should switch every worker to the next key at the epoch boundary', async () => {
+      const { coordinator, instances, advance } = await startChain();
+      expect(instances[0].posted.find(m => m.type === 'INIT').data.seedKey).toBe('start key');
+      expect(coordinator.getChainStatus()).toMatchObject({ height: 2112, seedHeight: 0, nextSwitchHeight: 2113, switches: [] });
+
+      await advance(1000);
+      const expected = { seedKey: simulatedSeedHash(7, 2048), seedHeight: 2048, height: 2113, chainSeconds: 1, epoch: 1 };
+      instances.forEach(worker => expect(seedMessages(worker)).toEqual([expected]));
+
+      // No new key for the rest of the epoch
+      await advance(5000);
+      instances.forEach(worker => expect(seedMessages(worker)).toHaveLength(1));
+      expect(coordinator.getAggregatedStats().chain).toMatchObject({
+        height: 2118,
+        seedHeight: 2048,
+        seedKey: expected.seedKey,
+        nextSwitchHeight: 4161,
+        blockTime: 1,
+        switches: [{ height: 2113, seedHeight: 2048, seedKey: expected.seedKey, switchedAt: 1000 }]
+      });
+      coordinator.terminate();
+    });
+
+    it('should record the chain settings it used', async () => {
+      const { coordinator } = await startChain({ startHeight: undefined, blockTime: undefined });
+      expect(coordinator.getConfig()).toMatchObject({ startHeight: 3000000, blockTime: 120 });
+      coordinator.terminate();
+    });
+
+    it('should total the switchovers workers report', async () => {
+      const { coordinator, instances, advance } = await startChain();
+      await advance(1000);
+      const seedKey = simulatedSeedHash(7, 2048);
+      instances[0].emit({
+        type: 'STATS', workerId: 0, totalHashes: 40, hashrate: 10,
+        switchovers: [{ seedKey, switchedAt: 5, durationMs: 3000, hashes: 20, lostHashes: 10 }]
+      });
+      instances[1].emit({
+        type: 'STATS', workerId: 1, totalHashes: 30, hashrate: 10,
+        switchovers: [{ seedKey, switchedAt: 6, durationMs: 4500, hashes: 15, lostHashes: 30 }]
+      });
+      instances[1].emit({ type: 'STATS', workerId: 1, totalHashes: 45, hashrate: 10, switchovers: [] });
+
+      expect(coordinator.getAggregatedStats().switchovers).toEqual({ count: 2, totalMs: 7500, maxMs: 4500, lostHashes: 40 });
+      expect(coordinator.getSwitchovers().map(s => [s.workerId, s.seedKey, s.durationMs]))
+        .toEqual([[0, seedKey, 3000], [1, seedKey, 4500]]);
+      coordinator.terminate();
+    });
+  });
+
+  describe('Live Config Updates', () => {
+    // Acknowledges every UPDATE_CONFIG the way the workers do
+    function ackUpdates(worker: any, message: any) {
+      autoReady(worker, message);
+      if (message.type === 'UPDATE_CONFIG') {
+        setTimeout(() => worker.emit({
+          type: 'CONFIG_APPLIED',
+          workerId: worker.posted.find((m: any) => m.type === 'INIT').data.workerId,
+          version: message.data.version
+        }), 0);
+      }
+    }
+
+    it('should send versioned updates to running workers', async () => {
+      const { WorkerClass, instances } = createScriptedWorker({ onPostMessage: autoReady });
+      global.Worker = WorkerClass;
+
+      const coordinator = new WorkerCoordinator(config);
+      await coordinator.initialize();
+      coordinator.start();
+
+      const version = coordinator.updateConfig({ throttle: 60, difficulty: 1000 });
+      for (const worker of instances) {
+        const update = worker.posted.find(m => m.type === 'UPDATE_CONFIG');
+        expect(update.data).toEqual({ version, throttle: 60, difficulty: 1000 });
+      }
+      expect(coordinator.getConfig().throttle).toBe(60);
+      expect(coordinator.getConfigChanges()[0].appliedAt).toBeUndefined();
+      coordinator.terminate();
+    });
+
+    it('should mark the time series once every worker acknowledged', async () => {
+      const { WorkerClass, instances } = createScriptedWorker({ onPostMessage: autoReady });
+      global.Worker = WorkerClass;
+
+      const coordinator = new WorkerCoordinator(config);
+      await coordinator.initialize();
+      coordinator.start();
+
+      const version = coordinator.updateConfig({ statsInterval: 500 });
+      instances[0].emit({ type: 'CONFIG_APPLIED', workerId: 0, version });
+      expect(coordinator.getConfigChanges()[0].appliedAt).toBeUndefined();
+
+      instances[1].emit({ type: 'CONFIG_APPLIED', workerId: 1, version });
+      const [change] = coordinator.getConfigChanges();
+      expect(change.acknowledgedBy).toEqual([0, 1]);
+      expect(change.appliedAt).toBeGreaterThanOrEqual(change.requestedAt);
+
+      const series = coordinator.getTimeSeriesData();
+      expect(series[series.length - 1].configVersion).toBe(version);
+      expect(coordinator.getWorkerInfo()[1].configVersion).toBe(version);
+      coordinator.terminate();
+    });
+
+    it('should treat an acknowledgement as covering older merged updates', async () => {
+      const { WorkerClass, instances } = createScriptedWorker({ onPostMessage: autoReady });
+      global.Worker = WorkerClass;
+
+      const coordinator = new WorkerCoordinator({ ...config, threads: 1 });
+      await coordinator.initialize();
+      coordinator.start();
+
+      coordinator.updateConfig({ throttle: 10 });
+      const latest = coordinator.updateConfig({ throttle: 20 });
+      instances[0].emit({ type: 'CONFIG_APPLIED', workerId: 0, version: latest });
+
+      expect(coordinator.getConfigChanges().every(c => c.appliedAt !== undefined)).toBe(true);
+      coordinator.terminate();
+    });
+
+    it('should not wait for workers that errored', async () => {
+      const { WorkerClass, instances } = createScriptedWorker({ onPostMessage: autoReady });
+      global.Worker = WorkerClass;
+
+      const coordinator = new WorkerCoordinator(config);
+      await coordinator.initialize();
+      coordinator.start();
+
+      const version = coordinator.updateConfig({ throttle: 50 });
+      instances[0].emit({ type: 'CONFIG_APPLIED', workerId: 0, version });
+      instances[1].emit({ type: 'ERROR', workerId: 1, error: 'crashed' });
+
+      expect(coordinator.getConfigChanges()[0].appliedAt).toBeDefined();
+      coordinator.terminate();
+    });
+
+    it('should route updateThrottle through the live protocol', async () => {
+      const { WorkerClass, instances } = createScriptedWorker({ onPostMessage: ackUpdates });
+      global.Worker = WorkerClass;
+
+      const coordinator = new WorkerCoordinator(config);
+      await coordinator.initialize();
+      coordinator.start();
+
+      coordinator.updateThrottle(70);
+      await new Promise(resolve => setTimeout(resolve, 5));
+
+      expect(instances[0].posted.find(m => m.type === 'UPDATE_CONFIG').data.throttle).toBe(70);
+      expect(coordinator.getConfigChanges()[0].appliedAt).toBeDefined();
+      coordinator.terminate();
+    });
+  });
+
+  describe('Worker Scaling', () => {
+    // READY on INIT, plus the acknowledgements the workers send while scaling
+    function scalingReplies(worker: any, message: any) {
+      autoReady(worker, message);
+      const workerId = worker.posted.find((m: any) => m.type === 'INIT')?.data.workerId;
+      if (message.type === 'SET_NONCE_RANGE') {
+        setTimeout(() => worker.emit({ type: 'NONCE_RANGE_APPLIED', workerId, ...message.data }), 0);
+      } else if (message.type === 'STOP') {
+        setTimeout(() => worker.emit({ type: 'STOPPED', workerId }), 0);
+      }
+    }
+
+    const rangeOf = (worker: any) => {
+      const updates = worker.posted.filter((m: any) => m.type === 'SET_NONCE_RANGE');
+      return updates.length > 0
+        ? updates[updates.length - 1].data
+        : worker.posted.find((m: any) => m.type === 'INIT').data.nonceRange;
+    };
+
+    afterEach(() => {
+      vi.useRealTimers();
+      vi.restoreAllMocks();
+    });
+
+    it('should split the nonce space without gaps or overlap', () => {
+      for (let total = 1; total <= 8; total++) {
+        let expectedStart = 0;
+        for (let i = 0; i < total; i++) {
+          const { nonceStart, nonceEnd } = partitionNonces(i, total);
+          expect(nonceStart).toBe(expectedStart);
+          expect(nonceEnd).toBeGreaterThan(nonceStart);
+          expectedStart = nonceEnd;
+        }
+        expect(expectedStart).toBe(NONCE_SPACE_SIZE);
+      }
+    });
+
+    it('should shrink running ranges before a new worker starts', async () => {
+      const { WorkerClass, instances } = createScriptedWorker({ onPostMessage: scalingReplies });
+      global.Worker = WorkerClass;
+
+      const coordinator = new WorkerCoordinator(config);
+      await coordinator.initialize();
+      coordinator.start();
+
+      const added = await coordinator.addWorker();
+      expect(added.id).toBe(2);
+      expect(added.state).toBe('running');
+      expect(coordinator.getConfig().threads).toBe(3);
+
+      expect(instances.map(rangeOf)).toEqual([0, 1, 2].map(i => partitionNonces(i, 3)));
+      expect(instances[2].posted.map(m => m.type)).toEqual(['INIT', 'START']);
+      expect(coordinator.getWorkerInfo()[0].nonceRange).toEqual(partitionNonces(0, 3));
+      coordinator.terminate();
+    });
+
+    it('should hand a removed worker\'s nonces to the rest and keep its hashes', async () => {
+      const { WorkerClass, instances } = createScriptedWorker({ onPostMessage: scalingReplies });
+      global.Worker = WorkerClass;
+
+      const coordinator = new WorkerCoordinator({ ...config, threads: 3 });
+      await coordinator.initialize();
+      coordinator.start();
+      instances[1].emit({ type: 'STATS', workerId: 1, totalHashes: 50, hashrate: 5 });
+
+      expect(await coordinator.removeWorker(1)).toBe(true);
+      expect(instances[1].terminated).toBe(true);
+      expect(instances[1].posted.some(m => m.type === 'STOP')).toBe(true);
+      expect(coordinator.getWorkerInfo().map(w => w.id)).toEqual([0, 2]);
+      expect(rangeOf(instances[0])).toEqual(partitionNonces(0, 2));
+      expect(rangeOf(instances[2])).toEqual(partitionNonces(1, 2));
+      expect(coordinator.getAggregatedStats().totalHashes).toBe(50);
+      coordinator.terminate();
+    });
+
+    it('should keep at least one worker', async () => {
+      const { WorkerClass } = createScriptedWorker({ onPostMessage: scalingReplies });
+      global.Worker = WorkerClass;
+
+      const coordinator = new WorkerCoordinator({ ...config, threads: 1 });
+      await coordinator.initialize();
+      coordinator.start();
+
+      expect(await coordinator.removeWorker()).toBe(false);
+      await coordinator.setThreadCount(0);
+      expect(coordinator.getWorkerInfo()).toHaveLength(1);
+      coordinator.terminate();
+    });
+
+    it('should scale to a thread count one step at a time', async () => {
+      const { WorkerClass, instances } = createScriptedWorker({ onPostMessage: scalingReplies });
+      global.Worker = WorkerClass;
+
+      const coordinator = new WorkerCoordinator({ ...config, threads: 1 });
+      await coordinator.initialize();
+      coordinator.start();
+
+      await Promise.all([coordinator.setThreadCount(4), coordinator.setThreadCount(2)]);
+      expect(coordinator.getWorkerInfo().map(w => w.id)).toEqual([0, 1]);
+      expect(instances).toHaveLength(4);
+      expect(rangeOf(instances[1])).toEqual(partitionNonces(1, 2));
+      coordinator.terminate();
+    });
+
+    it('should capture hashrate per thread count in one session', async () => {
+      vi.useFakeTimers();
+      let now = 1000;
+      vi.spyOn(performance, 'now').mockImplementation(() => now);
+      const { WorkerClass, instances } = createScriptedWorker({ onPostMessage: scalingReplies });
+      global.Worker = WorkerClass;
+
+      const coordinator = new WorkerCoordinator({ ...config, threads: 1 });
+      const initialized = coordinator.initialize();
+      await vi.advanceTimersByTimeAsync(10);
+      await initialized;
+      coordinator.start();
+      await vi.advanceTimersByTimeAsync(500);
+
+      now = 3000;
+      instances[0].emit({ type: 'STATS', workerId: 0, totalHashes: 20, hashrate: 10 });
+      const added = coordinator.addWorker();
+      await vi.advanceTimersByTimeAsync(10);
+      await added;
+
+      now = 5000;
+      instances[0].emit({ type: 'STATS', workerId: 0, totalHashes: 60, hashrate: 20 });
+      instances[1].emit({ type: 'STATS', workerId: 1, totalHashes: 40, hashrate: 20 });
+      await vi.advanceTimersByTimeAsync(500);
+
+      const curve = coordinator.getScalingCurve();
+      expect(curve.map(p => p.threads)).toEqual([1, 2]);
+      expect(curve[0]).toMatchObject({ durationMs: 2000, hashes: 20, hashrate: 10, hashratePerThread: 10 });
+      expect(curve[1]).toMatchObject({ durationMs: 2000, hashes: 80, hashrate: 40, hashratePerThread: 20 });
+      coordinator.terminate();
+    });
+  });
+
+  describe('Stall Watchdog', () => {
+    function watchdogReplies(worker: any, message: any) {
+      autoReady(worker, message);
+      if (message.type === 'SET_NONCE_RANGE') {
+        const workerId = worker.posted.find((m: any) => m.type === 'INIT').data.workerId;
+        setTimeout(() => worker.emit({ type: 'NONCE_RANGE_APPLIED', workerId, ...message.data }), 0);
+      }
+    }
+
+    afterEach(() => {
+      vi.useRealTimers();
+      vi.restoreAllMocks();
+    });
+
+    // Worker 0 reports every second; worker 1 once, one second in, then hangs
+    async function startStalling(overrides: Partial<BenchmarkConfig> = {}) {
+      vi.useFakeTimers();
+      let now = 1000;
+      vi.spyOn(performance, 'now').mockImplementation(() => now);
+      const { WorkerClass, instances } = createScriptedWorker({ onPostMessage: watchdogReplies });
+      global.Worker = WorkerClass;
+
+      const coordinator = new WorkerCoordinator({ ...config, stallIntervals: 3, ...overrides });
+      const initialized = coordinator.initialize();
+      await vi.advanceTimersByTimeAsync(10);
+      await initialized;
+      coordinator.start();
+      const advance = async (ms: number) => {
+        for (let step = 0; step < ms; step += 500) {
+          now += 500;
+          const elapsed = now - 1000;
+          if (elapsed % 1000 === 0) {
+            instances[0].emit({ type: 'STATS', workerId: 0, totalHashes: elapsed / 10, hashrate: 100, hashesDelta: 100, elapsedMs: 1000 });
+            if (elapsed === 1000) {
+              instances[1].emit({ type: 'STATS', workerId: 1, totalHashes: 100, hashrate: 100, hashesDelta: 100, elapsedMs: 1000 });
+            }
+          }
+          await vi.advanceTimersByTimeAsync(500);
+        }
+      };
+      return { coordinator, instances, advance };
+    }
+
+    it('should restart a stalled worker on the same range and keep its hashes', async () => {
+      const { coordinator, instances, advance } = await startStalling();
+      expect(coordinator.getConfig()).toMatchObject({ stallIntervals: 3, maxRestarts: 2 });
+
+      await advance(4000);
+      expect(coordinator.getWorkerInfo()[1].state).toBe('running');
+      // Flagged at the next tick, restarted once the new worker is ready
+      await advance(1000);
+
+      const worker = coordinator.getWorkerInfo()[1];
+      expect(instances[1].terminated).toBe(true);
+      expect(instances).toHaveLength(3);
+      const init = (w: any) => w.posted.find((m: any) => m.type === 'INIT').data;
+      expect(init(instances[2]).nonceRange).toEqual(init(instances[1]).nonceRange);
+      // The extra nonce comes with START, so not even the first window repeats extra nonce 0
+      expect(instances[2].posted.map((m: any) => m.type)).toEqual(['INIT', 'START']);
+      expect(instances[2].posted[1].data.extraNonce).toBe(1);
+      expect(worker.extraNonce).toBe(1);
+      expect(instances[0].posted.find((m: any) => m.type === 'START').data.extraNonce).toBeUndefined();
+
+      expect(worker.state).toBe('running');
+      expect(worker.restarts).toBe(1);
+      expect(worker.stalls).toEqual([{ detectedAt: 4500, silentMs: 3500, restarted: true, restartMs: 500 }]);
+      const stats = coordinator.getAggregatedStats();
+      expect(stats.workerRestarts).toBe(1);
+      // Worker 0's 500 hashes plus the 100 the stalled thread reported
+      expect(stats.totalHashes).toBe(600);
+      coordinator.terminate();
+    });
+
+    it('should fail a worker past the restart budget and hand its range on', async () => {
+      const { coordinator, instances, advance } = await startStalling({ maxRestarts: 0 });
+      await advance(5000);
+
+      const worker = coordinator.getWorkerInfo()[1];
+      expect(instances).toHaveLength(2);
+      expect(instances[1].terminated).toBe(true);
+      expect(worker.state).toBe('error');
+      expect(worker.error).toBe('Stalled, restart budget of 0 used up');
+      expect(worker.stalls).toEqual([{ detectedAt: 4500, silentMs: 3500, restarted: false, error: 'restart budget of 0 used up' }]);
+
+      const ranges = instances[0].posted.filter((m: any) => m.type === 'SET_NONCE_RANGE');
+      expect(ranges[ranges.length - 1].data).toEqual({ nonceStart: 0, nonceEnd: NONCE_SPACE_SIZE });
+      expect(coordinator.getConfig().threads).toBe(1);
+      coordinator.terminate();
+    });
+  });
+
+  describe('Shutdown', () => {
+    it('should wait for every worker to free its memory', async () => {
+      const { WorkerClass, instances } = createScriptedWorker({
+        onPostMessage: (worker, message) => {
+          autoReady(worker, message);
+          if (message.type === 'DESTROY') {
+            const workerId = instances.indexOf(worker);
+            setTimeout(() => worker.emit({ type: 'DESTROYED', workerId, freedMB: 256 }), 5);
+          }
+        }
+      });
+      global.Worker = WorkerClass;
+
+      const coordinator = new WorkerCoordinator(config);
+      await coordinator.initialize();
+      coordinator.start();
+      const report = await coordinator.shutdown(1000);
+
+      expect(report.timeoutMs).toBe(1000);
+      expect(report.workers.map(w => [w.workerId, w.acknowledged, w.freedMB])).toEqual([[0, true, 256], [1, true, 256]]);
+      instances.forEach((worker) => {
+        expect(worker.posted.map(m => m.type).slice(-2)).toEqual(['STOP', 'DESTROY']);
+        expect(worker.terminated).toBe(true);
+      });
+      expect(coordinator.getWorkerInfo()).toEqual([]);
+    });
+
+    it('should terminate workers that do not answer in time', async () => {
+      const { WorkerClass, instances } = createScriptedWorker({
+        onPostMessage: (worker, message) => {
+          autoReady(worker, message);
+          if (message.type === 'DESTROY' && worker === instances[0]) {
+            setTimeout(() => worker.emit({ type: 'DESTROYED', workerId: 0, freedMB: 256 }), 0);
+          }
+        }
+      });
+      global.Worker = WorkerClass;
+
+      const coordinator = new WorkerCoordinator(config);
+      await coordinator.initialize();
+      const report = await coordinator.shutdown(20);
+
+      expect(report.workers.map(w => w.acknowledged)).toEqual([true, false]);
+      expect(report.durationMs).toBeGreaterThanOrEqual(15);
+      expect(instances.every(w => w.terminated)).toBe(true);
+    });
+  });
+
+  describe('Extra Nonce', () => {
+    it('should count nonces searched twice under the same job', () => {
+      const coverage = new NonceCoverage();
+      expect(coverage.add({ epoch: 0, extraNonce: 0, start: 0, end: 100 })).toBe(0);
+      expect(coverage.add({ epoch: 0, extraNonce: 0, start: 100, end: 150 })).toBe(0);
+      expect(coverage.add({ epoch: 0, extraNonce: 0, start: 120, end: 200 })).toBe(30);
+      expect(coverage.add({ epoch: 0, extraNonce: 0, start: 0, end: 300 })).toBe(200);
+      // A different extra nonce or job hashes different inputs
+      expect(coverage.add({ epoch: 0, extraNonce: 1, start: 0, end: 100 })).toBe(0);
+      expect(coverage.add({ epoch: 1, extraNonce: 0, start: 0, end: 100 })).toBe(0);
+    });
+
+    it('should hand exhausted workers distinct extra nonces', async () => {
+      const { WorkerClass, instances } = createScriptedWorker({ onPostMessage: autoReady });
+      global.Worker = WorkerClass;
+
+      const coordinator = new WorkerCoordinator(config);
+      await coordinator.initialize();
+      coordinator.start();
+
+      instances[0].emit({ type: 'NONCE_EXHAUSTED', workerId: 0, extraNonce: 0, nonceStart: 0, nonceEnd: 10 });
+      instances[1].emit({ type: 'NONCE_EXHAUSTED', workerId: 1, extraNonce: 0, nonceStart: 10, nonceEnd: 20 });
+      instances[0].emit({ type: 'NONCE_EXHAUSTED', workerId: 0, extraNonce: 1, nonceStart: 0, nonceEnd: 10 });
+
+      const extraNonces = (worker: any) => worker.posted
+        .filter((m: any) => m.type === 'SET_EXTRA_NONCE')
+        .map((m: any) => m.data.extraNonce);
+      expect(extraNonces(instances[0])).toEqual([1, 3]);
+      expect(extraNonces(instances[1])).toEqual([2]);
+      expect(coordinator.getWorkerInfo().map(w => w.extraNonce)).toEqual([3, 2]);
+      expect(coordinator.getAggregatedStats().nonceExhaustions).toBe(3);
+      coordinator.terminate();
+    });
+
+    it('should report duplicated work from searched segments', async () => {
+      const { WorkerClass, instances } = createScriptedWorker({ onPostMessage: autoReady });
+      global.Worker = WorkerClass;
+
+      const coordinator = new WorkerCoordinator(config);
+      await coordinator.initialize();
+      coordinator.start();
+
+      instances[0].emit({
+        type: 'STATS', workerId: 0, totalHashes: 20, hashrate: 1,
+        searched: [{ epoch: 0, extraNonce: 0, start: 0, end: 10 }, { epoch: 0, extraNonce: 0, start: 0, end: 10 }]
+      });
+      instances[1].emit({
+        type: 'STATS', workerId: 1, totalHashes: 15, hashrate: 1,
+        searched: [{ epoch: 0, extraNonce: 0, start: 5, end: 20 }]
+      });
+      expect(coordinator.getAggregatedStats().duplicateHashes).toBe(15);
+
+      coordinator.stop();
+      coordinator.start();
+      expect(coordinator.getAggregatedStats().duplicateHashes).toBe(0);
+      coordinator.terminate();
+    });
+  });
+});
@@ -0,0 +1,115 @@
+import { describe, it, expect, afterEach } from 'vitest';
+import { loadPublicScript } from './setup';
+import { loadCryptoPrimitives } from '@/lib/crypto';
+
+/**
+ * Known-answer tests for /public/crypto-primitives.js
+ */
+
+const CryptoPrimitives = loadPublicScript('crypto-primitives.js');
+const encoder = new TextEncoder();
+
+function toHex(bytes: Uint8Array) {
+  return Array.from(bytes).map(b => b.toString(16).padStart(2, '0')).join('');
+}
+
+function hexToBytes(hex: string) {
+  const bytes = new Uint8Array(hex.length / 2);
+  for (let i = 0; i < bytes.length; i++) {
+    bytes[i] = parseInt(hex.substr(i * 2, 2), 16);
+  }
+  return bytes;
+}
+
+// Intel's AES-NI examples write 128-bit values most significant byte first
+function xmmToBytes(hex: string) {
+  return hexToBytes(hex).reverse();
+}
+
+describe('Blake2b', () => {
+  it('should match the RFC 7693 Appendix A vector', () => {
+    expect(toHex(CryptoPrimitives.blake2b512(encoder.encode('abc')))).toBe(
+      'ba80a53f981c4d0d6a2797b69f12f6e94c212f14685ac4b74b12bb6fdbffa2d1' +
+      '7d87c5392aab792dc252d5de4533cc9518d38aa8dbf1925ab92386edd4009923'
+    );
+  });
+
+  it('should hash the empty input', () => {
+    expect(toHex(CryptoPrimitives.blake2b512(new Uint8Array(0)))).toBe(
+      '786a02f742015903c6c6fd852552d272912f4740e15847618a86e217f71f5419' +
+      'd25e1031afee585313896444934eb04b903a685b1448b755d56f701afe9be2ce'
+    );
+    expect(toHex(CryptoPrimitives.blake2b256(new Uint8Array(0))))
+      .toBe('0e5751c026e543b2e8ab2eb06099daa1d1e5df47778f7787faab45cdf12fe3a8');
+  });
+
+  it('should compute Blake2b-256', () => {
+    expect(toHex(CryptoPrimitives.blake2b256(encoder.encode('abc'))))
+      .toBe('bddd813c634239723171ef3fee98579b94964e3bb1cb3e427262c8c068d52319');
+  });
+});
+
+describe('Argon2d', () => {
+  it('should match the RFC 9106 section 5.1 vector', async () => {
+    const tag = await CryptoPrimitives.argon2d({
+      password: new Uint8Array(32).fill(0x01),
+      salt: new Uint8Array(16).fill(0x02),
+      secret: new Uint8Array(8).fill(0x03),
+      ad: new Uint8Array(12).fill(0x04),
+      iterations: 3,
+      memoryKiB: 32,
+      lanes: 4,
+      tagLength: 32
+    });
+    expect(toHex(tag)).toBe('512b391b6f1162975371d30919734294f868e3be3984f3c1a13a4db9fabe4acb');
+  });
+});
+
+describe('Keccak-256 (cn_fast_hash)', () => {
+  it('should hash the empty input', () => {
+    expect(toHex(CryptoPrimitives.keccak256(new Uint8Array(0))))
+      .toBe('c5d2460186f7233c927e7db2dcc703c0e500b653ca82273b7bfad8045d85a470');
+  });
+
+  it('should hash "abc"', () => {
+    expect(toHex(CryptoPrimitives.cnFastHash(encoder.encode('abc'))))
+      .toBe('4e03657aea45a94fc7d47ba826c8d667c0d1e6e33a64a036ec44f58fa12d6c45');
+  });
+
+  it('should hash "The quick brown fox jumps over the lazy dog"', () => {
+    expect(toHex(CryptoPrimitives.keccak256(encoder.encode('The quick brown fox jumps over the lazy dog'))))
+      .toBe('4d741b6f1eb29cb2a9b9911c82f56fa8d73b04959d3d9d222895df6c0b28aa15');
+  });
+});
+
+describe('AES rounds', () => {
+  const state = xmmToBytes('7b5b54657374566563746f725d53475d');
+  const roundKey = xmmToBytes('48692853686179295b477565726f6e5d');
+
+  it('should match the Intel AESENC example', () => {
+    expect(CryptoPrimitives.aesEncryptRound(state, roundKey))
+      .toEqual(xmmToBytes('a8311c2f9fdba3c58b104b58ded7e595'));
+  });
+
+  it('should match the Intel AESDEC example', () => {
+    expect(CryptoPrimitives.aesDecryptRound(state, roundKey))
+      .toEqual(xmmToBytes('138ac342faea2787b58eb95eb730392a'));
+  });
+
+  it('should build the FIPS 197 S-box', () => {
+    expect(CryptoPrimitives.AES_SBOX[0x00]).toBe(0x63);
+    expect(CryptoPrimitives.AES_SBOX[0x53]).toBe(0xed);
+    expect(CryptoPrimitives.AES_INV_SBOX[0xed]).toBe(0x53);
+  });
+});
+
+describe('Main thread loader', () => {
+  afterEach(() => {
+    delete (window as unknown as { CryptoPrimitives?: unknown }).CryptoPrimitives;
+  });
+
+  it('should resolve with an already registered namespace', async () => {
+    (window as unknown as { CryptoPrimitives?: unknown }).CryptoPrimitives = CryptoPrimitives;
+    await expect(loadCryptoPrimitives()).resolves.toBe(CryptoPrimitives);
+  });
+});
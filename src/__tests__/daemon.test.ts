@@ -0,0 +1,243 @@
+import { describe, it, expect, beforeEach, afterEach } from 'vitest';
+import { createScriptedWorker, autoReady, ScriptedWorker } from './setup';
+import { TemplateProvider, parseTemplateResult, DEFAULT_DAEMON_URL } from '@/lib/daemon';
+import { WorkerCoordinator } from '@/lib/coordinator';
+import { BenchmarkConfig } from '@/lib/types';
+import { createMockDaemon, loadFixtures } from '../../scripts/mock-daemon.js';
+
+// Meets any difficulty up to 2^248 (little-endian)
+const LOW_HASH = '00'.repeat(31) + '01';
+
+const flush = (ms = 0) => new Promise(resolve => setTimeout(resolve, ms));
+
+const daemonConfig = { url: DEFAULT_DAEMON_URL, walletAddress: '4tester' };
+
+/**
+ * fetch stand-in that answers through the mock daemon's handler
+ */
+function createDaemonFetch(daemon: ReturnType<typeof createMockDaemon>) {
+  const requests: any[] = [];
+  const fetchMock = async (url: string, init: { body: string }) => {
+    const request = JSON.parse(init.body);
+    requests.push({ url, ...request });
+    return new Response(JSON.stringify(daemon.handle(request)), { status: 200 });
+  };
+  return { fetchMock: fetchMock as unknown as typeof fetch, requests };
+}
+
+describe('Daemon', () => {
+  let originalFetch: typeof fetch;
+  let fixtures: any;
+  let daemon: ReturnType<typeof createMockDaemon>;
+
+  beforeEach(() => {
+    originalFetch = global.fetch;
+    fixtures = loadFixtures();
+    daemon = createMockDaemon(fixtures);
+  });
+
+  afterEach(() => {
+    global.fetch = originalFetch;
+  });
+
+  describe('Template Results', () => {
+    it('should parse a recorded get_block_template result', () => {
+      const result = fixtures.templates[0];
+      expect(parseTemplateResult(result)).toEqual({
+        blob: result.blocktemplate_blob,
+        hashingBlob: result.blockhashing_blob,
+        seedHash: result.seed_hash,
+        difficulty: Number(BigInt(result.wide_difficulty)),
+        reservedOffset: result.reserved_offset,
+        height: result.height,
+        prevHash: result.prev_hash
+      });
+    });
+
+    it('should reject malformed results', () => {
+      const result = fixtures.templates[0];
+      expect(() => parseTemplateResult(null)).toThrow('no result');
+      expect(() => parseTemplateResult({ ...result, status: 'BUSY' })).toThrow('Daemon status: BUSY');
+      expect(() => parseTemplateResult({ ...result, blocktemplate_blob: 'xyz' })).toThrow('not hex');
+      expect(() => parseTemplateResult({ ...result, seed_hash: 'ab' })).toThrow('seed_hash');
+      expect(() => parseTemplateResult({ ...result, reserved_offset: 5000 })).toThrow('outside the blob');
+      expect(() => parseTemplateResult({ ...result, wide_difficulty: undefined, difficulty: 0 }))
+        .toThrow('invalid difficulty');
+    });
+  });
+
+  describe('Template Provider', () => {
+    it('should request templates for the wallet with the reserved bytes', async () => {
+      const { fetchMock, requests } = createDaemonFetch(daemon);
+      global.fetch = fetchMock;
+
+      const provider = new TemplateProvider(daemonConfig);
+      const template = await provider.start();
+      provider.stop();
+
+      expect(template.height).toBe(fixtures.templates[0].height);
+      expect(requests).toEqual([{
+        url: DEFAULT_DAEMON_URL,
+        jsonrpc: '2.0',
+        id: '1',
+        method: 'get_block_template',
+        params: { wallet_address: '4tester', reserve_size: 8 }
+      }]);
+    });
+
+    it('should report a template only when the chain moves on', async () => {
+      global.fetch = createDaemonFetch(daemon).fetchMock;
+      const provider = new TemplateProvider(daemonConfig, { pollMs: 5 });
+      const seen: number[] = [];
+      provider.setTemplateCallback(template => seen.push(template.height));
+      await provider.start();
+
+      await flush(30);
+      expect(seen).toEqual([]);
+      daemon.advance();
+      await flush(30);
+      provider.stop();
+
+      expect(seen).toEqual([fixtures.templates[1].height]);
+      expect(provider.getTemplate()?.height).toBe(fixtures.templates[1].height);
+      expect(daemon.stats.requests).toBeGreaterThan(3);
+    });
+
+    it('should surface node and transport errors', async () => {
+      global.fetch = createDaemonFetch(daemon).fetchMock;
+      await expect(new TemplateProvider({ ...daemonConfig, walletAddress: '' }).start())
+        .rejects.toThrow('Daemon error: Failed to parse wallet address');
+
+      global.fetch = (async () => new Response('busy', { status: 503 })) as unknown as typeof fetch;
+      await expect(new TemplateProvider(daemonConfig).start()).rejects.toThrow('Daemon answered HTTP 503');
+
+      global.fetch = (async () => new Response('not json', { status: 200 })) as unknown as typeof fetch;
+      await expect(new TemplateProvider(daemonConfig).start()).rejects.toThrow('malformed JSON');
+
+      global.fetch = (async () => { throw new TypeError('Failed to fetch'); }) as unknown as typeof fetch;
+      await expect(new TemplateProvider(daemonConfig).start())
+        .rejects.toThrow(`Could not reach daemon ${DEFAULT_DAEMON_URL}: Failed to fetch`);
+    });
+
+    it('should keep the last template while polls fail', async () => {
+      const { fetchMock } = createDaemonFetch(daemon);
+      let failing = false;
+      global.fetch = ((url: string, init: { body: string }) => failing
+        ? Promise.reject(new TypeError('Failed to fetch'))
+        : fetchMock(url, init as RequestInit)) as unknown as typeof fetch;
+
+      const provider = new TemplateProvider(daemonConfig, { pollMs: 5 });
+      await provider.start();
+      failing = true;
+      await flush(30);
+      expect(provider.getError()).toContain('Could not reach daemon');
+      expect(provider.getTemplate()?.height).toBe(fixtures.templates[0].height);
+
+      failing = false;
+      await flush(30);
+      provider.stop();
+      expect(provider.getError()).toBeNull();
+    });
+  });
+
+  describe('Coordinator', () => {
+    let originalWorker: typeof Worker;
+    let config: BenchmarkConfig;
+
+    // Hash workers become ready; the verifier accepts every solution
+    function replies(worker: ScriptedWorker, message: any) {
+      autoReady(worker, message);
+      if (message.type === 'VERIFY_SOLUTION') {
+        const { id, hash } = message.data;
+        setTimeout(() => worker.emit({ type: 'SOLUTION_VERIFIED', id, valid: true, block: false, computedHash: hash }), 0);
+      }
+    }
+
+    beforeEach(() => {
+      originalWorker = global.Worker;
+      config = {
+        threads: 2,
+        throttle: 30,
+        duration: 0,
+        statsInterval: 1000,
+        backend: 'wasm',
+        daemon: daemonConfig
+      };
+    });
+
+    afterEach(() => {
+      global.Worker = originalWorker;
+    });
+
+    it('should start workers on the node template and its seed hash', async () => {
+      global.fetch = createDaemonFetch(daemon).fetchMock;
+      const { WorkerClass, instances } = createScriptedWorker({ onPostMessage: replies });
+      global.Worker = WorkerClass;
+
+      const coordinator = new WorkerCoordinator(config);
+      await coordinator.initialize();
+
+      const result = fixtures.templates[0];
+      instances.forEach((worker) => {
+        const init = worker.posted.find(m => m.type === 'INIT');
+        expect(init.data.seedKey).toBe(result.seed_hash);
+        const templateMessage = worker.posted.find(m => m.type === 'TEMPLATE');
+        expect(templateMessage.data).toMatchObject({
+          reservedOffset: result.reserved_offset,
+          reserveSize: 8,
+          blockDifficulty: Number(BigInt(result.wide_difficulty)),
+          seedKey: result.seed_hash,
+          height: result.height,
+          epoch: 1
+        });
+        expect(templateMessage.data.blob).toEqual(new Uint8Array(Buffer.from(result.blocktemplate_blob, 'hex')));
+      });
+      expect(coordinator.getDaemonStatus()).toEqual({
+        url: DEFAULT_DAEMON_URL,
+        height: result.height,
+        difficulty: Number(BigInt(result.wide_difficulty)),
+        templates: 1,
+        error: undefined
+      });
+      coordinator.terminate();
+    });
+
+    it('should judge blocks by the difficulty of the solution\'s template', async () => {
+      global.fetch = createDaemonFetch(daemon).fetchMock;
+      const { WorkerClass, instances } = createScriptedWorker({ onPostMessage: replies });
+      global.Worker = WorkerClass;
+
+      const coordinator = new WorkerCoordinator(config);
+      await coordinator.initialize();
+      coordinator.start();
+
+      const height = fixtures.templates[0].height;
+      instances[0].emit({
+        type: 'SOLUTION', workerId: 0, nonce: 1, extraNonce: 0, header: new Uint8Array([1]), hash: LOW_HASH, height, timestamp: 1
+      });
+      const [solution] = await coordinator.settleSolutions();
+
+      const verifier = instances.find(w => w.posted.some(m => m.type === 'VERIFY_SOLUTION'))!;
+      const verify = verifier.posted.find(m => m.type === 'VERIFY_SOLUTION');
+      expect(verify.data.blockDifficulty).toBe(Number(BigInt(fixtures.templates[0].wide_difficulty)));
+      expect(solution).toMatchObject({ status: 'accepted', height });
+      coordinator.terminate();
+    });
+
+    it('should not mine a pool and a node at once', async () => {
+      const coordinator = new WorkerCoordinator({ ...config, pool: { url: 'ws://pool.test', login: 'tester' } });
+      await expect(coordinator.initialize()).rejects.toThrow('Choose either a pool or a node');
+    });
+
+    it('should fail to initialize without a template', async () => {
+      global.fetch = (async () => { throw new TypeError('Failed to fetch'); }) as unknown as typeof fetch;
+      const { WorkerClass, instances } = createScriptedWorker({ onPostMessage: replies });
+      global.Worker = WorkerClass;
+
+      const coordinator = new WorkerCoordinator(config);
+      await expect(coordinator.initialize()).rejects.toThrow('Could not reach daemon');
+      expect(instances).toHaveLength(0);
+      coordinator.terminate();
+    });
+  });
+});
@@ -0,0 +1,37 @@
+import { describe, it, expect } from 'vitest';
+import { loadPublicScript } from './setup';
+import {
+  DEFAULT_SHARE_DIFFICULTY,
+  DEFAULT_BLOCK_DIFFICULTY,
+  expectedSecondsToSolution,
+  solutionProbability,
+  formatDuration
+} from '@/lib/difficulty';
+
+const BlockHeaderModule = loadPublicScript('block-header.js');
+
+describe('Difficulty', () => {
+  it('should match the worker defaults', () => {
+    expect(DEFAULT_SHARE_DIFFICULTY).toBe(BlockHeaderModule.DEFAULT_SHARE_DIFFICULTY);
+    expect(DEFAULT_BLOCK_DIFFICULTY).toBe(BlockHeaderModule.DEFAULT_BLOCK_DIFFICULTY);
+  });
+
+  it('should estimate the mean time to a solution', () => {
+    expect(expectedSecondsToSolution(1000, 100)).toBe(10);
+    expect(expectedSecondsToSolution(1000, 0)).toBe(Infinity);
+  });
+
+  it('should give the chance of a solution within a time span', () => {
+    expect(solutionProbability(1000, 100, 10)).toBeCloseTo(1 - Math.exp(-1));
+    expect(solutionProbability(1000, 0, 10)).toBe(0);
+  });
+
+  it('should format durations from seconds to years', () => {
+    expect(formatDuration(2.5)).toBe('2.5s');
+    expect(formatDuration(90)).toBe('1.5 min');
+    expect(formatDuration(7200)).toBe('2.0 h');
+    expect(formatDuration(86400 * 3)).toBe('3.0 days');
+    expect(formatDuration(86400 * 365 * 2)).toBe('2.0 years');
+    expect(formatDuration(Infinity)).toBe('∞');
+  });
+});
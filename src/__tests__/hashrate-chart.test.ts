@@ -0,0 +1,84 @@
+import { describe, it, expect } from 'vitest';
+import { buildChartRows, chartMarkers, downsampleSeries, smoothSeries, zoomIndexes, SMOOTHING_WINDOW } from '@/lib/hashrate-chart';
+import { TimeSeriesPoint } from '@/lib/types';
+
+function point(timestamp: number, fields: Partial<TimeSeriesPoint> = {}): TimeSeriesPoint {
+  return { timestamp, hashrate: 0, totalHashes: 0, ...fields };
+}
+
+describe('Hashrate Chart', () => {
+  it('should smooth with a moving and an exponential average', () => {
+    const values = [10, 20, 30, 40, 50, 60];
+    expect(smoothSeries(values, 'none')).toBe(values);
+    const sma = smoothSeries(values, 'sma');
+    expect(sma.slice(0, 3)).toEqual([10, 15, 20]);
+    expect(sma[SMOOTHING_WINDOW]).toBe((20 + 30 + 40 + 50 + 60) / SMOOTHING_WINDOW);
+    const ema = smoothSeries(values, 'ema') as number[];
+    expect(ema[0]).toBe(10);
+    expect(ema[1]).toBeCloseTo(10 + (20 - 10) / 3);
+    expect(ema[5]).toBeLessThan(60);
+  });
+
+  it('should restart averages after a gap', () => {
+    expect(smoothSeries([100, 100, undefined, 10], 'sma')).toEqual([100, 100, undefined, 10]);
+    expect(smoothSeries([100, undefined, 10], 'ema')).toEqual([100, undefined, 10]);
+  });
+
+  it('should lay out aggregate and per-worker rows', () => {
+    const { rows, workerIds } = buildChartRows([
+      point(500, { hashrate: 30, workers: { 0: 10, 2: 20 } }),
+      point(1000, { hashrate: 12, workers: { 0: 12 } })
+    ], 'none');
+    expect(workerIds).toEqual([0, 2]);
+    expect(rows).toEqual([
+      { time: 0.5, total: 30, w0: 10, w2: 20 },
+      { time: 1, total: 12, w0: 12, w2: undefined }
+    ]);
+  });
+
+  it('should mark reinits, solutions and config changes where they first show up', () => {
+    const markers = chartMarkers([
+      point(500, { solutions: 0, cacheReinits: 0, configVersion: 0 }),
+      point(1000, { solutions: 2, cacheReinits: 0, configVersion: 0 }),
+      point(1500, { solutions: 2, cacheReinits: 1, configVersion: 1 }),
+      // A worker removed mid-run takes its reinits along
+      point(2000, { solutions: 2, cacheReinits: 0, configVersion: 1 })
+    ]);
+    expect(markers).toEqual([
+      { time: 1, kind: 'solution', label: '2 solutions' },
+      { time: 1.5, kind: 'cacheReinit', label: '1 cache reinit' },
+      { time: 1.5, kind: 'config', label: 'config v1' }
+    ]);
+  });
+
+  it('should keep a zoomed range on its samples while old ones drop out', () => {
+    const rows = (from: number) => buildChartRows(
+      Array.from({ length: 10 }, (_, i) => point((from + i) * 500, { hashrate: 1 })),
+      'none'
+    ).rows;
+    const zoom = { start: 2, end: 3 };
+    expect(zoomIndexes(rows(1), zoom)).toEqual({ startIndex: 3, endIndex: 5 });
+    // Two samples dropped, two added: same times, lower indexes
+    expect(zoomIndexes(rows(3), zoom)).toEqual({ startIndex: 1, endIndex: 3 });
+    // Its start is gone
+    expect(zoomIndexes(rows(5), zoom)).toBeNull();
+  });
+
+  it('should downsample a whole run into merged samples', () => {
+    const points = Array.from({ length: 9 }, (_, i) => point((i + 1) * 500, {
+      hashrate: i,
+      totalHashes: i * 10,
+      solutions: i >= 4 ? 1 : 0,
+      workers: i === 4 ? undefined : { 0: i }
+    }));
+    expect(downsampleSeries(points, 9)).toBe(points);
+
+    const merged = downsampleSeries(points, 3);
+    expect(merged.map(p => p.timestamp)).toEqual([1500, 3000, 4500]);
+    expect(merged.map(p => p.hashrate)).toEqual([1, 4, 7]);
+    expect(merged.map(p => p.totalHashes)).toEqual([20, 50, 80]);
+    // Each worker is averaged over the samples it ran in
+    expect(merged[1].workers).toEqual({ 0: 4 });
+    expect(chartMarkers(merged)).toEqual([{ time: 3, kind: 'solution', label: '1 solution' }]);
+  });
+});
@@ -0,0 +1,43 @@
+import { describe, it, expect } from 'vitest';
+import {
+  resolveInitPolicy,
+  fallbackChain,
+  describeSetup,
+  DEFAULT_INIT_RETRIES,
+  DEFAULT_INIT_TIMEOUT_S
+} from '@/lib/init-policy';
+
+describe('Init Policy', () => {
+  it('should fill in the defaults', () => {
+    const policy = resolveInitPolicy({});
+    expect(policy.retries).toBe(DEFAULT_INIT_RETRIES);
+    expect(policy.fallback).toBe(true);
+    expect(policy.timeoutMs('light')).toBe(DEFAULT_INIT_TIMEOUT_S.light * 1000);
+    expect(policy.timeoutMs('fast')).toBe(DEFAULT_INIT_TIMEOUT_S.fast * 1000);
+  });
+
+  it('should use one configured timeout for both modes', () => {
+    const policy = resolveInitPolicy({ initTimeout: 2.5, initRetries: 0, fallback: false });
+    expect(policy.timeoutMs('light')).toBe(2500);
+    expect(policy.timeoutMs('fast')).toBe(2500);
+    expect(policy.retries).toBe(0);
+    expect(policy.fallback).toBe(false);
+  });
+
+  it('should reject invalid settings', () => {
+    expect(() => resolveInitPolicy({ initTimeout: 0 })).toThrow('Invalid init timeout');
+    expect(() => resolveInitPolicy({ initRetries: -1 })).toThrow('Invalid init retries');
+    expect(() => resolveInitPolicy({ initRetries: 1.5 })).toThrow('Invalid init retries');
+  });
+
+  it('should fall back to WASM, then to light mode', () => {
+    expect(fallbackChain({ backend: 'webgpu', mode: 'fast' }, true).map(describeSetup))
+      .toEqual(['webgpu/fast', 'wasm/fast', 'wasm/light']);
+    expect(fallbackChain({ backend: 'webgpu', mode: 'light' }, true).map(describeSetup))
+      .toEqual(['webgpu/light', 'wasm/light']);
+    expect(fallbackChain({ backend: 'wasm', mode: 'fast' }, true).map(describeSetup))
+      .toEqual(['wasm/fast', 'wasm/light']);
+    expect(fallbackChain({ backend: 'wasm', mode: 'light' }, true)).toHaveLength(1);
+    expect(fallbackChain({ backend: 'webgpu', mode: 'fast' }, false)).toHaveLength(1);
+  });
+});
@@ -0,0 +1,44 @@
+import { describe, it, expect, afterEach, vi } from 'vitest';
+import { MemoryTracker, measureMemory, LEAK_GROWTH_BYTES } from '@/lib/memory-check';
+
+const MB = 1024 * 1024;
+
+describe('Memory Check', () => {
+  afterEach(() => {
+    vi.unstubAllGlobals();
+    delete (performance as any).measureUserAgentSpecificMemory;
+    delete (performance as any).memory;
+  });
+
+  it('should suspect a leak only after repeated growth', () => {
+    const tracker = new MemoryTracker();
+    const record = (bytes: number) => tracker.record({ source: 'measureUserAgentSpecificMemory', bytes });
+
+    expect(record(100 * MB)).toMatchObject({ run: 1, growthBytes: undefined, leakSuspected: false });
+    expect(record(100 * MB + LEAK_GROWTH_BYTES)).toMatchObject({ run: 2, growthBytes: LEAK_GROWTH_BYTES, leakSuspected: false });
+    expect(record(100 * MB + 2 * LEAK_GROWTH_BYTES).leakSuspected).toBe(true);
+    // A run that gives memory back ends the streak
+    expect(record(100 * MB).leakSuspected).toBe(false);
+    expect(record(100 * MB + LEAK_GROWTH_BYTES).leakSuspected).toBe(false);
+  });
+
+  it('should not compare samples from different sources', () => {
+    const tracker = new MemoryTracker();
+    tracker.record({ source: 'performance.memory', bytes: 10 * MB });
+    const check = tracker.record({ source: 'measureUserAgentSpecificMemory', bytes: 500 * MB });
+    expect(check).toMatchObject({ run: 1, growthBytes: undefined, leakSuspected: false });
+  });
+
+  it('should prefer measureUserAgentSpecificMemory in isolated pages', async () => {
+    vi.stubGlobal('crossOriginIsolated', true);
+    (performance as any).measureUserAgentSpecificMemory = vi.fn(async () => ({ bytes: 42 * MB, breakdown: [] }));
+    (performance as any).memory = { usedJSHeapSize: 7 * MB };
+    expect(await measureMemory()).toEqual({ source: 'measureUserAgentSpecificMemory', bytes: 42 * MB });
+
+    vi.stubGlobal('crossOriginIsolated', false);
+    expect(await measureMemory()).toEqual({ source: 'performance.memory', bytes: 7 * MB });
+
+    delete (performance as any).memory;
+    expect(await measureMemory()).toBeNull();
+  });
+});
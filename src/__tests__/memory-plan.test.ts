@@ -0,0 +1,59 @@
+import { describe, it, expect } from 'vitest';
+import { loadPublicScript } from './setup';
+import { RANDOMX_CACHE_SIZE, RANDOMX_SCRATCHPAD_SIZE, RANDOMX_DATASET_SIZE } from '@/lib/randomx';
+import { planMemory, requiredMemory } from '@/lib/memory-plan';
+
+const CryptoPrimitives = loadPublicScript('crypto-primitives.js');
+const RandomXModule = loadPublicScript('wasm/randomx.js', { CryptoPrimitives });
+
+const MiB = 1024 * 1024;
+
+describe('Memory Plan', () => {
+  it('should match the sizes RandomXModule reports', () => {
+    expect(requiredMemory(1, 'light', false)).toBe(new RandomXModule('light').getMemoryInfo().totalBytes);
+    expect(requiredMemory(1, 'fast', false)).toBe(new RandomXModule('fast').getMemoryInfo().totalBytes);
+    expect(requiredMemory(3, 'fast', true)).toBe(RANDOMX_DATASET_SIZE + 3 * (RANDOMX_CACHE_SIZE + RANDOMX_SCRATCHPAD_SIZE));
+  });
+
+  it('should pass configs that fit the budget', () => {
+    const plan = planMemory({ threads: 4, mode: 'light' }, 8, false);
+    expect(plan).toMatchObject({ status: 'ok', requiredBytes: 4 * 258 * MiB, budgetBytes: 4096 * MiB, maxThreads: 15 });
+  });
+
+  it('should clamp threads that do not fit', () => {
+    const plan = planMemory({ threads: 4, mode: 'fast' }, 8, false);
+    expect(plan.status).toBe('clamped');
+    expect(plan.maxThreads).toBe(1);
+    expect(plan.reason).toContain('1 fit');
+  });
+
+  it('should count a shared dataset once', () => {
+    expect(planMemory({ threads: 4, mode: 'fast' }, 8, true)).toMatchObject({ status: 'ok', sharedDataset: true });
+    // The WebGPU backend keeps a dataset per worker
+    expect(planMemory({ threads: 4, mode: 'fast', backend: 'webgpu' }, 8, true)).toMatchObject({
+      status: 'clamped',
+      sharedDataset: false
+    });
+  });
+
+  it('should block configs where not even one worker fits', () => {
+    const plan = planMemory({ threads: 1, mode: 'fast' }, 4, false);
+    expect(plan.status).toBe('blocked');
+    expect(plan.maxThreads).toBe(0);
+    expect(plan.reason).toContain('use light mode');
+  });
+
+  it('should not judge without deviceMemory', () => {
+    const plan = planMemory({ threads: 8, mode: 'fast' }, undefined, false);
+    expect(plan.status).toBe('unknown');
+    expect(plan.budgetBytes).toBeUndefined();
+    expect(plan.requiredBytes).toBe(8 * requiredMemory(1, 'fast', false));
+  });
+
+  it('should recognize allocation failures', () => {
+    expect(RandomXModule.isAllocationFailure(new RangeError('Array buffer allocation failed'))).toBe(true);
+    expect(RandomXModule.isAllocationFailure(new Error('Failed to initialize RandomX: Array buffer allocation failed'))).toBe(true);
+    expect(RandomXModule.isAllocationFailure(new Error('WebGPU initialization failed: Buffer size 2181038016 exceeds GPU limit 134217728'))).toBe(true);
+    expect(RandomXModule.isAllocationFailure(new Error('Shared dataset must be 2181038016 bytes, got 64'))).toBe(false);
+  });
+});
@@ -0,0 +1,340 @@
+import { describe, it, expect, beforeEach, afterEach } from 'vitest';
+import { createScriptedWorker, autoReady, ScriptedWorker, loadPublicScript } from './setup';
+import { PoolClient, targetToDifficulty, nonceToHex, hexToBytes } from '@/lib/pool';
+import { WorkerCoordinator } from '@/lib/coordinator';
+import { BenchmarkConfig } from '@/lib/types';
+import { createStandInPool, difficultyToTarget } from '../../scripts/stand-in-pool.js';
+
+const { parseHashingBlob } = loadPublicScript('block-header.js');
+
+// Meets any difficulty up to 2^248 (little-endian)
+const LOW_HASH = '00'.repeat(31) + '01';
+const HIGH_HASH = 'ff'.repeat(32);
+
+const flush = (ms = 0) => new Promise(resolve => setTimeout(resolve, ms));
+
+/**
+ * WebSocket stand-in that answers through the stand-in pool's handler
+ */
+function createPoolSocket(pool: ReturnType<typeof createStandInPool>, options: { refuse?: boolean } = {}) {
+  const sockets: any[] = [];
+
+  class PoolSocket {
+    static OPEN = 1;
+    readyState = 0;
+    sent: any[] = [];
+    session = { id: null, submitted: new Set() };
+    onopen: (() => void) | null = null;
+    onmessage: ((e: { data: string }) => void) | null = null;
+    onclose: ((e: { code: number; reason: string }) => void) | null = null;
+
+    constructor(public url: string) {
+      sockets.push(this);
+      setTimeout(() => {
+        if (options.refuse) {
+          this.readyState = 3;
+          this.onclose?.({ code: 1006, reason: '' });
+        } else {
+          this.readyState = 1;
+          this.onopen?.();
+        }
+      }, 0);
+    }
+
+    send(data: string) {
+      const request = JSON.parse(data);
+      this.sent.push(request);
+      const response = pool.handle(this.session, request);
+      setTimeout(() => this.receive(response), 0);
+    }
+
+    // Deliver a message from the pool
+    receive(message: unknown) {
+      this.onmessage?.({ data: JSON.stringify(message) });
+    }
+
+    // The pool pushes its current job to this connection
+    pushJob() {
+      this.receive({ jsonrpc: '2.0', method: 'job', params: { ...pool.currentJob(), id: this.session.id } });
+    }
+
+    close() {
+      this.readyState = 3;
+      this.onclose?.({ code: 1000, reason: '' });
+    }
+  }
+
+  return { SocketClass: PoolSocket as any, sockets };
+}
+
+describe('Pool', () => {
+  let originalWebSocket: typeof WebSocket;
+
+  beforeEach(() => {
+    originalWebSocket = global.WebSocket;
+  });
+
+  afterEach(() => {
+    global.WebSocket = originalWebSocket;
+  });
+
+  describe('Targets', () => {
+    it('should turn compact targets into difficulties', () => {
+      expect(targetToDifficulty('ffffffff')).toBe(1);
+      expect(targetToDifficulty(difficultyToTarget(1000))).toBe(1000);
+      expect(targetToDifficulty('ffffffffffffffff')).toBe(1);
+      expect(targetToDifficulty('0000000001000000')).toBe(0xFFFFFFFF);
+      expect(() => targetToDifficulty('00000000')).toThrow('Invalid pool target');
+      expect(() => targetToDifficulty('xyz')).toThrow('Invalid pool target');
+    });
+
+    it('should encode nonces little-endian', () => {
+      expect(nonceToHex(1)).toBe('01000000');
+      expect(nonceToHex(0xdeadbeef)).toBe('efbeadde');
+    });
+  });
+
+  describe('PoolClient', () => {
+    it('should log in and receive the first job', async () => {
+      const pool = createStandInPool({ difficulty: 100 });
+      const { SocketClass, sockets } = createPoolSocket(pool);
+      global.WebSocket = SocketClass;
+
+      const client = new PoolClient({ url: 'ws://pool.test', login: 'tester' });
+      const job = await client.connect();
+
+      expect(sockets[0].sent[0]).toMatchObject({ method: 'login', params: { login: 'tester', pass: 'x' } });
+      expect(job.jobId).toBe(pool.currentJob().job_id);
+      expect(job.difficulty).toBe(100);
+      // A current Monero hashing blob with a zero nonce at offset 39
+      expect(parseHashingBlob(hexToBytes(job.blob))).toMatchObject({
+        majorVersion: 16,
+        nonce: 0,
+        txCount: 1,
+        nonceOffset: 39
+      });
+      expect(client.isConnected()).toBe(true);
+      client.close();
+    });
+
+    it('should tell accepted, rejected and stale shares apart', async () => {
+      const pool = createStandInPool({ difficulty: 100 });
+      const { SocketClass, sockets } = createPoolSocket(pool);
+      global.WebSocket = SocketClass;
+
+      const client = new PoolClient({ url: 'ws://pool.test', login: 'tester' });
+      const jobs: string[] = [];
+      client.setJobCallback(job => jobs.push(job.jobId));
+      const first = await client.connect();
+
+      expect(await client.submit({ jobId: first.jobId, nonce: 1, hash: LOW_HASH })).toEqual({ status: 'accepted' });
+      expect(await client.submit({ jobId: first.jobId, nonce: 1, hash: LOW_HASH }))
+        .toEqual({ status: 'rejected', reason: 'Duplicate share' });
+      expect(await client.submit({ jobId: first.jobId, nonce: 2, hash: HIGH_HASH }))
+        .toEqual({ status: 'rejected', reason: 'Low difficulty share' });
+
+      pool.newJob();
+      sockets[0].pushJob();
+      expect(jobs).toEqual([pool.currentJob().job_id]);
+      expect(client.getJob()?.jobId).toBe(pool.currentJob().job_id);
+      expect(await client.submit({ jobId: first.jobId, nonce: 3, hash: LOW_HASH }))
+        .toEqual({ status: 'stale', reason: 'Block expired' });
+      client.close();
+    });
+
+    it('should send keepalives while connected', async () => {
+      const pool = createStandInPool();
+      const { SocketClass, sockets } = createPoolSocket(pool);
+      global.WebSocket = SocketClass;
+
+      const client = new PoolClient({ url: 'ws://pool.test', login: 'tester' }, { keepaliveMs: 10 });
+      await client.connect();
+      await flush(35);
+      client.close();
+
+      const keepalives = sockets[0].sent.filter((m: any) => m.method === 'keepalived');
+      expect(keepalives.length).toBeGreaterThanOrEqual(2);
+      expect(keepalives[0].params.id).toBe(sockets[0].session.id);
+    });
+
+    it('should reject shares once disconnected', async () => {
+      const pool = createStandInPool();
+      const { SocketClass, sockets } = createPoolSocket(pool);
+      global.WebSocket = SocketClass;
+
+      const client = new PoolClient({ url: 'ws://pool.test', login: 'tester' });
+      const reasons: string[] = [];
+      client.setCloseCallback(reason => reasons.push(reason));
+      const job = await client.connect();
+      sockets[0].close();
+
+      expect(reasons).toEqual(['Connection closed (code 1000)']);
+      expect(client.isConnected()).toBe(false);
+      expect(await client.submit({ jobId: job.jobId, nonce: 1, hash: LOW_HASH }))
+        .toEqual({ status: 'rejected', reason: 'Pool disconnected' });
+    });
+
+    it('should fail to connect when the pool refuses the connection', async () => {
+      const { SocketClass } = createPoolSocket(createStandInPool(), { refuse: true });
+      global.WebSocket = SocketClass;
+
+      const client = new PoolClient({ url: 'ws://pool.test', login: 'tester' });
+      await expect(client.connect()).rejects.toThrow('Could not connect to pool ws://pool.test');
+    });
+
+    it('should fail to connect when the login is refused', async () => {
+      const { SocketClass } = createPoolSocket(createStandInPool());
+      global.WebSocket = SocketClass;
+
+      const client = new PoolClient({ url: 'ws://pool.test', login: '' });
+      await expect(client.connect()).rejects.toThrow('Pool login failed: Missing login');
+    });
+  });
+
+  describe('Stand-in pool', () => {
+    it('should refuse shares from sessions that have not logged in', () => {
+      const pool = createStandInPool();
+      const session = { id: null, submitted: new Set() };
+      const response = pool.handle(session, {
+        id: 1,
+        method: 'submit',
+        params: { id: 'someone', job_id: pool.currentJob().job_id, nonce: '00000000', result: LOW_HASH }
+      });
+      expect(response.error).toEqual({ code: -1, message: 'Unauthenticated' });
+    });
+
+    it('should reject malformed shares and unknown methods', () => {
+      const pool = createStandInPool();
+      const session = { id: null, submitted: new Set() };
+      const { result } = pool.handle(session, { id: 1, method: 'login', params: { login: 'tester' } });
+      const submit = (params: object) => pool.handle(session, {
+        id: 2,
+        method: 'submit',
+        params: { id: result.id, job_id: pool.currentJob().job_id, nonce: '00000000', result: LOW_HASH, ...params }
+      });
+
+      expect(submit({ nonce: '0' }).error.message).toBe('Malformed share');
+      expect(submit({ job_id: 'unknown' }).error.message).toBe('Invalid job id');
+      expect(pool.handle(session, { id: 3, method: 'getjob' }).error.message).toBe('Unknown method: getjob');
+      expect(pool.stats).toEqual({ accepted: 0, rejected: 2, stale: 0 });
+    });
+  });
+
+  describe('Coordinator', () => {
+    let originalWorker: typeof Worker;
+    let config: BenchmarkConfig;
+
+    // Hash workers become ready; the verifier accepts every solution
+    function replies(worker: ScriptedWorker, message: any) {
+      autoReady(worker, message);
+      if (message.type === 'VERIFY_SOLUTION') {
+        const { id, hash } = message.data;
+        setTimeout(() => worker.emit({ type: 'SOLUTION_VERIFIED', id, valid: true, block: false, computedHash: hash }), 0);
+      }
+    }
+
+    beforeEach(() => {
+      originalWorker = global.Worker;
+      config = {
+        threads: 2,
+        throttle: 30,
+        duration: 0,
+        statsInterval: 1000,
+        backend: 'wasm',
+        pool: { url: 'ws://pool.test', login: 'tester' }
+      };
+    });
+
+    afterEach(() => {
+      global.Worker = originalWorker;
+    });
+
+    it('should start workers on the pool job and its seed key', async () => {
+      const pool = createStandInPool({ difficulty: 100 });
+      global.WebSocket = createPoolSocket(pool).SocketClass;
+      const { WorkerClass, instances } = createScriptedWorker({ onPostMessage: replies });
+      global.Worker = WorkerClass;
+
+      const coordinator = new WorkerCoordinator(config);
+      await coordinator.initialize();
+
+      const job = pool.currentJob();
+      instances.forEach((worker) => {
+        const init = worker.posted.find(m => m.type === 'INIT');
+        expect(init.data.seedKey).toBe(job.seed_hash);
+        const jobMessage = worker.posted.find(m => m.type === 'JOB');
+        expect(jobMessage.data).toMatchObject({
+          jobId: job.job_id,
+          difficulty: 100,
+          seedKey: job.seed_hash,
+          epoch: 1
+        });
+        expect(jobMessage.data.blob).toEqual(new Uint8Array(Buffer.from(job.blob, 'hex')));
+      });
+      expect(coordinator.getPoolStatus()).toMatchObject({ connected: true, jobId: job.job_id, height: job.height, jobs: 1 });
+      coordinator.terminate();
+    });
+
+    it('should pass new jobs on and submit verified shares', async () => {
+      const pool = createStandInPool({ difficulty: 100 });
+      const { SocketClass, sockets } = createPoolSocket(pool);
+      global.WebSocket = SocketClass;
+      const { WorkerClass, instances } = createScriptedWorker({ onPostMessage: replies });
+      global.Worker = WorkerClass;
+
+      const coordinator = new WorkerCoordinator(config);
+      await coordinator.initialize();
+      coordinator.start();
+      const first = pool.currentJob();
+
+      const solution = (nonce: number, jobId: string, hash = LOW_HASH) => ({
+        type: 'SOLUTION', workerId: 0, nonce, extraNonce: 0, header: new Uint8Array([1]), hash, jobId, timestamp: 1
+      });
+      instances[0].emit(solution(1, first.job_id));
+      await coordinator.settleSolutions();
+
+      pool.newJob();
+      sockets[0].pushJob();
+      const jobs = instances[1].posted.filter(m => m.type === 'JOB');
+      expect(jobs.map(m => m.data.epoch)).toEqual([1, 2]);
+
+      instances[0].emit(solution(2, first.job_id));
+      instances[0].emit(solution(3, pool.currentJob().job_id, HIGH_HASH));
+      const settled = await coordinator.settleSolutions();
+
+      expect(settled.map(s => [s.jobId, s.difficulty, s.share])).toEqual([
+        [first.job_id, 100, { status: 'accepted' }],
+        [first.job_id, 100, { status: 'stale', reason: 'Block expired' }],
+        [pool.currentJob().job_id, 100, { status: 'rejected', reason: 'Low difficulty share' }]
+      ]);
+      expect(coordinator.getAggregatedStats()).toMatchObject({ acceptedShares: 1, rejectedShares: 1, staleShares: 1 });
+      coordinator.terminate();
+    });
+
+    it('should not hand out extra nonces for pool jobs', async () => {
+      global.WebSocket = createPoolSocket(createStandInPool()).SocketClass;
+      const { WorkerClass, instances } = createScriptedWorker({ onPostMessage: replies });
+      global.Worker = WorkerClass;
+
+      const coordinator = new WorkerCoordinator(config);
+      await coordinator.initialize();
+      coordinator.start();
+      instances[0].emit({ type: 'NONCE_EXHAUSTED', workerId: 0, extraNonce: 0 });
+
+      expect(instances[0].posted.some(m => m.type === 'SET_EXTRA_NONCE')).toBe(false);
+      expect(coordinator.getAggregatedStats().nonceExhaustions).toBe(1);
+      coordinator.terminate();
+    });
+
+    it('should fail to initialize without a pool connection', async () => {
+      global.WebSocket = createPoolSocket(createStandInPool(), { refuse: true }).SocketClass;
+      const { WorkerClass, instances } = createScriptedWorker({ onPostMessage: replies });
+      global.Worker = WorkerClass;
+
+      const coordinator = new WorkerCoordinator(config);
+      await expect(coordinator.initialize()).rejects.toThrow('Could not connect to pool');
+      expect(instances).toHaveLength(0);
+      coordinator.terminate();
+    });
+  });
+});
@@ -0,0 +1,119 @@
+import { describe, it, expect, beforeEach, afterEach } from 'vitest';
+import { loadPublicScript, createScriptedWorker, autoReady } from './setup';
+import { PROTOCOL_VERSION, checkWorkerMessage, parseWorkerMessage, protocolMismatch } from '@/lib/protocol';
+import { WorkerCoordinator } from '@/lib/coordinator';
+
+const WorkerProtocol = loadPublicScript('worker-protocol.js');
+
+describe('Worker Protocol', () => {
+  it('should speak the same version on both sides', () => {
+    expect(WorkerProtocol.WORKER_PROTOCOL_VERSION).toBe(PROTOCOL_VERSION);
+  });
+
+  describe('Worker Messages', () => {
+    it('should accept the messages workers send', () => {
+      expect(checkWorkerMessage({ type: 'READY', workerId: 0, protocolVersion: 1, capabilities: { mode: 'light' } })).toBeNull();
+      expect(checkWorkerMessage({ type: 'STATS', workerId: 1, totalHashes: 5, hashrate: 1.5, searched: [], backend: 'wasm' })).toBeNull();
+      expect(checkWorkerMessage({
+        type: 'SOLUTION', workerId: 0, nonce: 7, extraNonce: 0, header: new Uint8Array(76), hash: 'ab', block: false, jobId: undefined
+      })).toBeNull();
+      expect(checkWorkerMessage({ type: 'DESTROYED', workerId: 0, freedMB: 256 })).toBeNull();
+    });
+
+    it('should name what is wrong with a malformed message', () => {
+      expect(checkWorkerMessage(null)).toBe('message without a type');
+      expect(checkWorkerMessage({ type: 'HELLO', workerId: 0 })).toBe('unknown message type HELLO');
+      expect(checkWorkerMessage({ type: 'toString', workerId: 0 })).toBe('unknown message type toString');
+      expect(checkWorkerMessage({ type: 'STATS', totalHashes: 5, hashrate: 1 })).toBe('STATS.workerId must be a number');
+      expect(checkWorkerMessage({ type: 'STATS', workerId: 0, hashrate: 1 })).toBe('STATS.totalHashes is missing');
+      expect(checkWorkerMessage({ type: 'STATS', workerId: 0, totalHashes: 5, hashrate: 1, searched: {} }))
+        .toBe('STATS.searched must be an array');
+      expect(checkWorkerMessage({ type: 'SOLUTION', workerId: 0, nonce: 7, extraNonce: 0, header: 'ab', hash: 'ab' }))
+        .toBe('SOLUTION.header must be a bytes');
+      expect(() => parseWorkerMessage({ type: 'ERROR', workerId: 0 })).toThrow('Protocol error: ERROR.error is missing');
+    });
+
+    it('should explain a version mismatch', () => {
+      expect(protocolMismatch(PROTOCOL_VERSION)).toBeNull();
+      expect(protocolMismatch(PROTOCOL_VERSION + 1)).toContain(`worker script speaks v${PROTOCOL_VERSION + 1}`);
+      expect(protocolMismatch(undefined)).toContain('an unversioned protocol');
+    });
+  });
+
+  describe('Coordinator Messages', () => {
+    const init = { workerId: 0, totalWorkers: 1, protocolVersion: PROTOCOL_VERSION, mode: 'light', seedKey: 'ab', templateSeed: 'cd' };
+
+    it('should refuse an INIT from another protocol version', () => {
+      expect(WorkerProtocol.checkCoordinatorMessage({ type: 'INIT', data: init })).toBeNull();
+      const refused = WorkerProtocol.checkCoordinatorMessage({ type: 'INIT', data: { ...init, protocolVersion: 0 } });
+      expect(refused.code).toBe('PROTOCOL_MISMATCH');
+      expect(refused.error).toContain('coordinator speaks v0');
+      expect(WorkerProtocol.checkCoordinatorMessage({ type: 'INIT', data: { workerId: 0 } }).error)
+        .toContain('an unversioned protocol');
+    });
+
+    it('should refuse malformed messages', () => {
+      const check = (message: unknown) => WorkerProtocol.checkCoordinatorMessage(message);
+      expect(check({ type: 'STOP' })).toBeNull();
+      expect(check({ data: {} })).toEqual({ code: 'PROTOCOL_ERROR', error: 'Protocol error: message without a type' });
+      expect(check({ type: 'PAUSE' }).error).toBe('Protocol error: unknown message type PAUSE');
+      expect(check({ type: 'START' }).error).toBe('Protocol error: START without data');
+      expect(check({ type: 'START', data: { config: {}, extraNonce: '1' } }).error)
+        .toBe('Protocol error: START.extraNonce must be a number');
+      expect(check({ type: 'SET_EXTRA_NONCE', data: { extraNonce: '1' } }).error)
+        .toBe('Protocol error: SET_EXTRA_NONCE.extraNonce must be a number');
+      expect(check({ type: 'JOB', data: { jobId: '1', blob: 'ab', difficulty: 1, epoch: 1 } }).error)
+        .toBe('Protocol error: JOB.blob must be a bytes');
+      expect(check({ type: 'INIT', data: { ...init, mode: 'fast', allowDowngrade: true } })).toBeNull();
+      expect(check({ type: 'INIT', data: { ...init, allowDowngrade: 'yes' } }).error)
+        .toBe('Protocol error: INIT.allowDowngrade must be a boolean');
+      // No worker may make up its own key or template
+      expect(check({ type: 'INIT', data: { ...init, seedKey: undefined } }).error)
+        .toBe('Protocol error: INIT.seedKey is missing');
+      expect(check({ type: 'INIT', data: { ...init, templateSeed: undefined } }).error)
+        .toBe('Protocol error: INIT.templateSeed is missing');
+    });
+
+    describe('From the Coordinator', () => {
+      let originalWorker: typeof Worker;
+
+      beforeEach(() => {
+        originalWorker = global.Worker;
+      });
+
+      afterEach(() => {
+        global.Worker = originalWorker;
+      });
+
+      it('should only send messages workers accept', async () => {
+        const { WorkerClass, instances } = createScriptedWorker({
+          onPostMessage: (worker, message) => {
+            autoReady(worker, message);
+            const workerId = worker.posted[0].data.workerId;
+            if (message.type === 'SET_NONCE_RANGE') {
+              setTimeout(() => worker.emit({ type: 'NONCE_RANGE_APPLIED', workerId, ...message.data }), 0);
+            }
+            if (message.type === 'STOP') {
+              setTimeout(() => worker.emit({ type: 'STOPPED', workerId }), 0);
+            }
+          }
+        });
+        global.Worker = WorkerClass;
+
+        const coordinator = new WorkerCoordinator({ threads: 2, throttle: 30, duration: 0, statsInterval: 1000 });
+        await coordinator.initialize();
+        coordinator.start();
+        coordinator.updateConfig({ throttle: 50, difficulty: undefined });
+        await coordinator.setThreadCount(3);
+        await coordinator.setThreadCount(1);
+        coordinator.terminate();
+
+        const types = new Set(instances.flatMap(w => w.posted.map(m => m.type)));
+        expect([...types]).toEqual(expect.arrayContaining(['INIT', 'START', 'UPDATE_CONFIG', 'STOP', 'SET_NONCE_RANGE']));
+        instances.forEach((worker) => {
+          worker.posted.forEach(message => expect(WorkerProtocol.checkCoordinatorMessage(message)).toBeNull());
+        });
+      });
+    });
+  });
+});
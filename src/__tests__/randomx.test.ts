@@ -0,0 +1,226 @@
+import { describe, it, expect, beforeAll, afterAll } from 'vitest';
+import { loadPublicScript } from './setup';
+
+/**
+ * RandomX conformance tests
+ *
+ * Vectors are taken from the official RandomX test suite (tests/tests.cpp).
+ * Cache initialization runs the full 256 MiB Argon2d fill, so these tests
+ * use a longer timeout than the rest of the suite.
+ */
+
+const CryptoPrimitives = loadPublicScript('crypto-primitives.js');
+const RandomXModule = loadPublicScript('wasm/randomx.js', { CryptoPrimitives });
+const INIT_TIMEOUT = 180000;
+const HASH_TIMEOUT = 60000;
+
+function toHex(bytes: Uint8Array) {
+  return Array.from(bytes).map(b => b.toString(16).padStart(2, '0')).join('');
+}
+
+function hexToBytes(hex: string) {
+  const bytes = new Uint8Array(hex.length / 2);
+  for (let i = 0; i < bytes.length; i++) {
+    bytes[i] = parseInt(hex.substr(i * 2, 2), 16);
+  }
+  return bytes;
+}
+
+function readU64(words: Uint32Array, index: number) {
+  return (BigInt(words[2 * index + 1]) << 32n) | BigInt(words[2 * index]);
+}
+
+describe('RandomX Primitives', () => {
+  const { rxReciprocal } = RandomXModule.internals;
+  const { blake2b } = CryptoPrimitives;
+
+  it('should compute randomx_reciprocal', () => {
+    const vectors: Array<[number, bigint]> = [
+      [3, 12297829382473034410n],
+      [13, 11351842506898185609n],
+      [33, 17887751829051686415n],
+      [65537, 18446462603027742720n],
+      [15000001, 10316166306300415204n],
+      [3845182035, 10302264209224146340n],
+      [0xffffffff, 9223372039002259456n]
+    ];
+    for (const [divisor, expected] of vectors) {
+      const [lo, hi] = rxReciprocal(divisor);
+      expect((BigInt(hi) << 32n) | BigInt(lo)).toBe(expected);
+    }
+  });
+
+  it('should derive AES generator keys from Blake2b', () => {
+    const encoder = new TextEncoder();
+    const derive = (label: string, length = 64) =>
+      new Uint32Array(blake2b(encoder.encode(label), length).buffer);
+
+    expect(derive('RandomX AesGenerator1R keys')[0]).toBe(0x6daca553);
+    expect(derive('RandomX AesGenerator4R keys 0-3')[0]).toBe(0x6421aadd);
+    expect(derive('RandomX AesGenerator4R keys 4-7')[0]).toBe(0xb5826f73);
+    expect(derive('RandomX AesHash1R state')[0]).toBe(0x92b52c0d);
+    expect(derive('RandomX AesHash1R xkeys', 32)[0]).toBe(0xf6fa8389);
+  });
+});
+
+describe('RandomX Light Mode ("test key 000")', () => {
+  let randomx: any;
+
+  beforeAll(async () => {
+    randomx = new RandomXModule('light');
+    await randomx.init('test key 000');
+  }, INIT_TIMEOUT);
+
+  afterAll(() => {
+    randomx?.destroy();
+  });
+
+  it('should fill the cache with Argon2d', () => {
+    expect(readU64(randomx.cache, 0)).toBe(0x191e0e1d23c02186n);
+    expect(readU64(randomx.cache, 1568413)).toBe(0xf1b62fe6210bf8b1n);
+    expect(readU64(randomx.cache, 33554431)).toBe(0x1f47f056d05cd99bn);
+  });
+
+  it('should compute dataset items with SuperscalarHash', () => {
+    expect(readU64(randomx.getDatasetItem(0), 0)).toBe(0x680588a85ae222dbn);
+    expect(readU64(randomx.getDatasetItem(10000000), 0)).toBe(0x7943a1f6186ffb72n);
+    expect(readU64(randomx.getDatasetItem(20000000), 0)).toBe(0x9035244d718095e1n);
+    expect(readU64(randomx.getDatasetItem(30000000), 0)).toBe(0x145a5091f7853099n);
+  });
+
+  it('should build only the requested dataset slice', async () => {
+    const dataset = randomx.dataset;
+    try {
+      randomx.dataset = new Uint32Array(3 * 16);
+      await randomx.generateDataset(null, 1, 2);
+      expect(randomx.dataset.subarray(0, 16).every((w: number) => w === 0)).toBe(true);
+      expect(randomx.dataset.subarray(16, 32)).toEqual(randomx.getDatasetItem(1));
+      expect(randomx.dataset.subarray(32, 48)).toEqual(randomx.getDatasetItem(2));
+    } finally {
+      randomx.dataset = dataset;
+    }
+  });
+
+  it('should hash "This is a test"', async () => {
+    expect(await randomx.calculateHash('This is a test'))
+      .toBe('639183aae1bf4c9a35884cb46b09cad9175f04efd7684e7262a0ac1c2f0b4e3f');
+  }, HASH_TIMEOUT);
+
+  it('should hash "Lorem ipsum dolor sit amet"', async () => {
+    expect(await randomx.calculateHash('Lorem ipsum dolor sit amet'))
+      .toBe('300a0adb47603dedb42228ccb2b211104f4da45af709cd7547cd049e9489c969');
+  }, HASH_TIMEOUT);
+
+  it('should hash "sed do eiusmod..."', async () => {
+    expect(await randomx.calculateHash('sed do eiusmod tempor incididunt ut labore et dolore magna aliqua'))
+      .toBe('c36d4ed4191e617309867ed66a443be4075014e2b061bcdaf9ce7b721d2b77a8');
+  }, HASH_TIMEOUT);
+
+  it('should hash a packed batch synchronously', () => {
+    // Two 14-byte inputs back to back
+    const headers = new TextEncoder().encode('This is a testLorem ipsum do');
+
+    const results = randomx.calculateHashBatch(headers, 2);
+    expect(results).toHaveLength(64);
+    expect(toHex(results.subarray(0, 32)))
+      .toBe('639183aae1bf4c9a35884cb46b09cad9175f04efd7684e7262a0ac1c2f0b4e3f');
+    expect(results.subarray(32, 64)).toEqual(randomx.calculateHashSync('Lorem ipsum do'));
+  }, HASH_TIMEOUT);
+
+  it('should reject batches that do not split evenly', () => {
+    expect(() => randomx.calculateHashBatch(new Uint8Array(10), 3)).toThrow('Cannot split');
+  });
+
+  // Runs last: it leaves the module on "test key 001"
+  it('should keep hashing under the old key while the next one is built', async () => {
+    let built = false;
+    const build = randomx.prepareKey('test key 001', null, { yieldBlocks: 4096 })
+      .then((prepared: any) => { built = true; return prepared; });
+
+    await new Promise(resolve => setTimeout(resolve, 20));
+    expect(built).toBe(false);
+    expect(toHex(randomx.calculateHashSync('This is a test')))
+      .toBe('639183aae1bf4c9a35884cb46b09cad9175f04efd7684e7262a0ac1c2f0b4e3f');
+    expect(randomx.seedKey).toBe('test key 000');
+
+    randomx.activateKey(await build);
+    expect(randomx.seedKey).toBe('test key 001');
+    expect(await randomx.calculateHash('sed do eiusmod tempor incididunt ut labore et dolore magna aliqua'))
+      .toBe('e9ff4503201c0c2cca26d285c93ae883f9b1d30c9eb240b820756f2d5a7905fc');
+  }, INIT_TIMEOUT);
+});
+
+describe('RandomX Light Mode ("test key 001")', () => {
+  let randomx: any;
+
+  beforeAll(async () => {
+    randomx = new RandomXModule('light');
+    await randomx.init('test key 001');
+  }, INIT_TIMEOUT);
+
+  afterAll(() => {
+    randomx?.destroy();
+  });
+
+  it('should hash "sed do eiusmod..."', async () => {
+    expect(await randomx.calculateHash('sed do eiusmod tempor incididunt ut labore et dolore magna aliqua'))
+      .toBe('e9ff4503201c0c2cca26d285c93ae883f9b1d30c9eb240b820756f2d5a7905fc');
+  }, HASH_TIMEOUT);
+
+  it('should hash a Monero block hashing blob', async () => {
+    const blob = hexToBytes(
+      '0b0b98bea7e805e0010a2126d287a2a0cc833d312cb786385a7c2f9de69d25537f584a9bc9977b00000000666fd8753bf61a8631f12984e3fd44f4014eca629276817b56f32e9b68bd82f416'
+    );
+    expect(await randomx.calculateHash(blob))
+      .toBe('c56414121acda1713c2f2a819d8ae38aed7c80c35c2a769298d34f03833cd5f1');
+  }, HASH_TIMEOUT);
+});
+
+describe('RandomX Module API', () => {
+  it('should report specification memory sizes', () => {
+    const light = new RandomXModule('light').getMemoryInfo();
+    expect(light.scratchpadSize).toBe(2 * 1024 * 1024);
+    expect(light.cacheSize).toBe(256 * 1024 * 1024);
+    expect(light.datasetSize).toBe(0);
+
+    const fast = new RandomXModule('fast').getMemoryInfo();
+    expect(fast.datasetSize).toBe(2181038016);
+    expect(fast.mode).toBe('fast');
+  });
+
+  it('should not count a shared dataset as private memory', () => {
+    const randomx = new RandomXModule('fast');
+    randomx.sharedDataset = true;
+    const info = randomx.getMemoryInfo();
+    expect(info.sharedDataset).toBe(true);
+    expect(info.datasetSize).toBe(2181038016);
+    expect(info.totalBytes).toBe(info.scratchpadSize + info.cacheSize);
+  });
+
+  it('should reject a shared dataset of the wrong size', async () => {
+    const randomx = new RandomXModule('fast');
+    await expect(randomx.init('test key 000', null, { sharedDataset: new SharedArrayBuffer(64) }))
+      .rejects.toThrow('Shared dataset must be 2181038016 bytes');
+  });
+
+  it('should reject hashing before init', async () => {
+    const randomx = new RandomXModule('light');
+    await expect(randomx.calculateHash('test')).rejects.toThrow('not initialized');
+  });
+
+  it('should rebuild on init with another key only', async () => {
+    const randomx = new RandomXModule('light');
+    randomx.initialized = true;
+    randomx.seedKey = 'test key 000';
+    randomx.prepareKey = async () => { throw new Error('rebuilding'); };
+
+    await expect(randomx.init('test key 000')).resolves.toBeUndefined();
+    await expect(randomx.init('test key 001')).rejects.toThrow('rebuilding');
+  });
+
+  it('should abandon a key build once cancelled', async () => {
+    const randomx = new RandomXModule('light');
+    await expect(randomx.prepareKey('test key 001', null, { isCancelled: () => true }))
+      .rejects.toThrow('Key build cancelled');
+  });
+});
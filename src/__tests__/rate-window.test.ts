@@ -0,0 +1,64 @@
+import { describe, it, expect } from 'vitest';
+import { HashrateWindows, resolveRateWindows, DEFAULT_RATE_WINDOWS_S, OVERDUE_INTERVALS } from '@/lib/rate-window';
+
+// Reports of `hashrate` every `intervalMs` from `from` (exclusive) to `to`
+function report(windows: HashrateWindows, workerId: number, hashrate: number, from: number, to: number, intervalMs = 1000) {
+  for (let at = from + intervalMs; at <= to; at += intervalMs) {
+    windows.record(workerId, hashrate * intervalMs / 1000, intervalMs, at);
+  }
+}
+
+describe('Hashrate Windows', () => {
+  it('should sort the windows and refuse invalid ones', () => {
+    expect(resolveRateWindows()).toEqual(DEFAULT_RATE_WINDOWS_S);
+    expect(resolveRateWindows([60, 1, 10, 10])).toEqual([1, 10, 60]);
+    expect(() => resolveRateWindows([])).toThrow('At least one rate window is needed');
+    expect(() => resolveRateWindows([0])).toThrow('Invalid rate window: 0s');
+  });
+
+  it('should measure aggregate and per-worker rates over each window', () => {
+    const windows = new HashrateWindows([1, 10, 60]);
+    report(windows, 0, 100, 0, 20000);
+    report(windows, 1, 50, 0, 20000);
+
+    const rates = windows.rates(20000);
+    expect(rates.map(r => r.windowS)).toEqual([1, 10, 60]);
+    for (const rate of rates) {
+      expect(rate.hashrate).toBeCloseTo(150);
+      expect(rate.workers).toEqual({ 0: expect.closeTo(100), 1: expect.closeTo(50) });
+    }
+  });
+
+  it('should split a report that a window only partly covers', () => {
+    const windows = new HashrateWindows([1, 10]);
+    // Two-second reports: 400 hashes in the first, 0 in the second
+    windows.record(0, 400, 2000, 2000);
+    windows.record(0, 0, 2000, 4000);
+    const [oneSecond, tenSeconds] = windows.rates(4000);
+    expect(oneSecond.hashrate).toBe(0);
+    // A worker younger than the window is measured over its lifetime
+    expect(tenSeconds.hashrate).toBe(100);
+  });
+
+  it('should not count the time since an on-schedule report as idle', () => {
+    const windows = new HashrateWindows([1]);
+    report(windows, 0, 100, 0, 5000);
+    expect(windows.rates(5000 + OVERDUE_INTERVALS * 1000)[0].hashrate).toBeCloseTo(100);
+  });
+
+  it('should age out a worker that stopped reporting', () => {
+    const windows = new HashrateWindows([1, 10]);
+    report(windows, 0, 100, 0, 10000);
+    report(windows, 1, 100, 0, 15000);
+
+    const [oneSecond, tenSeconds] = windows.rates(15000);
+    expect(oneSecond.workers[0]).toBe(0);
+    // Five of the last ten seconds were hashed
+    expect(tenSeconds.workers[0]).toBeCloseTo(50);
+
+    report(windows, 1, 100, 15000, 30000);
+    const rates = windows.rates(30000);
+    expect(rates[1].workers).toEqual({ 1: expect.closeTo(100) });
+    expect(rates[1].hashrate).toBeCloseTo(100);
+  });
+});
@@ -1,4 +1,7 @@
 import '@testing-library/jest-dom';
+import { readFileSync } from 'fs';
+import { resolve } from 'path';
+import { PROTOCOL_VERSION } from '@/lib/protocol';
 
 // Mock navigator.gpu for WebGPU tests
 if (typeof navigator !== 'undefined' && !navigator.gpu) {
@@ -38,7 +41,7 @@ export function createMockWorker(options: {
         setTimeout(() => {
           if (this.onmessage) {
             this.onmessage(new MessageEvent('message', {
-              data: { type: 'READY', workerId: 0 }
+              data: { type: 'READY', workerId: 0, protocolVersion: PROTOCOL_VERSION }
             }));
           }
         }, 10);
@@ -65,3 +68,78 @@ export function createMockWorker(options: {
     onerror: ((ev: ErrorEvent) => void) | null = null;
   } as any;
 }
+
+// Helper to load a classic script from public/ (worker scripts are not ES modules)
+// and return whatever it assigns to module.exports. `globals` provides the names
+// a worker would have received from earlier importScripts calls.
+export function loadPublicScript(path: string, globals: Record<string, unknown> = {}) {
+  const code = readFileSync(resolve(__dirname, '../../public', path), 'utf8');
+  const scriptModule: { exports: any } = { exports: {} };
+  const names = Object.keys(globals);
+  new Function('self', 'module', ...names, code)(undefined, scriptModule, ...names.map(name => globals[name]));
+  return scriptModule.exports;
+}
+
+// Scripted Worker mock: records posted messages and lets tests emit replies
+export interface ScriptedWorker {
+  url: string;
+  posted: any[];
+  terminated: boolean;
+  onerror: ((ev: ErrorEvent) => void) | null;
+  emit(data: any): void;
+}
+
+export function createScriptedWorker(options: {
+  onPostMessage?: (worker: ScriptedWorker, message: any) => void;
+} = {}) {
+  const instances: ScriptedWorker[] = [];
+
+  class MockWorker implements ScriptedWorker {
+    posted: any[] = [];
+    terminated = false;
+    onmessage: ((ev: MessageEvent) => void) | null = null;
+    onerror: ((ev: ErrorEvent) => void) | null = null;
+    private listeners: Array<(ev: MessageEvent) => void> = [];
+
+    constructor(public url: string) {
+      instances.push(this);
+    }
+
+    postMessage(message: any) {
+      this.posted.push(message);
+      if (options.onPostMessage) {
+        options.onPostMessage(this, message);
+      }
+    }
+
+    emit(data: any) {
+      const event = new MessageEvent('message', { data });
+      if (this.onmessage) {
+        this.onmessage(event);
+      }
+      [...this.listeners].forEach(listener => listener(event));
+    }
+
+    terminate() {
+      this.terminated = true;
+    }
+
+    addEventListener(_type: string, listener: (ev: MessageEvent) => void) {
+      this.listeners.push(listener);
+    }
+
+    removeEventListener(_type: string, listener: (ev: MessageEvent) => void) {
+      this.listeners = this.listeners.filter(l => l !== listener);
+    }
+  }
+
+  return { WorkerClass: MockWorker as any, instances };
+}
+
+// Replies READY to every INIT, the minimum a coordinator needs to initialize
+export function autoReady(worker: ScriptedWorker, message: any) {
+  if (message.type === 'INIT') {
+    const { workerId, protocolVersion } = message.data;
+    setTimeout(() => worker.emit({ type: 'READY', workerId, protocolVersion }), 0);
+  }
+}
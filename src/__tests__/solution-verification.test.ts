@@ -0,0 +1,190 @@
+import { describe, it, expect, beforeEach, afterEach } from 'vitest';
+import { loadPublicScript, createScriptedWorker, autoReady, ScriptedWorker } from './setup';
+import { WorkerCoordinator } from '@/lib/coordinator';
+import { SolutionVerifier, VERIFIER_WORKER_PATH } from '@/lib/verifier';
+import { DEFAULT_BLOCK_DIFFICULTY } from '@/lib/difficulty';
+import { BenchmarkConfig } from '@/lib/types';
+
+const { checkDifficulty } = loadPublicScript('block-header.js');
+const SolutionCheck = loadPublicScript('solution-check.js', { checkDifficulty });
+
+// Little-endian: LOW_HASH is about 2^248, HIGH_HASH just under 2^256
+const LOW_HASH = '11'.repeat(31) + '01';
+const HIGH_HASH = 'ff'.repeat(32);
+
+// Stand-in for RandomX that returns a fixed hash
+const fixedHasher = (hash: string) => ({ calculateHash: async () => hash });
+
+const flush = () => new Promise(resolve => setTimeout(resolve, 0));
+
+describe('Solution Verification', () => {
+  describe('SolutionCheck', () => {
+    const header = new Uint8Array(76);
+
+    const difficulties = { difficulty: 100, blockDifficulty: 1000 };
+
+    it('should accept a matching hash that meets the share difficulty', async () => {
+      const result = await SolutionCheck.check(fixedHasher(LOW_HASH), { header, hash: LOW_HASH, ...difficulties });
+      expect(result).toEqual({ valid: true, block: false, computedHash: LOW_HASH });
+    });
+
+    it('should flag shares that also meet the block difficulty', async () => {
+      const result = await SolutionCheck.check(fixedHasher(LOW_HASH), { header, hash: LOW_HASH, difficulty: 100, blockDifficulty: 200 });
+      expect(result.block).toBe(true);
+    });
+
+    it('should reject a hash the verifier does not reproduce', async () => {
+      const result = await SolutionCheck.check(fixedHasher(LOW_HASH), { header, hash: '00'.repeat(32), ...difficulties });
+      expect(result.valid).toBe(false);
+      expect(result.reason).toBe('Hash mismatch');
+    });
+
+    it('should reject a hash below the share difficulty', async () => {
+      const result = await SolutionCheck.check(fixedHasher(HIGH_HASH), { header, hash: HIGH_HASH, ...difficulties });
+      expect(result.valid).toBe(false);
+      expect(result.reason).toBe('Below share difficulty');
+    });
+  });
+
+  describe('Coordinator', () => {
+    let config: BenchmarkConfig;
+    let originalWorker: typeof Worker;
+
+    // Hash workers become ready; the verifier accepts only LOW_HASH
+    function replies(worker: ScriptedWorker, message: any) {
+      autoReady(worker, message);
+      if (message.type === 'VERIFY_SOLUTION') {
+        const { id, hash } = message.data;
+        setTimeout(() => worker.emit(hash === LOW_HASH
+          ? { type: 'SOLUTION_VERIFIED', id, valid: true, block: false, computedHash: hash }
+          : { type: 'SOLUTION_VERIFIED', id, valid: false, computedHash: LOW_HASH, reason: 'Hash mismatch' }), 0);
+      }
+    }
+
+    const solution = (workerId: number, nonce: number, hash: string, version?: number) => ({
+      type: 'SOLUTION',
+      workerId,
+      nonce,
+      extraNonce: 0,
+      header: new Uint8Array([1, 2, 3]),
+      hash,
+      seedKey: 'key',
+      version,
+      timestamp: 1700000000000
+    });
+
+    beforeEach(() => {
+      originalWorker = global.Worker;
+      config = { threads: 1, throttle: 30, duration: 0, statsInterval: 1000, backend: 'wasm', difficulty: 100 };
+    });
+
+    afterEach(() => {
+      global.Worker = originalWorker;
+    });
+
+    it('should accept or reject each solution after re-verifying it', async () => {
+      const { WorkerClass, instances } = createScriptedWorker({ onPostMessage: replies });
+      global.Worker = WorkerClass;
+
+      const coordinator = new WorkerCoordinator(config);
+      await coordinator.initialize();
+      coordinator.start();
+
+      instances[0].emit(solution(0, 7, LOW_HASH));
+      instances[0].emit(solution(0, 9, HIGH_HASH));
+      expect(coordinator.getSolutions().map(s => s.status)).toEqual(['pending', 'pending']);
+      expect(instances[1].url).toBe(VERIFIER_WORKER_PATH);
+
+      const settled = await coordinator.settleSolutions();
+      expect(settled.map(s => s.status)).toEqual(['accepted', 'rejected']);
+      expect(settled[0]).toMatchObject({
+        workerId: 0, nonce: 7, header: '010203', foundAt: 1700000000000, difficulty: 100, block: false
+      });
+      expect(settled[1].reason).toBe('Hash mismatch');
+      expect(coordinator.getAggregatedStats()).toMatchObject({ acceptedSolutions: 1, rejectedSolutions: 1 });
+
+      coordinator.terminate();
+      expect(instances[1].terminated).toBe(true);
+    });
+
+    it('should reject a solution whose verification fails', async () => {
+      const { WorkerClass, instances } = createScriptedWorker({
+        onPostMessage: (worker, message) => {
+          autoReady(worker, message);
+          if (message.type === 'VERIFY_SOLUTION') {
+            throw new Error('Message could not be cloned');
+          }
+        }
+      });
+      global.Worker = WorkerClass;
+
+      const coordinator = new WorkerCoordinator(config);
+      await coordinator.initialize();
+      coordinator.start();
+
+      instances[0].emit(solution(0, 7, LOW_HASH));
+      const settled = await coordinator.settleSolutions(1000);
+      expect(settled[0]).toMatchObject({ status: 'rejected', reason: 'Verification failed: Message could not be cloned' });
+      expect(coordinator.getAggregatedStats()).toMatchObject({ acceptedSolutions: 0, rejectedSolutions: 1 });
+      coordinator.terminate();
+    });
+
+    it('should check a solution against the difficulties its worker was using', async () => {
+      const { WorkerClass, instances } = createScriptedWorker({ onPostMessage: replies });
+      global.Worker = WorkerClass;
+
+      const coordinator = new WorkerCoordinator(config);
+      await coordinator.initialize();
+      coordinator.start();
+      const version = coordinator.updateConfig({ difficulty: 1000 });
+      const blockVersion = coordinator.updateConfig({ blockDifficulty: 5000 });
+
+      instances[0].emit(solution(0, 1, LOW_HASH, version - 1));
+      instances[0].emit(solution(0, 2, LOW_HASH, version));
+      instances[0].emit(solution(0, 3, LOW_HASH, blockVersion));
+      await coordinator.settleSolutions();
+
+      const requests = instances[1].posted.map(m => [m.data.difficulty, m.data.blockDifficulty]);
+      expect(requests).toEqual([[100, DEFAULT_BLOCK_DIFFICULTY], [1000, DEFAULT_BLOCK_DIFFICULTY], [1000, 5000]]);
+      coordinator.terminate();
+    });
+  });
+
+  describe('SolutionVerifier', () => {
+    let originalWorker: typeof Worker;
+
+    beforeEach(() => {
+      originalWorker = global.Worker;
+    });
+
+    afterEach(() => {
+      global.Worker = originalWorker;
+    });
+
+    it('should resolve as invalid when the verifier reports an error', async () => {
+      const { WorkerClass } = createScriptedWorker({
+        onPostMessage: (worker, message) => {
+          setTimeout(() => worker.emit({ type: 'ERROR', id: message.data.id, error: 'out of memory' }), 0);
+        }
+      });
+      global.Worker = WorkerClass;
+
+      const verifier = new SolutionVerifier();
+      const result = await verifier.verify({ header: new Uint8Array(76), hash: LOW_HASH, difficulty: 1, blockDifficulty: 1 });
+      expect(result).toEqual({ valid: false, reason: 'Verification failed: out of memory' });
+      verifier.terminate();
+    });
+
+    it('should settle pending requests when terminated', async () => {
+      const { WorkerClass, instances } = createScriptedWorker();
+      global.Worker = WorkerClass;
+
+      const verifier = new SolutionVerifier();
+      const pending = verifier.verify({ header: new Uint8Array(76), hash: LOW_HASH, difficulty: 1, blockDifficulty: 1 });
+      await flush();
+      verifier.terminate();
+      expect(await pending).toEqual({ valid: false, reason: 'Verifier terminated' });
+      expect(instances[0].terminated).toBe(true);
+    });
+  });
+});
@@ -0,0 +1,88 @@
+import { describe, it, expect } from 'vitest';
+import {
+  summarizeHashrate,
+  mserTruncation,
+  percentile,
+  tQuantile95,
+  BATCH_SIZE,
+  MIN_STEADY_BATCHES
+} from '@/lib/statistics';
+import { TimeSeriesPoint } from '@/lib/types';
+
+// One sample every 500 ms, as the coordinator takes them
+function series(hashrates: number[]): TimeSeriesPoint[] {
+  return hashrates.map((hashrate, i) => ({ timestamp: (i + 1) * 500, hashrate, totalHashes: 0 }));
+}
+
+// Steady rate with a deterministic +-5% wobble
+function steady(count: number, rate = 100): number[] {
+  return Array.from({ length: count }, (_, i) => rate * (1 + 0.05 * Math.sin(i * 1.7)));
+}
+
+describe('Statistics', () => {
+  it('should interpolate percentiles and look up t quantiles', () => {
+    expect(percentile([1, 2, 3, 4, 5], 0.5)).toBe(3);
+    expect(percentile([10, 20], 0.25)).toBe(12.5);
+    expect(percentile([], 0.5)).toBe(0);
+    expect(tQuantile95(1)).toBe(12.706);
+    // Between table entries the smaller df applies
+    expect(tQuantile95(11)).toBe(2.228);
+    expect(tQuantile95(1000)).toBe(1.96);
+  });
+
+  it('should cut off batches that sit away from the steady level', () => {
+    expect(mserTruncation([10, 40, 100, 101, 99, 100, 100, 101, 99, 100])).toBe(2);
+    expect(mserTruncation([100, 101, 99, 100, 100, 101, 99, 100])).toBe(0);
+  });
+
+  it('should exclude the samples before workers report and the ramp-up', () => {
+    const ramp = [20, 40, 60, 80, 90, 20, 40, 60, 80, 90];
+    const stats = summarizeHashrate(series([0, 0, 0, ...ramp, ...steady(60)]))!;
+
+    expect(stats.steady).toBe(true);
+    expect(stats.samples).toBe(73);
+    expect(stats.warmupSamples).toBe(3 + ramp.length);
+    expect(stats.warmupMs).toBe((3 + ramp.length) * 500);
+    expect(stats.mean).toBeCloseTo(100, 0);
+    expect(stats.median).toBeCloseTo(100, 0);
+    expect(stats.p5).toBeGreaterThan(94);
+    expect(stats.p95).toBeLessThan(106);
+    expect(stats.cv).toBeGreaterThan(0.02);
+    expect(stats.cv).toBeLessThan(0.05);
+    expect(stats.ci95.low).toBeLessThan(stats.mean);
+    expect(stats.ci95.high).toBeGreaterThan(stats.mean);
+    expect(stats.ci95.high - stats.ci95.low).toBeLessThan(5);
+    // A batch mean, not a single noisy sample
+    expect(stats.peak).toBeLessThan(Math.max(...steady(60)));
+  });
+
+  it('should keep the warm-up of a run far longer than the chart buffer', () => {
+    const ramp = [20, 40, 60, 80, 90, 20, 40, 60, 80, 90];
+    const points = series([0, 0, 0, ...ramp, ...steady(1400)]);
+    const stats = summarizeHashrate(points)!;
+    expect(stats.samples).toBe(1413);
+    expect(stats.warmupSamples).toBe(3 + ramp.length);
+    expect(stats.mean).toBeCloseTo(100, 0);
+
+    // Counted from the first sample, wherever the series starts
+    const later = points.map(p => ({ ...p, timestamp: p.timestamp + 60000 }));
+    expect(summarizeHashrate(later)!.warmupMs).toBe(stats.warmupMs);
+  });
+
+  it('should not guess at a steady state in short runs', () => {
+    const stats = summarizeHashrate(series([0, 50, ...steady(BATCH_SIZE * (MIN_STEADY_BATCHES - 1))]))!;
+    expect(stats.steady).toBe(false);
+    expect(stats.warmupSamples).toBe(1);
+    expect(stats.mean).toBeLessThan(100);
+  });
+
+  it('should summarize nothing before workers report', () => {
+    expect(summarizeHashrate([])).toBeNull();
+    expect(summarizeHashrate(series([0, 0]))).toBeNull();
+  });
+
+  it('should not report an interval from a single sample', () => {
+    const stats = summarizeHashrate(series([0, 42]))!;
+    expect(stats).toMatchObject({ mean: 42, median: 42, peak: 42, stddev: 0, ci95: { low: 42, high: 42 } });
+  });
+});
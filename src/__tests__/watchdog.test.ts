@@ -0,0 +1,22 @@
+import { describe, it, expect } from 'vitest';
+import { resolveWatchdog, isStalled, DEFAULT_STALL_INTERVALS, DEFAULT_MAX_RESTARTS } from '@/lib/watchdog';
+
+describe('Watchdog', () => {
+  it('should fill in the defaults', () => {
+    expect(resolveWatchdog({})).toEqual({ stallIntervals: DEFAULT_STALL_INTERVALS, maxRestarts: DEFAULT_MAX_RESTARTS });
+    expect(resolveWatchdog({ stallIntervals: 3, maxRestarts: 0 })).toEqual({ stallIntervals: 3, maxRestarts: 0 });
+  });
+
+  it('should reject invalid settings', () => {
+    expect(() => resolveWatchdog({ stallIntervals: 1 })).toThrow('Invalid stall intervals: 1');
+    expect(() => resolveWatchdog({ stallIntervals: Infinity })).toThrow('Invalid stall intervals');
+    expect(() => resolveWatchdog({ maxRestarts: -1 })).toThrow('Invalid max restarts: -1');
+    expect(() => resolveWatchdog({ maxRestarts: 0.5 })).toThrow('Invalid max restarts');
+  });
+
+  it('should flag a worker silent for more than the limit', () => {
+    expect(isStalled(1000, 6000, 1000, 5)).toBe(false);
+    expect(isStalled(1000, 6001, 1000, 5)).toBe(true);
+    expect(isStalled(1000, 6001, 2000, 5)).toBe(false);
+  });
+});
@@ -1,7 +1,11 @@
 import { describe, it, expect, beforeEach } from 'vitest';
 import { WorkerCoordinator } from '@/lib/coordinator';
 import { BenchmarkConfig } from '@/lib/types';
-import { createMockWorker } from './setup';
+import { createMockWorker, loadPublicScript } from './setup';
+
+const CryptoPrimitives = loadPublicScript('crypto-primitives.js');
+const RandomXModule = loadPublicScript('wasm/randomx.js', { CryptoPrimitives });
+const RandomXWebGPUModule = loadPublicScript('wasm/randomx-webgpu.js', { CryptoPrimitives, RandomXModule });
 
 describe('WebGPU Backend Tests', () => {
   let config: BenchmarkConfig;
@@ -118,4 +122,31 @@ describe('WebGPU Backend Tests', () => {
       }
     });
   });
+
+  describe('RandomX WebGPU Module', () => {
+    it('should report specification memory sizes', () => {
+      const light = new RandomXWebGPUModule('light').getMemoryInfo();
+      expect(light.scratchpadSize).toBe(2 * 1024 * 1024);
+      expect(light.cacheSize).toBe(256 * 1024 * 1024);
+      expect(light.backend).toBe('webgpu');
+
+      const fast = new RandomXWebGPUModule('fast').getMemoryInfo();
+      expect(fast.datasetSize).toBe(2181038016);
+    });
+
+    it('should reject adapters that cannot bind the cache', async () => {
+      const gpu = {
+        requestAdapter: async () => ({
+          limits: { maxStorageBufferBindingSize: 128 * 1024 * 1024, maxBufferSize: 128 * 1024 * 1024 }
+        })
+      };
+      await expect(new RandomXWebGPUModule('light').init('test key 000', null, { gpu }))
+        .rejects.toThrow('exceeds GPU limit');
+    });
+
+    it('should reject hashing before init', async () => {
+      await expect(new RandomXWebGPUModule('light').calculateHash('test'))
+        .rejects.toThrow('not initialized');
+    });
+  });
 });
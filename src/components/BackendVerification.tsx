@@ -0,0 +1,96 @@
+import { useState } from 'react';
+import { Card, CardContent, CardDescription, CardHeader, CardTitle } from '@/components/ui/card';
+import { Button } from '@/components/ui/button';
+import { Badge } from '@/components/ui/badge';
+import { Progress } from '@/components/ui/progress';
+import { ShieldCheck } from '@phosphor-icons/react';
+import { verifyBackends } from '@/lib/conformance';
+import { ConformanceReport } from '@/lib/types';
+import { toast } from 'sonner';
+
+interface BackendVerificationProps {
+  disabled: boolean;
+}
+
+export function BackendVerification({ disabled }: BackendVerificationProps) {
+  const [verifying, setVerifying] = useState(false);
+  const [progress, setProgress] = useState(0);
+  const [status, setStatus] = useState('');
+  const [report, setReport] = useState<ConformanceReport | null>(null);
+
+  const handleVerify = async () => {
+    setVerifying(true);
+    setProgress(0);
+    setReport(null);
+    try {
+      const result = await verifyBackends((value, message) => {
+        setProgress(value);
+        setStatus(message);
+      });
+      setReport(result);
+      if (result.passed) {
+        toast.success('Backends produce identical hashes');
+      } else {
+        toast.error(`${result.divergences} vector(s) diverged between backends`);
+      }
+    } catch (error) {
+      toast.error('Backend verification failed: ' + (error instanceof Error ? error.message : 'Unknown error'));
+    } finally {
+      setVerifying(false);
+    }
+  };
+
+  const shortHash = (hash: string) => `${hash.slice(0, 16)}…${hash.slice(-8)}`;
+
+  return (
+    <Card>
+      <CardHeader>
+        <CardTitle>Backend Conformance</CardTitle>
+        <CardDescription>Check that WASM and WebGPU compute identical hashes in this browser</CardDescription>
+      </CardHeader>
+      <CardContent className="space-y-4">
+        {verifying && (
+          <div className="space-y-2">
+            <Progress value={progress} />
+            <p className="text-xs text-muted-foreground">{status}</p>
+          </div>
+        )}
+
+        {report && (
+          <div className="space-y-3">
+            <div className="flex items-center justify-between text-sm">
+              <span className="text-muted-foreground">
+                Seed "{report.seedKey}" • {report.adapter === 'software' ? 'software adapter (no GPU found)' : 'GPU adapter'} • {(report.durationMs / 1000).toFixed(1)}s
+              </span>
+              <Badge variant={report.passed ? 'secondary' : 'destructive'}>
+                {report.passed ? 'All match' : `${report.divergences} diverged`}
+              </Badge>
+            </div>
+            <div className="space-y-2">
+              {report.results.map((result) => (
+                <div key={result.label} className="p-3 bg-muted/30 rounded-lg text-xs space-y-1">
+                  <div className="flex items-center justify-between">
+                    <span className="font-medium">{result.label}</span>
+                    <Badge variant={result.match ? 'outline' : 'destructive'}>
+                      {result.match ? 'match' : 'diverged'}
+                    </Badge>
+                  </div>
+                  <p className="font-mono text-muted-foreground">WASM:   {shortHash(result.wasm)}</p>
+                  <p className="font-mono text-muted-foreground">WebGPU: {shortHash(result.webgpu)}</p>
+                  {result.expected && (
+                    <p className="font-mono text-muted-foreground">Expect: {shortHash(result.expected)}</p>
+                  )}
+                </div>
+              ))}
+            </div>
+          </div>
+        )}
+
+        <Button onClick={handleVerify} disabled={disabled || verifying} variant="outline" className="w-full">
+          <ShieldCheck className="mr-2" weight="bold" />
+          {verifying ? 'Verifying…' : 'Verify Backends'}
+        </Button>
+      </CardContent>
+    </Card>
+  );
+}
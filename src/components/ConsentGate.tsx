@@ -4,10 +4,16 @@ import { WarningCircle, Info } from '@phosphor-icons/react';
 
 export function ConsentGate({ 
   consented, 
-  onConsentChange 
+  onConsentChange,
+  jobSource,
+  jobSourceConsented = false,
+  onJobSourceConsentChange
 }: { 
   consented: boolean; 
   onConsentChange: (consented: boolean) => void;
+  jobSource?: { kind: 'pool' | 'node'; url: string }; // Set while a pool or node is the job source
+  jobSourceConsented?: boolean;
+  onJobSourceConsentChange?: (consented: boolean) => void;
 }) {
   return (
     <Card className="border-accent/20">
@@ -37,7 +43,7 @@ export function ConsentGate({
               <li>This will use CPU resources and may drain battery on mobile devices</li>
               <li>Your device may become warm during extended benchmarks</li>
               <li>You can stop execution at any time</li>
-              <li>No data is collected or sent to any server</li>
+              <li>No data is collected or sent to any server, unless you set up a pool or node as the job source</li>
             </ul>
           </AlertDescription>
         </Alert>
@@ -55,6 +61,25 @@ export function ConsentGate({
             I consent to running this benchmark on my device.
           </label>
         </div>
+
+        {jobSource && onJobSourceConsentChange && (
+          <div className="flex items-start gap-3 p-4 bg-muted/50 rounded-lg">
+            <input
+              type="checkbox"
+              id="job-source-consent-checkbox"
+              checked={jobSourceConsented}
+              onChange={(e) => onJobSourceConsentChange(e.target.checked)}
+              disabled={!consented}
+              className="mt-1 h-4 w-4 rounded border-border accent-accent"
+            />
+            <label htmlFor="job-source-consent-checkbox" className="text-sm cursor-pointer select-none">
+              I consent to connecting to <span className="font-mono break-all">{jobSource.url || `the ${jobSource.kind}`}</span> and
+              {jobSource.kind === 'pool'
+                ? ' sending it my pool login and every share this device finds.'
+                : ' sending it my wallet address with every template request.'}
+            </label>
+          </div>
+        )}
       </CardContent>
     </Card>
   );
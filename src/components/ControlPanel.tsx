@@ -1,10 +1,17 @@
 import { Card, CardContent, CardDescription, CardHeader, CardTitle } from '@/components/ui/card';
 import { Button } from '@/components/ui/button';
 import { Label } from '@/components/ui/label';
+import { Input } from '@/components/ui/input';
 import { Slider } from '@/components/ui/slider';
+import { Switch } from '@/components/ui/switch';
 import { Select, SelectContent, SelectItem, SelectTrigger, SelectValue } from '@/components/ui/select';
 import { Play, Stop } from '@phosphor-icons/react';
 import { BenchmarkConfig } from '@/lib/types';
+import { DEFAULT_DAEMON_URL } from '@/lib/daemon';
+import { DEFAULT_INIT_TIMEOUT_S, DEFAULT_INIT_RETRIES } from '@/lib/init-policy';
+import { MemoryPlan } from '@/lib/memory-plan';
+import { DEFAULT_RATE_WINDOWS_S } from '@/lib/rate-window';
+import { DEFAULT_START_HEIGHT, MONERO_BLOCK_TIME_S, SEEDHASH_EPOCH_BLOCKS, SEEDHASH_EPOCH_LAG } from '@/lib/chain';
 
 interface ControlPanelProps {
   config: BenchmarkConfig;
@@ -14,8 +21,12 @@ interface ControlPanelProps {
   onStop: () => void;
   disabled: boolean;
   maxThreads: number;
+  startBlockedReason?: string; // Why the run cannot start yet, if it cannot
+  memoryPlan: MemoryPlan;       // Whether the configured workers fit the device's memory
 }
 
+const DEFAULT_POOL_URL = 'ws://localhost:3333';
+
 export function ControlPanel({
   config,
   onConfigChange,
@@ -23,8 +34,39 @@ export function ControlPanel({
   onStart,
   onStop,
   disabled,
-  maxThreads
+  maxThreads,
+  startBlockedReason,
+  memoryPlan
 }: ControlPanelProps) {
+  const statsIntervalOptions = [
+    { label: '250 ms', value: 250 },
+    { label: '500 ms', value: 500 },
+    { label: '1 second', value: 1000 },
+    { label: '2 seconds', value: 2000 },
+  ];
+
+  // 'default' keeps the workers' built-in difficulties
+  const difficultyOptions = [
+    { label: 'Default (2^32)', value: 'default' },
+    { label: '100', value: '100' },
+    { label: '1,000', value: '1000' },
+    { label: '10,000', value: '10000' },
+    { label: '100,000', value: '100000' },
+  ];
+
+  const blockDifficultyOptions = [
+    { label: 'Default (300G, mainnet-like)', value: 'default' },
+    { label: '10,000', value: '10000' },
+    { label: '1,000,000', value: '1000000' },
+    { label: '100,000,000', value: '100000000' },
+  ];
+
+  const parseDifficulty = (value: string) => value === 'default' ? undefined : parseInt(value);
+
+  // Windows the dashboard measures hashrates over, in seconds
+  const rateWindowOptions = [DEFAULT_RATE_WINDOWS_S, [5, 30, 120], [1, 5, 15]]
+    .map(windows => ({ label: windows.map(s => `${s} s`).join(' / '), value: windows.join(',') }));
+
   const durationOptions = [
     { label: '15 seconds', value: 15 },
     { label: '1 minute', value: 60 },
@@ -50,11 +92,11 @@ export function ControlPanel({
             step={1}
             value={[config.threads]}
             onValueChange={([value]) => onConfigChange({ threads: value })}
-            disabled={disabled || isRunning}
+            disabled={disabled}
             className="w-full"
           />
           <p className="text-xs text-muted-foreground">
-            Number of parallel workers (max: {Math.min(maxThreads, 8)})
+            Number of parallel workers (max: {Math.min(maxThreads, 8)}). Changing it mid-run adds or removes workers live.
           </p>
         </div>
 
@@ -78,6 +120,89 @@ export function ControlPanel({
           </p>
         </div>
 
+        <div className="grid grid-cols-2 gap-4">
+          <div className="space-y-3">
+            <Label htmlFor="stats-interval-select">Stats Interval</Label>
+            <Select
+              value={config.statsInterval.toString()}
+              onValueChange={(value) => onConfigChange({ statsInterval: parseInt(value) })}
+              disabled={disabled}
+            >
+              <SelectTrigger id="stats-interval-select">
+                <SelectValue />
+              </SelectTrigger>
+              <SelectContent>
+                {statsIntervalOptions.map((option) => (
+                  <SelectItem key={option.value} value={option.value.toString()}>
+                    {option.label}
+                  </SelectItem>
+                ))}
+              </SelectContent>
+            </Select>
+          </div>
+          <div className="space-y-3">
+            <Label htmlFor="rate-windows-select">Rate Windows</Label>
+            <Select
+              value={(config.rateWindows ?? DEFAULT_RATE_WINDOWS_S).join(',')}
+              onValueChange={(value) => onConfigChange({ rateWindows: value.split(',').map(Number) })}
+              disabled={disabled || isRunning}
+            >
+              <SelectTrigger id="rate-windows-select">
+                <SelectValue />
+              </SelectTrigger>
+              <SelectContent>
+                {rateWindowOptions.map((option) => (
+                  <SelectItem key={option.value} value={option.value}>
+                    {option.label}
+                  </SelectItem>
+                ))}
+              </SelectContent>
+            </Select>
+          </div>
+          <div className="space-y-3">
+            <Label htmlFor="difficulty-select">Share Difficulty</Label>
+            <Select
+              value={config.difficulty?.toString() ?? 'default'}
+              onValueChange={(value) => onConfigChange({ difficulty: parseDifficulty(value) })}
+              disabled={disabled}
+            >
+              <SelectTrigger id="difficulty-select">
+                <SelectValue />
+              </SelectTrigger>
+              <SelectContent>
+                {difficultyOptions.map((option) => (
+                  <SelectItem key={option.value} value={option.value}>
+                    {option.label}
+                  </SelectItem>
+                ))}
+              </SelectContent>
+            </Select>
+          </div>
+          <div className="space-y-3">
+            <Label htmlFor="block-difficulty-select">Block Difficulty</Label>
+            <Select
+              value={config.blockDifficulty?.toString() ?? 'default'}
+              onValueChange={(value) => onConfigChange({ blockDifficulty: parseDifficulty(value) })}
+              disabled={disabled}
+            >
+              <SelectTrigger id="block-difficulty-select">
+                <SelectValue />
+              </SelectTrigger>
+              <SelectContent>
+                {blockDifficultyOptions.map((option) => (
+                  <SelectItem key={option.value} value={option.value}>
+                    {option.label}
+                  </SelectItem>
+                ))}
+              </SelectContent>
+            </Select>
+          </div>
+          <p className="col-span-2 text-xs text-muted-foreground">
+            Throttle, stats interval and difficulties apply to running workers immediately.
+            Shares meeting the block difficulty (a node's template sets it) count as blocks.
+          </p>
+        </div>
+
         <div className="space-y-3">
           <Label htmlFor="backend-select">Compute Backend</Label>
           <Select
@@ -98,6 +223,252 @@ export function ControlPanel({
           </p>
         </div>
 
+        <div className="space-y-3">
+          <Label htmlFor="mode-select">RandomX Mode</Label>
+          <Select
+            value={config.mode || 'light'}
+            onValueChange={(value) => onConfigChange({ mode: value as 'light' | 'fast' })}
+            disabled={disabled || isRunning}
+          >
+            <SelectTrigger id="mode-select">
+              <SelectValue />
+            </SelectTrigger>
+            <SelectContent>
+              <SelectItem value="light">Light (256 MiB cache per worker)</SelectItem>
+              <SelectItem value="fast">Fast (+ 2080 MiB dataset)</SelectItem>
+            </SelectContent>
+          </Select>
+          <p className={`text-xs ${memoryPlan.status === 'clamped' || memoryPlan.status === 'blocked' ? 'text-destructive' : 'text-muted-foreground'}`}>
+            {memoryPlan.reason}.
+            {memoryPlan.sharedDataset && ' Workers share one dataset.'}
+            {memoryPlan.status === 'clamped' && ` The run starts with ${memoryPlan.maxThreads} worker(s).`}
+          </p>
+        </div>
+
+        <div className="space-y-3">
+          <div className="flex items-center justify-between">
+            <Label htmlFor="batch-hashing-switch">Batch Hashing</Label>
+            <Switch
+              id="batch-hashing-switch"
+              checked={config.batchHashing !== false}
+              onCheckedChange={(checked) => onConfigChange({ batchHashing: checked })}
+              disabled={disabled || isRunning}
+            />
+          </div>
+          <p className="text-xs text-muted-foreground">
+            Hash many nonces per synchronous call (WASM backend). Turn off to await every hash and measure event-loop overhead.
+          </p>
+        </div>
+
+        <div className="space-y-3">
+          <div className="flex items-center justify-between">
+            <Label htmlFor="fallback-switch">Worker Startup Fallback</Label>
+            <Switch
+              id="fallback-switch"
+              checked={config.fallback !== false}
+              onCheckedChange={(checked) => onConfigChange({ fallback: checked })}
+              disabled={disabled || isRunning}
+            />
+          </div>
+          <div className="grid grid-cols-2 gap-2">
+            <Input
+              id="init-timeout-input"
+              aria-label="Init timeout in seconds"
+              placeholder={`Timeout (${DEFAULT_INIT_TIMEOUT_S.light} s / ${DEFAULT_INIT_TIMEOUT_S.fast} s fast)`}
+              inputMode="decimal"
+              value={config.initTimeout ?? ''}
+              onChange={(e) => {
+                const value = Number(e.target.value.trim());
+                onConfigChange({ initTimeout: e.target.value.trim() !== '' && value > 0 ? value : undefined });
+              }}
+              disabled={disabled || isRunning}
+              className="font-mono"
+            />
+            <Input
+              id="init-retries-input"
+              aria-label="Init retries"
+              placeholder={`Retries (${DEFAULT_INIT_RETRIES})`}
+              inputMode="numeric"
+              value={config.initRetries ?? ''}
+              onChange={(e) => {
+                const value = e.target.value.trim();
+                onConfigChange({ initRetries: /^\d+$/.test(value) ? Number(value) : undefined });
+              }}
+              disabled={disabled || isRunning}
+              className="font-mono"
+            />
+          </div>
+          <p className="text-xs text-muted-foreground">
+            A worker that reports an error or is not ready within the timeout is restarted up to the retry count.
+            If it still fails, it falls back from WebGPU to WASM, then from fast to light mode.
+          </p>
+        </div>
+
+        <div className="space-y-3">
+          <div className="flex items-center justify-between">
+            <Label htmlFor="pool-switch">Pool Job Source</Label>
+            <Switch
+              id="pool-switch"
+              checked={config.pool !== undefined}
+              onCheckedChange={(checked) => onConfigChange(checked
+                ? { pool: { url: DEFAULT_POOL_URL, login: '' }, daemon: undefined }
+                : { pool: undefined })}
+              disabled={disabled || isRunning}
+            />
+          </div>
+          {config.pool && (
+            <div className="grid grid-cols-1 sm:grid-cols-3 gap-2">
+              <Input
+                id="pool-url-input"
+                aria-label="Pool URL"
+                placeholder={DEFAULT_POOL_URL}
+                value={config.pool.url}
+                onChange={(e) => onConfigChange({ pool: { ...config.pool!, url: e.target.value.trim() } })}
+                disabled={disabled || isRunning}
+                className="font-mono sm:col-span-3"
+              />
+              <Input
+                id="pool-login-input"
+                aria-label="Pool login"
+                placeholder="Wallet or worker name"
+                value={config.pool.login}
+                onChange={(e) => onConfigChange({ pool: { ...config.pool!, login: e.target.value } })}
+                disabled={disabled || isRunning}
+                className="font-mono sm:col-span-2"
+              />
+              <Input
+                id="pool-pass-input"
+                aria-label="Pool password"
+                placeholder="Password (x)"
+                value={config.pool.pass ?? ''}
+                onChange={(e) => onConfigChange({ pool: { ...config.pool!, pass: e.target.value || undefined } })}
+                disabled={disabled || isRunning}
+                className="font-mono"
+              />
+            </div>
+          )}
+          <p className="text-xs text-muted-foreground">
+            Mine jobs from a Stratum-style pool over WebSocket instead of the simulated template; verified shares are submitted to it.
+            Run <code className="font-mono">npm run pool</code> for a local stand-in pool.
+          </p>
+        </div>
+
+        <div className="space-y-3">
+          <div className="flex items-center justify-between">
+            <Label htmlFor="daemon-switch">Node Template Source</Label>
+            <Switch
+              id="daemon-switch"
+              checked={config.daemon !== undefined}
+              onCheckedChange={(checked) => onConfigChange(checked
+                ? { daemon: { url: DEFAULT_DAEMON_URL, walletAddress: '' }, pool: undefined }
+                : { daemon: undefined })}
+              disabled={disabled || isRunning}
+            />
+          </div>
+          {config.daemon && (
+            <div className="grid grid-cols-1 gap-2">
+              <Input
+                id="daemon-url-input"
+                aria-label="Node JSON-RPC URL"
+                placeholder={DEFAULT_DAEMON_URL}
+                value={config.daemon.url}
+                onChange={(e) => onConfigChange({ daemon: { ...config.daemon!, url: e.target.value.trim() } })}
+                disabled={disabled || isRunning}
+                className="font-mono"
+              />
+              <Input
+                id="daemon-wallet-input"
+                aria-label="Wallet address"
+                placeholder="Wallet address the block reward goes to"
+                value={config.daemon.walletAddress}
+                onChange={(e) => onConfigChange({ daemon: { ...config.daemon!, walletAddress: e.target.value.trim() } })}
+                disabled={disabled || isRunning}
+                className="font-mono"
+              />
+            </div>
+          )}
+          <p className="text-xs text-muted-foreground">
+            Mine block templates from a monerod-compatible node's <code className="font-mono">get_block_template</code>, with its seed hash and network difficulty.
+            Run <code className="font-mono">npm run daemon</code> for a local mock node serving recorded templates.
+          </p>
+        </div>
+
+        <div className="space-y-3">
+          <Label>Reproducibility</Label>
+          <div className="grid grid-cols-1 sm:grid-cols-3 gap-2">
+            <Input
+              id="seed-key-input"
+              aria-label="Seed key"
+              placeholder="Seed key (random)"
+              value={config.seedKey ?? ''}
+              onChange={(e) => onConfigChange({ seedKey: e.target.value || undefined })}
+              disabled={disabled || isRunning}
+              className="font-mono"
+            />
+            <Input
+              id="template-seed-input"
+              aria-label="Template seed"
+              placeholder="Template seed (random)"
+              value={config.templateSeed ?? ''}
+              onChange={(e) => onConfigChange({ templateSeed: e.target.value || undefined })}
+              disabled={disabled || isRunning}
+              className="font-mono"
+            />
+            <Input
+              id="rng-seed-input"
+              aria-label="RNG seed"
+              placeholder="RNG seed (random)"
+              inputMode="numeric"
+              value={config.rngSeed ?? ''}
+              onChange={(e) => {
+                const value = e.target.value.trim();
+                onConfigChange({ rngSeed: /^\d+$/.test(value) ? Number(value) >>> 0 : undefined });
+              }}
+              disabled={disabled || isRunning}
+              className="font-mono"
+            />
+          </div>
+          <p className="text-xs text-muted-foreground">
+            All workers share these seeds (a pool's job or a node's template sets the seed key). Leave blank for random values; the report records the ones used so a run can be replayed.
+          </p>
+        </div>
+
+        <div className="space-y-3">
+          <Label>Simulated Chain</Label>
+          <div className="grid grid-cols-2 gap-2">
+            <Input
+              id="start-height-input"
+              aria-label="Start height"
+              placeholder={`Start height (${DEFAULT_START_HEIGHT})`}
+              inputMode="numeric"
+              value={config.startHeight ?? ''}
+              onChange={(e) => {
+                const value = e.target.value.trim();
+                onConfigChange({ startHeight: /^\d+$/.test(value) ? Number(value) : undefined });
+              }}
+              disabled={disabled || isRunning || !!config.pool || !!config.daemon}
+              className="font-mono"
+            />
+            <Input
+              id="block-time-input"
+              aria-label="Block time in seconds"
+              placeholder={`Block time (${MONERO_BLOCK_TIME_S} s)`}
+              inputMode="decimal"
+              value={config.blockTime ?? ''}
+              onChange={(e) => {
+                const value = Number(e.target.value.trim());
+                onConfigChange({ blockTime: e.target.value.trim() !== '' && value > 0 ? value : undefined });
+              }}
+              disabled={disabled || isRunning || !!config.pool || !!config.daemon}
+              className="font-mono"
+            />
+          </div>
+          <p className="text-xs text-muted-foreground">
+            Like Monero, the RandomX key changes every {SEEDHASH_EPOCH_BLOCKS} blocks, {SEEDHASH_EPOCH_LAG} blocks after its key block, and all workers switch together.
+            At {MONERO_BLOCK_TIME_S} s per block that is about every three days; shorten the block time or start just below a switch height to watch one.
+          </p>
+        </div>
+
         <div className="space-y-3">
           <Label htmlFor="duration-select">Duration</Label>
           <Select
@@ -122,7 +493,7 @@ export function ControlPanel({
           {!isRunning ? (
             <Button
               onClick={onStart}
-              disabled={disabled}
+              disabled={disabled || startBlockedReason !== undefined}
               className="flex-1"
               size="lg"
             >
@@ -141,6 +512,9 @@ export function ControlPanel({
             </Button>
           )}
         </div>
+        {!isRunning && !disabled && startBlockedReason && (
+          <p className="text-xs text-muted-foreground text-center">{startBlockedReason}</p>
+        )}
       </CardContent>
     </Card>
   );
@@ -104,7 +104,7 @@ export function EducationalPanel() {
                 <td className="text-red-600">✗ Forces serialization</td>
               </tr>
               <tr className="border-b">
-                <td className="py-2">256MB scratchpad</td>
+                <td className="py-2">2 MiB scratchpad + 256 MiB cache</td>
                 <td className="text-green-600">✓ Fits in cache hierarchy</td>
                 <td className="text-red-600">✗ Bandwidth constrained</td>
               </tr>
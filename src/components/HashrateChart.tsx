@@ -0,0 +1,181 @@
+import { useEffect, useMemo, useState } from 'react';
+import { Brush, CartesianGrid, Line, LineChart, ReferenceLine, XAxis, YAxis } from 'recharts';
+import { ChartConfig, ChartContainer, ChartTooltip, ChartTooltipContent } from '@/components/ui/chart';
+import { Button } from '@/components/ui/button';
+import { Label } from '@/components/ui/label';
+import { Switch } from '@/components/ui/switch';
+import { Select, SelectContent, SelectItem, SelectTrigger, SelectValue } from '@/components/ui/select';
+import {
+  buildChartRows,
+  chartMarkers,
+  zoomIndexes,
+  ChartMarker,
+  ChartZoom,
+  Smoothing,
+  SMOOTHING_WINDOW
+} from '@/lib/hashrate-chart';
+import { TimeSeriesPoint } from '@/lib/types';
+
+const WORKER_COLORS = ['var(--chart-2)', 'var(--chart-3)', 'var(--chart-4)', 'var(--chart-5)'];
+
+const MARKER_COLORS: Record<ChartMarker['kind'], string> = {
+  cacheReinit: 'var(--chart-4)',
+  solution: 'var(--chart-2)',
+  config: 'var(--muted-foreground)'
+};
+
+const MARKER_LABELS: Record<ChartMarker['kind'], string> = {
+  cacheReinit: 'Cache reinit',
+  solution: 'Solution',
+  config: 'Config change'
+};
+
+interface HashrateChartProps {
+  points: TimeSeriesPoint[];
+  id: string; // Tells the controls of several charts on a page apart
+}
+
+/**
+ * Aggregate and per-worker hashrate over the run, with markers for cache
+ * reinitializations, solutions and applied config changes
+ *
+ * The brush below the plot zooms into a range of samples; while zoomed, new
+ * samples of a live run do not move the range. The zoom is kept by sample
+ * time and resets once its start drops out of the coordinator's buffer.
+ */
+export function HashrateChart({ points, id }: HashrateChartProps) {
+  const [smoothing, setSmoothing] = useState<Smoothing>('none');
+  const [showWorkers, setShowWorkers] = useState(false);
+  const [zoom, setZoom] = useState<ChartZoom | null>(null);
+
+  const { rows, workerIds } = useMemo(() => buildChartRows(points, smoothing), [points, smoothing]);
+  const markers = useMemo(() => chartMarkers(points), [points]);
+  const zoomed = zoom ? zoomIndexes(rows, zoom) : null;
+
+  // Drop a zoom whose range has left the rows, so it cannot match a later run
+  const staleZoom = zoom !== null && zoomed === null;
+  useEffect(() => {
+    if (staleZoom) {
+      setZoom(null);
+    }
+  }, [staleZoom]);
+
+  const chartConfig: ChartConfig = {
+    total: { label: 'All workers', color: 'var(--chart-1)' },
+    ...Object.fromEntries(workerIds.map((workerId, i) => [
+      `w${workerId}`,
+      { label: `Worker #${workerId}`, color: WORKER_COLORS[i % WORKER_COLORS.length] }
+    ]))
+  };
+
+  if (rows.length < 2) {
+    return <p className="text-xs text-muted-foreground">The chart starts once workers report their hashrate.</p>;
+  }
+
+  const lastIndex = rows.length - 1;
+  const range = zoomed || { startIndex: 0, endIndex: lastIndex };
+
+  return (
+    <div className="space-y-3">
+      <div className="flex flex-wrap items-center gap-4">
+        <div className="flex items-center gap-2">
+          <Label htmlFor={`${id}-smoothing`} className="text-xs">Smoothing</Label>
+          <Select value={smoothing} onValueChange={(value) => setSmoothing(value as Smoothing)}>
+            <SelectTrigger id={`${id}-smoothing`} size="sm">
+              <SelectValue />
+            </SelectTrigger>
+            <SelectContent>
+              <SelectItem value="none">None</SelectItem>
+              <SelectItem value="sma">Moving average ({SMOOTHING_WINDOW} samples)</SelectItem>
+              <SelectItem value="ema">Exponential</SelectItem>
+            </SelectContent>
+          </Select>
+        </div>
+        <div className="flex items-center gap-2">
+          <Switch id={`${id}-workers`} checked={showWorkers} onCheckedChange={setShowWorkers} />
+          <Label htmlFor={`${id}-workers`} className="text-xs">Per worker</Label>
+        </div>
+        {zoomed && (
+          <Button variant="ghost" size="sm" onClick={() => setZoom(null)}>
+            Reset zoom
+          </Button>
+        )}
+      </div>
+
+      <ChartContainer config={chartConfig} className="aspect-auto h-64 w-full">
+        <LineChart data={rows} margin={{ left: 8, right: 8 }}>
+          <CartesianGrid vertical={false} />
+          <XAxis
+            dataKey="time"
+            type="number"
+            domain={['dataMin', 'dataMax']}
+            tickFormatter={(time: number) => `${time.toFixed(0)}s`}
+          />
+          <YAxis width={48} tickFormatter={(hashrate: number) => hashrate.toFixed(0)} />
+          <ChartTooltip
+            content={
+              <ChartTooltipContent
+                labelFormatter={(_, payload) => `${Number(payload[0]?.payload.time ?? 0).toFixed(1)}s`}
+              />
+            }
+          />
+          {markers.map((marker, i) => (
+            <ReferenceLine
+              key={`${marker.kind}-${i}`}
+              x={marker.time}
+              stroke={MARKER_COLORS[marker.kind]}
+              strokeDasharray="3 3"
+              label={marker.kind === 'config' ? { value: marker.label, position: 'insideTopRight', fontSize: 10 } : undefined}
+            />
+          ))}
+          <Line
+            dataKey="total"
+            type="monotone"
+            stroke="var(--color-total)"
+            strokeWidth={2}
+            dot={false}
+            isAnimationActive={false}
+          />
+          {showWorkers && workerIds.map(workerId => (
+            <Line
+              key={workerId}
+              dataKey={`w${workerId}`}
+              type="monotone"
+              stroke={`var(--color-w${workerId})`}
+              strokeWidth={1}
+              dot={false}
+              connectNulls={false}
+              isAnimationActive={false}
+            />
+          ))}
+          <Brush
+            dataKey="time"
+            height={20}
+            startIndex={range.startIndex}
+            endIndex={range.endIndex}
+            tickFormatter={(time: number) => `${time.toFixed(0)}s`}
+            onChange={({ startIndex, endIndex }) => {
+              if (startIndex === undefined || endIndex === undefined) return;
+              setZoom(startIndex === 0 && endIndex === lastIndex
+                ? null
+                : { start: rows[startIndex].time, end: rows[endIndex].time });
+            }}
+          />
+        </LineChart>
+      </ChartContainer>
+
+      {markers.length > 0 && (
+        <div className="flex flex-wrap gap-4 text-xs text-muted-foreground">
+          {(Object.keys(MARKER_LABELS) as ChartMarker['kind'][])
+            .filter(kind => markers.some(m => m.kind === kind))
+            .map(kind => (
+              <span key={kind} className="flex items-center gap-1">
+                <span className="inline-block h-3 w-0 border-l-2 border-dashed" style={{ borderColor: MARKER_COLORS[kind] }} />
+                {MARKER_LABELS[kind]} ({markers.filter(m => m.kind === kind).length})
+              </span>
+            ))}
+        </div>
+      )}
+    </div>
+  );
+}
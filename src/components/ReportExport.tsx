@@ -1,15 +1,20 @@
 import { Card, CardContent, CardDescription, CardHeader, CardTitle } from '@/components/ui/card';
 import { Button } from '@/components/ui/button';
-import { DownloadSimple } from '@phosphor-icons/react';
+import { DownloadSimple, ArrowCounterClockwise } from '@phosphor-icons/react';
+import { SolutionList } from '@/components/SolutionList';
+import { HashrateChart } from '@/components/HashrateChart';
 import { BenchmarkReport } from '@/lib/types';
+import { DEFAULT_SHARE_DIFFICULTY, DEFAULT_BLOCK_DIFFICULTY } from '@/lib/difficulty';
+import { describeSetup } from '@/lib/init-policy';
 
 interface ReportExportProps {
   report: BenchmarkReport | null;
   onExport: () => void;
+  onReuseSeeds?: () => void;
   disabled: boolean;
 }
 
-export function ReportExport({ report, onExport, disabled }: ReportExportProps) {
+export function ReportExport({ report, onExport, onReuseSeeds, disabled }: ReportExportProps) {
   if (!report) return null;
 
   const formatHashrate = (hashrate: number): string => {
@@ -44,20 +49,204 @@ export function ReportExport({ report, onExport, disabled }: ReportExportProps)
           </div>
         </div>
 
+        {report.stats.hashrateStats && (
+          <div className="space-y-2">
+            <h4 className="text-sm font-medium">Steady-State Hashrate</h4>
+            <div className="grid grid-cols-2 sm:grid-cols-4 gap-2 text-sm font-mono">
+              <p>median {formatHashrate(report.stats.hashrateStats.median)}</p>
+              <p>p5 {formatHashrate(report.stats.hashrateStats.p5)}</p>
+              <p>p95 {formatHashrate(report.stats.hashrateStats.p95)}</p>
+              <p>CV {(report.stats.hashrateStats.cv * 100).toFixed(1)}%</p>
+            </div>
+            <p className="text-sm text-muted-foreground">
+              Mean {formatHashrate(report.stats.hashrateStats.mean)}
+              {` (95% CI ${formatHashrate(report.stats.hashrateStats.ci95.low)} - ${formatHashrate(report.stats.hashrateStats.ci95.high)})`}
+              {`, σ ${formatHashrate(report.stats.hashrateStats.stddev)}`}
+              {report.stats.hashrateStats.warmupSamples > 0 &&
+                `; first ${(report.stats.hashrateStats.warmupMs / 1000).toFixed(1)}s excluded as warm-up`}
+            </p>
+            {!report.stats.hashrateStats.steady && (
+              <p className="text-xs text-muted-foreground">
+                Too short to tell the warm-up from the steady state; only samples before the first report were excluded.
+              </p>
+            )}
+          </div>
+        )}
+
+        {report.timeSeriesData.length > 1 && (
+          <div className="space-y-2">
+            <h4 className="text-sm font-medium">Hashrate</h4>
+            <HashrateChart points={report.timeSeriesData} id="report-hashrate" />
+          </div>
+        )}
+
         <div className="space-y-2">
           <h4 className="text-sm font-medium">Configuration</h4>
           <div className="text-sm text-muted-foreground space-y-1">
             <p>Workers: {report.config.threads}</p>
             <p>Throttle: {report.config.throttle}%</p>
+            <p>Hashing: {report.config.batchHashing === false ? 'async (per-hash await)' : 'batch (synchronous)'}</p>
+            <p>
+              Difficulty: share {(report.config.difficulty ?? DEFAULT_SHARE_DIFFICULTY).toLocaleString()},
+              block {(report.config.blockDifficulty ?? DEFAULT_BLOCK_DIFFICULTY).toLocaleString()}
+              {report.config.pool && ' (pool jobs set their own share difficulty)'}
+              {report.config.daemon && ' (node templates set their own block difficulty)'}
+            </p>
+            {report.config.pool && (
+              <p className="break-all">
+                Pool: {report.config.pool.url} as {report.config.pool.login}
+                {report.stats.pool && `, ${report.stats.pool.jobs} job(s)`}
+                {`; shares ${report.stats.acceptedShares || 0} accepted, ${report.stats.rejectedShares || 0} rejected, ${report.stats.staleShares || 0} stale`}
+              </p>
+            )}
+            {report.config.daemon && (
+              <p className="break-all">
+                Node: {report.config.daemon.url}
+                {report.stats.daemon && `, ${report.stats.daemon.templates} template(s) up to height ${report.stats.daemon.height ?? '-'}`}
+              </p>
+            )}
+            {report.stats.chain && (
+              <p>
+                Chain: height {report.config.startHeight} to {report.stats.chain.height}, {report.stats.chain.blockTime}s per block;
+                {report.stats.chain.switches.length > 0
+                  ? ` key switched at height ${report.stats.chain.switches.map(s => s.height).join(', ')}`
+                  : ` no key switch (next at height ${report.stats.chain.nextSwitchHeight})`}
+              </p>
+            )}
+            {report.stats.switchovers && report.stats.switchovers.count > 0 && (
+              <p>
+                Key switchovers: {report.stats.switchovers.count} across workers,
+                longest {(report.stats.switchovers.maxMs / 1000).toFixed(1)}s,
+                {` ${report.stats.switchovers.lostHashes.toLocaleString()} hashes lost`}
+                {report.switchovers && report.switchovers.length > 0 && (
+                  ` (${report.switchovers.map(s => `#${s.workerId} ${(s.durationMs / 1000).toFixed(1)}s/${s.lostHashes}`).join(', ')})`
+                )}
+              </p>
+            )}
+            {report.sharedMemory && (
+              <p>
+                Shared dataset: {report.sharedMemory.used
+                  ? `yes (${report.sharedMemory.datasetMB} MB, shared by all workers)`
+                  : `no${report.sharedMemory.reason ? ` (${report.sharedMemory.reason})` : ''}`}
+              </p>
+            )}
+            {report.workerData.some(w => w.fallbacks?.length) && (
+              <p className="break-all">
+                Fallbacks: {report.workerData.flatMap(w => (w.fallbacks || []).map(f =>
+                  `#${w.workerId} ${describeSetup(f.from)} → ${describeSetup(f.to)} (${f.reason})`)).join(', ')}
+                {` (${report.config.initRetries ?? '-'} retries per setup)`}
+              </p>
+            )}
+            {report.workerData.some(w => w.stalls?.length) && (
+              <p className="break-all">
+                Stalls: {report.workerData.flatMap(w => (w.stalls || []).map(s =>
+                  `#${w.workerId} at ${(s.detectedAt / 1000).toFixed(1)}s ${s.restarted ? 'restarted' : `not restarted (${s.error})`}`)).join(', ')}
+                {` (after ${report.config.stallIntervals ?? '-'} silent stats intervals, up to ${report.config.maxRestarts ?? '-'} restarts per worker)`}
+              </p>
+            )}
+            {report.shutdown && (
+              <p>
+                Shutdown: {report.shutdown.workers.filter(w => w.acknowledged).length}/{report.shutdown.workers.length} workers
+                {` freed their memory in ${(report.shutdown.durationMs / 1000).toFixed(1)}s`}
+                {report.shutdown.workers.some(w => !w.acknowledged) &&
+                  ` (terminated after ${report.shutdown.timeoutMs}ms: #${report.shutdown.workers.filter(w => !w.acknowledged).map(w => w.workerId).join(', #')})`}
+              </p>
+            )}
+            {report.teardownError && (
+              <p className="break-all">Teardown failed: {report.teardownError}</p>
+            )}
+            {report.memoryCheck && (
+              <p>
+                Memory after run {report.memoryCheck.run}: {(report.memoryCheck.bytes / (1024 * 1024)).toFixed(1)} MB
+                {report.memoryCheck.growthBytes !== undefined &&
+                  ` (${report.memoryCheck.growthBytes >= 0 ? '+' : ''}${(report.memoryCheck.growthBytes / (1024 * 1024)).toFixed(1)} MB since the last run)`}
+                {report.memoryCheck.leakSuspected && ', growing run over run - possible leak'}
+              </p>
+            )}
+            {report.stats.eventLoopOverheadPct !== undefined && (
+              <p>Loop overhead: {report.stats.eventLoopOverheadPct.toFixed(1)}%</p>
+            )}
+            {report.stats.duplicateHashes !== undefined && (
+              <p>
+                Duplicated work: {report.stats.duplicateHashes.toLocaleString()} hashes
+                {report.stats.totalHashes > 0 && ` (${(report.stats.duplicateHashes / report.stats.totalHashes * 100).toFixed(2)}%)`}
+                {report.stats.nonceExhaustions ? `, ${report.stats.nonceExhaustions} nonce slice(s) exhausted` : ''}
+              </p>
+            )}
+            {report.configChanges && report.configChanges.length > 0 && (
+              <p>
+                Live changes: {report.configChanges.map(c =>
+                  `v${c.version} ${Object.entries(c.changes).map(([k, v]) => `${k}=${v ?? 'default'}`).join(', ')}` +
+                  (c.appliedAt !== undefined ? ` @ ${(c.appliedAt / 1000).toFixed(1)}s` : ' (not acknowledged)')
+                ).join('; ')}
+              </p>
+            )}
+            {report.config.seedKey && (
+              <>
+                <p className="font-mono break-all">Seed key: {report.config.seedKey}</p>
+                <p className="font-mono break-all">Template seed: {report.config.templateSeed}</p>
+                <p className="font-mono">RNG seed: {report.config.rngSeed}</p>
+              </>
+            )}
             <p>Browser: {report.deviceInfo.userAgent.split(' ').slice(-2).join(' ')}</p>
             <p>CPU Cores: {report.deviceInfo.hardwareConcurrency}</p>
           </div>
         </div>
 
+        {report.scalingCurve && report.scalingCurve.length > 1 && (
+          <div className="space-y-2">
+            <h4 className="text-sm font-medium">Thread Scaling</h4>
+            <table className="w-full text-sm">
+              <thead>
+                <tr className="border-b text-muted-foreground">
+                  <th className="text-left py-1 font-normal">Threads</th>
+                  <th className="text-right py-1 font-normal">Hashrate</th>
+                  <th className="text-right py-1 font-normal">Per thread</th>
+                  <th className="text-right py-1 font-normal">Efficiency</th>
+                  <th className="text-right py-1 font-normal">Measured</th>
+                </tr>
+              </thead>
+              <tbody className="font-mono">
+                {report.scalingCurve.map((point) => (
+                  <tr key={point.threads} className="border-b border-border/50">
+                    <td className="py-1">{point.threads}</td>
+                    <td className="text-right">{formatHashrate(point.hashrate)}</td>
+                    <td className="text-right">{formatHashrate(point.hashratePerThread)}</td>
+                    <td className="text-right">
+                      {report.scalingCurve![0].hashratePerThread > 0
+                        ? `${(point.hashratePerThread / report.scalingCurve![0].hashratePerThread * 100).toFixed(0)}%`
+                        : '—'}
+                    </td>
+                    <td className="text-right">{(point.durationMs / 1000).toFixed(0)}s</td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+            <p className="text-xs text-muted-foreground">
+              Efficiency is per-thread hashrate relative to the smallest thread count measured.
+            </p>
+          </div>
+        )}
+
+        {report.solutions && report.solutions.length > 0 && (
+          <div className="space-y-2">
+            <h4 className="text-sm font-medium">
+              Solutions ({report.stats.acceptedSolutions || 0} accepted, {report.stats.rejectedSolutions || 0} rejected, {report.stats.acceptedBlocks || 0} blocks)
+            </h4>
+            <SolutionList solutions={report.solutions} limit={20} />
+          </div>
+        )}
+
         <Button onClick={onExport} disabled={disabled} className="w-full">
           <DownloadSimple className="mr-2" weight="bold" />
           Export JSON Report
         </Button>
+        {onReuseSeeds && report.config.seedKey && (
+          <Button onClick={onReuseSeeds} disabled={disabled} variant="outline" className="w-full">
+            <ArrowCounterClockwise className="mr-2" weight="bold" />
+            Reuse Seeds for Next Run
+          </Button>
+        )}
       </CardContent>
     </Card>
   );
@@ -0,0 +1,62 @@
+import { Badge } from '@/components/ui/badge';
+import { SolutionRecord } from '@/lib/types';
+
+interface SolutionListProps {
+  solutions: SolutionRecord[];
+  limit?: number;
+}
+
+const statusVariant = {
+  pending: 'outline',
+  accepted: 'secondary',
+  rejected: 'destructive'
+} as const;
+
+const shareVariant = {
+  accepted: 'secondary',
+  rejected: 'destructive',
+  stale: 'outline'
+} as const;
+
+/**
+ * Newest solutions first, with the verifier's verdict on each
+ */
+export function SolutionList({ solutions, limit = 10 }: SolutionListProps) {
+  const shown = solutions.slice(-limit).reverse();
+  const shortHash = (hash: string) => `${hash.slice(0, 12)}…${hash.slice(-6)}`;
+
+  return (
+    <div className="space-y-2">
+      {shown.map((solution) => (
+        <div
+          key={`${solution.workerId}-${solution.extraNonce}-${solution.nonce}-${solution.foundAt}`}
+          className="flex items-center justify-between gap-2 p-2 bg-muted/20 rounded border border-border/50 text-xs"
+        >
+          <div className="font-mono text-muted-foreground space-y-0.5 min-w-0">
+            <p className="truncate">
+              #{solution.workerId} • nonce {solution.nonce}
+              {solution.extraNonce > 0 && ` • extra ${solution.extraNonce}`}
+              {solution.height !== undefined && ` • height ${solution.height}`}
+              {' • '}{new Date(solution.foundAt).toLocaleTimeString()}
+            </p>
+            <p className="truncate">{shortHash(solution.hash)}</p>
+            {solution.reason && <p className="truncate text-destructive">{solution.reason}</p>}
+            {solution.share?.reason && <p className="truncate text-destructive">Pool: {solution.share.reason}</p>}
+          </div>
+          <div className="flex gap-1 shrink-0">
+            {solution.block && <Badge>block</Badge>}
+            <Badge variant={statusVariant[solution.status]}>{solution.status}</Badge>
+            {solution.share && (
+              <Badge variant={shareVariant[solution.share.status]}>pool {solution.share.status}</Badge>
+            )}
+          </div>
+        </div>
+      ))}
+      {solutions.length > shown.length && (
+        <p className="text-xs text-muted-foreground">
+          {solutions.length - shown.length} earlier solution(s) not shown
+        </p>
+      )}
+    </div>
+  );
+}
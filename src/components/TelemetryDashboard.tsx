@@ -1,7 +1,16 @@
 import { Card, CardContent, CardDescription, CardHeader, CardTitle } from '@/components/ui/card';
 import { Badge } from '@/components/ui/badge';
-import { AggregatedStats, WorkerInfo } from '@/lib/types';
-import { Cpu, ChartLine, Clock, CheckCircle, ArrowsClockwise } from '@phosphor-icons/react';
+import { SolutionList } from '@/components/SolutionList';
+import { HashrateChart } from '@/components/HashrateChart';
+import { AggregatedStats, SolutionRecord, TimeSeriesPoint, WorkerInfo } from '@/lib/types';
+import { Cpu, ChartLine, Clock, CheckCircle, ArrowsClockwise, Timer, Hourglass, CloudArrowUp } from '@phosphor-icons/react';
+import {
+  DEFAULT_SHARE_DIFFICULTY,
+  DEFAULT_BLOCK_DIFFICULTY,
+  expectedSecondsToSolution,
+  formatDuration
+} from '@/lib/difficulty';
+import { describeSetup } from '@/lib/init-policy';
 
 interface MetricCardProps {
   label: string;
@@ -32,10 +41,22 @@ function MetricCard({ label, value, unit, icon, subtext }: MetricCardProps) {
 interface TelemetryDashboardProps {
   stats: AggregatedStats;
   workers: WorkerInfo[];
+  solutions?: SolutionRecord[];
+  timeSeries?: TimeSeriesPoint[];
+  difficulty?: number;
+  blockDifficulty?: number;
   isRunning: boolean;
 }
 
-export function TelemetryDashboard({ stats, workers, isRunning }: TelemetryDashboardProps) {
+export function TelemetryDashboard({
+  stats,
+  workers,
+  solutions = [],
+  timeSeries = [],
+  difficulty = DEFAULT_SHARE_DIFFICULTY,
+  blockDifficulty = DEFAULT_BLOCK_DIFFICULTY,
+  isRunning
+}: TelemetryDashboardProps) {
   const formatHashrate = (hashrate: number): string => {
     if (hashrate === 0) return '0';
     if (hashrate >= 1000000) return (hashrate / 1000000).toFixed(2) + 'M';
@@ -49,11 +70,18 @@ export function TelemetryDashboard({ stats, workers, isRunning }: TelemetryDashb
     return `${mins}:${secs.toString().padStart(2, '0')}`;
   };
 
+  // Live hashrate while running, the session average afterwards
+  const estimateHashrate = isRunning ? stats.currentHashrate : stats.avgHashrate;
+  // Pool jobs set their own share difficulty, node templates the block difficulty
+  const shareDifficulty = stats.pool?.difficulty ?? difficulty;
+  const networkDifficulty = stats.daemon?.difficulty ?? blockDifficulty;
+
   const getWorkerStateColor = (state: string): string => {
     switch (state) {
       case 'running': return 'bg-accent text-accent-foreground';
       case 'idle': return 'bg-muted text-muted-foreground';
       case 'error': return 'bg-destructive text-destructive-foreground';
+      case 'stalled': return 'bg-destructive/30 text-foreground';
       case 'initializing': return 'bg-secondary text-secondary-foreground';
       default: return 'bg-muted text-muted-foreground';
     }
@@ -75,7 +103,9 @@ export function TelemetryDashboard({ stats, workers, isRunning }: TelemetryDashb
             value={formatHashrate(stats.currentHashrate)}
             unit="H/s"
             icon={<ChartLine />}
-            subtext={isRunning ? 'Live measurement' : 'Stopped'}
+            subtext={isRunning
+              ? `Last ${stats.windowedHashrates?.[0].windowS ?? 1} s of reported hashes`
+              : 'Stopped'}
           />
           <MetricCard
             label="Total Hashes"
@@ -93,35 +123,112 @@ export function TelemetryDashboard({ stats, workers, isRunning }: TelemetryDashb
             value={formatHashrate(stats.peakHashrate)}
             unit="H/s"
             icon={<ChartLine />}
-            subtext="Maximum observed"
+            subtext="Highest 2.5 s average"
           />
           <MetricCard
             label="Avg Hashrate"
             value={formatHashrate(stats.avgHashrate)}
             unit="H/s"
             icon={<ChartLine />}
-            subtext="Session average"
+            subtext={stats.hashrateStats && stats.hashrateStats.warmupSamples > 0
+              ? `Steady state, first ${(stats.hashrateStats.warmupMs / 1000).toFixed(1)}s excluded`
+              : 'Session average'}
           />
           <MetricCard
             label="Active Workers"
             value={`${stats.runningWorkers} / ${workers.length}`}
             icon={<Cpu />}
-            subtext={stats.erroredWorkers > 0 ? `${stats.erroredWorkers} errors` : 'All operational'}
+            subtext={[
+              stats.erroredWorkers > 0 && `${stats.erroredWorkers} errors`,
+              stats.workerRestarts ? `${stats.workerRestarts} restarts` : false
+            ].filter(Boolean).join(', ') || 'All operational'}
           />
           <MetricCard
             label="Solutions Found"
             value={(stats.totalSolutions || 0).toLocaleString()}
             icon={<CheckCircle />}
-            subtext="Difficulty targets met"
+            subtext={solutions.length > 0
+              ? `${stats.acceptedSolutions || 0} accepted, ${stats.rejectedSolutions || 0} rejected, ${stats.acceptedBlocks || 0} blocks`
+              : 'Difficulty targets met'}
+          />
+          <MetricCard
+            label="Expected Time"
+            value={estimateHashrate > 0 ? formatDuration(expectedSecondsToSolution(shareDifficulty, estimateHashrate)) : '-'}
+            icon={<Hourglass />}
+            subtext={estimateHashrate > 0
+              ? `Per share at difficulty ${shareDifficulty.toLocaleString()}; per block ${formatDuration(expectedSecondsToSolution(networkDifficulty, estimateHashrate))}`
+              : 'Needs a measured hashrate'}
           />
+          {stats.pool && (
+            <MetricCard
+              label="Pool Shares"
+              value={(stats.acceptedShares || 0).toLocaleString()}
+              icon={<CloudArrowUp />}
+              subtext={`Accepted; ${stats.rejectedShares || 0} rejected, ${stats.staleShares || 0} stale`}
+            />
+          )}
           <MetricCard
             label="Cache Reinits"
             value={(stats.totalCacheReinits || 0).toLocaleString()}
             icon={<ArrowsClockwise />}
-            subtext="Every 2 minutes (realistic)"
+            subtext={stats.switchovers && stats.switchovers.count > 0
+              ? `Longest switch ${(stats.switchovers.maxMs / 1000).toFixed(1)}s, ${stats.switchovers.lostHashes.toLocaleString()} hashes lost`
+              : stats.chain ? `Key of block ${stats.chain.seedHeight}` : 'New keys from the job source'}
+          />
+          <MetricCard
+            label="Loop Overhead"
+            value={stats.eventLoopOverheadPct !== undefined ? stats.eventLoopOverheadPct.toFixed(1) : '-'}
+            unit="%"
+            icon={<Timer />}
+            subtext={workers[0]?.hashingMode === 'async'
+              ? 'Per-hash await (async mode)'
+              : 'Work time outside RandomX (batch mode)'}
           />
         </div>
 
+        {stats.windowedHashrates && stats.windowedHashrates.length > 0 && workers.length > 0 && (
+          <div className="space-y-3">
+            <h4 className="text-sm font-medium text-muted-foreground uppercase tracking-wide">
+              Windowed Hashrate (H/s)
+            </h4>
+            <table className="w-full text-sm">
+              <thead>
+                <tr className="border-b text-muted-foreground">
+                  <th className="text-left py-1 font-normal">Worker</th>
+                  {stats.windowedHashrates.map(window => (
+                    <th key={window.windowS} className="text-right py-1 font-normal">{window.windowS} s</th>
+                  ))}
+                </tr>
+              </thead>
+              <tbody className="font-mono">
+                <tr className="border-b border-border/50 font-medium">
+                  <td className="py-1">All</td>
+                  {stats.windowedHashrates.map(window => (
+                    <td key={window.windowS} className="text-right">{formatHashrate(window.hashrate)}</td>
+                  ))}
+                </tr>
+                {workers.map(worker => (
+                  <tr key={worker.id} className="border-b border-border/50">
+                    <td className="py-1">#{worker.id}</td>
+                    {stats.windowedHashrates!.map(window => (
+                      <td key={window.windowS} className="text-right">{formatHashrate(window.workers[worker.id] ?? 0)}</td>
+                    ))}
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+        )}
+
+        {timeSeries.length > 0 && (
+          <div className="space-y-3">
+            <h4 className="text-sm font-medium text-muted-foreground uppercase tracking-wide">
+              Hashrate
+            </h4>
+            <HashrateChart points={timeSeries} id="live-hashrate" />
+          </div>
+        )}
+
         <div className="space-y-3">
           <h4 className="text-sm font-medium text-muted-foreground uppercase tracking-wide">
             Worker Status
@@ -141,14 +248,81 @@ export function TelemetryDashboard({ stats, workers, isRunning }: TelemetryDashb
               </div>
             ))}
           </div>
+          {workers.some(w => w.fallbacks?.length) && (
+            <ul className="space-y-1 text-xs font-mono text-muted-foreground">
+              {workers.flatMap(worker => (worker.fallbacks || []).map((fallback, i) => (
+                <li key={`${worker.id}-${i}`} className="truncate">
+                  #{worker.id} {describeSetup(fallback.from)} → {describeSetup(fallback.to)}: {fallback.reason}
+                </li>
+              )))}
+            </ul>
+          )}
+          {workers.some(w => w.stalls?.length) && (
+            <ul className="space-y-1 text-xs font-mono text-muted-foreground">
+              {workers.flatMap(worker => (worker.stalls || []).map((stall, i) => (
+                <li key={`${worker.id}-stall-${i}`} className="truncate">
+                  #{worker.id} stalled at {formatTime(stall.detectedAt / 1000)} ({(stall.silentMs / 1000).toFixed(1)}s silent):
+                  {stall.restarted ? ` restarted in ${((stall.restartMs ?? 0) / 1000).toFixed(1)}s` : ` ${stall.error}`}
+                </li>
+              )))}
+            </ul>
+          )}
         </div>
 
+        {solutions.length > 0 && (
+          <div className="space-y-3">
+            <h4 className="text-sm font-medium text-muted-foreground uppercase tracking-wide">
+              Solutions
+            </h4>
+            <SolutionList solutions={solutions} />
+          </div>
+        )}
+
         {workers.length > 0 && (
           <div className="flex items-center gap-2 pt-2 text-xs text-muted-foreground">
             <span className="font-medium">Backend:</span>
             <Badge variant="outline" className="font-mono">
               {workers[0].backend === 'webgpu' ? 'WebGPU (GPU)' : 'WASM (CPU)'}
             </Badge>
+            {stats.pool && (
+              <>
+                <span className="font-medium ml-2">Pool:</span>
+                <Badge variant={stats.pool.connected ? 'outline' : 'destructive'} className="font-mono">
+                  {stats.pool.connected ? 'connected' : 'disconnected'}
+                </Badge>
+                <span className="font-mono truncate">
+                  {stats.pool.error && !stats.pool.connected
+                    ? stats.pool.error
+                    : `job ${stats.pool.jobId ?? '-'}${stats.pool.height !== undefined ? ` at height ${stats.pool.height}` : ''}`}
+                </span>
+              </>
+            )}
+            {stats.daemon && (
+              <>
+                <span className="font-medium ml-2">Node:</span>
+                <Badge variant={stats.daemon.error ? 'destructive' : 'outline'} className="font-mono">
+                  {stats.daemon.error ? 'unreachable' : `height ${stats.daemon.height ?? '-'}`}
+                </Badge>
+                <span className="font-mono truncate">
+                  {stats.daemon.error
+                    ? stats.daemon.error
+                    : `difficulty ${stats.daemon.difficulty?.toLocaleString() ?? '-'}, ${stats.daemon.templates} template(s)`}
+                </span>
+              </>
+            )}
+            {stats.chain && (
+              <>
+                <span className="font-medium ml-2">Chain:</span>
+                <Badge variant="outline" className="font-mono">
+                  height {stats.chain.height}
+                </Badge>
+                <span className="font-mono truncate">
+                  key block {stats.chain.seedHeight}, next key at {stats.chain.nextSwitchHeight}
+                  {` (in ${formatDuration((stats.chain.nextSwitchHeight - stats.chain.height) * stats.chain.blockTime)})`}
+                  {stats.chain.switches.length > 0 && `, ${stats.chain.switches.length} switch(es)`}
+                </span>
+              </>
+            )}
           </div>
         )}
       </CardContent>
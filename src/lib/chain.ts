@@ -0,0 +1,75 @@
+// Monero's RandomX key schedule (rx_seedheight in src/crypto/rx-slow-hash.c)
+export const SEEDHASH_EPOCH_BLOCKS = 2048;
+export const SEEDHASH_EPOCH_LAG = 64;
+
+// Monero's block time target (DIFFICULTY_TARGET_V2)
+export const MONERO_BLOCK_TIME_S = 120;
+// Simulated chain height a run starts at when the config leaves it unset
+export const DEFAULT_START_HEIGHT = 3000000;
+
+/**
+ * Height of the block whose hash keys RandomX at `height`
+ *
+ * The key block is the last multiple of 2048 at least 64 blocks back, so the
+ * key changes once every 2048 blocks and miners see each key coming 64
+ * blocks ahead. The genesis block keys the first epochs.
+ */
+export function seedHeight(height: number): number {
+  if (height <= SEEDHASH_EPOCH_BLOCKS + SEEDHASH_EPOCH_LAG) return 0;
+  return Math.floor((height - SEEDHASH_EPOCH_LAG - 1) / SEEDHASH_EPOCH_BLOCKS) * SEEDHASH_EPOCH_BLOCKS;
+}
+
+/**
+ * First height above `height` that is keyed by a different block
+ */
+export function nextSeedSwitchHeight(height: number): number {
+  return seedHeight(height) + SEEDHASH_EPOCH_BLOCKS + SEEDHASH_EPOCH_LAG + 1;
+}
+
+/**
+ * Stand-in for the hash of the key block at `keyHeight` (32 bytes, hex)
+ *
+ * Derived from the run's RNG seed, so every worker and every replay of the
+ * run switches to the same keys.
+ */
+export function simulatedSeedHash(rngSeed: number, keyHeight: number): string {
+  let state = (rngSeed ^ Math.imul(keyHeight, 0x9E3779B1)) >>> 0;
+  let hex = '';
+  for (let i = 0; i < 32; i++) {
+    state = (state + 0x6D2B79F5) >>> 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    hex += (((t ^ (t >>> 14)) >>> 0) & 0xFF).toString(16).padStart(2, '0');
+  }
+  return hex;
+}
+
+/**
+ * Simulated chain height over the course of a run
+ *
+ * One block every `blockTimeMs` from `startHeight`, counted from the start of
+ * the run. Shortening the block time makes epoch switches happen within a
+ * benchmark; at Monero's 120 s one epoch lasts almost three days.
+ */
+export class ChainClock {
+  constructor(readonly startHeight: number, readonly blockTimeMs: number) {
+    if (!Number.isInteger(startHeight) || startHeight < 0) {
+      throw new Error(`Invalid start height: ${startHeight}`);
+    }
+    if (!(blockTimeMs > 0)) {
+      throw new Error(`Invalid block time: ${blockTimeMs}ms`);
+    }
+  }
+
+  heightAt(elapsedMs: number): number {
+    return this.startHeight + Math.floor(Math.max(0, elapsedMs) / this.blockTimeMs);
+  }
+
+  /**
+   * Simulated seconds between the start height and `height`
+   */
+  secondsTo(height: number): number {
+    return (height - this.startHeight) * this.blockTimeMs / 1000;
+  }
+}
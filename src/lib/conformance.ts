@@ -0,0 +1,37 @@
+import { ConformanceReport, ConformanceWorkerMessage } from './types';
+
+export const CONFORMANCE_WORKER_PATH = '/conformance-worker.js';
+
+/**
+ * Hash the conformance vectors on both backends in a dedicated worker
+ *
+ * Resolves with the comparison report; divergent hashes do not reject, only
+ * failures to run the check do.
+ */
+export function verifyBackends(
+  onProgress?: (progress: number, message: string) => void
+): Promise<ConformanceReport> {
+  return new Promise((resolve, reject) => {
+    const worker = new Worker(CONFORMANCE_WORKER_PATH);
+
+    worker.onmessage = (e: MessageEvent<ConformanceWorkerMessage>) => {
+      const { type } = e.data;
+      if (type === 'VERIFY_PROGRESS') {
+        onProgress?.(e.data.progress ?? 0, e.data.message ?? '');
+      } else if (type === 'VERIFY_RESULT' && e.data.report) {
+        worker.terminate();
+        resolve(e.data.report);
+      } else if (type === 'ERROR') {
+        worker.terminate();
+        reject(new Error(e.data.error || 'Backend verification failed'));
+      }
+    };
+
+    worker.onerror = (error) => {
+      worker.terminate();
+      reject(new Error(error.message || 'Backend verification worker failed'));
+    };
+
+    worker.postMessage({ type: 'VERIFY' });
+  });
+}
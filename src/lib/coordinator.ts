@@ -1,10 +1,232 @@
-import { WorkerInfo, WorkerMessage, BenchmarkConfig, AggregatedStats } from './types';
+import {
+  WorkerInfo,
+  WorkerMessage,
+  BenchmarkConfig,
+  AggregatedStats,
+  SharedMemoryReport,
+  RunSeeds,
+  LiveConfigUpdate,
+  ConfigChange,
+  TimeSeriesPoint,
+  NonceRange,
+  NonceSegment,
+  ScalingPoint,
+  SolutionRecord,
+  PoolConfig,
+  PoolJob,
+  PoolStatus,
+  DaemonConfig,
+  BlockTemplate,
+  DaemonStatus,
+  SeedSwitch,
+  ChainStatus,
+  KeySwitchover,
+  SwitchoverSummary,
+  WorkerSetup,
+  WorkerStall,
+  ShutdownReport,
+  CoordinatorMessage,
+  ReadyMessage,
+  WorkerErrorMessage,
+  SolutionMessage
+} from './types';
+import { SolutionVerifier } from './verifier';
+import { PoolClient, hexToBytes } from './pool';
+import { TemplateProvider, DAEMON_RESERVE_SIZE } from './daemon';
+import { DEFAULT_SHARE_DIFFICULTY, DEFAULT_BLOCK_DIFFICULTY } from './difficulty';
+import { InitPolicy, resolveInitPolicy, fallbackChain, describeSetup } from './init-policy';
+import { summarizeHashrate } from './statistics';
+import { HashrateWindows, resolveRateWindows } from './rate-window';
+import { WatchdogPolicy, resolveWatchdog, isStalled } from './watchdog';
+import { PROTOCOL_VERSION, checkWorkerMessage, parseWorkerMessage, protocolMismatch } from './protocol';
+import {
+  ChainClock,
+  seedHeight,
+  nextSeedSwitchHeight,
+  simulatedSeedHash,
+  DEFAULT_START_HEIGHT,
+  MONERO_BLOCK_TIME_S
+} from './chain';
+import { RANDOMX_DATASET_SIZE, RANDOMX_DATASET_ITEM_COUNT } from './randomx';
+
+/**
+ * Split the dataset items into contiguous slices, one per worker
+ */
+export function partitionDatasetItems(workerId: number, totalWorkers: number): { start: number; count: number } {
+  const itemsPerWorker = Math.floor(RANDOMX_DATASET_ITEM_COUNT / totalWorkers);
+  const start = workerId * itemsPerWorker;
+  const end = workerId === totalWorkers - 1 ? RANDOMX_DATASET_ITEM_COUNT : start + itemsPerWorker;
+  return { start, count: end - start };
+}
+
+// Nonces are 32-bit; ranges end at most at 2^32 (exclusive)
+export const NONCE_SPACE_SIZE = 0x100000000;
+
+/**
+ * Split the nonce space into contiguous half-open ranges, one per active
+ * worker, covering every nonce exactly once
+ */
+export function partitionNonces(index: number, total: number): NonceRange {
+  return {
+    nonceStart: Math.floor(index * NONCE_SPACE_SIZE / total),
+    nonceEnd: Math.floor((index + 1) * NONCE_SPACE_SIZE / total)
+  };
+}
+
+/**
+ * Nonces searched so far, per job (epoch) and extra nonce
+ *
+ * Keeps each key's searched nonces as sorted, disjoint intervals, so adding a
+ * segment tells exactly how many of its nonces had been hashed before.
+ */
+export class NonceCoverage {
+  private searched = new Map<string, Array<[number, number]>>();
+
+  /**
+   * Record a searched segment; returns how many of its nonces were duplicates
+   */
+  add(segment: NonceSegment): number {
+    const key = `${segment.epoch}:${segment.extraNonce}`;
+    let start = segment.start;
+    let end = segment.end;
+    let duplicates = 0;
+    const kept: Array<[number, number]> = [];
+    for (const [s, e] of this.searched.get(key) || []) {
+      if (e < start || s > end) {
+        kept.push([s, e]);
+        continue;
+      }
+      // Overlapping or adjacent: count the shared nonces and merge
+      duplicates += Math.max(0, Math.min(e, segment.end) - Math.max(s, segment.start));
+      start = Math.min(start, s);
+      end = Math.max(end, e);
+    }
+    kept.push([start, end]);
+    kept.sort((a, b) => a[0] - b[0]);
+    this.searched.set(key, kept);
+    return duplicates;
+  }
+}
+
+/**
+ * Count verified solutions by verdict, and submitted shares by the pool's
+ */
+export function tallySolutions(solutions: SolutionRecord[]): {
+  acceptedSolutions: number;
+  rejectedSolutions: number;
+  acceptedBlocks: number;
+  acceptedShares: number;
+  rejectedShares: number;
+  staleShares: number;
+} {
+  return {
+    acceptedSolutions: solutions.filter(s => s.status === 'accepted').length,
+    rejectedSolutions: solutions.filter(s => s.status === 'rejected').length,
+    acceptedBlocks: solutions.filter(s => s.status === 'accepted' && s.block).length,
+    acceptedShares: solutions.filter(s => s.share?.status === 'accepted').length,
+    rejectedShares: solutions.filter(s => s.share?.status === 'rejected').length,
+    staleShares: solutions.filter(s => s.share?.status === 'stale').length
+  };
+}
+
+/**
+ * Count, time and lost hashes of the key switchovers of a run
+ */
+export function summarizeSwitchovers(switchovers: KeySwitchover[]): SwitchoverSummary {
+  return {
+    count: switchovers.length,
+    totalMs: switchovers.reduce((sum, s) => sum + s.durationMs, 0),
+    maxMs: switchovers.reduce((max, s) => Math.max(max, s.durationMs), 0),
+    lostHashes: switchovers.reduce((sum, s) => sum + s.lostHashes, 0)
+  };
+}
+
+function post(worker: Worker, message: CoordinatorMessage): void {
+  worker.postMessage(message);
+}
+
+function bytesToHex(bytes: Uint8Array): string {
+  return Array.from(bytes).map(b => b.toString(16).padStart(2, '0')).join('');
+}
+
+// How long scaling waits for a worker to confirm a new range or stop
+const SCALING_ACK_TIMEOUT_MS = 5000;
+// How long a worker gets to free its memory and answer DESTROYED
+export const DESTROY_TIMEOUT_MS = 3000;
+
+function randomHex(bytes: number): string {
+  const values = new Uint8Array(bytes);
+  crypto.getRandomValues(values);
+  return Array.from(values).map(b => b.toString(16).padStart(2, '0')).join('');
+}
+
+/**
+ * Fill in the seeds a config leaves unset
+ *
+ * Given seeds are kept as-is, so passing a report's seeds back in replays
+ * the same keys, block template and chain events.
+ */
+export function resolveRunSeeds(config: BenchmarkConfig): RunSeeds {
+  return {
+    seedKey: config.seedKey || 'randomx-seed-' + randomHex(32),
+    templateSeed: config.templateSeed || randomHex(32),
+    rngSeed: config.rngSeed !== undefined
+      ? config.rngSeed >>> 0
+      : crypto.getRandomValues(new Uint32Array(1))[0]
+  };
+}
 
 export class WorkerCoordinator {
   private workers: WorkerInfo[] = [];
   private config: BenchmarkConfig;
+  private sharedDataset: SharedArrayBuffer | null = null;
+  private initPolicy: InitPolicy = resolveInitPolicy({});
+  private sharedMemory: SharedMemoryReport = { used: false, crossOriginIsolated: false };
   private startTime: number = 0;
-  private timeSeriesData: Array<{ timestamp: number; hashrate: number; totalHashes: number }> = [];
+  // The chart's latest samples; hashrateSamples keeps the whole run for
+  // the steady-state statistics and the report
+  private timeSeriesData: TimeSeriesPoint[] = [];
+  private hashrateSamples: TimeSeriesPoint[] = [];
+  private rateWindows = new HashrateWindows();
+  private watchdog: WatchdogPolicy = resolveWatchdog({});
+  // performance.now() of each running worker's last STATS, or its START
+  private lastReports = new Map<number, number>();
+  private configVersion = 0;
+  private appliedConfigVersion = 0;
+  private configChanges: ConfigChange[] = [];
+  private nextWorkerId = 0;
+  // Totals of removed workers, so run totals never go backwards
+  private retiredHashes = 0;
+  private retiredSolutions = 0;
+  private coverage = new NonceCoverage();
+  private duplicateHashes = 0;
+  private nonceExhaustions = 0;
+  private switchovers: KeySwitchover[] = [];
+  // Extra nonce 0 is every worker's first job; exhausted slices get fresh ones
+  private nextExtraNonce = 1;
+  private verifier: SolutionVerifier | null = null;
+  private solutions: SolutionRecord[] = [];
+  private verifications = new Set<Promise<void>>();
+  private pool: PoolClient | null = null;
+  // Pool jobs by id; a job's epoch is its position in the order received
+  private poolJobs = new Map<string, PoolJob>();
+  private poolJob: PoolJob | null = null;
+  private poolError: string | undefined;
+  private daemon: TemplateProvider | null = null;
+  // Node templates by height; like pool jobs, a template's epoch is its position
+  private templates = new Map<number, BlockTemplate>();
+  private template: BlockTemplate | null = null;
+  // Simulated chain, unless a pool or node supplies the work
+  private chain: ChainClock | null = null;
+  private chainHeight = 0;
+  // Key block in effect; the run's seed key stands for the start height's
+  private seed: { seedHeight: number; seedKey: string } | null = null;
+  private seedSwitches: SeedSwitch[] = [];
+  private chainIntervalId: number | null = null;
+  // Config at start(); live changes since are looked up in configChanges
+  private runConfig: BenchmarkConfig;
+  private scaling: Promise<unknown> = Promise.resolve();
+  private scalingSegments: Array<{ threads: number; startedAt: number; startHashes: number; endedAt: number; endHashes: number }> = [];
   private intervalId: number | null = null;
   private durationTimeoutId: number | null = null;
   private onStatsUpdate: ((stats: AggregatedStats) => void) | null = null;
@@ -12,6 +234,7 @@ export class WorkerCoordinator {
 
   constructor(config: BenchmarkConfig) {
     this.config = config;
+    this.runConfig = config;
   }
 
   setStatsCallback(callback: (stats: AggregatedStats) => void) {
@@ -23,84 +246,561 @@ export class WorkerCoordinator {
   }
 
   async initialize(): Promise<void> {
-    this.workers = Array.from({ length: this.config.threads }, (_, i) => ({
-      id: i,
+    this.workers = Array.from({ length: this.config.threads }, (_, i) => this.createWorkerInfo(i));
+    this.nextWorkerId = this.config.threads;
+    this.retiredHashes = 0;
+    this.retiredSolutions = 0;
+
+    if (this.config.pool && this.config.daemon) {
+      throw new Error('Choose either a pool or a node as the job source');
+    }
+    if (this.config.pool) {
+      // Workers start on the pool's seed key instead of a simulated one
+      const job = await this.connectPool(this.config.pool);
+      if (job.seedHash) {
+        this.config = { ...this.config, seedKey: job.seedHash };
+      }
+    }
+    if (this.config.daemon) {
+      const template = await this.connectDaemon(this.config.daemon);
+      this.config = { ...this.config, seedKey: template.seedHash };
+    }
+
+    // Record the resolved seeds in the config so the report can replay the run
+    const seeds = resolveRunSeeds(this.config);
+    this.config = { ...this.config, ...seeds };
+    this.initPolicy = resolveInitPolicy(this.config);
+    this.config = { ...this.config, initRetries: this.initPolicy.retries, fallback: this.initPolicy.fallback };
+    this.config = { ...this.config, rateWindows: resolveRateWindows(this.config.rateWindows) };
+    this.rateWindows = new HashrateWindows(this.config.rateWindows);
+    this.watchdog = resolveWatchdog(this.config);
+    this.config = { ...this.config, ...this.watchdog };
+    if (!this.config.pool && !this.config.daemon) {
+      this.createChain();
+    }
+    this.prepareSharedDataset();
+
+    // Let every worker settle before a protocol mismatch fails the run
+    const spawned = await Promise.allSettled(this.workers.map((workerInfo, i) => this.spawnWorker(
+      workerInfo,
+      partitionNonces(i, this.config.threads),
+      this.sharedDataset ? partitionDatasetItems(i, this.config.threads) : undefined
+    )));
+    const failed = spawned.find((result): result is PromiseRejectedResult => result.status === 'rejected');
+    if (failed) {
+      throw failed.reason;
+    }
+
+    if (this.sharedDataset) {
+      await this.finishSharedDataset();
+    }
+  }
+
+  private createWorkerInfo(id: number): WorkerInfo {
+    return {
+      id,
       state: 'initializing',
       worker: null,
       totalHashes: 0,
       lastHashrate: 0,
       solutionsFound: 0,
       cacheReinitCount: 0
-    }));
+    };
+  }
+
+  /**
+   * Start a worker thread and wait until it is READY (or has failed)
+   *
+   * An attempt fails on ERROR, a script error or no READY within the init
+   * timeout; the worker is then terminated and started again, up to
+   * `initRetries` more times per setup. After that the worker moves on to the
+   * next setup of `setups` (see fallbackChain()), recording the move. Running
+   * out of memory is not retried on the same setup.
+   */
+  private async spawnWorker(
+    workerInfo: WorkerInfo,
+    nonceRange: NonceRange,
+    datasetRange?: { start: number; count: number },
+    setups: WorkerSetup[] = fallbackChain(this.primarySetup(), this.initPolicy.fallback)
+  ): Promise<void> {
+    workerInfo.nonceRange = nonceRange;
+    let reason = 'Failed to initialize worker';
+    for (const [step, setup] of setups.entries()) {
+      if (step > 0) {
+        this.recordFallback(workerInfo, setups[step - 1], setup, reason);
+      }
+      for (let attempt = 0; attempt <= this.initPolicy.retries; attempt++) {
+        // Terminated meanwhile
+        if (!this.workers.includes(workerInfo)) return;
+        const failure = await this.initAttempt(workerInfo, setup, datasetRange);
+        if (failure === null) return;
+        reason = failure.reason;
+        console.warn(`Worker ${workerInfo.id}: ${describeSetup(setup)} attempt ${attempt + 1} failed: ${reason}`);
+        if (!failure.retry) break;
+      }
+    }
+    workerInfo.state = 'error';
+    workerInfo.error = reason;
+  }
 
-    const initPromises = this.workers.map(async (workerInfo) => {
-      try {
-        const workerPath = this.config.backend === 'webgpu' 
-          ? '/hash-worker-webgpu.js' 
-          : '/hash-worker.js';
-        const worker = new Worker(workerPath);
-        workerInfo.worker = worker;
+  private primarySetup(): WorkerSetup {
+    return { backend: this.config.backend || 'wasm', mode: this.config.mode || 'light' };
+  }
 
-        worker.onmessage = (e: MessageEvent<WorkerMessage>) => {
-          this.handleWorkerMessage(workerInfo.id, e.data);
-        };
+  private recordFallback(workerInfo: WorkerInfo, from: WorkerSetup, to: WorkerSetup, reason: string): void {
+    workerInfo.fallbacks = [...(workerInfo.fallbacks || []), { from, to, reason }];
+    console.warn(`Worker ${workerInfo.id}: falling back from ${describeSetup(from)} to ${describeSetup(to)} (${reason})`);
+  }
 
-        worker.onerror = (error) => {
-          workerInfo.state = 'error';
-          workerInfo.error = error.message;
-          this.updateStats();
-        };
+  /**
+   * One INIT round trip on `setup`; resolves with why it failed, or null
+   * once the worker is READY
+   *
+   * A worker that cannot allocate the fast-mode dataset initializes in light
+   * mode instead when fallback is on, which is recorded as a fallback.
+   */
+  private async initAttempt(
+    workerInfo: WorkerInfo,
+    setup: WorkerSetup,
+    datasetRange?: { start: number; count: number }
+  ): Promise<{ reason: string; retry: boolean } | null> {
+    workerInfo.state = 'initializing';
+    workerInfo.error = undefined;
+    workerInfo.initAttempts = (workerInfo.initAttempts || 0) + 1;
+
+    let worker: Worker;
+    try {
+      worker = new Worker(setup.backend === 'webgpu' ? '/hash-worker-webgpu.js' : '/hash-worker.js');
+    } catch (error) {
+      return { reason: error instanceof Error ? error.message : 'Failed to start worker', retry: true };
+    }
+    workerInfo.worker = worker;
+
+    worker.onmessage = (e: MessageEvent<unknown>) => {
+      // Nothing a terminated or replaced thread still sends counts
+      if (workerInfo.worker !== worker) return;
+      this.receive(workerInfo, e.data);
+    };
+
+    // The shared dataset only serves WASM workers in fast mode
+    const shared = this.sharedDataset && setup.backend === 'wasm' && setup.mode === 'fast';
+    const timeoutMs = this.initPolicy.timeoutMs(setup.mode);
+    const { seedKey, templateSeed } = this.config;
+    // Builds that disagree on the protocol fail the run, not just this attempt
+    let mismatch: string | null = null;
+    const answer = new Promise<ReadyMessage | WorkerErrorMessage | string | null>((resolve) => {
+      const listener = (e: MessageEvent<unknown>) => {
+        const message = e.data as WorkerMessage;
+        if (message?.workerId !== workerInfo.id) return;
+        if (message.type === 'READY') {
+          mismatch = protocolMismatch(message.protocolVersion);
+        } else if (message.type === 'ERROR' && message.code === 'PROTOCOL_MISMATCH') {
+          mismatch = message.error;
+        }
+        const problem = checkWorkerMessage(message);
+        if (mismatch) {
+          finish(mismatch);
+        } else if (problem) {
+          finish(`Protocol error: ${problem}`);
+        } else if (message.type === 'READY' || message.type === 'ERROR') {
+          finish(message);
+        }
+      };
+      const finish = (outcome: ReadyMessage | WorkerErrorMessage | string | null) => {
+        worker.removeEventListener('message', listener);
+        window.clearTimeout(timeoutId);
+        resolve(outcome);
+      };
+      const timeoutId = window.setTimeout(() => finish(null), timeoutMs);
+      worker.addEventListener('message', listener);
+      // A script that fails to load or throws never answers INIT
+      worker.onerror = (error) => finish(error.message || 'Worker script error');
+    });
+    post(worker, {
+      type: 'INIT',
+      data: {
+        workerId: workerInfo.id,
+        totalWorkers: this.workers.length,
+        protocolVersion: PROTOCOL_VERSION,
+        mode: setup.mode,
+        // Both filled in by resolveRunSeeds() before any worker starts
+        seedKey: this.seed ? this.seed.seedKey : seedKey!,
+        templateSeed: templateSeed!,
+        nonceRange: workerInfo.nonceRange,
+        ...(setup.mode === 'fast' ? { allowDowngrade: this.initPolicy.fallback } : {}),
+        ...(shared ? {
+          sharedDataset: this.sharedDataset!,
+          datasetRange
+        } : {})
+      }
+    });
+
+    const outcome = await answer;
+    if (typeof outcome === 'object' && outcome?.type === 'READY') {
+      worker.onerror = (error) => {
+        if (workerInfo.worker !== worker) return;
+        this.retireWorker(workerInfo, error.message || 'Worker script error');
+      };
+      if (this.poolJob) {
+        post(worker, this.jobMessage(this.poolJob));
+      }
+      if (this.template) {
+        post(worker, this.templateMessage(this.template));
+      }
+      // A worker joining after a key switch mines under the current epoch
+      if (this.seedSwitches.length > 0) {
+        post(worker, this.seedMessage());
+      }
+      const downgrade = outcome.capabilities?.downgrade;
+      const ready: WorkerSetup = downgrade ? { backend: setup.backend, mode: downgrade.to } : setup;
+      if (downgrade) {
+        this.recordFallback(workerInfo, setup, ready, downgrade.reason);
+      }
+      workerInfo.state = 'idle';
+      workerInfo.setup = ready;
+      workerInfo.backend = ready.backend;
+      workerInfo.sharedDataset = outcome.capabilities?.sharedDataset === true;
+      return null;
+    }
+
+    worker.terminate();
+    if (workerInfo.worker === worker) {
+      workerInfo.worker = null;
+    }
+    if (mismatch) {
+      workerInfo.state = 'error';
+      workerInfo.error = mismatch;
+      throw new Error(mismatch);
+    }
+    if (typeof outcome === 'string') return { reason: outcome, retry: true };
+    if (outcome) {
+      return { reason: outcome.error || 'Worker failed to initialize', retry: outcome.code !== 'OUT_OF_MEMORY' };
+    }
+    return { reason: `No READY within ${timeoutMs / 1000}s`, retry: true };
+  }
 
-        worker.postMessage({ 
-          type: 'INIT', 
-          data: { 
-            workerId: workerInfo.id,
-            totalWorkers: this.config.threads,
-            mode: this.config.mode || 'light'
-          } 
-        });
-
-        await new Promise<void>((resolve) => {
-          const checkReady = (e: MessageEvent<WorkerMessage>) => {
-            if (e.data.type === 'READY' && e.data.workerId === workerInfo.id) {
-              workerInfo.state = 'idle';
-              worker.removeEventListener('message', checkReady);
-              resolve();
-            }
-          };
-          worker.addEventListener('message', checkReady);
-        });
-      } catch (error) {
-        workerInfo.state = 'error';
-        workerInfo.error = error instanceof Error ? error.message : 'Failed to initialize worker';
+  /**
+   * Log in to the pool and hand every job it sends on to the workers
+   */
+  private async connectPool(poolConfig: PoolConfig): Promise<PoolJob> {
+    const pool = new PoolClient(poolConfig);
+    this.pool = pool;
+    this.poolError = undefined;
+    pool.setJobCallback((job) => this.dispatchJob(job));
+    pool.setCloseCallback((reason) => {
+      if (this.pool !== pool) return;
+      // Workers keep mining the last job; its shares can no longer be submitted
+      console.warn(`Pool connection closed: ${reason}`);
+      this.poolError = reason;
+      if (this.intervalId !== null) {
+        this.updateStats();
       }
     });
+    const job = await pool.connect();
+    this.recordJob(job);
+    return job;
+  }
+
+  private recordJob(job: PoolJob): void {
+    this.poolJobs.set(job.jobId, job);
+    this.poolJob = job;
+  }
+
+  private jobMessage(job: PoolJob): CoordinatorMessage {
+    return {
+      type: 'JOB',
+      data: {
+        jobId: job.jobId,
+        blob: hexToBytes(job.blob),
+        difficulty: job.difficulty,
+        seedKey: job.seedHash,
+        epoch: this.poolJobs.size
+      }
+    };
+  }
+
+  /**
+   * Send a new pool job to every ready worker; running ones switch at the
+   * start of their next work window, starting ones get it once READY
+   */
+  private dispatchJob(job: PoolJob): void {
+    this.recordJob(job);
+    this.broadcast(this.jobMessage(job));
+  }
+
+  private broadcast(message: CoordinatorMessage): void {
+    this.workers.forEach((workerInfo) => {
+      if (workerInfo.worker && (workerInfo.state === 'idle' || workerInfo.state === 'running')) {
+        post(workerInfo.worker, message);
+      }
+    });
+  }
+
+  /**
+   * Fetch the node's first block template and hand every later one (a new
+   * height) on to the workers
+   */
+  private async connectDaemon(daemonConfig: DaemonConfig): Promise<BlockTemplate> {
+    const daemon = new TemplateProvider(daemonConfig);
+    this.daemon = daemon;
+    daemon.setTemplateCallback((template) => {
+      if (this.daemon !== daemon) return;
+      this.recordTemplate(template);
+      this.broadcast(this.templateMessage(template));
+    });
+    const template = await daemon.start();
+    this.recordTemplate(template);
+    return template;
+  }
+
+  private recordTemplate(template: BlockTemplate): void {
+    this.templates.set(template.height, template);
+    this.template = template;
+  }
+
+  private templateMessage(template: BlockTemplate): CoordinatorMessage {
+    return {
+      type: 'TEMPLATE',
+      data: {
+        blob: hexToBytes(template.blob),
+        reservedOffset: template.reservedOffset,
+        reserveSize: DAEMON_RESERVE_SIZE,
+        blockDifficulty: template.difficulty,
+        seedKey: template.seedHash,
+        height: template.height,
+        epoch: this.templates.size
+      }
+    };
+  }
+
+  getDaemonStatus(): DaemonStatus | undefined {
+    if (!this.config.daemon) return undefined;
+    return {
+      url: this.config.daemon.url,
+      height: this.template?.height,
+      difficulty: this.template?.difficulty,
+      templates: this.templates.size,
+      error: this.daemon?.getError() ?? undefined
+    };
+  }
+
+  /**
+   * Put the simulated chain at the run's start height, keyed by the run's
+   * seed key
+   */
+  private createChain(): void {
+    const startHeight = this.config.startHeight ?? DEFAULT_START_HEIGHT;
+    const blockTime = this.config.blockTime ?? MONERO_BLOCK_TIME_S;
+    this.chain = new ChainClock(startHeight, blockTime * 1000);
+    this.config = { ...this.config, startHeight, blockTime };
+    this.resetChain();
+  }
+
+  private resetChain(): void {
+    if (!this.chain) return;
+    this.chainHeight = this.chain.startHeight;
+    this.seed = { seedHeight: seedHeight(this.chainHeight), seedKey: this.config.seedKey! };
+    this.seedSwitches = [];
+  }
+
+  /**
+   * Move the simulated chain to the current height; when that crosses an
+   * epoch boundary, send every worker the new key in the same broadcast
+   */
+  private advanceChain(): void {
+    if (!this.chain || !this.seed) return;
+    const height = this.chain.heightAt(this.elapsedMs());
+    if (height === this.chainHeight) return;
+    this.chainHeight = height;
+    const keyHeight = seedHeight(height);
+    if (keyHeight === this.seed.seedHeight) return;
+
+    this.seed = { seedHeight: keyHeight, seedKey: simulatedSeedHash(this.config.rngSeed!, keyHeight) };
+    this.seedSwitches.push({ height, seedHeight: keyHeight, seedKey: this.seed.seedKey, switchedAt: this.elapsedMs() });
+    console.log(`Chain at height ${height}: switching to the key of block ${keyHeight}`);
+    this.broadcast(this.seedMessage());
+  }
 
-    await Promise.all(initPromises);
+  // The key switch's epoch is its position in the run, the start epoch being 0
+  private seedMessage(): CoordinatorMessage {
+    return {
+      type: 'SET_SEED',
+      data: {
+        seedKey: this.seed!.seedKey,
+        seedHeight: this.seed!.seedHeight,
+        height: this.chainHeight,
+        chainSeconds: this.chain!.secondsTo(this.chainHeight),
+        epoch: this.seedSwitches.length
+      }
+    };
+  }
+
+  getChainStatus(): ChainStatus | undefined {
+    if (!this.chain || !this.seed) return undefined;
+    return {
+      height: this.chainHeight,
+      seedHeight: this.seed.seedHeight,
+      seedKey: this.seed.seedKey,
+      nextSwitchHeight: nextSeedSwitchHeight(this.chainHeight),
+      blockTime: this.chain.blockTimeMs / 1000,
+      switches: this.seedSwitches.map(s => ({ ...s }))
+    };
+  }
+
+  getPoolStatus(): PoolStatus | undefined {
+    if (!this.config.pool) return undefined;
+    return {
+      url: this.config.pool.url,
+      connected: this.pool?.isConnected() ?? false,
+      jobId: this.poolJob?.jobId,
+      height: this.poolJob?.height,
+      difficulty: this.poolJob?.difficulty,
+      jobs: this.poolJobs.size,
+      error: this.poolError
+    };
+  }
+
+  /**
+   * Resolve with the next message from a worker matching `predicate`, or with
+   * null after `timeoutMs` (no timeout when omitted)
+   */
+  private waitForMessage<T extends WorkerMessage['type']>(
+    workerInfo: WorkerInfo,
+    type: T,
+    timeoutMs?: number,
+    accept: (message: Extract<WorkerMessage, { type: T }>) => boolean = () => true
+  ): Promise<Extract<WorkerMessage, { type: T }> | null> {
+    const worker = workerInfo.worker;
+    if (!worker) return Promise.resolve(null);
+
+    return new Promise((resolve) => {
+      let timeoutId: number | null = null;
+      const listener = (e: MessageEvent<unknown>) => {
+        const message = e.data as Extract<WorkerMessage, { type: T }>;
+        if (checkWorkerMessage(message) === null && message.workerId === workerInfo.id &&
+            message.type === type && accept(message)) {
+          finish(message);
+        }
+      };
+      const finish = (message: Extract<WorkerMessage, { type: T }> | null) => {
+        worker.removeEventListener('message', listener);
+        if (timeoutId !== null) clearTimeout(timeoutId);
+        resolve(message);
+      };
+      worker.addEventListener('message', listener);
+      if (timeoutMs !== undefined) {
+        timeoutId = window.setTimeout(() => finish(null), timeoutMs);
+      }
+    });
+  }
+
+  /**
+   * Allocate the fast-mode dataset once for all workers
+   *
+   * Workers build their slices from the run's seed key. When they fall back
+   * to private datasets instead, the reason is kept for the report.
+   */
+  private prepareSharedDataset(): void {
+    const isolated = typeof crossOriginIsolated !== 'undefined' && crossOriginIsolated;
+    this.sharedMemory = { used: false, crossOriginIsolated: isolated };
+    this.sharedDataset = null;
+
+    if ((this.config.mode || 'light') !== 'fast') {
+      this.sharedMemory.reason = 'Light mode has no dataset';
+      return;
+    }
+    if (this.config.backend === 'webgpu') {
+      this.sharedMemory.reason = 'WebGPU backend keeps its dataset in GPU memory';
+      return;
+    }
+    if (typeof SharedArrayBuffer === 'undefined' || !isolated) {
+      this.sharedMemory.reason = 'Page is not cross-origin isolated (COOP/COEP headers missing)';
+      return;
+    }
+
+    try {
+      this.sharedDataset = new SharedArrayBuffer(RANDOMX_DATASET_SIZE);
+    } catch (error) {
+      this.sharedMemory.reason = 'Could not allocate shared dataset: ' +
+        (error instanceof Error ? error.message : 'unknown error');
+    }
+  }
+
+  /**
+   * Check that every slice of the shared dataset was built
+   *
+   * A worker that failed to initialize, or fell back to another setup, leaves
+   * its items unwritten, which would make every other worker compute wrong
+   * hashes. Those fall back to light mode as well, or fail without fallback.
+   */
+  private async finishSharedDataset(): Promise<void> {
+    const built = (w: WorkerInfo) => w.state === 'idle' && w.setup?.mode === 'fast';
+    const missing = this.workers.filter(w => !built(w)).map(w => w.id);
+    if (missing.length > 0) {
+      const reason = `Shared dataset incomplete: slice of worker ${missing.join(', ')} was not built`;
+      const stranded = this.workers.filter(w => built(w) && w.sharedDataset);
+      this.sharedDataset = null;
+      this.sharedMemory.reason = reason;
+      await Promise.all(stranded.map(async (workerInfo) => {
+        workerInfo.worker?.terminate();
+        workerInfo.worker = null;
+        workerInfo.sharedDataset = false;
+        if (!this.initPolicy.fallback) {
+          workerInfo.state = 'error';
+          workerInfo.error = reason;
+          return;
+        }
+        const light: WorkerSetup = { backend: 'wasm', mode: 'light' };
+        this.recordFallback(workerInfo, workerInfo.setup!, light, reason);
+        await this.spawnWorker(workerInfo, workerInfo.nonceRange!, undefined, [light]);
+      }));
+      return;
+    }
+
+    this.sharedMemory.used = this.workers.every(w => w.sharedDataset);
+    if (this.sharedMemory.used) {
+      this.sharedMemory.datasetMB = Math.round(RANDOMX_DATASET_SIZE / (1024 * 1024));
+    } else {
+      this.sharedMemory.reason = 'Workers did not attach the shared dataset';
+    }
   }
 
   start(): void {
     this.startTime = performance.now();
     this.timeSeriesData = [];
+    this.hashrateSamples = [];
+    this.rateWindows.clear();
+    this.lastReports.clear();
+    this.configChanges = [];
+    this.appliedConfigVersion = this.configVersion;
+
+    this.scalingSegments = [];
+    this.retiredHashes = 0;
+    this.retiredSolutions = 0;
+    this.coverage = new NonceCoverage();
+    this.duplicateHashes = 0;
+    this.nonceExhaustions = 0;
+    this.switchovers = [];
+    this.nextExtraNonce = 1;
+    this.solutions = [];
+    this.runConfig = { ...this.config };
+    this.resetChain();
 
     this.workers.forEach((workerInfo) => {
+      // The restart budget is per run
+      workerInfo.restarts = undefined;
+      workerInfo.stalls = undefined;
       if (workerInfo.worker && workerInfo.state === 'idle') {
-        workerInfo.state = 'running';
-        workerInfo.totalHashes = 0;
-        workerInfo.lastHashrate = 0;
-        workerInfo.worker.postMessage({
-          type: 'START',
-          data: {
-            config: {
-              throttle: this.config.throttle,
-              statsInterval: this.config.statsInterval
-            }
-          }
-        });
+        this.startWorker(workerInfo);
       }
     });
 
+    if (this.chain) {
+      this.chainIntervalId = window.setInterval(() => this.advanceChain(), this.chain.blockTimeMs);
+    }
+
     this.intervalId = window.setInterval(() => {
+      this.checkStalls();
       this.updateStats();
     }, 500);
 
@@ -114,6 +814,29 @@ export class WorkerCoordinator {
     }
   }
 
+  private startWorker(workerInfo: WorkerInfo, extraNonce = 0): void {
+    workerInfo.state = 'running';
+    workerInfo.totalHashes = 0;
+    workerInfo.lastHashrate = 0;
+    workerInfo.configVersion = this.configVersion;
+    workerInfo.extraNonce = extraNonce;
+    workerInfo.nonceExhaustions = 0;
+    this.lastReports.set(workerInfo.id, performance.now());
+    post(workerInfo.worker!, {
+      type: 'START',
+      data: {
+        config: {
+          throttle: this.config.throttle,
+          statsInterval: this.config.statsInterval,
+          batchHashing: this.config.batchHashing !== false,
+          difficulty: this.config.difficulty,
+          blockDifficulty: this.config.blockDifficulty
+        },
+        ...(extraNonce > 0 ? { extraNonce } : {})
+      }
+    });
+  }
+
   stop(): void {
     if (this.intervalId !== null) {
       clearInterval(this.intervalId);
@@ -125,9 +848,14 @@ export class WorkerCoordinator {
       this.durationTimeoutId = null;
     }
 
+    if (this.chainIntervalId !== null) {
+      clearInterval(this.chainIntervalId);
+      this.chainIntervalId = null;
+    }
+
     this.workers.forEach((workerInfo) => {
       if (workerInfo.worker && workerInfo.state === 'running') {
-        workerInfo.worker.postMessage({ type: 'STOP' });
+        post(workerInfo.worker, { type: 'STOP' });
         workerInfo.state = 'stopped';
       }
     });
@@ -135,6 +863,38 @@ export class WorkerCoordinator {
     this.updateStats();
   }
 
+  /**
+   * Orderly shutdown: ask every worker to free its RandomX memory and GPU
+   * device (DESTROY), wait for DESTROYED up to `timeoutMs`, then terminate
+   *
+   * A worker that does not answer in time is terminated all the same; the
+   * report tells which ones did not.
+   */
+  async shutdown(timeoutMs = DESTROY_TIMEOUT_MS): Promise<ShutdownReport> {
+    this.stop();
+    const startedAt = performance.now();
+    const workers = await Promise.all(this.workers
+      .filter(workerInfo => workerInfo.worker)
+      .map(async (workerInfo) => {
+        const destroyed = this.waitForMessage(workerInfo, 'DESTROYED', timeoutMs);
+        post(workerInfo.worker!, { type: 'DESTROY' });
+        const ack = await destroyed;
+        return {
+          workerId: workerInfo.id,
+          acknowledged: ack !== null,
+          ms: performance.now() - startedAt,
+          freedMB: ack?.freedMB
+        };
+      }));
+    this.terminate();
+
+    const unanswered = workers.filter(w => !w.acknowledged).map(w => w.workerId);
+    if (unanswered.length > 0) {
+      console.warn(`Worker ${unanswered.join(', ')} did not answer DESTROY within ${timeoutMs}ms; terminated`);
+    }
+    return { timeoutMs, durationMs: performance.now() - startedAt, workers };
+  }
+
   terminate(): void {
     this.stop();
     this.workers.forEach((workerInfo) => {
@@ -144,10 +904,348 @@ export class WorkerCoordinator {
       }
     });
     this.workers = [];
+    this.sharedDataset = null;
+    if (this.verifier) {
+      this.verifier.terminate();
+      this.verifier = null;
+    }
+    if (this.pool) {
+      const pool = this.pool;
+      this.pool = null;
+      pool.close();
+    }
+    if (this.daemon) {
+      this.daemon.stop();
+      this.daemon = null;
+    }
   }
 
   updateThrottle(throttle: number): void {
-    this.config.throttle = throttle;
+    this.updateConfig({ throttle });
+  }
+
+  /**
+   * Send new live settings to every idle or running worker
+   *
+   * Workers apply them at the start of their next work window and answer
+   * with CONFIG_APPLIED; the change counts as applied once all of them have.
+   * Returns the version number of this update.
+   */
+  updateConfig(changes: LiveConfigUpdate): number {
+    this.config = { ...this.config, ...changes };
+    const version = ++this.configVersion;
+    const targets = this.workers.filter(w => w.worker && (w.state === 'running' || w.state === 'idle'));
+
+    const change: ConfigChange = {
+      version,
+      changes,
+      requestedAt: this.elapsedMs(),
+      workers: targets.map(w => w.id),
+      acknowledgedBy: []
+    };
+    this.configChanges.push(change);
+
+    targets.forEach((workerInfo) => {
+      post(workerInfo.worker!, { type: 'UPDATE_CONFIG', data: { version, ...changes } });
+    });
+    this.checkConfigApplied();
+    return version;
+  }
+
+  /**
+   * Add one worker, mid-run if the benchmark is running
+   *
+   * The running workers' ranges are shrunk (and confirmed) before the new
+   * worker starts, so no nonce is ever searched by two workers.
+   */
+  addWorker(): Promise<WorkerInfo> {
+    return this.enqueueScaling(() => this.growBy());
+  }
+
+  /**
+   * Remove a worker (the newest one by default) and hand its nonces to the rest
+   *
+   * Resolves false when the worker does not exist or it is the last active one.
+   */
+  removeWorker(workerId?: number): Promise<boolean> {
+    return this.enqueueScaling(() => this.shrinkBy(workerId));
+  }
+
+  /**
+   * Add or remove workers until `threads` are active
+   */
+  setThreadCount(threads: number): Promise<void> {
+    return this.enqueueScaling(async () => {
+      while (this.activeWorkers().length < threads) {
+        const workerInfo = await this.growBy();
+        if (workerInfo.state === 'error') break;
+      }
+      while (this.activeWorkers().length > Math.max(1, threads)) {
+        if (!await this.shrinkBy()) break;
+      }
+    });
+  }
+
+  // Scaling steps run one at a time, in the order they were requested
+  private enqueueScaling<T>(step: () => Promise<T>): Promise<T> {
+    const result = this.scaling.then(step);
+    this.scaling = result.catch(() => undefined);
+    return result;
+  }
+
+  private activeWorkers(): WorkerInfo[] {
+    return this.workers.filter(w => w.worker && w.state !== 'error');
+  }
+
+  private async growBy(): Promise<WorkerInfo> {
+    const workerInfo = this.createWorkerInfo(this.nextWorkerId++);
+    const active = [...this.activeWorkers(), workerInfo];
+    await this.assignNonceRanges(active.slice(0, -1), active.length);
+    this.workers.push(workerInfo);
+
+    // With a shared dataset every slice is already built
+    await this.spawnWorker(
+      workerInfo,
+      partitionNonces(active.length - 1, active.length),
+      this.sharedDataset ? { start: 0, count: 0 } : undefined
+    );
+
+    if (workerInfo.state === 'idle' && this.intervalId !== null) {
+      this.startWorker(workerInfo);
+    } else if (workerInfo.state === 'error') {
+      // Give its range back to the workers that are still active
+      await this.assignNonceRanges(this.activeWorkers(), this.activeWorkers().length);
+    }
+    this.config = { ...this.config, threads: this.activeWorkers().length };
+    if (this.intervalId !== null) {
+      this.updateStats();
+    }
+    return workerInfo;
+  }
+
+  private async shrinkBy(workerId?: number): Promise<boolean> {
+    const active = this.activeWorkers();
+    const workerInfo = workerId === undefined
+      ? active[active.length - 1]
+      : this.workers.find(w => w.id === workerId);
+    if (!workerInfo || (active.includes(workerInfo) && active.length <= 1)) {
+      return false;
+    }
+
+    if (workerInfo.worker && workerInfo.state === 'running') {
+      const stopped = this.waitForMessage(workerInfo, 'STOPPED', SCALING_ACK_TIMEOUT_MS);
+      post(workerInfo.worker, { type: 'STOP' });
+      await stopped;
+    }
+    workerInfo.worker?.terminate();
+    workerInfo.worker = null;
+    this.retiredHashes += workerInfo.totalHashes;
+    this.retiredSolutions += workerInfo.solutionsFound || 0;
+    this.workers = this.workers.filter(w => w !== workerInfo);
+
+    const remaining = this.activeWorkers();
+    await this.assignNonceRanges(remaining, remaining.length);
+    this.config = { ...this.config, threads: remaining.length };
+    if (this.intervalId !== null) {
+      this.updateStats();
+    }
+    return true;
+  }
+
+  /**
+   * Give `workers` the first ranges of a `total`-way split and wait until
+   * each has confirmed its new range (or timed out)
+   */
+  private async assignNonceRanges(workers: WorkerInfo[], total: number): Promise<void> {
+    await Promise.all(workers.map((workerInfo, i) => {
+      const range = partitionNonces(i, total);
+      const current = workerInfo.nonceRange;
+      if (!workerInfo.worker || (current && current.nonceStart === range.nonceStart && current.nonceEnd === range.nonceEnd)) {
+        return Promise.resolve();
+      }
+      const applied = this.waitForMessage(
+        workerInfo,
+        'NONCE_RANGE_APPLIED',
+        SCALING_ACK_TIMEOUT_MS,
+        m => m.nonceStart === range.nonceStart && m.nonceEnd === range.nonceEnd
+      );
+      post(workerInfo.worker, { type: 'SET_NONCE_RANGE', data: range });
+      return applied.then((message) => {
+        if (!message) {
+          console.warn(`Worker ${workerInfo.id} did not confirm nonce range ${range.nonceStart}-${range.nonceEnd}`);
+        }
+      });
+    }));
+  }
+
+  /**
+   * Flag running workers that sent no STATS for `stallIntervals` stats
+   * intervals and queue their restart
+   *
+   * The limit uses the longer of the worker's and the current stats interval,
+   * so a live change to a longer one is not taken for a stall.
+   */
+  private checkStalls(): void {
+    const now = performance.now();
+    for (const workerInfo of this.workers) {
+      const lastReportAt = this.lastReports.get(workerInfo.id);
+      if (workerInfo.state !== 'running' || lastReportAt === undefined) continue;
+      const statsInterval = Math.max(
+        this.config.statsInterval,
+        this.settingAt('statsInterval', workerInfo.configVersion) ?? 0
+      );
+      if (!isStalled(lastReportAt, now, statsInterval, this.watchdog.stallIntervals)) continue;
+
+      const stall: WorkerStall = { detectedAt: this.elapsedMs(), silentMs: now - lastReportAt, restarted: false };
+      workerInfo.state = 'stalled';
+      workerInfo.stalls = [...(workerInfo.stalls || []), stall];
+      console.warn(`Worker ${workerInfo.id}: no STATS for ${(stall.silentMs / 1000).toFixed(1)}s, restarting`);
+      // Queued with scaling, so no range is reassigned while it restarts
+      this.enqueueScaling(() => this.restartStalled(workerInfo, stall));
+    }
+  }
+
+  /**
+   * Replace a stalled worker with a new one on the same setup and nonce range
+   *
+   * The stalled thread is terminated rather than stopped, as it is not
+   * answering; its hashes and solutions stay in the run totals. The new
+   * worker moves on to a fresh extra nonce (a pool job's blob is fixed), so
+   * it does not search the inputs of its range again. A worker past the
+   * restart budget, or whose restart fails, is marked as failed and its range
+   * goes to the others.
+   */
+  private async restartStalled(workerInfo: WorkerInfo, stall: WorkerStall): Promise<void> {
+    // Removed, or failed meanwhile
+    const { state } = workerInfo;
+    if (!this.workers.includes(workerInfo) || state !== 'stalled') return;
+    workerInfo.worker?.terminate();
+    workerInfo.worker = null;
+    this.lastReports.delete(workerInfo.id);
+    this.retiredHashes += workerInfo.totalHashes;
+    this.retiredSolutions += workerInfo.solutionsFound || 0;
+    workerInfo.totalHashes = 0;
+    workerInfo.solutionsFound = 0;
+
+    const restarts = workerInfo.restarts || 0;
+    if (restarts >= this.watchdog.maxRestarts) {
+      stall.error = `restart budget of ${this.watchdog.maxRestarts} used up`;
+    } else {
+      workerInfo.restarts = restarts + 1;
+      // With a shared dataset every slice is already built
+      await this.spawnWorker(
+        workerInfo,
+        workerInfo.nonceRange!,
+        this.sharedDataset ? { start: 0, count: 0 } : undefined,
+        [workerInfo.setup!]
+      );
+      if (workerInfo.state !== 'idle') {
+        stall.error = `restart failed: ${workerInfo.error}`;
+      } else if (this.intervalId === null) {
+        stall.error = 'run ended before the restart';
+      }
+    }
+
+    if (stall.error) {
+      if (workerInfo.state !== 'idle') {
+        this.failWorker(workerInfo, `Stalled, ${stall.error}`);
+        await this.handOverRanges();
+      }
+      console.warn(`Worker ${workerInfo.id}: not restarted (${stall.error})`);
+    } else {
+      stall.restarted = true;
+      stall.restartMs = this.elapsedMs() - stall.detectedAt;
+      this.startWorker(workerInfo, this.pool ? 0 : this.nextExtraNonce++);
+      // Started on the current config, so no older change waits on it
+      this.configChanges
+        .filter(c => c.workers.includes(workerInfo.id) && !c.acknowledgedBy.includes(workerInfo.id))
+        .forEach(c => c.acknowledgedBy.push(workerInfo.id));
+      this.checkConfigApplied();
+    }
+    if (this.intervalId !== null) {
+      this.updateStats();
+    }
+  }
+
+  /**
+   * Terminate a worker that can no longer be relied on and mark it as failed
+   */
+  private failWorker(workerInfo: WorkerInfo, reason: string): void {
+    workerInfo.worker?.terminate();
+    workerInfo.worker = null;
+    workerInfo.state = 'error';
+    workerInfo.error = reason;
+    this.lastReports.delete(workerInfo.id);
+    this.checkConfigApplied();
+  }
+
+  /**
+   * Fail a worker mid-run and queue handing its nonce range to the others
+   */
+  private retireWorker(workerInfo: WorkerInfo, reason: string): void {
+    this.failWorker(workerInfo, reason);
+    this.enqueueScaling(async () => {
+      await this.handOverRanges();
+      if (this.intervalId !== null) {
+        this.updateStats();
+      }
+    });
+  }
+
+  /**
+   * Split the nonce space among the active workers again, after one failed
+   */
+  private async handOverRanges(): Promise<void> {
+    const active = this.activeWorkers();
+    await this.assignNonceRanges(active, active.length);
+    this.config = { ...this.config, threads: active.length };
+  }
+
+  /**
+   * Mark changes every targeted worker has acknowledged (workers that errored
+   * meanwhile are not waited for) and record them in the time series
+   */
+  private checkConfigApplied(): void {
+    let newlyApplied = false;
+    for (const change of this.configChanges) {
+      if (change.appliedAt !== undefined) continue;
+      const waiting = change.workers.filter((id) => {
+        const workerInfo = this.workers.find(w => w.id === id);
+        return workerInfo && workerInfo.state !== 'error' && !change.acknowledgedBy.includes(id);
+      });
+      if (waiting.length === 0) {
+        change.appliedAt = this.elapsedMs();
+        this.appliedConfigVersion = Math.max(this.appliedConfigVersion, change.version);
+        newlyApplied = true;
+      }
+    }
+    if (newlyApplied && this.intervalId !== null) {
+      this.updateStats();
+    }
+  }
+
+  private elapsedMs(): number {
+    return this.startTime > 0 ? performance.now() - this.startTime : 0;
+  }
+
+  /**
+   * Check a worker's message against the protocol before handling it
+   *
+   * A worker that sends a malformed one is terminated and its range handed
+   * to the others; one still initializing fails that init attempt instead.
+   */
+  private receive(workerInfo: WorkerInfo, data: unknown): void {
+    let message: WorkerMessage;
+    try {
+      message = parseWorkerMessage(data);
+    } catch (error) {
+      const reason = error instanceof Error ? error.message : 'Protocol error';
+      console.error(`Worker ${workerInfo.id}: ${reason}`);
+      if (workerInfo.state === 'initializing') return;
+      this.retireWorker(workerInfo, reason);
+      return;
+    }
+    this.handleWorkerMessage(workerInfo.id, message);
   }
 
   private handleWorkerMessage(workerId: number, message: WorkerMessage): void {
@@ -161,12 +1259,16 @@ export class WorkerCoordinator {
         break;
 
       case 'STATS':
+        this.lastReports.set(workerId, performance.now());
         if (message.totalHashes !== undefined) {
           workerInfo.totalHashes = message.totalHashes;
         }
         if (message.hashrate !== undefined) {
           workerInfo.lastHashrate = message.hashrate;
         }
+        if (message.hashesDelta !== undefined && message.elapsedMs !== undefined) {
+          this.rateWindows.record(workerId, message.hashesDelta, message.elapsedMs, performance.now());
+        }
         if (message.solutionsFound !== undefined) {
           workerInfo.solutionsFound = message.solutionsFound;
         }
@@ -176,11 +1278,53 @@ export class WorkerCoordinator {
         if (message.backend !== undefined) {
           workerInfo.backend = message.backend;
         }
+        if (message.hashingMode !== undefined) {
+          workerInfo.hashingMode = message.hashingMode;
+        }
+        if (message.eventLoopOverheadPct !== undefined) {
+          workerInfo.eventLoopOverheadPct = message.eventLoopOverheadPct;
+        }
+        if (message.extraNonce !== undefined) {
+          workerInfo.extraNonce = message.extraNonce;
+        }
+        for (const segment of message.searched || []) {
+          this.duplicateHashes += this.coverage.add(segment);
+        }
+        for (const switchover of message.switchovers || []) {
+          this.switchovers.push({ workerId, ...switchover });
+        }
+        break;
+
+      case 'NONCE_EXHAUSTED':
+        this.handleNonceExhausted(workerInfo);
+        break;
+
+      case 'SOLUTION':
+        this.verifySolution(workerId, message);
+        break;
+
+      case 'CONFIG_APPLIED':
+        if (message.version !== undefined) {
+          workerInfo.configVersion = message.version;
+          // Acknowledging a version also covers any older update it merged
+          this.configChanges
+            .filter(c => c.version <= message.version! && c.workers.includes(workerId) && !c.acknowledgedBy.includes(workerId))
+            .forEach(c => c.acknowledgedBy.push(workerId));
+          this.checkConfigApplied();
+        }
+        break;
+
+      case 'NONCE_RANGE_APPLIED':
+        if (message.nonceStart !== undefined && message.nonceEnd !== undefined) {
+          workerInfo.nonceRange = { nonceStart: message.nonceStart, nonceEnd: message.nonceEnd };
+        }
         break;
 
       case 'ERROR':
-        workerInfo.state = 'error';
-        workerInfo.error = message.error;
+        // A worker still initializing fails that init attempt instead
+        if (workerInfo.state !== 'initializing') {
+          this.retireWorker(workerInfo, message.error);
+        }
         break;
 
       case 'STOPPED':
@@ -192,15 +1336,131 @@ export class WorkerCoordinator {
     }
   }
 
+  /**
+   * Hand a worker that searched its whole slice a fresh extra nonce
+   *
+   * The new extra nonce changes the header's merkle root (for a node template,
+   * the miner transaction's reserved bytes), so the worker can search the
+   * same slice again without repeating any input. A pool job's
+   * blob is fixed by the pool, so in pool mode the worker waits for the next
+   * job instead (and searches again if none comes in time).
+   */
+  private handleNonceExhausted(workerInfo: WorkerInfo): void {
+    this.nonceExhaustions++;
+    workerInfo.nonceExhaustions = (workerInfo.nonceExhaustions || 0) + 1;
+    if (!workerInfo.worker || this.pool) return;
+    const extraNonce = this.nextExtraNonce++;
+    post(workerInfo.worker, { type: 'SET_EXTRA_NONCE', data: { extraNonce } });
+    workerInfo.extraNonce = extraNonce;
+  }
+
+  /**
+   * Value of a live setting a worker was using at config version `version`
+   */
+  private settingAt<K extends keyof LiveConfigUpdate>(key: K, version?: number): LiveConfigUpdate[K] {
+    const change = [...this.configChanges]
+      .reverse()
+      .find(c => key in c.changes && (version === undefined || c.version <= version));
+    return change ? change.changes[key] : this.runConfig[key];
+  }
+
+  /**
+   * Record a reported solution and have the verifier re-hash it
+   *
+   * The record stays 'pending' until the verifier rules on it. Accepted
+   * solutions to a pool job are then submitted as shares, so the pool never
+   * sees one this side could not reproduce.
+   */
+  private verifySolution(workerId: number, message: SolutionMessage): void {
+    const job = message.jobId !== undefined ? this.poolJobs.get(message.jobId) : undefined;
+    const template = message.height !== undefined ? this.templates.get(message.height) : undefined;
+    const record: SolutionRecord = {
+      workerId,
+      nonce: message.nonce,
+      extraNonce: message.extraNonce ?? 0,
+      header: bytesToHex(message.header),
+      hash: message.hash,
+      seedKey: message.seedKey,
+      foundAt: message.timestamp ?? Date.now(),
+      difficulty: job?.difficulty ?? this.settingAt('difficulty', message.version) ?? DEFAULT_SHARE_DIFFICULTY,
+      blockDifficulty: template?.difficulty ?? this.settingAt('blockDifficulty', message.version) ?? DEFAULT_BLOCK_DIFFICULTY,
+      block: message.block,
+      status: 'pending',
+      jobId: message.jobId,
+      height: message.height
+    };
+    this.solutions.push(record);
+
+    if (!this.verifier) {
+      this.verifier = new SolutionVerifier();
+    }
+    const verification = this.verifier.verify({
+      header: message.header,
+      hash: message.hash,
+      seedKey: message.seedKey,
+      difficulty: record.difficulty,
+      blockDifficulty: record.blockDifficulty
+    }).then((result) => {
+      record.status = result.valid ? 'accepted' : 'rejected';
+      record.block = result.block;
+      record.reason = result.reason;
+      record.verifiedHash = result.computedHash;
+      if (result.valid && record.jobId !== undefined && this.pool) {
+        return this.pool.submit({ jobId: record.jobId, nonce: record.nonce, hash: record.hash })
+          .then((share) => { record.share = share; });
+      }
+    }).catch((error) => {
+      const reason = error instanceof Error ? error.message : String(error);
+      if (record.status === 'pending') {
+        record.status = 'rejected';
+        record.reason = `Verification failed: ${reason}`;
+      } else {
+        record.share = { status: 'rejected', reason };
+      }
+    }).finally(() => {
+      this.verifications.delete(verification);
+    });
+    this.verifications.add(verification);
+  }
+
+  /**
+   * Wait for in-flight verifications (at most `timeoutMs`), then return the
+   * solutions
+   */
+  async settleSolutions(timeoutMs = 30000): Promise<SolutionRecord[]> {
+    if (this.verifications.size > 0) {
+      let timeoutId: number | undefined;
+      await Promise.race([
+        Promise.all(this.verifications),
+        new Promise<void>(resolve => { timeoutId = window.setTimeout(resolve, timeoutMs); })
+      ]);
+      clearTimeout(timeoutId);
+    }
+    return this.getSolutions();
+  }
+
+  getSolutions(): SolutionRecord[] {
+    return this.solutions.map(s => ({ ...s }));
+  }
+
   private updateStats(): void {
     const stats = this.getAggregatedStats();
     
     const currentTime = performance.now();
-    this.timeSeriesData.push({
+    if (this.startTime > 0) {
+      this.trackScaling(currentTime - this.startTime, stats);
+    }
+    const sample: TimeSeriesPoint = {
       timestamp: currentTime - this.startTime,
       hashrate: stats.currentHashrate,
-      totalHashes: stats.totalHashes
-    });
+      totalHashes: stats.totalHashes,
+      configVersion: this.appliedConfigVersion,
+      workers: stats.windowedHashrates?.[0].workers,
+      solutions: stats.totalSolutions,
+      cacheReinits: stats.totalCacheReinits
+    };
+    this.hashrateSamples.push(sample);
+    this.timeSeriesData.push(sample);
 
     if (this.timeSeriesData.length > 600) {
       this.timeSeriesData.shift();
@@ -211,26 +1471,79 @@ export class WorkerCoordinator {
     }
   }
 
+  /**
+   * Extend the current scaling segment, or open a new one when the number of
+   * running workers changed
+   *
+   * Hashes are attributed when workers report them, so a segment may be
+   * credited with up to one stats interval of its neighbour's work.
+   */
+  private trackScaling(elapsedMs: number, stats: AggregatedStats): void {
+    const threads = stats.runningWorkers;
+    const current = this.scalingSegments[this.scalingSegments.length - 1];
+    if (current) {
+      current.endedAt = elapsedMs;
+      current.endHashes = stats.totalHashes;
+      if (current.threads === threads) return;
+    }
+    if (threads > 0 && this.intervalId !== null) {
+      this.scalingSegments.push({
+        threads,
+        startedAt: elapsedMs,
+        startHashes: stats.totalHashes,
+        endedAt: elapsedMs,
+        endHashes: stats.totalHashes
+      });
+    }
+  }
+
+  /**
+   * Hashrate per number of running workers, over the whole session
+   */
+  getScalingCurve(): ScalingPoint[] {
+    const byThreads = new Map<number, { durationMs: number; hashes: number }>();
+    for (const segment of this.scalingSegments) {
+      const entry = byThreads.get(segment.threads) || { durationMs: 0, hashes: 0 };
+      entry.durationMs += segment.endedAt - segment.startedAt;
+      entry.hashes += segment.endHashes - segment.startHashes;
+      byThreads.set(segment.threads, entry);
+    }
+    return [...byThreads.entries()]
+      .filter(([, entry]) => entry.durationMs > 0)
+      .sort(([a], [b]) => a - b)
+      .map(([threads, { durationMs, hashes }]) => {
+        const hashrate = hashes / (durationMs / 1000);
+        return { threads, durationMs, hashes, hashrate, hashratePerThread: hashrate / threads };
+      });
+  }
+
   getAggregatedStats(): AggregatedStats {
-    const totalHashes = this.workers.reduce((sum, w) => sum + w.totalHashes, 0);
-    const currentHashrate = this.workers
-      .filter(w => w.state === 'running')
-      .reduce((sum, w) => sum + w.lastHashrate, 0);
+    const totalHashes = this.retiredHashes + this.workers.reduce((sum, w) => sum + w.totalHashes, 0);
+    // From reported hash counts, so a worker that went silent stops counting
+    const windowedHashrates = this.rateWindows.rates(performance.now());
+    const currentHashrate = windowedHashrates[0].hashrate;
     
     const runningWorkers = this.workers.filter(w => w.state === 'running').length;
     const erroredWorkers = this.workers.filter(w => w.state === 'error').length;
+    const workerRestarts = this.workers.reduce((sum, w) => sum + (w.restarts || 0), 0);
     
     const elapsedTime = this.startTime > 0 ? (performance.now() - this.startTime) / 1000 : 0;
     
-    const hashrates = this.timeSeriesData.map(d => d.hashrate);
-    const peakHashrate = hashrates.length > 0 ? Math.max(...hashrates) : 0;
-    const avgHashrate = hashrates.length > 0 
-      ? hashrates.reduce((sum, h) => sum + h, 0) / hashrates.length 
-      : 0;
+    // Warm-up excluded; see summarizeHashrate()
+    const hashrateStats = summarizeHashrate(this.hashrateSamples) ?? undefined;
+    const peakHashrate = hashrateStats?.peak ?? 0;
+    const avgHashrate = hashrateStats?.mean ?? 0;
 
-    const totalSolutions = this.workers.reduce((sum, w) => sum + (w.solutionsFound || 0), 0);
+    const totalSolutions = this.retiredSolutions + this.workers.reduce((sum, w) => sum + (w.solutionsFound || 0), 0);
     const totalCacheReinits = this.workers.reduce((sum, w) => sum + (w.cacheReinitCount || 0), 0);
 
+    const overheadSamples = this.workers
+      .filter(w => w.eventLoopOverheadPct !== undefined)
+      .map(w => w.eventLoopOverheadPct as number);
+    const eventLoopOverheadPct = overheadSamples.length > 0
+      ? overheadSamples.reduce((sum, o) => sum + o, 0) / overheadSamples.length
+      : undefined;
+
     return {
       totalHashes,
       currentHashrate,
@@ -238,16 +1551,42 @@ export class WorkerCoordinator {
       avgHashrate,
       runningWorkers,
       erroredWorkers,
+      workerRestarts,
       elapsedTime,
       totalSolutions,
-      totalCacheReinits
+      totalCacheReinits,
+      eventLoopOverheadPct,
+      duplicateHashes: this.duplicateHashes,
+      nonceExhaustions: this.nonceExhaustions,
+      ...tallySolutions(this.solutions),
+      pool: this.getPoolStatus(),
+      daemon: this.getDaemonStatus(),
+      chain: this.getChainStatus(),
+      switchovers: summarizeSwitchovers(this.switchovers),
+      hashrateStats,
+      windowedHashrates
     };
   }
 
+  getSwitchovers(): KeySwitchover[] {
+    return this.switchovers.map(s => ({ ...s }));
+  }
+
   getTimeSeriesData() {
     return this.timeSeriesData;
   }
 
+  /**
+   * Every sample of the run, including those the chart buffer dropped
+   */
+  getRunSeries(): TimeSeriesPoint[] {
+    return [...this.hashrateSamples];
+  }
+
+  getConfigChanges(): ConfigChange[] {
+    return this.configChanges.map(c => ({ ...c, acknowledgedBy: [...c.acknowledgedBy] }));
+  }
+
   getWorkerInfo(): WorkerInfo[] {
     return this.workers;
   }
@@ -255,4 +1594,8 @@ export class WorkerCoordinator {
   getConfig(): BenchmarkConfig {
     return this.config;
   }
+
+  getSharedMemoryReport(): SharedMemoryReport {
+    return { ...this.sharedMemory };
+  }
 }
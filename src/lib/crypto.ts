@@ -0,0 +1,65 @@
+/**
+ * Main-thread access to the shared cryptographic primitives in
+ * /public/crypto-primitives.js (the same file the hash workers importScripts).
+ */
+
+export interface Argon2dParams {
+  password: Uint8Array;
+  salt: Uint8Array;
+  secret?: Uint8Array;
+  ad?: Uint8Array;
+  iterations: number;
+  memoryKiB: number;
+  lanes: number;
+  tagLength: number;
+}
+
+export interface CryptoPrimitives {
+  blake2b(input: Uint8Array, outlen?: number): Uint8Array;
+  blake2b256(input: Uint8Array): Uint8Array;
+  blake2b512(input: Uint8Array): Uint8Array;
+  blake2bLong(input: Uint8Array, outlen: number): Uint8Array;
+  argon2d(params: Argon2dParams): Promise<Uint8Array>;
+  keccak(input: Uint8Array, outlen?: number): Uint8Array;
+  keccak256(input: Uint8Array): Uint8Array;
+  cnFastHash(input: Uint8Array): Uint8Array;
+  aesEncryptRound(block: Uint8Array, roundKey: Uint8Array): Uint8Array;
+  aesDecryptRound(block: Uint8Array, roundKey: Uint8Array): Uint8Array;
+}
+
+export const CRYPTO_PRIMITIVES_PATH = '/crypto-primitives.js';
+
+let loading: Promise<CryptoPrimitives> | null = null;
+
+/**
+ * Load the primitives script once and resolve with its namespace
+ */
+export function loadCryptoPrimitives(): Promise<CryptoPrimitives> {
+  const existing = (window as unknown as { CryptoPrimitives?: CryptoPrimitives }).CryptoPrimitives;
+  if (existing) {
+    return Promise.resolve(existing);
+  }
+
+  if (!loading) {
+    loading = new Promise((resolve, reject) => {
+      const script = document.createElement('script');
+      script.src = CRYPTO_PRIMITIVES_PATH;
+      script.async = true;
+      script.onload = () => {
+        const primitives = (window as unknown as { CryptoPrimitives?: CryptoPrimitives }).CryptoPrimitives;
+        if (primitives) {
+          resolve(primitives);
+        } else {
+          reject(new Error('crypto-primitives.js did not register CryptoPrimitives'));
+        }
+      };
+      script.onerror = () => {
+        loading = null;
+        reject(new Error(`Failed to load ${CRYPTO_PRIMITIVES_PATH}`));
+      };
+      document.head.appendChild(script);
+    });
+  }
+
+  return loading;
+}
@@ -0,0 +1,177 @@
+import { BlockTemplate, DaemonConfig } from './types';
+
+export const DEFAULT_DAEMON_URL = 'http://localhost:18081/json_rpc';
+
+// Bytes reserved for the extra nonce; TEMPLATE_RESERVE_SIZE in block-header.js
+export const DAEMON_RESERVE_SIZE = 8;
+
+export const DAEMON_POLL_MS = 10000;
+export const DAEMON_REQUEST_TIMEOUT_MS = 10000;
+
+const HEX_PATTERN = /^([0-9a-f]{2})+$/i;
+const HASH_PATTERN = /^[0-9a-f]{64}$/i;
+
+/**
+ * Block template from a get_block_template result
+ *
+ * Prefers `wide_difficulty` (a hex string) over `difficulty`, which monerod
+ * caps at 64 bits.
+ */
+export function parseTemplateResult(result: any): BlockTemplate {
+  if (!result || typeof result !== 'object') {
+    throw new Error('Malformed block template: no result');
+  }
+  if (result.status !== undefined && result.status !== 'OK') {
+    throw new Error(`Daemon status: ${result.status}`);
+  }
+  const { blocktemplate_blob: blob, seed_hash: seedHash, reserved_offset: reservedOffset, height } = result;
+  if (typeof blob !== 'string' || !HEX_PATTERN.test(blob)) {
+    throw new Error('Malformed block template: blocktemplate_blob is not hex');
+  }
+  if (typeof seedHash !== 'string' || !HASH_PATTERN.test(seedHash)) {
+    throw new Error('Malformed block template: seed_hash is not a 32-byte hex hash');
+  }
+  if (!Number.isInteger(reservedOffset) || reservedOffset <= 0 || reservedOffset >= blob.length / 2) {
+    throw new Error(`Malformed block template: reserved_offset ${reservedOffset} is outside the blob`);
+  }
+  if (!Number.isInteger(height) || height < 0) {
+    throw new Error(`Malformed block template: invalid height ${height}`);
+  }
+  const difficulty = typeof result.wide_difficulty === 'string' && /^0x[0-9a-f]+$/i.test(result.wide_difficulty)
+    ? Number(BigInt(result.wide_difficulty))
+    : result.difficulty;
+  if (typeof difficulty !== 'number' || !(difficulty >= 1)) {
+    throw new Error(`Malformed block template: invalid difficulty ${difficulty}`);
+  }
+  return {
+    blob: blob.toLowerCase(),
+    hashingBlob: typeof result.blockhashing_blob === 'string' ? result.blockhashing_blob.toLowerCase() : undefined,
+    seedHash: seedHash.toLowerCase(),
+    difficulty,
+    reservedOffset,
+    height,
+    prevHash: typeof result.prev_hash === 'string' ? result.prev_hash : ''
+  };
+}
+
+/**
+ * Block templates from a monerod-compatible JSON-RPC endpoint
+ *
+ * Calls get_block_template for the configured wallet address, then polls it
+ * and reports a template only once the chain has moved on (a new height or
+ * previous block), not for every change in the node's transaction pool.
+ * A failed poll keeps the last template and is reported by getError()
+ * until a poll succeeds again.
+ */
+export class TemplateProvider {
+  private template: BlockTemplate | null = null;
+  private pollId: number | null = null;
+  private polling = false;
+  private nextId = 1;
+  private error: string | null = null;
+  private onTemplate: ((template: BlockTemplate) => void) | null = null;
+
+  constructor(
+    private config: DaemonConfig,
+    private options: { pollMs?: number; requestTimeoutMs?: number } = {}
+  ) {}
+
+  setTemplateCallback(callback: (template: BlockTemplate) => void) {
+    this.onTemplate = callback;
+  }
+
+  /**
+   * Fetch the first template and start polling; rejects when the node cannot
+   * be reached or answers with an error
+   */
+  async start(): Promise<BlockTemplate> {
+    this.template = await this.fetchTemplate();
+    this.pollId = window.setInterval(() => this.poll(), this.options.pollMs ?? DAEMON_POLL_MS);
+    return this.template;
+  }
+
+  async fetchTemplate(): Promise<BlockTemplate> {
+    return parseTemplateResult(await this.request('get_block_template', {
+      wallet_address: this.config.walletAddress,
+      reserve_size: DAEMON_RESERVE_SIZE
+    }));
+  }
+
+  getTemplate(): BlockTemplate | null {
+    return this.template;
+  }
+
+  getError(): string | null {
+    return this.error;
+  }
+
+  stop(): void {
+    if (this.pollId !== null) {
+      clearInterval(this.pollId);
+      this.pollId = null;
+    }
+  }
+
+  private async poll(): Promise<void> {
+    // A slow node must not pile up requests
+    if (this.polling) return;
+    this.polling = true;
+    let template: BlockTemplate;
+    try {
+      template = await this.fetchTemplate();
+    } catch (error) {
+      this.error = error instanceof Error ? error.message : 'Template poll failed';
+      console.warn('Block template poll failed:', this.error);
+      return;
+    } finally {
+      this.polling = false;
+    }
+    this.error = null;
+    // Stopped while the request was in flight
+    if (this.pollId === null) return;
+    const current = this.template;
+    if (current && current.height === template.height && current.prevHash === template.prevHash) {
+      return;
+    }
+    this.template = template;
+    if (this.onTemplate) {
+      this.onTemplate(template);
+    }
+  }
+
+  private async request(method: string, params: Record<string, unknown>): Promise<any> {
+    const timeoutMs = this.options.requestTimeoutMs ?? DAEMON_REQUEST_TIMEOUT_MS;
+    const controller = new AbortController();
+    const timeoutId = window.setTimeout(() => controller.abort(), timeoutMs);
+    let response: Response;
+    try {
+      response = await fetch(this.config.url, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ jsonrpc: '2.0', id: String(this.nextId++), method, params }),
+        signal: controller.signal
+      });
+    } catch (error) {
+      const reason = controller.signal.aborted
+        ? `no answer within ${timeoutMs}ms`
+        : error instanceof Error ? error.message : 'request failed';
+      throw new Error(`Could not reach daemon ${this.config.url}: ${reason}`);
+    } finally {
+      clearTimeout(timeoutId);
+    }
+
+    if (!response.ok) {
+      throw new Error(`Daemon answered HTTP ${response.status}`);
+    }
+    let message: any;
+    try {
+      message = await response.json();
+    } catch {
+      throw new Error('Daemon sent malformed JSON');
+    }
+    if (message.error) {
+      throw new Error(`Daemon error: ${message.error.message || 'unknown error'}`);
+    }
+    return message.result;
+  }
+}
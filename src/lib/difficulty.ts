@@ -0,0 +1,35 @@
+// Defaults the workers apply when a run leaves a difficulty unset
+// (mirrors DEFAULT_SHARE_DIFFICULTY / DEFAULT_BLOCK_DIFFICULTY in block-header.js)
+export const DEFAULT_SHARE_DIFFICULTY = 0x100000000;
+export const DEFAULT_BLOCK_DIFFICULTY = 300000000000;
+
+/**
+ * Mean time until a hash meets `difficulty` at `hashrate` H/s
+ *
+ * Each hash qualifies with probability 1/difficulty, so on average it takes
+ * `difficulty` hashes. Infinity when nothing is being hashed.
+ */
+export function expectedSecondsToSolution(difficulty: number, hashrate: number): number {
+  return hashrate > 0 ? difficulty / hashrate : Infinity;
+}
+
+/**
+ * Chance of at least one solution within `seconds` (Poisson arrivals)
+ */
+export function solutionProbability(difficulty: number, hashrate: number, seconds: number): number {
+  if (hashrate <= 0 || seconds <= 0) return 0;
+  return 1 - Math.exp(-hashrate * seconds / difficulty);
+}
+
+/**
+ * Human-scale duration, from seconds up to years
+ */
+export function formatDuration(seconds: number): string {
+  if (!Number.isFinite(seconds)) return '∞';
+  if (seconds < 60) return `${seconds.toFixed(seconds < 10 ? 1 : 0)}s`;
+  if (seconds < 3600) return `${(seconds / 60).toFixed(1)} min`;
+  if (seconds < 86400) return `${(seconds / 3600).toFixed(1)} h`;
+  if (seconds < 86400 * 365) return `${(seconds / 86400).toFixed(1)} days`;
+  const years = seconds / (86400 * 365);
+  return years < 1e6 ? `${years.toFixed(years < 10 ? 1 : 0)} years` : `${years.toExponential(1)} years`;
+}
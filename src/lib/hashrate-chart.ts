@@ -0,0 +1,142 @@
+import { TimeSeriesPoint } from './types';
+
+export type Smoothing = 'none' | 'sma' | 'ema';
+
+// Samples the moving average spans (2.5 s at the coordinator's 500 ms
+// sampling); the exponential average weighs samples alike over that span
+export const SMOOTHING_WINDOW = 5;
+const EMA_ALPHA = 2 / (SMOOTHING_WINDOW + 1);
+// Samples a report keeps of its run (5 minutes at 500 ms sampling)
+export const REPORT_SERIES_POINTS = 600;
+
+// One chart row: seconds since the start, the aggregate and `w<id>` per worker
+export interface ChartRow {
+  time: number;
+  total: number;
+  [worker: `w${number}`]: number | undefined;
+}
+
+// A zoomed range by sample time (seconds), so it stays put while the
+// coordinator drops the oldest samples
+export interface ChartZoom {
+  start: number;
+  end: number;
+}
+
+export interface ChartMarker {
+  time: number;
+  kind: 'cacheReinit' | 'solution' | 'config';
+  label: string;
+}
+
+/**
+ * Smooth a series in which undefined marks samples without a value (a worker
+ * that was not running); averages restart after each gap
+ */
+export function smoothSeries(values: (number | undefined)[], smoothing: Smoothing): (number | undefined)[] {
+  if (smoothing === 'none') return values;
+  const window: number[] = [];
+  let ema: number | undefined;
+  return values.map((value) => {
+    if (value === undefined) {
+      window.length = 0;
+      ema = undefined;
+      return undefined;
+    }
+    if (smoothing === 'ema') {
+      ema = ema === undefined ? value : ema + EMA_ALPHA * (value - ema);
+      return ema;
+    }
+    window.push(value);
+    if (window.length > SMOOTHING_WINDOW) window.shift();
+    return window.reduce((sum, v) => sum + v, 0) / window.length;
+  });
+}
+
+/**
+ * At most `maxPoints` samples spanning the whole series
+ *
+ * Consecutive samples are merged into one at the last sample's time, with the
+ * hashrates averaged (each worker's over the samples it ran in) and the
+ * running totals and config version of the last sample, so markers still
+ * show up.
+ */
+export function downsampleSeries(points: TimeSeriesPoint[], maxPoints = REPORT_SERIES_POINTS): TimeSeriesPoint[] {
+  if (points.length <= maxPoints) return points;
+  const size = Math.ceil(points.length / maxPoints);
+  const merged: TimeSeriesPoint[] = [];
+  for (let start = 0; start < points.length; start += size) {
+    const bucket = points.slice(start, start + size);
+    const last = bucket[bucket.length - 1];
+    const workerIds = [...new Set(bucket.flatMap(p => Object.keys(p.workers || {}).map(Number)))];
+    const workers = Object.fromEntries(workerIds.map((id) => {
+      const rates = bucket.flatMap(p => p.workers?.[id] ?? []);
+      return [id, rates.reduce((sum, rate) => sum + rate, 0) / rates.length];
+    }));
+    merged.push({
+      ...last,
+      hashrate: bucket.reduce((sum, p) => sum + p.hashrate, 0) / bucket.length,
+      workers: workerIds.length > 0 ? workers : undefined
+    });
+  }
+  return merged;
+}
+
+/**
+ * Chart rows of the coordinator's samples, and the ids of the workers that
+ * appear in them
+ */
+export function buildChartRows(points: TimeSeriesPoint[], smoothing: Smoothing): { rows: ChartRow[]; workerIds: number[] } {
+  const workerIds = [...new Set(points.flatMap(p => Object.keys(p.workers || {}).map(Number)))].sort((a, b) => a - b);
+  const total = smoothSeries(points.map(p => p.hashrate), smoothing);
+  const perWorker = workerIds.map(id => smoothSeries(points.map(p => p.workers?.[id]), smoothing));
+
+  const rows = points.map((point, i) => {
+    const row: ChartRow = { time: point.timestamp / 1000, total: total[i]! };
+    workerIds.forEach((id, w) => {
+      row[`w${id}`] = perWorker[w][i];
+    });
+    return row;
+  });
+  return { rows, workerIds };
+}
+
+/**
+ * Where cache reinitializations, solutions and applied config changes first
+ * show up in the samples
+ *
+ * The samples carry running totals, so a marker sits at the first sample
+ * after the event, up to one sampling interval late.
+ */
+export function chartMarkers(points: TimeSeriesPoint[]): ChartMarker[] {
+  const markers: ChartMarker[] = [];
+  for (let i = 1; i < points.length; i++) {
+    const previous = points[i - 1];
+    const point = points[i];
+    const time = point.timestamp / 1000;
+    const reinits = (point.cacheReinits ?? 0) - (previous.cacheReinits ?? 0);
+    if (reinits > 0) {
+      markers.push({ time, kind: 'cacheReinit', label: `${reinits} cache reinit${reinits > 1 ? 's' : ''}` });
+    }
+    const solutions = (point.solutions ?? 0) - (previous.solutions ?? 0);
+    if (solutions > 0) {
+      markers.push({ time, kind: 'solution', label: `${solutions} solution${solutions > 1 ? 's' : ''}` });
+    }
+    if (point.configVersion !== undefined && point.configVersion !== previous.configVersion) {
+      markers.push({ time, kind: 'config', label: `config v${point.configVersion}` });
+    }
+  }
+  return markers;
+}
+
+/**
+ * Row indexes of a zoomed range, or null once its start has dropped out of
+ * the rows (or nothing of it is left)
+ */
+export function zoomIndexes(rows: ChartRow[], zoom: ChartZoom): { startIndex: number; endIndex: number } | null {
+  if (rows.length === 0 || rows[0].time > zoom.start) return null;
+  const startIndex = rows.findIndex(row => row.time >= zoom.start);
+  let endIndex = rows.length - 1;
+  while (endIndex >= 0 && rows[endIndex].time > zoom.end) endIndex--;
+  return startIndex >= 0 && endIndex > startIndex ? { startIndex, endIndex } : null;
+}
@@ -0,0 +1,53 @@
+import { BenchmarkConfig, WorkerSetup } from './types';
+
+// Seconds a worker gets to answer INIT with READY, per attempt. Fast mode
+// builds the 2 GiB dataset after the cache, which takes far longer.
+export const DEFAULT_INIT_TIMEOUT_S: Record<WorkerSetup['mode'], number> = {
+  light: 180,
+  fast: 3600
+};
+export const DEFAULT_INIT_RETRIES = 1;
+
+export interface InitPolicy {
+  timeoutMs: (mode: WorkerSetup['mode']) => number;
+  retries: number;
+  fallback: boolean;
+}
+
+/**
+ * Init timeout, retries and fallback of a run, with the defaults filled in
+ */
+export function resolveInitPolicy(config: Pick<BenchmarkConfig, 'initTimeout' | 'initRetries' | 'fallback'>): InitPolicy {
+  const { initTimeout, initRetries = DEFAULT_INIT_RETRIES, fallback = true } = config;
+  if (initTimeout !== undefined && !(initTimeout > 0)) {
+    throw new Error(`Invalid init timeout: ${initTimeout}s`);
+  }
+  if (!Number.isInteger(initRetries) || initRetries < 0) {
+    throw new Error(`Invalid init retries: ${initRetries}`);
+  }
+  return {
+    timeoutMs: (mode) => (initTimeout ?? DEFAULT_INIT_TIMEOUT_S[mode]) * 1000,
+    retries: initRetries,
+    fallback
+  };
+}
+
+/**
+ * Setups a worker tries in order: the configured one, then (with fallback)
+ * WASM instead of WebGPU, then light instead of fast mode
+ */
+export function fallbackChain(setup: WorkerSetup, fallback: boolean): WorkerSetup[] {
+  const chain = [setup];
+  if (!fallback) return chain;
+  if (setup.backend === 'webgpu') {
+    chain.push({ backend: 'wasm', mode: setup.mode });
+  }
+  if (setup.mode === 'fast') {
+    chain.push({ backend: 'wasm', mode: 'light' });
+  }
+  return chain;
+}
+
+export function describeSetup(setup: WorkerSetup): string {
+  return `${setup.backend}/${setup.mode}`;
+}
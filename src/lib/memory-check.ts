@@ -0,0 +1,70 @@
+import { MemoryCheck } from './types';
+
+// Growth from one run to the next that counts towards a suspected leak
+export const LEAK_GROWTH_BYTES = 16 * 1024 * 1024;
+// Runs in a row that must each grow by that much before a leak is reported
+export const LEAK_GROWTH_RUNS = 2;
+
+export interface MemorySample {
+  source: MemoryCheck['source'];
+  bytes: number;
+}
+
+/**
+ * Memory the page uses right now, or null where the browser cannot tell
+ *
+ * performance.measureUserAgentSpecificMemory() counts workers as well and
+ * collects garbage first, but needs a cross-origin isolated page and may take
+ * a while to resolve. Elsewhere Chrome's non-standard performance.memory
+ * gives the main thread's heap.
+ */
+export async function measureMemory(): Promise<MemorySample | null> {
+  const perf = performance as any;
+  const isolated = typeof crossOriginIsolated !== 'undefined' && crossOriginIsolated;
+  if (isolated && typeof perf.measureUserAgentSpecificMemory === 'function') {
+    try {
+      const result = await perf.measureUserAgentSpecificMemory();
+      return { source: 'measureUserAgentSpecificMemory', bytes: result.bytes };
+    } catch (error) {
+      console.warn('Memory measurement failed:', error);
+    }
+  }
+  if (perf.memory && typeof perf.memory.usedJSHeapSize === 'number') {
+    return { source: 'performance.memory', bytes: perf.memory.usedJSHeapSize };
+  }
+  return null;
+}
+
+/**
+ * Memory after each run of the page, to spot memory that runs leave behind
+ *
+ * One run growing the heap proves little (caches, JIT code); only growth of
+ * at least LEAK_GROWTH_BYTES on each of the last LEAK_GROWTH_RUNS runs counts
+ * as a suspected leak. Samples from different sources are not compared.
+ */
+export class MemoryTracker {
+  private samples: MemorySample[] = [];
+
+  record(sample: MemorySample): MemoryCheck {
+    const previous = this.samples[this.samples.length - 1];
+    if (previous && previous.source !== sample.source) {
+      this.samples = [];
+    }
+    this.samples.push(sample);
+
+    let growingRuns = 0;
+    for (let i = this.samples.length - 1; i > 0; i--) {
+      if (this.samples[i].bytes - this.samples[i - 1].bytes < LEAK_GROWTH_BYTES) break;
+      growingRuns++;
+    }
+
+    const comparable = previous && previous.source === sample.source;
+    return {
+      source: sample.source,
+      bytes: sample.bytes,
+      run: this.samples.length,
+      growthBytes: comparable ? sample.bytes - previous.bytes : undefined,
+      leakSuspected: growingRuns >= LEAK_GROWTH_RUNS
+    };
+  }
+}
@@ -0,0 +1,97 @@
+import { BenchmarkConfig } from './types';
+import { RANDOMX_CACHE_SIZE, RANDOMX_SCRATCHPAD_SIZE, RANDOMX_DATASET_SIZE } from './randomx';
+
+// Share of navigator.deviceMemory a run may plan to use; the browser, the page
+// and whatever else runs on the device need the rest
+export const MEMORY_BUDGET_FRACTION = 0.5;
+
+export interface MemoryPlan {
+  // 'unknown' when the browser does not report the device's memory
+  status: 'ok' | 'clamped' | 'blocked' | 'unknown';
+  requiredBytes: number;  // For the configured threads
+  budgetBytes?: number;
+  maxThreads?: number;    // Most threads that fit the budget
+  sharedDataset: boolean; // Fast-mode workers share one dataset
+  reason: string;
+}
+
+/**
+ * Whether fast-mode workers will share one dataset (see
+ * WorkerCoordinator.prepareSharedDataset())
+ */
+export function sharedDatasetAvailable(): boolean {
+  const isolated = typeof crossOriginIsolated !== 'undefined' && crossOriginIsolated;
+  return isolated && typeof SharedArrayBuffer !== 'undefined';
+}
+
+/**
+ * Bytes `threads` workers need in `mode`; a shared dataset counts once
+ */
+export function requiredMemory(threads: number, mode: 'light' | 'fast', sharedDataset: boolean): number {
+  const perWorker = RANDOMX_CACHE_SIZE + RANDOMX_SCRATCHPAD_SIZE +
+    (mode === 'fast' && !sharedDataset ? RANDOMX_DATASET_SIZE : 0);
+  const shared = mode === 'fast' && sharedDataset ? RANDOMX_DATASET_SIZE : 0;
+  return shared + threads * perWorker;
+}
+
+/**
+ * Check before a run that its workers fit the device's memory
+ *
+ * navigator.deviceMemory is coarse (rounded, and capped at 8 GiB by Chrome),
+ * so the budget is a conservative MEMORY_BUDGET_FRACTION of it. A config that
+ * needs more is clamped to the threads that fit, or blocked when not even one
+ * does. Without deviceMemory the plan is 'unknown' and workers that cannot
+ * allocate the fast-mode dataset fall back to light mode on their own.
+ */
+export function planMemory(
+  config: Pick<BenchmarkConfig, 'threads' | 'mode' | 'backend'>,
+  deviceMemoryGB: number | undefined,
+  sharedAvailable: boolean
+): MemoryPlan {
+  const mode = config.mode || 'light';
+  // Only WASM workers attach the shared dataset
+  const sharedDataset = mode === 'fast' && config.backend !== 'webgpu' && sharedAvailable;
+  const requiredBytes = requiredMemory(config.threads, mode, sharedDataset);
+  const required = formatBytes(requiredBytes);
+
+  if (!(typeof deviceMemoryGB === 'number' && deviceMemoryGB > 0)) {
+    return {
+      status: 'unknown',
+      requiredBytes,
+      sharedDataset,
+      reason: `Needs ${required}; the browser does not report device memory`
+    };
+  }
+
+  const budgetBytes = deviceMemoryGB * 1024 ** 3 * MEMORY_BUDGET_FRACTION;
+  const budget = formatBytes(budgetBytes);
+  let maxThreads = 0;
+  while (requiredMemory(maxThreads + 1, mode, sharedDataset) <= budgetBytes) {
+    maxThreads++;
+  }
+  const plan = { requiredBytes, budgetBytes, maxThreads, sharedDataset };
+
+  if (maxThreads === 0) {
+    return {
+      ...plan,
+      status: 'blocked',
+      reason: `${mode === 'fast' ? 'Fast' : 'Light'} mode needs ${formatBytes(requiredMemory(1, mode, sharedDataset))} ` +
+        `for one worker, over the ${budget} budget of this device` +
+        (mode === 'fast' ? '; use light mode' : '')
+    };
+  }
+  if (maxThreads < config.threads) {
+    return {
+      ...plan,
+      status: 'clamped',
+      reason: `${config.threads} workers need ${required}, over the ${budget} budget; ${maxThreads} fit`
+    };
+  }
+  return { ...plan, status: 'ok', reason: `Needs ${required} of a ${budget} budget` };
+}
+
+function formatBytes(bytes: number): string {
+  return bytes >= 1024 ** 3
+    ? `${(bytes / 1024 ** 3).toFixed(1)} GiB`
+    : `${Math.round(bytes / 1024 ** 2)} MiB`;
+}
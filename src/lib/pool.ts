@@ -0,0 +1,263 @@
+import { PoolConfig, PoolJob, ShareResult } from './types';
+
+export const POOL_KEEPALIVE_MS = 60000;
+export const POOL_REQUEST_TIMEOUT_MS = 10000;
+
+const POOL_AGENT = 'web-xmr-miner-poc/0.0.0';
+
+// Pool error messages that mean the share came too late rather than being wrong
+const STALE_SHARE_PATTERN = /expired|stale|outdated|invalid job id|job not found/i;
+
+/**
+ * Share difficulty of a pool's compact target
+ *
+ * Pools send the target as a little-endian hex integer, either 32-bit
+ * ("b88d0600") or 64-bit; difficulty is the full range of that width over it.
+ */
+export function targetToDifficulty(target: string): number {
+  if (!/^([0-9a-f]{8}|[0-9a-f]{16})$/i.test(target)) {
+    throw new Error(`Invalid pool target: ${target}`);
+  }
+  let value = 0n;
+  for (let i = target.length - 2; i >= 0; i -= 2) {
+    value = (value << 8n) | BigInt(parseInt(target.slice(i, i + 2), 16));
+  }
+  if (value === 0n) {
+    throw new Error(`Invalid pool target: ${target}`);
+  }
+  const max = (1n << BigInt(target.length * 4)) - 1n;
+  return Number(max / value);
+}
+
+/**
+ * A nonce as pools expect it in submits: 4 bytes, little-endian hex
+ */
+export function nonceToHex(nonce: number): string {
+  let hex = '';
+  for (let i = 0; i < 4; i++) {
+    hex += ((nonce >>> (i * 8)) & 0xFF).toString(16).padStart(2, '0');
+  }
+  return hex;
+}
+
+export function hexToBytes(hex: string): Uint8Array {
+  const bytes = new Uint8Array(hex.length / 2);
+  for (let i = 0; i < bytes.length; i++) {
+    bytes[i] = parseInt(hex.slice(i * 2, i * 2 + 2), 16);
+  }
+  return bytes;
+}
+
+function parseJob(params: any): PoolJob {
+  if (!params || typeof params.job_id !== 'string' || typeof params.blob !== 'string' || typeof params.target !== 'string') {
+    throw new Error('Malformed pool job');
+  }
+  return {
+    jobId: params.job_id,
+    blob: params.blob,
+    target: params.target,
+    difficulty: targetToDifficulty(params.target),
+    seedHash: params.seed_hash,
+    height: params.height
+  };
+}
+
+interface PendingRequest {
+  resolve: (result: any) => void;
+  reject: (error: Error) => void;
+  timeoutId: number;
+}
+
+/**
+ * Stratum-style JSON-RPC client (Monero pool dialect) over a WebSocket
+ *
+ * Logs in, follows the pool's `job` notifications, submits shares and sends
+ * `keepalived` while connected. It does not reconnect: once the socket
+ * closes, submits are answered as rejected and the close callback fires.
+ */
+export class PoolClient {
+  private socket: WebSocket | null = null;
+  private sessionId: string | null = null;
+  private job: PoolJob | null = null;
+  private nextId = 1;
+  private pending = new Map<number, PendingRequest>();
+  private keepaliveId: number | null = null;
+  private onJob: ((job: PoolJob) => void) | null = null;
+  private onClose: ((reason: string) => void) | null = null;
+
+  constructor(
+    private config: PoolConfig,
+    private options: { keepaliveMs?: number; requestTimeoutMs?: number } = {}
+  ) {}
+
+  setJobCallback(callback: (job: PoolJob) => void) {
+    this.onJob = callback;
+  }
+
+  setCloseCallback(callback: (reason: string) => void) {
+    this.onClose = callback;
+  }
+
+  /**
+   * Open the socket and log in; resolves with the pool's first job
+   */
+  connect(): Promise<PoolJob> {
+    return new Promise((resolve, reject) => {
+      let socket: WebSocket;
+      try {
+        socket = new WebSocket(this.config.url);
+      } catch (error) {
+        reject(new Error(`Could not connect to pool ${this.config.url}: ${error instanceof Error ? error.message : 'invalid URL'}`));
+        return;
+      }
+      this.socket = socket;
+      let loggedIn = false;
+
+      socket.onopen = () => {
+        this.request('login', {
+          login: this.config.login,
+          pass: this.config.pass || 'x',
+          agent: POOL_AGENT
+        }).then((result) => {
+          if (!result || typeof result.id !== 'string') {
+            throw new Error('Malformed login response');
+          }
+          this.sessionId = result.id;
+          this.job = parseJob(result.job);
+          loggedIn = true;
+          this.startKeepalive();
+          resolve(this.job);
+        }).catch((error) => {
+          reject(new Error(`Pool login failed: ${error.message}`));
+          this.close();
+        });
+      };
+
+      socket.onmessage = (e: MessageEvent) => this.handleMessage(e.data);
+
+      socket.onclose = (e: CloseEvent) => {
+        const reason = e.reason || `Connection closed (code ${e.code})`;
+        this.handleClose(reason);
+        if (!loggedIn) {
+          reject(new Error(`Could not connect to pool ${this.config.url}: ${reason}`));
+        }
+      };
+    });
+  }
+
+  /**
+   * Submit a share; the pool's error message tells stale from rejected
+   */
+  async submit(share: { jobId: string; nonce: number; hash: string }): Promise<ShareResult> {
+    if (!this.isConnected()) {
+      return { status: 'rejected', reason: 'Pool disconnected' };
+    }
+    try {
+      const result = await this.request('submit', {
+        id: this.sessionId,
+        job_id: share.jobId,
+        nonce: nonceToHex(share.nonce),
+        result: share.hash
+      });
+      return result && result.status === 'OK'
+        ? { status: 'accepted' }
+        : { status: 'rejected', reason: `Unexpected status: ${result?.status}` };
+    } catch (error) {
+      const reason = error instanceof Error ? error.message : 'Submit failed';
+      return { status: STALE_SHARE_PATTERN.test(reason) ? 'stale' : 'rejected', reason };
+    }
+  }
+
+  isConnected(): boolean {
+    return this.sessionId !== null && this.socket !== null && this.socket.readyState === WebSocket.OPEN;
+  }
+
+  getJob(): PoolJob | null {
+    return this.job;
+  }
+
+  close(): void {
+    if (this.socket) {
+      const socket = this.socket;
+      socket.onclose = null;
+      socket.close();
+      this.handleClose('Closed by client');
+    }
+  }
+
+  private request(method: string, params: Record<string, unknown>): Promise<any> {
+    const id = this.nextId++;
+    return new Promise((resolve, reject) => {
+      const timeoutId = window.setTimeout(() => {
+        this.pending.delete(id);
+        reject(new Error(`No answer to ${method} within ${this.requestTimeout()}ms`));
+      }, this.requestTimeout());
+      this.pending.set(id, { resolve, reject, timeoutId });
+      this.socket!.send(JSON.stringify({ id, jsonrpc: '2.0', method, params }));
+    });
+  }
+
+  private requestTimeout(): number {
+    return this.options.requestTimeoutMs ?? POOL_REQUEST_TIMEOUT_MS;
+  }
+
+  private handleMessage(data: string): void {
+    let message: any;
+    try {
+      message = JSON.parse(data);
+    } catch {
+      console.warn('Pool sent malformed JSON:', data);
+      return;
+    }
+
+    if (message.method === 'job') {
+      try {
+        this.job = parseJob(message.params);
+      } catch (error) {
+        console.warn(`Pool sent a malformed job (${error instanceof Error ? error.message : 'unreadable'}):`, message.params);
+        return;
+      }
+      if (this.onJob) {
+        this.onJob(this.job);
+      }
+      return;
+    }
+
+    const request = this.pending.get(message.id);
+    if (!request) return;
+    this.pending.delete(message.id);
+    clearTimeout(request.timeoutId);
+    if (message.error) {
+      request.reject(new Error(message.error.message || 'Pool error'));
+    } else {
+      request.resolve(message.result);
+    }
+  }
+
+  private startKeepalive(): void {
+    this.keepaliveId = window.setInterval(() => {
+      if (this.isConnected()) {
+        this.request('keepalived', { id: this.sessionId }).catch((error) => {
+          console.warn('Pool keepalive failed:', error.message);
+        });
+      }
+    }, this.options.keepaliveMs ?? POOL_KEEPALIVE_MS);
+  }
+
+  private handleClose(reason: string): void {
+    if (this.keepaliveId !== null) {
+      clearInterval(this.keepaliveId);
+      this.keepaliveId = null;
+    }
+    this.pending.forEach(({ reject, timeoutId }) => {
+      clearTimeout(timeoutId);
+      reject(new Error('Pool disconnected'));
+    });
+    this.pending.clear();
+    this.socket = null;
+    this.sessionId = null;
+    if (this.onClose) {
+      this.onClose(reason);
+    }
+  }
+}
@@ -0,0 +1,105 @@
+import { WorkerMessage } from './types';
+
+// Version of the coordinator/worker message protocol; bumped whenever a
+// message changes shape (mirrors WORKER_PROTOCOL_VERSION in worker-protocol.js)
+export const PROTOCOL_VERSION = 3;
+
+type FieldType = 'number' | 'string' | 'boolean' | 'object' | 'array' | 'bytes';
+// A trailing '?' marks an optional field
+type FieldSpec = FieldType | `${FieldType}?`;
+
+// Fields of each worker message besides `type` and `workerId`
+const WORKER_MESSAGE_FIELDS: Record<WorkerMessage['type'], Record<string, FieldSpec>> = {
+  READY: { protocolVersion: 'number', capabilities: 'object?' },
+  INIT_PROGRESS: { progress: 'number', message: 'string', memoryInfo: 'object?' },
+  ERROR: { error: 'string', details: 'string?', code: 'string?' },
+  STATS: {
+    totalHashes: 'number',
+    hashrate: 'number',
+    hashesDelta: 'number?',
+    elapsedMs: 'number?',
+    dutyCycle: 'number?',
+    memoryUsageMB: 'number?',
+    solutionsFound: 'number?',
+    blocksFound: 'number?',
+    cacheReinitCount: 'number?',
+    extraNonce: 'number?',
+    searched: 'array?',
+    switchovers: 'array?',
+    hashingMode: 'string?',
+    eventLoopOverheadPct: 'number?',
+    backend: 'string?'
+  },
+  STOPPED: { totalHashes: 'number?' },
+  DESTROYED: { freedMB: 'number?' },
+  CONFIG_APPLIED: { version: 'number', totalHashes: 'number?' },
+  NONCE_RANGE_APPLIED: { nonceStart: 'number', nonceEnd: 'number' },
+  NONCE_EXHAUSTED: { extraNonce: 'number', nonceStart: 'number?', nonceEnd: 'number?' },
+  SOLUTION: {
+    nonce: 'number',
+    extraNonce: 'number',
+    header: 'bytes',
+    hash: 'string',
+    block: 'boolean?',
+    jobId: 'string?',
+    height: 'number?',
+    seedKey: 'string?',
+    version: 'number?',
+    timestamp: 'number?'
+  }
+};
+
+function fieldProblem(value: unknown, spec: FieldSpec): string | null {
+  const optional = spec.endsWith('?');
+  const type = (optional ? spec.slice(0, -1) : spec) as FieldType;
+  if (value === undefined) return optional ? null : 'is missing';
+  const valid = type === 'bytes' ? value instanceof Uint8Array
+    : type === 'array' ? Array.isArray(value)
+    : type === 'object' ? typeof value === 'object' && value !== null
+    : typeof value === type;
+  return valid ? null : `must be ${type === 'array' || type === 'object' ? 'an' : 'a'} ${type}`;
+}
+
+/**
+ * What is wrong with a message from a worker, or null if it matches its type
+ */
+export function checkWorkerMessage(data: unknown): string | null {
+  if (typeof data !== 'object' || data === null || typeof (data as { type?: unknown }).type !== 'string') {
+    return 'message without a type';
+  }
+  const message = data as Record<string, unknown>;
+  const type = message.type as string;
+  if (!Object.prototype.hasOwnProperty.call(WORKER_MESSAGE_FIELDS, type)) {
+    return `unknown message type ${type}`;
+  }
+  if (typeof message.workerId !== 'number') {
+    return `${type}.workerId must be a number`;
+  }
+  for (const [field, spec] of Object.entries(WORKER_MESSAGE_FIELDS[type as WorkerMessage['type']])) {
+    const problem = fieldProblem(message[field], spec);
+    if (problem) return `${type}.${field} ${problem}`;
+  }
+  return null;
+}
+
+/**
+ * The message as a WorkerMessage; throws when it does not match its type
+ */
+export function parseWorkerMessage(data: unknown): WorkerMessage {
+  const problem = checkWorkerMessage(data);
+  if (problem) {
+    throw new Error(`Protocol error: ${problem}`);
+  }
+  return data as WorkerMessage;
+}
+
+/**
+ * Why a worker that announced `workerVersion` cannot work with this
+ * coordinator, or null when the versions match
+ */
+export function protocolMismatch(workerVersion: unknown): string | null {
+  if (workerVersion === PROTOCOL_VERSION) return null;
+  const version = typeof workerVersion === 'number' ? `v${workerVersion}` : 'an unversioned protocol';
+  return `Protocol mismatch: worker script speaks ${version}, coordinator v${PROTOCOL_VERSION}. ` +
+    'Reload the page so both come from the same build.';
+}
@@ -0,0 +1,6 @@
+// RandomX memory sizes (mirror RandomXModule.getMemoryInfo())
+export const RANDOMX_CACHE_SIZE = 256 * 1024 * 1024;
+export const RANDOMX_SCRATCHPAD_SIZE = 2 * 1024 * 1024;
+// Fast-mode dataset: 2 GiB + 32 MiB of 64-byte items
+export const RANDOMX_DATASET_SIZE = 2181038016;
+export const RANDOMX_DATASET_ITEM_COUNT = RANDOMX_DATASET_SIZE / 64;
@@ -0,0 +1,123 @@
+import { WindowedHashrate } from './types';
+
+// Sliding windows the coordinator measures hashrates over, in seconds
+export const DEFAULT_RATE_WINDOWS_S = [1, 10, 60];
+// A worker whose last report is older than this many of its own stats
+// intervals counts as silent: its window then ends now instead of at its last
+// report, so its rate falls towards zero
+export const OVERDUE_INTERVALS = 2;
+
+interface DeltaSample {
+  at: number;        // When the report arrived (performance.now())
+  hashes: number;
+  elapsedMs: number; // The report covers [at - elapsedMs, at]
+}
+
+interface WorkerLog {
+  since: number;     // Start of the first report's interval
+  samples: DeltaSample[];
+}
+
+/**
+ * Check and sort the configured windows
+ */
+export function resolveRateWindows(windowsS: number[] = DEFAULT_RATE_WINDOWS_S): number[] {
+  if (windowsS.length === 0) {
+    throw new Error('At least one rate window is needed');
+  }
+  for (const windowS of windowsS) {
+    if (!(windowS > 0) || !Number.isFinite(windowS)) {
+      throw new Error(`Invalid rate window: ${windowS}s`);
+    }
+  }
+  return [...new Set(windowsS)].sort((a, b) => a - b);
+}
+
+/**
+ * Hashrates over sliding windows, from the hashesDelta/elapsedMs of each
+ * worker's STATS
+ *
+ * A report's hashes are spread evenly over the interval it covers, so a
+ * window that cuts an interval gets its share. A worker reporting on
+ * schedule is measured up to its last report (the time since is not known
+ * yet, not idle); once its report is OVERDUE_INTERVALS late the window runs
+ * up to now and the worker's rate decays, reaching zero when its last report
+ * leaves the window. Reports that no window reaches any more are dropped.
+ */
+export class HashrateWindows {
+  private readonly windowsMs: number[];
+  private logs = new Map<number, WorkerLog>();
+
+  constructor(windowsS: number[] = DEFAULT_RATE_WINDOWS_S) {
+    this.windowsMs = resolveRateWindows(windowsS).map(s => s * 1000);
+  }
+
+  record(workerId: number, hashes: number, elapsedMs: number, at: number): void {
+    if (!(elapsedMs > 0) || hashes < 0) return;
+    let log = this.logs.get(workerId);
+    if (!log) {
+      log = { since: at - elapsedMs, samples: [] };
+      this.logs.set(workerId, log);
+    }
+    log.samples.push({ at, hashes, elapsedMs });
+    this.prune(at);
+  }
+
+  /**
+   * Aggregate and per-worker hashrate over each window, shortest first
+   */
+  rates(now: number): WindowedHashrate[] {
+    this.prune(now);
+    return this.windowsMs.map((windowMs) => {
+      const workers: Record<number, number> = {};
+      for (const [workerId, log] of this.logs) {
+        workers[workerId] = this.workerRate(log, windowMs, now);
+      }
+      const hashrate = Object.values(workers).reduce((sum, rate) => sum + rate, 0);
+      return { windowS: windowMs / 1000, hashrate, workers };
+    });
+  }
+
+  clear(): void {
+    this.logs.clear();
+  }
+
+  private workerRate(log: WorkerLog, windowMs: number, now: number): number {
+    const last = log.samples[log.samples.length - 1];
+    if (!last) return 0;
+    const end = this.isOverdue(last, now) ? now : last.at;
+    // A worker younger than the window is measured over its lifetime
+    const start = Math.max(end - windowMs, log.since);
+    if (end <= start) return 0;
+
+    let hashes = 0;
+    for (const sample of log.samples) {
+      const from = sample.at - sample.elapsedMs;
+      const overlap = Math.min(sample.at, end) - Math.max(from, start);
+      if (overlap > 0) {
+        hashes += sample.hashes * overlap / sample.elapsedMs;
+      }
+    }
+    return hashes / ((end - start) / 1000);
+  }
+
+  private isOverdue(last: DeltaSample, now: number): boolean {
+    return now - last.at > OVERDUE_INTERVALS * last.elapsedMs;
+  }
+
+  private prune(now: number): void {
+    const longestMs = this.windowsMs[this.windowsMs.length - 1];
+    for (const [workerId, log] of this.logs) {
+      const last = log.samples[log.samples.length - 1];
+      // Silent for longer than any window: nothing left to measure
+      if (this.isOverdue(last, now) && last.at < now - longestMs) {
+        this.logs.delete(workerId);
+        continue;
+      }
+      // Windows end at the last report at the earliest
+      while (log.samples[0].at < last.at - longestMs) {
+        log.samples.shift();
+      }
+    }
+  }
+}
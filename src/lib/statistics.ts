@@ -0,0 +1,142 @@
+import { HashrateStatistics, TimeSeriesPoint } from './types';
+
+// Samples averaged into one batch (2.5 s at the coordinator's 500 ms sampling).
+// Consecutive samples repeat each worker's last report, so they are far from
+// independent; means of batches are much closer to it.
+export const BATCH_SIZE = 5;
+// Fewer batches than this leave too little to find where the warm-up ends
+export const MIN_STEADY_BATCHES = 8;
+
+// Two-sided 95% quantiles of Student's t by degrees of freedom; between two
+// entries the smaller df (the wider interval) applies
+const T_95: [number, number][] = [
+  [1, 12.706], [2, 4.303], [3, 3.182], [4, 2.776], [5, 2.571], [6, 2.447],
+  [7, 2.365], [8, 2.306], [9, 2.262], [10, 2.228], [12, 2.179], [15, 2.131],
+  [20, 2.086], [25, 2.060], [30, 2.042], [40, 2.021], [60, 2.000], [120, 1.980]
+];
+
+export function tQuantile95(df: number): number {
+  if (df > 120) return 1.960;
+  let t = T_95[0][1];
+  for (const [entryDf, value] of T_95) {
+    if (entryDf > df) break;
+    t = value;
+  }
+  return t;
+}
+
+/**
+ * Linear interpolation between the closest ranks of sorted values
+ */
+export function percentile(sorted: number[], p: number): number {
+  if (sorted.length === 0) return 0;
+  const rank = (sorted.length - 1) * p;
+  const lower = Math.floor(rank);
+  const upper = Math.ceil(rank);
+  return sorted[lower] + (sorted[upper] - sorted[lower]) * (rank - lower);
+}
+
+function mean(values: number[]): number {
+  return values.reduce((sum, v) => sum + v, 0) / values.length;
+}
+
+function sampleStddev(values: number[], valuesMean: number): number {
+  if (values.length < 2) return 0;
+  return Math.sqrt(values.reduce((sum, v) => sum + (v - valuesMean) ** 2, 0) / (values.length - 1));
+}
+
+/**
+ * Batches of the warm-up to cut off, by the MSER rule
+ *
+ * MSER (marginal standard error rule) cuts off the first d batches where
+ * the remaining batch means have the smallest squared standard error,
+ * sum((b - mean)^2) / (k - d)^2: dropping a warm-up that sits away from the
+ * steady level shrinks the sum faster than the shorter run grows the error.
+ * d is searched in the first half of the run only, as usual. Sums over the
+ * remaining batches are built from the end, so long runs stay linear.
+ */
+export function mserTruncation(batchMeans: number[]): number {
+  const k = batchMeans.length;
+  const half = Math.floor(k / 2);
+  // Sum and sum of squares of batchMeans[d..k-1], for every d searched
+  const sums: number[] = [];
+  const squares: number[] = [];
+  let sum = 0;
+  let sumSq = 0;
+  for (let d = k - 1; d >= 0; d--) {
+    sum += batchMeans[d];
+    sumSq += batchMeans[d] ** 2;
+    if (d <= half) {
+      sums[d] = sum;
+      squares[d] = sumSq;
+    }
+  }
+  let best = 0;
+  let bestScore = Infinity;
+  for (let d = 0; d <= half; d++) {
+    const n = k - d;
+    const score = Math.max(0, squares[d] - sums[d] ** 2 / n) / n ** 2;
+    if (score < bestScore) {
+      bestScore = score;
+      best = d;
+    }
+  }
+  return best;
+}
+
+/**
+ * Steady-state summary of a run's hashrate samples, or null before any
+ * worker reported
+ *
+ * Expects every sample from the start of the run: a window of the latest
+ * ones would have its warm-up long gone, and MSER would cut into the steady
+ * state instead. warmupMs counts from the first sample.
+ *
+ * Samples before the first non-zero one (workers still starting) always
+ * count as warm-up. With at least MIN_STEADY_BATCHES batches after them,
+ * mserTruncation() also cuts off the time the rate took to settle; shorter
+ * runs keep those samples and are not `steady`. The confidence interval
+ * comes from the batch means of the steady state. A run whose thread count
+ * changed is not stationary; the scaling curve covers that instead.
+ */
+export function summarizeHashrate(points: TimeSeriesPoint[]): HashrateStatistics | null {
+  const firstReport = points.findIndex(p => p.hashrate > 0);
+  if (firstReport < 0) return null;
+
+  const reported = points.slice(firstReport).map(p => p.hashrate);
+  const batchMeans: number[] = [];
+  for (let i = 0; i + BATCH_SIZE <= reported.length; i += BATCH_SIZE) {
+    batchMeans.push(mean(reported.slice(i, i + BATCH_SIZE)));
+  }
+
+  const steady = batchMeans.length >= MIN_STEADY_BATCHES;
+  const cutBatches = steady ? mserTruncation(batchMeans) : 0;
+  const warmupSamples = firstReport + cutBatches * BATCH_SIZE;
+  const samples = reported.slice(cutBatches * BATCH_SIZE);
+  const steadyBatches = batchMeans.slice(cutBatches);
+
+  const sorted = [...samples].sort((a, b) => a - b);
+  const samplesMean = mean(samples);
+  const stddev = sampleStddev(samples, samplesMean);
+  // Fall back to single samples while there are too few batches
+  const ciValues = steadyBatches.length >= 2 ? steadyBatches : samples;
+  const halfWidth = ciValues.length >= 2
+    ? tQuantile95(ciValues.length - 1) * sampleStddev(ciValues, mean(ciValues)) / Math.sqrt(ciValues.length)
+    : 0;
+
+  return {
+    samples: points.length,
+    warmupSamples,
+    // From the first sample to the first steady-state one
+    warmupMs: warmupSamples > 0 ? points[warmupSamples].timestamp - points[0].timestamp : 0,
+    steady,
+    mean: samplesMean,
+    median: percentile(sorted, 0.5),
+    p5: percentile(sorted, 0.05),
+    p95: percentile(sorted, 0.95),
+    peak: steadyBatches.length > 0 ? Math.max(...steadyBatches) : sorted[sorted.length - 1],
+    stddev,
+    cv: samplesMean > 0 ? stddev / samplesMean : 0,
+    ci95: { low: samplesMean - halfWidth, high: samplesMean + halfWidth }
+  };
+}
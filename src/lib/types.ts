@@ -6,9 +6,15 @@ export interface WorkerStats {
   hashrate: number;
   dutyCycle: number;
   solutionsFound?: number;
+  blocksFound?: number;
   cacheReinitCount?: number;
+  hashingMode?: HashingMode;
+  eventLoopOverheadPct?: number;
 }
 
+// 'batch' hashes synchronously in batches, 'async' awaits every hash
+export type HashingMode = 'batch' | 'async';
+
 export interface WorkerCapabilities {
   cryptoSubtle?: boolean;
   performance?: boolean;
@@ -17,7 +23,11 @@ export interface WorkerCapabilities {
   webgpuSupport?: boolean;
   mode?: string;
   memoryMB?: number;
+  sharedDataset?: boolean; // Hashing from the coordinator's SharedArrayBuffer dataset
   backend?: string;
+  // Set when the worker could not allocate the fast-mode dataset and
+  // initialized in light mode instead
+  downgrade?: { from: 'fast'; to: 'light'; reason: string };
 }
 
 export interface BenchmarkConfig {
@@ -27,36 +37,330 @@ export interface BenchmarkConfig {
   statsInterval: number;
   mode?: 'light' | 'fast'; // RandomX mode
   backend?: 'wasm' | 'webgpu'; // Compute backend
+  batchHashing?: boolean; // Synchronous batch hashing (default true)
+  seedKey?: string;       // RandomX key shared by all workers (random when unset)
+  templateSeed?: string;  // Derives the block template (random when unset)
+  rngSeed?: number;       // uint32 seed for simulated chain events (random when unset)
+  startHeight?: number;   // Simulated chain height at the start (DEFAULT_START_HEIGHT when unset)
+  blockTime?: number;     // Seconds per simulated block (Monero's 120 when unset)
+  difficulty?: number;      // Share difficulty (DEFAULT_SHARE_DIFFICULTY when unset)
+  blockDifficulty?: number; // Block difficulty (DEFAULT_BLOCK_DIFFICULTY when unset)
+  pool?: PoolConfig;        // Mine the pool's jobs instead of the simulated template
+  daemon?: DaemonConfig;    // Mine a node's block templates instead (not together with pool)
+  initTimeout?: number;     // Seconds a worker gets to become ready (per mode default when unset)
+  initRetries?: number;     // Restarts of a worker that failed to initialize, per setup (DEFAULT_INIT_RETRIES)
+  fallback?: boolean;       // Move failed workers from webgpu to wasm and fast to light (default true)
+  rateWindows?: number[];   // Sliding windows of the measured hashrates, in seconds (DEFAULT_RATE_WINDOWS_S)
+  stallIntervals?: number;  // Stats intervals without STATS before a worker counts as stalled (DEFAULT_STALL_INTERVALS)
+  maxRestarts?: number;     // Restarts of a stalled worker per run (DEFAULT_MAX_RESTARTS)
+}
+
+// Backend and RandomX mode a worker runs
+export interface WorkerSetup {
+  backend: 'wasm' | 'webgpu';
+  mode: 'light' | 'fast';
+}
+
+// A worker's move to a more conservative setup after failing to initialize
+export interface WorkerFallback {
+  from: WorkerSetup;
+  to: WorkerSetup;
+  reason: string; // Why the last attempt on `from` failed
+}
+
+// Stratum-style pool reached over WebSocket
+export interface PoolConfig {
+  url: string;   // ws:// or wss:// endpoint
+  login: string; // Wallet address or worker name
+  pass?: string;
+}
+
+// A job as the pool sent it; `difficulty` is derived from `target`
+export interface PoolJob {
+  jobId: string;
+  blob: string;   // Hex of the hashing blob
+  target: string; // Compact little-endian target (8 or 16 hex chars)
+  difficulty: number;
+  seedHash?: string;
+  height?: number;
+}
+
+export type ShareStatus = 'accepted' | 'rejected' | 'stale';
+
+// The pool's answer to a submitted share
+export interface ShareResult {
+  status: ShareStatus;
+  reason?: string;
+}
+
+export interface PoolStatus {
+  url: string;
+  connected: boolean;
+  jobId?: string;
+  height?: number;
+  difficulty?: number; // Share difficulty of the current job
+  jobs: number;        // Jobs received this run
+  error?: string;      // Why the connection closed
+}
+
+// monerod-compatible node whose get_block_template is mined
+export interface DaemonConfig {
+  url: string;           // JSON-RPC endpoint, e.g. http://localhost:18081/json_rpc
+  walletAddress: string; // Address the miner transaction pays
 }
 
-export interface WorkerMessage {
-  type: 'READY' | 'STATS' | 'ERROR' | 'STOPPED' | 'INIT_PROGRESS' | 'DESTROYED';
+// A get_block_template result
+export interface BlockTemplate {
+  blob: string;           // Hex of blocktemplate_blob (the whole block)
+  hashingBlob?: string;   // Hex of blockhashing_blob, when the node sent one
+  seedHash: string;
+  difficulty: number;     // Network (block) difficulty
+  reservedOffset: number; // Where the extra nonce goes in `blob`
+  height: number;
+  prevHash: string;
+}
+
+export interface DaemonStatus {
+  url: string;
+  height?: number;
+  difficulty?: number; // Block difficulty of the current template
+  templates: number;   // Templates (heights) mined this run
+  error?: string;      // Why the last poll failed
+}
+
+// A switch of the simulated chain to a new RandomX key
+export interface SeedSwitch {
+  height: number;     // First height keyed by the new block
+  seedHeight: number; // Height of the key block
+  seedKey: string;
+  switchedAt: number; // ms since the run started
+}
+
+// Simulated chain when mining the simulated template
+export interface ChainStatus {
+  height: number;
+  seedHeight: number;
+  seedKey: string;
+  nextSwitchHeight: number; // First height keyed by the next key block
+  blockTime: number;        // Seconds per block
+  switches: SeedSwitch[];   // Key switches this run, oldest first
+}
+
+// A worker's switch to a new RandomX key; it kept hashing under the old key
+// while the new cache was built
+export interface KeySwitchover {
   workerId: number;
-  hashesDelta?: number;
-  elapsedMs?: number;
-  totalHashes?: number;
-  hashrate?: number;
-  dutyCycle?: number;
+  seedKey: string;
+  switchedAt: number; // Date.now() on the worker when the new key took over
+  durationMs: number; // From the switch request to the swap
+  hashes: number;     // Hashed under the old key meanwhile
+  lostHashes: number; // Short of the hashrate before the switch
+}
+
+export interface SwitchoverSummary {
+  count: number;
+  totalMs: number;
+  maxMs: number;
+  lostHashes: number;
+}
+
+// Settings workers apply while hashing, without a restart
+export type LiveConfigUpdate = Partial<Pick<BenchmarkConfig, 'throttle' | 'statsInterval' | 'difficulty' | 'blockDifficulty'>>;
+
+// One UPDATE_CONFIG round; times are ms since the run started
+export interface ConfigChange {
+  version: number;
+  changes: LiveConfigUpdate;
+  requestedAt: number;
+  appliedAt?: number;       // When the last targeted worker acknowledged it
+  workers: number[];        // Workers the update was sent to
+  acknowledgedBy: number[];
+}
+
+export interface TimeSeriesPoint {
+  timestamp: number;
+  hashrate: number;
+  totalHashes: number;
+  configVersion?: number; // Newest config version every worker had applied
+  workers?: Record<number, number>; // Hashrate of each running worker, by id
+  solutions?: number;     // Solutions found so far
+  cacheReinits?: number;  // Cache reinitializations of the current workers so far
+}
+
+// The seeds a run actually used; together with the config they replay it exactly
+export interface RunSeeds {
+  seedKey: string;
+  templateSeed: string;
+  rngSeed: number;
+}
+
+// Messages hash workers send the coordinator, one shape per type (protocol
+// version PROTOCOL_VERSION in protocol.ts, checked there at runtime)
+interface WorkerMessageBase<T extends string> {
+  type: T;
+  workerId: number;
+}
+
+export interface ReadyMessage extends WorkerMessageBase<'READY'> {
+  protocolVersion: number; // Must match the coordinator's (negotiated with INIT)
   capabilities?: WorkerCapabilities;
-  backend?: string;
-  error?: string;
-  details?: string;
-  progress?: number;
-  message?: string;
+}
+
+export interface InitProgressMessage extends WorkerMessageBase<'INIT_PROGRESS'> {
+  progress: number;
+  message: string;
   memoryInfo?: {
     scratchpadSize: number;
     cacheSize: number;
     totalBytes: number;
     totalMB: number;
+    sharedDataset?: boolean;
     mode: string;
     backend?: string;
   };
+}
+
+export interface WorkerErrorMessage extends WorkerMessageBase<'ERROR'> {
+  error: string;
+  details?: string;
+  // Set when the worker refused a message, or could not allocate the
+  // fast-mode dataset and was not allowed to downgrade
+  code?: 'PROTOCOL_MISMATCH' | 'PROTOCOL_ERROR' | 'OUT_OF_MEMORY';
+}
+
+export interface StatsMessage extends WorkerMessageBase<'STATS'> {
+  totalHashes: number;
+  hashrate: number;
+  hashesDelta?: number;
+  elapsedMs?: number;
+  dutyCycle?: number;
   memoryUsageMB?: number;
   solutionsFound?: number;
+  blocksFound?: number;
   cacheReinitCount?: number;
+  extraNonce?: number; // Extra nonce in use
+  searched?: NonceSegment[]; // Ranges hashed since the last report
+  switchovers?: Array<Omit<KeySwitchover, 'workerId'>>; // Key switches since the last report
+  hashingMode?: HashingMode;
+  eventLoopOverheadPct?: number;
+  backend?: string;
+}
+
+export interface StoppedMessage extends WorkerMessageBase<'STOPPED'> {
+  totalHashes?: number;
+}
+
+export interface DestroyedMessage extends WorkerMessageBase<'DESTROYED'> {
+  freedMB?: number; // RandomX memory released
+}
+
+export interface ConfigAppliedMessage extends WorkerMessageBase<'CONFIG_APPLIED'> {
+  version: number; // Config version now in effect
+  totalHashes?: number;
+}
+
+export interface NonceRangeAppliedMessage extends WorkerMessageBase<'NONCE_RANGE_APPLIED'> {
+  nonceStart: number;
+  nonceEnd: number;
+}
+
+export interface NonceExhaustedMessage extends WorkerMessageBase<'NONCE_EXHAUSTED'> {
+  extraNonce: number; // Extra nonce the slice was searched under
+  nonceStart?: number;
+  nonceEnd?: number;
+}
+
+export interface SolutionMessage extends WorkerMessageBase<'SOLUTION'> {
+  nonce: number; // The winning input and its hash
+  extraNonce: number;
+  header: Uint8Array;
+  hash: string;
+  block?: boolean; // Also meets the block difficulty
+  jobId?: string; // Pool job it solves (none for the simulated template)
+  height?: number; // Height of the node template it solves
+  seedKey?: string;
+  version?: number; // Config version in effect
+  timestamp?: number; // Date.now() when found
 }
 
-export type WorkerState = 'idle' | 'initializing' | 'running' | 'error' | 'stopped';
+export type WorkerMessage =
+  | ReadyMessage
+  | InitProgressMessage
+  | WorkerErrorMessage
+  | StatsMessage
+  | StoppedMessage
+  | DestroyedMessage
+  | ConfigAppliedMessage
+  | NonceRangeAppliedMessage
+  | NonceExhaustedMessage
+  | SolutionMessage;
+
+// Messages the coordinator sends hash workers (checked by worker-protocol.js)
+export type CoordinatorMessage =
+  | {
+      type: 'INIT';
+      data: {
+        workerId: number;
+        totalWorkers: number;
+        protocolVersion: number;
+        mode: 'light' | 'fast';
+        seedKey: string;      // Every worker of a run hashes under the same key
+        templateSeed: string; // and mines the same template, for replayable runs
+        nonceRange?: NonceRange;
+        sharedDataset?: SharedArrayBuffer;
+        datasetRange?: { start: number; count: number };
+        allowDowngrade?: boolean; // Fall back to light mode when the dataset does not fit
+      };
+    }
+  | {
+      type: 'START';
+      data: {
+        config: {
+          throttle: number;
+          statsInterval: number;
+          batchHashing: boolean;
+          difficulty?: number;
+          blockDifficulty?: number;
+        };
+        extraNonce?: number; // Extra nonce to search under (0 when unset)
+      };
+    }
+  | { type: 'STOP' }
+  | { type: 'DESTROY' }
+  | { type: 'UPDATE_CONFIG'; data: LiveConfigUpdate & { version: number } }
+  | { type: 'SET_NONCE_RANGE'; data: NonceRange }
+  | { type: 'SET_EXTRA_NONCE'; data: { extraNonce: number } }
+  | {
+      type: 'JOB';
+      data: { jobId: string; blob: Uint8Array; difficulty: number; seedKey?: string; epoch: number };
+    }
+  | {
+      type: 'TEMPLATE';
+      data: {
+        blob: Uint8Array;
+        reservedOffset: number;
+        reserveSize: number;
+        blockDifficulty: number;
+        seedKey: string;
+        height: number;
+        epoch: number;
+      };
+    }
+  | {
+      type: 'SET_SEED';
+      data: { seedKey: string; seedHeight: number; height: number; chainSeconds: number; epoch: number };
+    };
+
+export type WorkerState = 'idle' | 'initializing' | 'running' | 'stalled' | 'error' | 'stopped';
+
+// A running worker the watchdog found without STATS for too long
+export interface WorkerStall {
+  detectedAt: number; // Run time (ms)
+  silentMs: number;   // Since its last STATS, or its START
+  restarted: boolean; // false: the restart budget was used up or the restart failed
+  restartMs?: number; // From detection until the new worker was started
+  error?: string;     // Why it was not restarted
+}
 
 export interface WorkerInfo {
   id: number;
@@ -68,18 +372,122 @@ export interface WorkerInfo {
   solutionsFound?: number;
   cacheReinitCount?: number;
   backend?: string;
+  hashingMode?: HashingMode;
+  eventLoopOverheadPct?: number;
+  sharedDataset?: boolean;
+  configVersion?: number;
+  nonceRange?: NonceRange;
+  extraNonce?: number;
+  nonceExhaustions?: number;
+  setup?: WorkerSetup;         // What the worker became ready on
+  initAttempts?: number;       // INIT round trips, retries and fallbacks included
+  fallbacks?: WorkerFallback[];
+  restarts?: number;           // Watchdog restarts this run
+  stalls?: WorkerStall[];
+}
+
+// Half-open slice [nonceStart, nonceEnd) of the 32-bit nonce space
+export interface NonceRange {
+  nonceStart: number;
+  nonceEnd: number;
+}
+
+// Nonces [start, end) a worker hashed under one extra nonce; `epoch` counts
+// jobs: cache reinits of the simulated template, pool jobs or node templates
+export interface NonceSegment {
+  epoch: number;
+  extraNonce: number;
+  start: number;
+  end: number;
+}
+
+// Throughput measured while `threads` workers were running
+export interface ScalingPoint {
+  threads: number;
+  durationMs: number;
+  hashes: number;
+  hashrate: number;
+  hashratePerThread: number;
+}
+
+// Whether fast-mode workers hashed from one dataset shared by the coordinator
+export interface SharedMemoryReport {
+  used: boolean;
+  crossOriginIsolated: boolean;
+  datasetMB?: number; // Size of the shared dataset, counted once
+  reason?: string;    // Why the shared dataset was not used
+}
+
+// How the workers answered DESTROY when a run shut down
+export interface ShutdownReport {
+  timeoutMs: number;  // How long each worker had to answer DESTROYED
+  durationMs: number;
+  workers: Array<{
+    workerId: number;
+    acknowledged: boolean; // false: terminated after the timeout
+    ms: number;
+    freedMB?: number;
+  }>;
+}
+
+// Page memory measured after a run, compared with the runs before it
+export interface MemoryCheck {
+  source: 'measureUserAgentSpecificMemory' | 'performance.memory';
+  bytes: number;
+  run: number;          // Runs measured so far in this page, this one included
+  growthBytes?: number; // Change since the previous run
+  leakSuspected: boolean;
+}
+
+// Hashrate samples of a run once its warm-up is cut off (see summarizeHashrate())
+export interface HashrateStatistics {
+  samples: number;        // Samples of the run
+  warmupSamples: number;  // Cut off from the start (before workers report, and while the rate settles)
+  warmupMs: number;
+  steady: boolean;        // Enough samples to tell the warm-up from the steady state
+  mean: number;
+  median: number;
+  p5: number;
+  p95: number;
+  peak: number;           // Highest batch mean (single samples are too noisy)
+  stddev: number;
+  cv: number;             // stddev / mean
+  ci95: { low: number; high: number }; // 95% confidence interval of the mean, from batch means
+}
+
+// Hashrate over the last `windowS` seconds, from the hashes workers reported
+export interface WindowedHashrate {
+  windowS: number;
+  hashrate: number;
+  workers: Record<number, number>; // By worker id, including workers that stopped within the window
 }
 
 export interface AggregatedStats {
   totalHashes: number;
-  currentHashrate: number;
-  peakHashrate: number;
-  avgHashrate: number;
+  currentHashrate: number; // Over the shortest rate window
+  peakHashrate: number;   // Highest batch mean of the steady state
+  avgHashrate: number;    // Steady-state mean (warm-up excluded)
   runningWorkers: number;
   erroredWorkers: number;
+  workerRestarts?: number; // Watchdog restarts of stalled workers this run
   elapsedTime: number;
   totalSolutions?: number;
   totalCacheReinits?: number;
+  eventLoopOverheadPct?: number; // Mean share of work time spent outside RandomX
+  duplicateHashes?: number; // Hashes over inputs another hash already covered
+  acceptedSolutions?: number; // Solutions the verifier confirmed
+  rejectedSolutions?: number;
+  acceptedBlocks?: number; // Accepted solutions that also meet the block difficulty
+  nonceExhaustions?: number; // Nonce slices searched to the end
+  acceptedShares?: number; // Pool verdicts on submitted shares
+  rejectedShares?: number;
+  staleShares?: number;
+  pool?: PoolStatus; // Set when mining pool jobs
+  daemon?: DaemonStatus; // Set when mining node templates
+  chain?: ChainStatus; // Set when mining the simulated template
+  switchovers?: SwitchoverSummary; // Key switches of all workers
+  hashrateStats?: HashrateStatistics; // Steady-state summary, once workers report
+  windowedHashrates?: WindowedHashrate[]; // Shortest window first
 }
 
 export interface BenchmarkReport {
@@ -91,15 +499,86 @@ export interface BenchmarkReport {
     memory?: number;
   };
   stats: AggregatedStats;
-  timeSeriesData: Array<{
-    timestamp: number;
-    hashrate: number;
-    totalHashes: number;
-  }>;
+  timeSeriesData: TimeSeriesPoint[]; // The whole run, downsampled (downsampleSeries)
+  configChanges?: ConfigChange[];
+  scalingCurve?: ScalingPoint[];
+  sharedMemory?: SharedMemoryReport;
+  solutions?: SolutionRecord[];
+  switchovers?: KeySwitchover[];
+  shutdown?: ShutdownReport;
+  memoryCheck?: MemoryCheck;
+  teardownError?: string; // Why settling solutions, the shutdown or the memory check failed
   workerData: Array<{
     workerId: number;
     totalHashes: number;
     finalState: WorkerState;
     error?: string;
+    backend?: WorkerSetup['backend'];
+    mode?: WorkerSetup['mode'];
+    initAttempts?: number;
+    fallbacks?: WorkerFallback[];
+    restarts?: number;
+    stalls?: WorkerStall[];
   }>;
 }
+
+// One input hashed by both backends during a conformance check
+export interface ConformanceResult {
+  label: string;
+  input: string;     // Hex of the hashed bytes
+  wasm: string;
+  webgpu: string;
+  expected?: string; // Known answer, for official test vectors
+  match: boolean;
+}
+
+export interface ConformanceReport {
+  seedKey: string;
+  adapter: 'webgpu' | 'software'; // Software when the browser has no GPU adapter
+  results: ConformanceResult[];
+  divergences: number;
+  passed: boolean;
+  durationMs: number;
+}
+
+export interface ConformanceWorkerMessage {
+  type: 'VERIFY_PROGRESS' | 'VERIFY_RESULT' | 'ERROR';
+  progress?: number;
+  message?: string;
+  report?: ConformanceReport;
+  error?: string;
+  details?: string;
+}
+
+export type SolutionStatus = 'pending' | 'accepted' | 'rejected';
+
+// A solution a worker reported, with the verifier's verdict
+export interface SolutionRecord {
+  workerId: number;
+  nonce: number;
+  extraNonce: number;
+  header: string; // Hex of the hashed blob
+  hash: string;
+  seedKey?: string;
+  foundAt: number; // Date.now() on the worker
+  difficulty: number; // Share and block difficulty it was checked against
+  blockDifficulty: number;
+  block?: boolean; // Meets the block difficulty (the verifier's finding once checked)
+  status: SolutionStatus;
+  reason?: string; // Why it was rejected
+  verifiedHash?: string; // Hash the verifier computed
+  jobId?: string; // Pool job, when mining one
+  height?: number; // Node template height, when mining one
+  share?: ShareResult; // Pool's answer once submitted (only accepted solutions are)
+}
+
+export interface VerifierWorkerMessage {
+  type: 'SOLUTION_VERIFIED' | 'ERROR';
+  id: number;
+  valid?: boolean;
+  block?: boolean;
+  computedHash?: string;
+  reason?: string;
+  error?: string;
+  details?: string;
+}
@@ -0,0 +1,85 @@
+import { VerifierWorkerMessage } from './types';
+
+export const VERIFIER_WORKER_PATH = '/verifier-worker.js';
+
+export interface SolutionCheckRequest {
+  header: Uint8Array;
+  hash: string;
+  seedKey?: string;
+  difficulty: number;
+  blockDifficulty: number;
+}
+
+export interface SolutionCheckResult {
+  valid: boolean;
+  block?: boolean;
+  computedHash?: string;
+  reason?: string;
+}
+
+/**
+ * Re-hashes reported solutions in a worker of its own
+ *
+ * The worker builds a separate light-mode WASM RandomX instance, so it checks
+ * solutions from either backend without trusting the worker that found them.
+ * It is spawned on the first request; failures to verify resolve as invalid
+ * rather than rejecting.
+ */
+export class SolutionVerifier {
+  private worker: Worker | null = null;
+  private nextId = 0;
+  private pending = new Map<number, (result: SolutionCheckResult) => void>();
+
+  verify(request: SolutionCheckRequest): Promise<SolutionCheckResult> {
+    const worker = this.worker || this.spawn();
+    const id = this.nextId++;
+    return new Promise((resolve) => {
+      this.pending.set(id, resolve);
+      worker.postMessage({ type: 'VERIFY_SOLUTION', data: { id, ...request } });
+    });
+  }
+
+  private spawn(): Worker {
+    const worker = new Worker(VERIFIER_WORKER_PATH);
+
+    worker.onmessage = (e: MessageEvent<VerifierWorkerMessage>) => {
+      const { type, id } = e.data;
+      const resolve = this.pending.get(id);
+      if (!resolve) return;
+      this.pending.delete(id);
+      if (type === 'SOLUTION_VERIFIED') {
+        resolve({
+          valid: e.data.valid === true,
+          block: e.data.block === true,
+          computedHash: e.data.computedHash,
+          reason: e.data.reason
+        });
+      } else {
+        resolve({ valid: false, reason: `Verification failed: ${e.data.error || 'unknown error'}` });
+      }
+    };
+
+    worker.onerror = (error) => {
+      // Without a working verifier nothing in flight can be confirmed
+      this.settleAll(`Verifier failed: ${error.message || 'worker error'}`);
+      worker.terminate();
+      this.worker = null;
+    };
+
+    this.worker = worker;
+    return worker;
+  }
+
+  private settleAll(reason: string): void {
+    this.pending.forEach(resolve => resolve({ valid: false, reason }));
+    this.pending.clear();
+  }
+
+  terminate(): void {
+    if (this.worker) {
+      this.worker.terminate();
+      this.worker = null;
+    }
+    this.settleAll('Verifier terminated');
+  }
+}
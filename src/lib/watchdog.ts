@@ -0,0 +1,35 @@
+import { BenchmarkConfig } from './types';
+
+// Stats intervals a running worker may go without a STATS before it counts
+// as stalled (a hung hashing loop or a GPU readback that never resolves)
+export const DEFAULT_STALL_INTERVALS = 5;
+// Restarts of a stalled worker per run; the next stall fails it
+export const DEFAULT_MAX_RESTARTS = 2;
+
+export interface WatchdogPolicy {
+  stallIntervals: number;
+  maxRestarts: number;
+}
+
+/**
+ * Stall limit and restart budget of a run, with the defaults filled in
+ */
+export function resolveWatchdog(config: Pick<BenchmarkConfig, 'stallIntervals' | 'maxRestarts'>): WatchdogPolicy {
+  const { stallIntervals = DEFAULT_STALL_INTERVALS, maxRestarts = DEFAULT_MAX_RESTARTS } = config;
+  // A worker reports at the end of a work window, so one interval late is normal
+  if (!(stallIntervals >= 2) || !Number.isFinite(stallIntervals)) {
+    throw new Error(`Invalid stall intervals: ${stallIntervals}`);
+  }
+  if (!Number.isInteger(maxRestarts) || maxRestarts < 0) {
+    throw new Error(`Invalid max restarts: ${maxRestarts}`);
+  }
+  return { stallIntervals, maxRestarts };
+}
+
+/**
+ * Whether a worker whose last STATS (or START) was at `lastReportAt` has
+ * been silent for more than `stallIntervals` stats intervals at `now`
+ */
+export function isStalled(lastReportAt: number, now: number, statsIntervalMs: number, stallIntervals: number): boolean {
+  return now - lastReportAt > stallIntervals * statsIntervalMs;
+}
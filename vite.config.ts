@@ -8,6 +8,11 @@ import { resolve } from 'path'
 
 const projectRoot = process.env.PROJECT_ROOT || import.meta.dirname
 
+const crossOriginIsolationHeaders = {
+  'Cross-Origin-Opener-Policy': 'same-origin',
+  'Cross-Origin-Embedder-Policy': 'require-corp'
+}
+
 // https://vite.dev/config/
 export default defineConfig({
   plugins: [
@@ -22,4 +27,11 @@ export default defineConfig({
       '@': resolve(projectRoot, 'src')
     }
   },
+  // Cross-origin isolation, required for SharedArrayBuffer (shared fast-mode dataset)
+  server: {
+    headers: crossOriginIsolationHeaders
+  },
+  preview: {
+    headers: crossOriginIsolationHeaders
+  },
 });